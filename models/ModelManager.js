@@ -1,34 +1,336 @@
 // models/ModelManager.js - Fixed version for anemia detection
-const ort = require('onnxruntime-node');
 const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
 
+// The ONNX runtime is only loaded with the first model, so the registry and scoring helpers work without it
+let ort = null;
+const onnxRuntime = () => {
+    ort = ort || require('onnxruntime-node');
+    return ort;
+};
+
+// Used when registry.json is missing - the original single eyelid model
+const DEFAULT_MODEL_ENTRY = {
+    name: 'eyelid-anemia',
+    version: '1.0.0',
+    file: 'eyelid_anemia_model.onnx',
+    description: 'Eyelid conjunctiva anemia classifier',
+    inputSize: 224,
+    mean: [0.485, 0.456, 0.406], // ImageNet mean
+    std: [0.229, 0.224, 0.225],  // ImageNet std
+    output: {
+        type: 'sigmoid',
+        positiveLabel: 'Non-anemic',
+        negativeLabel: 'Anemic'
+    },
+    threshold: 0.5,
+    calibration: { method: 'none' },
+    // Optional steps before resize; off by default to match how the original model was trained
+    preprocessing: { autoCrop: false, whiteBalance: false },
+    // Test-time augmentation; varianceThreshold is on the calibrated positive-label probability
+    tta: { enabled: false, varianceThreshold: 0.01 }
+};
+
+const OUTPUT_TYPES = ['sigmoid', 'softmax'];
+const PREDICTION_LABELS = ['Anemic', 'Non-anemic'];
+
+// Post-hoc calibration of the positive-label score, fitted offline on a validation set:
+//   temperature: sigmoid(logit(p) / temperature)
+//   platt:       sigmoid(a * logit(p) + b)
+const CALIBRATION_METHODS = ['none', 'temperature', 'platt'];
+
+const MIN_CROP_SIZE = 32;
+const AUTO_CROP_ANALYSIS_SIZE = 128;
+const AUTO_CROP_MIN_FRACTION = 0.02; // Too few reddish pixels means no conjunctiva was found
+
+// Deterministic views of one image used in TTA mode - always run in this order
+const TTA_AUGMENTATIONS = [
+    { name: 'original' },
+    { name: 'flip-horizontal', flop: true },
+    { name: 'flip-vertical', flip: true },
+    { name: 'crop-center', crop: { scale: 0.9, anchor: 'center' } },
+    { name: 'crop-top-left', crop: { scale: 0.9, anchor: 'top-left' } },
+    { name: 'crop-bottom-right', crop: { scale: 0.9, anchor: 'bottom-right' } },
+    { name: 'brightness-down', brightness: 0.9 },
+    { name: 'brightness-up', brightness: 1.1 }
+];
+
+const modelKey = (entry) => `${entry.name}@${entry.version}`;
+
+/*
+ * registry.json ships with the code and is only ever read. What admins change at runtime - the active
+ * model and its history, models registered since, and thresholds moved from the shipped values - is
+ * kept by a state store and laid over the shipped registry on load, so a redeploy keeps those changes
+ * and new shipped models still show up.
+ */
+
+// Keeps the runtime state in a JSON file outside version control - for development and single servers
+class FileRegistryStateStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async load() {
+        if (!fs.existsSync(this.filePath)) return null;
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+
+    async save(state) {
+        fs.writeFileSync(this.filePath, JSON.stringify(state, null, 2) + '\n');
+    }
+}
+
+// Keeps the runtime state in one MongoDB document, for read-only or multi-instance deployments
+class MongoRegistryStateStore {
+    constructor(RegistryStateModel, id = 'model-registry') {
+        this.RegistryState = RegistryStateModel;
+        this.id = id;
+    }
+
+    async load() {
+        return this.RegistryState.findById(this.id).lean();
+    }
+
+    async save(state) {
+        await this.RegistryState.replaceOne({ _id: this.id }, { ...state, updatedAt: new Date() }, { upsert: true });
+    }
+}
+
 class ModelManager {
-    constructor() {
+    constructor(options = {}) {
         this.sessionONNX = null;
+        this.activeModel = null; // Registry entry the current session was created from
         this.modelLoadAttempts = 0;
         this.maxLoadAttempts = 3;
         this.isLoading = false;
-        this.modelPath = path.join(__dirname, 'eyelid_anemia_model.onnx');
+        this.modelsDir = options.modelsDir || __dirname;
+        this.registryPath = options.registryPath || path.join(this.modelsDir, 'registry.json');
+        this.stateStore = options.stateStore ||
+            new FileRegistryStateStore(path.join(this.modelsDir, 'registry.state.json'));
+        this.shipped = null; // registry.json as read, without runtime changes
+        this.registry = null;
+    }
+
+    get modelPath() {
+        const entry = this.getActiveEntry();
+        return entry ? this.resolveModelPath(entry) : null;
     }
 
     async initialize() {
         console.log('🚀 Initializing ModelManager...');
         
         // Create models directory if it doesn't exist
-        const modelsDir = path.dirname(this.modelPath);
-        if (!fs.existsSync(modelsDir)) {
-            fs.mkdirSync(modelsDir, { recursive: true });
+        if (!fs.existsSync(this.modelsDir)) {
+            fs.mkdirSync(this.modelsDir, { recursive: true });
             console.log('✅ Created models directory');
         }
 
+        try {
+            await this.loadRegistry();
+        } catch (error) {
+            console.error('❌ Failed to load model registry. Running without model:', error.message);
+            return this.getModelStatus();
+        }
+
         // Load the model
         await this.loadModel();
         
         return this.getModelStatus();
     }
 
+    readShippedRegistry() {
+        if (!fs.existsSync(this.registryPath)) {
+            console.log('📋 No model registry found - using the default model');
+            return {
+                active: { name: DEFAULT_MODEL_ENTRY.name, version: DEFAULT_MODEL_ENTRY.version },
+                history: [],
+                models: [{ ...DEFAULT_MODEL_ENTRY }]
+            };
+        }
+
+        const shipped = JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
+        return { active: shipped.active || null, history: shipped.history || [], models: shipped.models || [] };
+    }
+
+    async loadRegistry() {
+        const shipped = this.readShippedRegistry();
+        const state = await this.stateStore.load();
+
+        const models = shipped.models.map(entry => ({ ...entry }));
+        if (state) {
+            for (const entry of state.registered || []) {
+                if (!models.some(model => modelKey(model) === modelKey(entry))) models.push(entry);
+            }
+            for (const changed of state.thresholds || []) {
+                const index = models.findIndex(model => modelKey(model) === modelKey(changed));
+                if (index !== -1) models[index] = { ...models[index], threshold: changed.threshold };
+            }
+        }
+
+        // A runtime choice of a model that is no longer shipped falls back to the shipped one
+        const hasModel = (ref) => !!ref && models.some(model => model.name === ref.name && model.version === ref.version);
+        const registry = {
+            active: state && hasModel(state.active) ? state.active : shipped.active,
+            history: state ? state.history || [] : shipped.history,
+            models
+        };
+
+        for (const entry of registry.models) {
+            const errors = this.validateModelEntry(entry);
+            if (errors.length > 0) {
+                throw new Error(`Invalid registry entry ${entry.name}@${entry.version}: ${errors.join(', ')}`);
+            }
+        }
+
+        this.shipped = shipped;
+        this.registry = registry;
+        console.log(`📋 Model registry loaded: ${registry.models.length} model(s), active ${registry.active?.name}@${registry.active?.version}` +
+            (state ? ' (with runtime changes)' : ''));
+        return registry;
+    }
+
+    // What differs from the shipped registry; registry.json itself is never written
+    runtimeState(registry) {
+        const shippedByKey = new Map(this.shipped.models.map(entry => [modelKey(entry), entry]));
+        const thresholds = registry.models
+            .filter(entry => shippedByKey.has(modelKey(entry)) && shippedByKey.get(modelKey(entry)).threshold !== entry.threshold)
+            .map(({ name, version, threshold }) => ({ name, version, threshold }));
+
+        return {
+            active: registry.active,
+            history: registry.history,
+            registered: registry.models.filter(entry => !shippedByKey.has(modelKey(entry))),
+            thresholds
+        };
+    }
+
+    // Stores the changed registry before it takes effect, so a failed save changes nothing
+    async saveRegistry(registry) {
+        await this.stateStore.save(this.runtimeState(registry));
+        this.registry = registry;
+    }
+
+    validateModelEntry(entry) {
+        const errors = [];
+
+        if (!entry.name || typeof entry.name !== 'string') errors.push('name is required');
+        if (!entry.version || typeof entry.version !== 'string') errors.push('version is required');
+        if (!entry.file || typeof entry.file !== 'string' || path.basename(entry.file) !== entry.file) {
+            errors.push('file must be a file name inside the models directory');
+        } else if (path.extname(entry.file).toLowerCase() !== '.onnx') {
+            errors.push('file must be an .onnx model');
+        }
+        if (!Number.isInteger(entry.inputSize) || entry.inputSize < 32 || entry.inputSize > 1024) {
+            errors.push('inputSize must be an integer between 32 and 1024');
+        }
+        for (const key of ['mean', 'std']) {
+            if (!Array.isArray(entry[key]) || entry[key].length !== 3 || !entry[key].every(Number.isFinite)) {
+                errors.push(`${key} must be an array of 3 numbers`);
+            }
+        }
+        if (Array.isArray(entry.std) && entry.std.some(value => value === 0)) {
+            errors.push('std values must be non-zero');
+        }
+
+        const output = entry.output || {};
+        if (!OUTPUT_TYPES.includes(output.type)) {
+            errors.push(`output.type must be one of ${OUTPUT_TYPES.join(', ')}`);
+        } else if (output.type === 'sigmoid') {
+            if (!PREDICTION_LABELS.includes(output.positiveLabel) || !PREDICTION_LABELS.includes(output.negativeLabel) ||
+                output.positiveLabel === output.negativeLabel) {
+                errors.push(`output.positiveLabel and output.negativeLabel must be ${PREDICTION_LABELS.join(' and ')}`);
+            }
+        } else if (!Array.isArray(output.labels) || output.labels.length !== 2 ||
+            !PREDICTION_LABELS.every(label => output.labels.includes(label))) {
+            errors.push(`output.labels must list ${PREDICTION_LABELS.join(' and ')} in model output order`);
+        } else if (output.positiveLabel !== undefined && !PREDICTION_LABELS.includes(output.positiveLabel)) {
+            errors.push(`output.positiveLabel must be one of ${PREDICTION_LABELS.join(', ')}`);
+        }
+
+        if (!Number.isFinite(entry.threshold) || entry.threshold <= 0 || entry.threshold >= 1) {
+            errors.push('threshold must be between 0 and 1');
+        }
+
+        // Entries registered before calibration existed have no calibration block - same as 'none'
+        const calibration = entry.calibration || { method: 'none' };
+        if (!CALIBRATION_METHODS.includes(calibration.method)) {
+            errors.push(`calibration.method must be one of ${CALIBRATION_METHODS.join(', ')}`);
+        } else if (calibration.method === 'temperature' &&
+            (!Number.isFinite(calibration.temperature) || calibration.temperature <= 0)) {
+            errors.push('calibration.temperature must be a positive number');
+        } else if (calibration.method === 'platt' &&
+            (!Number.isFinite(calibration.a) || !Number.isFinite(calibration.b) || calibration.a === 0)) {
+            errors.push('calibration.a and calibration.b must be numbers (a non-zero)');
+        }
+
+        const preprocessing = entry.preprocessing || {};
+        for (const key of ['autoCrop', 'whiteBalance']) {
+            if (preprocessing[key] !== undefined && typeof preprocessing[key] !== 'boolean') {
+                errors.push(`preprocessing.${key} must be true or false`);
+            }
+        }
+
+        // Variance of probabilities in [0, 1] can't exceed 0.25
+        const tta = entry.tta || {};
+        if (tta.enabled !== undefined && typeof tta.enabled !== 'boolean') {
+            errors.push('tta.enabled must be true or false');
+        }
+        if (tta.varianceThreshold !== undefined &&
+            (!Number.isFinite(tta.varianceThreshold) || tta.varianceThreshold <= 0 || tta.varianceThreshold > 0.25)) {
+            errors.push('tta.varianceThreshold must be greater than 0 and at most 0.25');
+        }
+
+        return errors;
+    }
+
+    resolveModelPath(entry) {
+        return path.join(this.modelsDir, path.basename(entry.file));
+    }
+
+    getEntry(name, version) {
+        if (!this.registry) return null;
+        return this.registry.models.find(entry => entry.name === name && entry.version === version) || null;
+    }
+
+    getActiveEntry() {
+        if (!this.registry || !this.registry.active) return null;
+        return this.getEntry(this.registry.active.name, this.registry.active.version);
+    }
+
+    async createSession(modelPath) {
+        if (!fs.existsSync(modelPath)) {
+            throw new Error(`Model file not found at: ${modelPath}`);
+        }
+
+        const stats = fs.statSync(modelPath);
+        console.log('📊 Model file info:', {
+            path: modelPath,
+            size: stats.size,
+            sizeInMB: (stats.size / (1024 * 1024)).toFixed(2),
+            modified: stats.mtime
+        });
+
+        if (stats.size === 0) {
+            throw new Error('Model file is empty');
+        }
+
+        // Create session with debugging
+        console.log('🤖 Creating ONNX inference session...');
+        const session = await onnxRuntime().InferenceSession.create(modelPath, {
+            executionProviders: ['cpu'],
+            logSeverityLevel: 0 // Enable verbose logging
+        });
+
+        console.log('✅ ONNX Model loaded successfully');
+        console.log('📋 Model detailed info:', {
+            inputNames: session.inputNames,
+            outputNames: session.outputNames
+        });
+
+        return session;
+    }
+
     async loadModel() {
         if (this.isLoading) {
             console.log('🔄 Model loading already in progress...');
@@ -41,34 +343,14 @@ class ModelManager {
         console.log(`🔄 Attempting to load model (attempt ${this.modelLoadAttempts}/${this.maxLoadAttempts})`);
         
         try {
-            if (!fs.existsSync(this.modelPath)) {
-                throw new Error(`Model file not found at: ${this.modelPath}`);
-            }
-
-            const stats = fs.statSync(this.modelPath);
-            console.log('📊 Model file info:', {
-                path: this.modelPath,
-                size: stats.size,
-                sizeInMB: (stats.size / (1024 * 1024)).toFixed(2),
-                modified: stats.mtime
-            });
-
-            if (stats.size === 0) {
-                throw new Error('Model file is empty');
+            const entry = this.getActiveEntry();
+            if (!entry) {
+                throw new Error('No active model configured in the registry');
             }
 
-            // Create session with debugging
-            console.log('🤖 Creating ONNX inference session...');
-            this.sessionONNX = await ort.InferenceSession.create(this.modelPath, {
-                executionProviders: ['cpu'],
-                logSeverityLevel: 0 // Enable verbose logging
-            });
-            
-            console.log('✅ ONNX Model loaded successfully');
-            console.log('📋 Model detailed info:', {
-                inputNames: this.sessionONNX.inputNames,
-                outputNames: this.sessionONNX.outputNames
-            });
+            this.sessionONNX = await this.createSession(this.resolveModelPath(entry));
+            this.activeModel = entry;
+            console.log(`✅ Active model: ${entry.name}@${entry.version}`);
 
             this.isLoading = false;
             return this.sessionONNX;
@@ -86,8 +368,279 @@ class ModelManager {
         }
     }
 
-    async preprocessImage(imagePath) {
+    /**
+     * Switch the active model at runtime. The new session is created before the old one
+     * is released, so a failed load leaves the current model serving predictions.
+     */
+    async activateModel(name, version, { rollback = false } = {}) {
+        const entry = this.getEntry(name, version);
+        if (!entry) {
+            throw new Error(`Model ${name}@${version} is not in the registry`);
+        }
+
+        const session = await this.createSession(this.resolveModelPath(entry));
+        const previousSession = this.sessionONNX;
+        const previous = this.registry.active;
+
+        // A rollback takes the model it returns to off the history; a switch adds the one it replaces
+        let history = this.registry.history;
+        if (rollback) {
+            history = history.slice(0, -1);
+        } else if (previous && (previous.name !== name || previous.version !== version)) {
+            history = [...history, { name: previous.name, version: previous.version, replacedAt: new Date().toISOString() }];
+        }
+
+        try {
+            await this.saveRegistry({ ...this.registry, active: { name, version }, history });
+        } catch (error) {
+            if (typeof session.release === 'function') session.release().catch(() => {});
+            throw error;
+        }
+
+        this.sessionONNX = session;
+        this.activeModel = entry;
+        this.modelLoadAttempts = 0;
+
+        // In-flight predictions hold their own reference to the old session
+        if (previousSession && previousSession !== session && typeof previousSession.release === 'function') {
+            setTimeout(() => previousSession.release().catch(() => {}), 30000);
+        }
+
+        console.log(`🔁 Active model switched to ${name}@${version}`);
+        return this.getModelStatus();
+    }
+
+    // Go back to the model that was active before the current one
+    async rollbackModel() {
+        const previous = this.registry.history[this.registry.history.length - 1];
+        if (!previous) {
+            throw new Error('No previous model version to roll back to');
+        }
+
+        return this.activateModel(previous.name, previous.version, { rollback: true });
+    }
+
+    /**
+     * Change the decision threshold of one registered version. The entry is replaced rather than
+     * mutated so predictions already running keep the threshold they started with.
+     */
+    async setThreshold(name, version, threshold) {
+        const index = this.registry ? this.registry.models.findIndex(entry => entry.name === name && entry.version === version) : -1;
+        if (index === -1) {
+            throw new Error(`Model ${name}@${version} is not in the registry`);
+        }
+
+        const previous = this.registry.models[index];
+        const updated = { ...previous, threshold: Number(threshold) };
+        const errors = this.validateModelEntry(updated);
+        if (errors.length > 0) {
+            const error = new Error(errors.join(', '));
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        const models = [...this.registry.models];
+        models[index] = updated;
+        await this.saveRegistry({ ...this.registry, models });
+        if (this.activeModel && this.activeModel.name === name && this.activeModel.version === version) {
+            this.activeModel = updated;
+        }
+
+        console.log(`🎚️ Threshold of ${name}@${version} changed from ${previous.threshold} to ${updated.threshold}`);
+        return { previous: previous.threshold, entry: updated };
+    }
+
+    // Add a model definition; the .onnx file must already be in the models directory
+    async registerModel(definition) {
+        const entry = {
+            name: definition.name,
+            version: definition.version,
+            file: definition.file,
+            description: definition.description || '',
+            inputSize: definition.inputSize ?? DEFAULT_MODEL_ENTRY.inputSize,
+            mean: definition.mean || DEFAULT_MODEL_ENTRY.mean,
+            std: definition.std || DEFAULT_MODEL_ENTRY.std,
+            output: definition.output || DEFAULT_MODEL_ENTRY.output,
+            threshold: definition.threshold ?? DEFAULT_MODEL_ENTRY.threshold,
+            calibration: definition.calibration || DEFAULT_MODEL_ENTRY.calibration,
+            preprocessing: definition.preprocessing || DEFAULT_MODEL_ENTRY.preprocessing,
+            tta: definition.tta || DEFAULT_MODEL_ENTRY.tta
+        };
+
+        const errors = this.validateModelEntry(entry);
+        if (errors.length === 0 && this.getEntry(entry.name, entry.version)) {
+            errors.push(`${entry.name}@${entry.version} is already registered`);
+        }
+        if (errors.length === 0 && !fs.existsSync(this.resolveModelPath(entry))) {
+            errors.push(`Model file ${entry.file} not found in the models directory`);
+        }
+        if (errors.length > 0) {
+            const error = new Error(errors.join(', '));
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        await this.saveRegistry({ ...this.registry, models: [...this.registry.models, entry] });
+        console.log(`📋 Registered model ${entry.name}@${entry.version}`);
+        return entry;
+    }
+
+    listModels() {
+        const active = this.registry?.active || null;
+        return {
+            active,
+            loaded: this.activeModel ? { name: this.activeModel.name, version: this.activeModel.version } : null,
+            history: this.registry?.history || [],
+            models: (this.registry?.models || []).map(entry => ({
+                ...entry,
+                isActive: !!active && entry.name === active.name && entry.version === active.version,
+                fileExists: fs.existsSync(this.resolveModelPath(entry))
+            }))
+        };
+    }
+
+    // Per-request options override the entry's defaults; an explicit crop always wins over auto-crop
+    resolvePreprocessing(entry, options = {}) {
+        const defaults = { ...DEFAULT_MODEL_ENTRY.preprocessing, ...(entry.preprocessing || {}) };
+        return {
+            crop: options.crop || null,
+            autoCrop: !options.crop && (options.autoCrop ?? defaults.autoCrop),
+            whiteBalance: options.whiteBalance ?? defaults.whiteBalance
+        };
+    }
+
+    // Check a { left, top, width, height } rectangle against the (EXIF-rotated) image size
+    normalizeCrop(crop, imageWidth, imageHeight) {
+        const rect = {
+            left: Math.round(Number(crop.left)),
+            top: Math.round(Number(crop.top)),
+            width: Math.round(Number(crop.width)),
+            height: Math.round(Number(crop.height))
+        };
+
+        const invalid = Object.values(rect).some(value => !Number.isFinite(value) || value < 0) ||
+            rect.width < MIN_CROP_SIZE || rect.height < MIN_CROP_SIZE ||
+            rect.left + rect.width > imageWidth || rect.top + rect.height > imageHeight;
+
+        if (invalid) {
+            const error = new Error(`Crop must be at least ${MIN_CROP_SIZE}x${MIN_CROP_SIZE} pixels and inside the ${imageWidth}x${imageHeight} image`);
+            error.code = 'INVALID_CROP';
+            throw error;
+        }
+
+        return rect;
+    }
+
+    resolveTTA(entry, options = {}) {
+        const defaults = { ...DEFAULT_MODEL_ENTRY.tta, ...(entry.tta || {}) };
+        return {
+            enabled: options.tta ?? defaults.enabled,
+            varianceThreshold: defaults.varianceThreshold
+        };
+    }
+
+    // Sub-rectangle of `base` for a TTA crop, e.g. the top-left 90%
+    augmentationRegion(base, crop) {
+        const width = Math.max(1, Math.round(base.width * crop.scale));
+        const height = Math.max(1, Math.round(base.height * crop.scale));
+        const offsets = {
+            'center': [Math.floor((base.width - width) / 2), Math.floor((base.height - height) / 2)],
+            'top-left': [0, 0],
+            'bottom-right': [base.width - width, base.height - height]
+        };
+        const [dx, dy] = offsets[crop.anchor];
+        return { left: base.left + dx, top: base.top + dy, width, height };
+    }
+
+    isConjunctivaPixel(r, g, b) {
+        return r > 90 && r > g * 1.4 && r > b * 1.3;
+    }
+
+    /**
+     * Find the bounding box of the reddish conjunctiva on a downscaled copy.
+     * Returns a rectangle in original image coordinates, or null when nothing red enough is found.
+     */
+    async detectConjunctiva(imagePath, imageWidth, imageHeight) {
+        const { data, info } = await sharp(imagePath)
+            .rotate()
+            .resize(AUTO_CROP_ANALYSIS_SIZE, AUTO_CROP_ANALYSIS_SIZE, { fit: 'inside' })
+            .removeAlpha()
+            .toColourspace('srgb')
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const xs = [];
+        const ys = [];
+        for (let y = 0; y < info.height; y++) {
+            for (let x = 0; x < info.width; x++) {
+                const i = (y * info.width + x) * 3;
+                if (this.isConjunctivaPixel(data[i], data[i + 1], data[i + 2])) {
+                    xs.push(x);
+                    ys.push(y);
+                }
+            }
+        }
+
+        if (xs.length < info.width * info.height * AUTO_CROP_MIN_FRACTION) return null;
+
+        // 5th-95th percentile bounds so a few stray red pixels don't stretch the box
+        const bounds = (values) => {
+            values.sort((a, b) => a - b);
+            return [values[Math.floor(values.length * 0.05)], values[Math.ceil(values.length * 0.95) - 1]];
+        };
+        const [minX, maxX] = bounds(xs);
+        const [minY, maxY] = bounds(ys);
+
+        // Pad by 10% on each side and scale back to the original resolution
+        const scaleX = imageWidth / info.width;
+        const scaleY = imageHeight / info.height;
+        const padX = (maxX - minX + 1) * 0.1;
+        const padY = (maxY - minY + 1) * 0.1;
+
+        const left = Math.max(0, Math.floor((minX - padX) * scaleX));
+        const top = Math.max(0, Math.floor((minY - padY) * scaleY));
+        const right = Math.min(imageWidth, Math.ceil((maxX + 1 + padX) * scaleX));
+        const bottom = Math.min(imageHeight, Math.ceil((maxY + 1 + padY) * scaleY));
+
+        if (right - left < MIN_CROP_SIZE || bottom - top < MIN_CROP_SIZE) return null;
+        return { left, top, width: right - left, height: bottom - top };
+    }
+
+    // Gray-world white balance on interleaved RGB, in place; returns the per-channel gains used
+    applyGrayWorld(buffer) {
+        const sums = [0, 0, 0];
+        for (let i = 0; i < buffer.length; i += 3) {
+            sums[0] += buffer[i];
+            sums[1] += buffer[i + 1];
+            sums[2] += buffer[i + 2];
+        }
+
+        const pixels = buffer.length / 3;
+        const means = sums.map(sum => sum / pixels);
+        const gray = (means[0] + means[1] + means[2]) / 3;
+
+        // Limit the correction so a nearly single-colour photo isn't pushed to extremes
+        const gains = means.map(mean => mean > 0 ? Math.min(Math.max(gray / mean, 0.5), 2) : 1);
+
+        for (let i = 0; i < buffer.length; i += 3) {
+            for (let c = 0; c < 3; c++) {
+                buffer[i + c] = Math.min(255, Math.round(buffer[i + c] * gains[c]));
+            }
+        }
+
+        return gains.map(gain => Number(gain.toFixed(3)));
+    }
+
+    /**
+     * Decode, crop, white-balance, resize and normalize one image into NCHW float data for a
+     * single batch slot, using the input size, normalization and preprocessing of the registry entry.
+     * Returns { data, preprocessing } where preprocessing records the steps that were applied.
+     */
+    async loadImageData(imagePath, entry = this.activeModel || DEFAULT_MODEL_ENTRY, options = {}) {
         console.log('📸 Starting image preprocessing (FIXED):', imagePath);
+        const size = entry.inputSize;
+        const settings = this.resolvePreprocessing(entry, options);
+        const preprocessing = { steps: [], crop: null, cropSource: null, autoCropFailed: false, whiteBalanceGains: null };
         
         try {
             // Get original image info first
@@ -100,35 +653,84 @@ class ModelManager {
                 space: originalInfo.space
             });
 
+            // Crop coordinates refer to the image as displayed, i.e. after EXIF rotation
+            const rotated = originalInfo.orientation >= 5;
+            const displayWidth = rotated ? originalInfo.height : originalInfo.width;
+            const displayHeight = rotated ? originalInfo.width : originalInfo.height;
+            if (originalInfo.orientation > 1) {
+                preprocessing.steps.push('auto-orient');
+            }
+
+            let region = null;
+            if (settings.crop) {
+                region = this.normalizeCrop(settings.crop, displayWidth, displayHeight);
+                preprocessing.steps.push('crop');
+                preprocessing.cropSource = 'user';
+            } else if (settings.autoCrop) {
+                region = await this.detectConjunctiva(imagePath, displayWidth, displayHeight);
+                if (region) {
+                    preprocessing.steps.push('auto-crop');
+                    preprocessing.cropSource = 'auto';
+                } else {
+                    // Fall back to the whole photo rather than failing the prediction
+                    preprocessing.autoCropFailed = true;
+                    console.warn('⚠️ No conjunctiva region detected - using the full image');
+                }
+            }
+            preprocessing.crop = region;
+
+            // A TTA crop is taken inside the preprocessing crop (or the whole photo)
+            const augmentation = options.augmentation || null;
+            const extractRegion = augmentation && augmentation.crop
+                ? this.augmentationRegion(region || { left: 0, top: 0, width: displayWidth, height: displayHeight }, augmentation.crop)
+                : region;
+
+            // Upright first, like ImageQualityChecker sees it - phone photos are often stored sideways with an EXIF tag.
+            // Every TTA view (original, flips, brightness, crops) starts from this same upright image, so views
+            // differ only by their augmentation and the TTA variance isn't inflated by mixed orientations.
+            let image = sharp(imagePath).rotate();
+            if (extractRegion) {
+                image = image.extract(extractRegion);
+            }
+            if (augmentation && augmentation.flop) image = image.flop();
+            if (augmentation && augmentation.flip) image = image.flip();
+            if (augmentation && augmentation.brightness) image = image.modulate({ brightness: augmentation.brightness });
+
             // Load and resize image - EXACT MATCH to training preprocessing
-            const buffer = await sharp(imagePath)
-                .resize(224, 224) // Same as training
+            const buffer = await image
+                .resize(size, size) // Same as training
                 .removeAlpha() // Ensure RGB only
                 .raw()
                 .toBuffer();
 
             console.log('📊 Processed image info:', {
-                width: 224,
-                height: 224,
+                width: size,
+                height: size,
                 channels: 3,
                 bufferSize: buffer.length
             });
 
-            // Verify buffer size is correct (224 * 224 * 3 = 150,528)
-            const expectedSize = 224 * 224 * 3;
+            // Verify buffer size is correct (224 * 224 * 3 = 150,528 for the default model)
+            const expectedSize = size * size * 3;
             if (buffer.length !== expectedSize) {
                 throw new Error(`Buffer size mismatch: expected ${expectedSize}, got ${buffer.length}`);
             }
+
+            // Gray-world white balance evens out clinic lighting before normalization
+            if (settings.whiteBalance) {
+                preprocessing.whiteBalanceGains = this.applyGrayWorld(buffer);
+                preprocessing.steps.push('white-balance');
+            }
+            preprocessing.steps.push('resize', 'normalize');
     
             // Create normalized data - EXACT MATCH to training
-            const float32Data = new Float32Array(3 * 224 * 224);
+            const float32Data = new Float32Array(3 * size * size);
             
-            // IMPORTANT: Use exact same normalization as training
-            const mean = [0.485, 0.456, 0.406]; // ImageNet mean
-            const std = [0.229, 0.224, 0.225];  // ImageNet std
+            // IMPORTANT: Use exact same normalization as training (per model in the registry)
+            const { mean, std } = entry;
 
             // FIXED: Process pixels in batches to avoid stack overflow
-            const totalPixels = 224 * 224;
+            const totalPixels = size * size;
             const batchSize = 1000; // Process 1000 pixels at a time
             
             console.log(`📊 Processing ${totalPixels} pixels in batches of ${batchSize}`);
@@ -149,9 +751,9 @@ class ModelManager {
                     const b_norm = (b_raw / 255.0 - mean[2]) / std[2];
                     
                     // Store in NCHW format: [N, C, H, W] - SAME AS ORIGINAL
-                    // Channel 0 (Red): indices 0 to 224*224-1
-                    // Channel 1 (Green): indices 224*224 to 2*224*224-1  
-                    // Channel 2 (Blue): indices 2*224*224 to 3*224*224-1
+                    // Channel 0 (Red): indices 0 to size*size-1
+                    // Channel 1 (Green): indices size*size to 2*size*size-1  
+                    // Channel 2 (Blue): indices 2*size*size to 3*size*size-1
                     float32Data[i] = r_norm;                          // Red channel
                     float32Data[i + totalPixels] = g_norm;            // Green channel
                     float32Data[i + 2 * totalPixels] = b_norm;        // Blue channel
@@ -179,18 +781,28 @@ class ModelManager {
                 `B: [${Array.from(float32Data.slice(2 * totalPixels, 2 * totalPixels + 5)).map(v => v.toFixed(3)).join(', ')}]`
             );
     
-            // Create tensor in NCHW format: [batch_size=1, channels=3, height=224, width=224]
-            const tensor = new ort.Tensor('float32', float32Data, [1, 3, 224, 224]);
-            console.log('✅ Created tensor with shape:', tensor.dims);
-            
-            return tensor;
+            return { data: float32Data, preprocessing };
             
         } catch (error) {
             console.error('❌ Image preprocessing failed:', error);
-            throw new Error(`Image preprocessing failed: ${error.message}`);
+            const wrapped = new Error(`Image preprocessing failed: ${error.message}`);
+            wrapped.code = error.code; // Keep INVALID_CROP so callers can report it as a bad request
+            throw wrapped;
         }
     }
 
+    async preprocessImage(imagePath, entry = this.activeModel || DEFAULT_MODEL_ENTRY, options = {}) {
+        const { data, preprocessing } = await this.loadImageData(imagePath, entry, options);
+
+        // Create tensor in NCHW format: [batch_size=1, channels=3, height=size, width=size]
+        const size = entry.inputSize;
+        const { Tensor } = onnxRuntime();
+        const tensor = new Tensor('float32', data, [1, 3, size, size]);
+        console.log('✅ Created tensor with shape:', tensor.dims);
+
+        return { tensor, preprocessing };
+    }
+
     validateModelInput(inputTensor) {
         if (!inputTensor || !inputTensor.data || !Array.isArray(Array.from(inputTensor.data))) {
             throw new Error('Invalid input tensor format');
@@ -209,32 +821,49 @@ class ModelManager {
         return true;
     }
 
-    async predict(imagePath) {
+    /**
+     * Predict one image. `options` may carry a user `crop` rectangle and
+     * `autoCrop` / `whiteBalance` overrides of the entry's preprocessing defaults.
+     */
+    async predict(imagePath, options = {}) {
         console.log('🤖 Starting FIXED prediction for image:', imagePath);
         
+        // Hold on to the session and its registry entry so a hot swap mid-request can't mix models
+        const session = this.sessionONNX;
+        const entry = this.activeModel;
+
+        // Never make up a diagnosis - without a model the result is explicitly unavailable
+        if (!session) {
+            console.error('❌ Model not loaded - prediction unavailable');
+            return this.unavailableResult('MODEL_NOT_LOADED', 'Model not loaded');
+        }
+
+        const tta = this.resolveTTA(entry, options);
+        if (tta.enabled) {
+            return this.predictWithTTA(imagePath, session, entry, options, tta);
+        }
+
+        // Problems with the image itself are thrown to the caller, not reported as model outages
+        let inputTensor;
+        let preprocessing;
         try {
-            // Check if model is loaded
-            if (!this.sessionONNX) {
-                console.error('❌ Model not loaded - using default prediction');
-                return { 
-                    prediction: 'Anemic', // Changed default to be more cautious
-                    confidence: 0.8,
-                    usingDefaultPrediction: true 
-                };
-            }
-    
             // Preprocess image
             console.log('🔄 Step 1: Preprocessing image...');
-            const inputTensor = await this.preprocessImage(imagePath);
+            ({ tensor: inputTensor, preprocessing } = await this.preprocessImage(imagePath, entry, options));
             console.log('✅ Image preprocessing completed');
             
             // Validate input
             console.log('🔄 Step 2: Validating input tensor...');
             this.validateModelInput(inputTensor);
-            
+        } catch (error) {
+            error.code = error.code || 'IMAGE_PROCESSING_FAILED';
+            throw error;
+        }
+
+        try {
             // Run inference
             console.log('🔄 Step 3: Running model inference...');
-            const inputName = this.sessionONNX.inputNames[0];
+            const inputName = session.inputNames[0];
             const feeds = { [inputName]: inputTensor };
             
             console.log('📊 Inference details:', {
@@ -244,13 +873,13 @@ class ModelManager {
             });
             
             const startTime = Date.now();
-            const results = await this.sessionONNX.run(feeds);
+            const results = await session.run(feeds);
             const inferenceTime = Date.now() - startTime;
             
             console.log(`✅ Model inference completed in ${inferenceTime}ms`);
             
             // Get output tensor
-            const outputName = this.sessionONNX.outputNames[0];
+            const outputName = session.outputNames[0];
             const outputTensor = results[outputName];
             const outputData = Array.from(outputTensor.data);
             
@@ -265,32 +894,31 @@ class ModelManager {
             // FIXED: Output interpretation - SAME LOGIC AS ORIGINAL WORKING CODE
             console.log('🔄 Step 4: Interpreting output (FIXED)...');
             
-            let prediction, confidence;
+            console.log('📊 Raw output from model:', outputData);
             
-            // Get the confidence score (assuming single output value)
-            const rawConfidence = outputData[0];
-            console.log('📊 Raw confidence from model:', rawConfidence);
-            
-            // CRITICAL: Use SAME logic as original working server.js
-            // Original code: confidence > 0.5 ? 'Non-anemic' : 'Anemic'
-            if (rawConfidence > 0.5) {
-                prediction = 'Non-anemic';
-                confidence = rawConfidence;
-            } else {
-                prediction = 'Anemic';
-                confidence = rawConfidence; // Keep original confidence value
-            }
+            const { prediction, confidence, probabilities, rawScore, calibration } = this.interpretOutput(outputData, entry);
             
             console.log('📊 FINAL PREDICTION RESULT:', { 
                 prediction, 
                 confidence,
-                confidencePercentage: Math.round(confidence * 100) + '%'
+                confidencePercentage: Math.round(confidence * 100) + '%',
+                probabilities,
+                rawScore,
+                calibration
             });
             
             return {
+                status: 'completed',
                 prediction,
                 confidence,
-                usingDefaultPrediction: false,
+                probabilities,
+                rawScore,
+                calibration,
+                preprocessing,
+                uncertainty: null,
+                needsReview: false,
+                reviewReason: null,
+                model: { name: entry.name, version: entry.version },
                 debug: {
                     rawOutput: outputData,
                     outputShape: outputTensor.dims,
@@ -300,13 +928,323 @@ class ModelManager {
             
         } catch (error) {
             console.error('❌ Prediction error:', error);
-            return {
-                prediction: 'Anemic', // Cautious default
-                confidence: 0.8,
-                usingDefaultPrediction: true,
-                error: error.message
-            };
+            return this.unavailableResult('INFERENCE_FAILED', error.message);
+        }
+    }
+
+    /**
+     * Run every TTA augmentation of one image through the model in a single batch and
+     * aggregate: the prediction comes from the mean calibrated probability, and the
+     * variance across augmentations is reported as uncertainty.
+     */
+    async predictWithTTA(imagePath, session, entry, options, tta) {
+        console.log(`🔁 Running test-time augmentation (${TTA_AUGMENTATIONS.length} views)`);
+
+        const views = [];
+        let preprocessing = null;
+        try {
+            for (const augmentation of TTA_AUGMENTATIONS) {
+                const { data, preprocessing: applied } = await this.loadImageData(imagePath, entry, { ...options, augmentation });
+                this.validateModelInput({ data });
+                views.push(data);
+                preprocessing = preprocessing || applied;
+            }
+        } catch (error) {
+            error.code = error.code || 'IMAGE_PROCESSING_FAILED';
+            throw error;
+        }
+
+        let outputs;
+        const startTime = Date.now();
+        try {
+            const imageSize = 3 * entry.inputSize * entry.inputSize;
+            const batchData = new Float32Array(views.length * imageSize);
+            views.forEach((data, position) => batchData.set(data, position * imageSize));
+
+            try {
+                outputs = await this.runBatch(session, entry, batchData, views.length);
+            } catch (batchError) {
+                // Fixed batch dimension of 1 - run the views one at a time
+                console.warn(`⚠️ Batched TTA inference failed (${batchError.message}), running views individually`);
+                outputs = [];
+                for (const data of views) {
+                    const [output] = await this.runBatch(session, entry, data, 1);
+                    outputs.push(output);
+                }
+            }
+        } catch (error) {
+            console.error('❌ TTA prediction error:', error);
+            return this.unavailableResult('INFERENCE_FAILED', error.message);
+        }
+
+        const result = this.aggregateTTA(outputs, entry, tta);
+        console.log('📊 TTA PREDICTION RESULT:', {
+            prediction: result.prediction,
+            confidence: result.confidence,
+            uncertainty: result.uncertainty,
+            needsReview: result.needsReview
+        });
+
+        return {
+            status: 'completed',
+            ...result,
+            preprocessing: { ...preprocessing, steps: [...preprocessing.steps, 'tta'] },
+            model: { name: entry.name, version: entry.version },
+            debug: {
+                rawOutput: outputs,
+                inferenceTime: Date.now() - startTime
+            }
+        };
+    }
+
+    aggregateTTA(outputs, entry, tta) {
+        const views = outputs.map(output => this.interpretOutput(output, entry));
+        const positiveLabel = entry.output.positiveLabel || 'Non-anemic';
+        const negativeLabel = PREDICTION_LABELS.find(label => label !== positiveLabel);
+
+        const positive = views.map(view => view.probabilities[positiveLabel]);
+        const mean = positive.reduce((sum, p) => sum + p, 0) / positive.length;
+        const variance = positive.reduce((sum, p) => sum + (p - mean) ** 2, 0) / positive.length;
+        const rawScore = views.reduce((sum, view) => sum + view.rawScore, 0) / views.length;
+
+        const prediction = mean > entry.threshold ? positiveLabel : negativeLabel;
+        const probabilities = { [positiveLabel]: mean, [negativeLabel]: 1 - mean };
+        const needsReview = variance > tta.varianceThreshold;
+
+        return {
+            prediction,
+            confidence: probabilities[prediction],
+            probabilities,
+            rawScore,
+            calibration: views[0].calibration,
+            uncertainty: {
+                method: 'tta',
+                augmentations: TTA_AUGMENTATIONS.map(augmentation => augmentation.name),
+                positiveLabel,
+                positiveProbabilities: positive.map(p => Number(p.toFixed(4))),
+                mean: Number(mean.toFixed(4)),
+                variance: Number(variance.toFixed(6)),
+                std: Number(Math.sqrt(variance).toFixed(4)),
+                // Share of views that agree with the aggregated prediction
+                agreement: views.filter(view => view.prediction === prediction).length / views.length,
+                varianceThreshold: tta.varianceThreshold
+            },
+            needsReview,
+            reviewReason: needsReview ? 'HIGH_TTA_VARIANCE' : null
+        };
+    }
+
+    unavailableResult(reason, message) {
+        return {
+            status: 'unavailable',
+            prediction: null,
+            confidence: null,
+            probabilities: null,
+            reason,
+            error: message
+        };
+    }
+
+    // Score of the model's positive label for one image, per the entry's output interpretation
+    getPositiveScore(values, entry) {
+        const output = entry.output;
+        const positiveLabel = output.positiveLabel || 'Non-anemic';
+
+        if (output.type !== 'softmax') {
+            return values[0]; // Single sigmoid value
         }
+
+        // Accept either probabilities or raw logits from a softmax head
+        const sum = values.reduce((total, value) => total + value, 0);
+        const isProbability = values.every(value => value >= 0 && value <= 1) && Math.abs(sum - 1) < 1e-3;
+        let probabilities = values;
+        if (!isProbability) {
+            const max = Math.max(...values);
+            const exps = values.map(value => Math.exp(value - max));
+            const expSum = exps.reduce((total, value) => total + value, 0);
+            probabilities = exps.map(value => value / expSum);
+        }
+
+        return probabilities[output.labels.indexOf(positiveLabel)];
+    }
+
+    // Apply the entry's calibration to an uncalibrated positive-label score
+    calibrate(positiveScore, entry) {
+        const calibration = entry.calibration || { method: 'none' };
+        if (calibration.method === 'none') return positiveScore;
+
+        // Work in logit space; clamp so saturated 0/1 outputs stay finite
+        const epsilon = 1e-7;
+        const p = Math.min(Math.max(positiveScore, epsilon), 1 - epsilon);
+        const logit = Math.log(p / (1 - p));
+
+        const scaled = calibration.method === 'temperature'
+            ? logit / calibration.temperature
+            : calibration.a * logit + calibration.b;
+
+        return 1 / (1 + Math.exp(-scaled));
+    }
+
+    /**
+     * Turn a raw positive-label score into calibrated per-class probabilities.
+     * Also used to convert results stored before probabilities existed.
+     */
+    scoreToProbabilities(rawScore, entry = this.activeModel || DEFAULT_MODEL_ENTRY) {
+        const positiveLabel = entry.output.positiveLabel || 'Non-anemic';
+        const negativeLabel = PREDICTION_LABELS.find(label => label !== positiveLabel);
+        const positiveProbability = this.calibrate(rawScore, entry);
+
+        return {
+            positiveLabel,
+            negativeLabel,
+            positiveProbability,
+            probabilities: {
+                [positiveLabel]: positiveProbability,
+                [negativeLabel]: 1 - positiveProbability
+            }
+        };
+    }
+
+    /**
+     * Classify one output row. `confidence` is the calibrated probability of the predicted
+     * class, so an Anemic result is always reported as how likely it is to be Anemic.
+     */
+    interpretOutput(values, entry = this.activeModel || DEFAULT_MODEL_ENTRY) {
+        const rawScore = this.getPositiveScore(values, entry);
+        const { positiveLabel, negativeLabel, positiveProbability, probabilities } =
+            this.scoreToProbabilities(rawScore, entry);
+
+        // Original code: confidence > 0.5 ? 'Non-anemic' : 'Anemic'
+        // The threshold comes from the registry and applies to the calibrated probability
+        const prediction = positiveProbability > entry.threshold ? positiveLabel : negativeLabel;
+
+        return {
+            prediction,
+            confidence: probabilities[prediction],
+            probabilities,
+            rawScore,
+            calibration: (entry.calibration || { method: 'none' }).method
+        };
+    }
+
+    /**
+     * Predict many images with batched [N,3,size,size] tensors.
+     * Returns one entry per input path, in order; a failing image gets an `error`
+     * instead of a prediction and never fails the rest of the batch. When the model itself fails
+     * the entry is an unavailableResult(), as with predict().
+     */
+    async predictBatch(imagePaths, maxBatchSize = 16, target = null) {
+        console.log(`🤖 Starting batch prediction for ${imagePaths.length} images`);
+
+        // `target` lets callers score with a registered version other than the active one
+        const session = target ? target.session : this.sessionONNX;
+        const entry = target ? target.entry : this.activeModel;
+
+        if (!session) {
+            throw new Error('Model not loaded');
+        }
+
+        const model = { name: entry.name, version: entry.version };
+        const results = new Array(imagePaths.length);
+        const imageSize = 3 * entry.inputSize * entry.inputSize;
+
+        for (let start = 0; start < imagePaths.length; start += maxBatchSize) {
+            const chunk = imagePaths.slice(start, start + maxBatchSize);
+            const ready = []; // { index, data, preprocessing }
+
+            // Preprocess each image on its own so one unreadable file only fails itself
+            for (let offset = 0; offset < chunk.length; offset++) {
+                const index = start + offset;
+                try {
+                    const { data, preprocessing } = await this.loadImageData(chunk[offset], entry);
+                    this.validateModelInput({ data });
+                    ready.push({ index, data, preprocessing });
+                } catch (error) {
+                    results[index] = { error: error.message };
+                }
+            }
+
+            if (ready.length === 0) continue;
+
+            const batchData = new Float32Array(ready.length * imageSize);
+            ready.forEach((item, position) => batchData.set(item.data, position * imageSize));
+
+            try {
+                const outputs = await this.runBatch(session, entry, batchData, ready.length);
+                ready.forEach((item, position) => {
+                    results[item.index] = {
+                        status: 'completed',
+                        ...this.interpretOutput(outputs[position], entry),
+                        preprocessing: item.preprocessing,
+                        model
+                    };
+                });
+            } catch (error) {
+                // Some exported models have a fixed batch dimension of 1 - fall back to one at a time
+                console.warn(`⚠️ Batched inference failed (${error.message}), running images individually`);
+                for (const item of ready) {
+                    try {
+                        const [output] = await this.runBatch(session, entry, item.data, 1);
+                        results[item.index] = {
+                            status: 'completed',
+                            ...this.interpretOutput(output, entry),
+                            preprocessing: item.preprocessing,
+                            model
+                        };
+                    } catch (singleError) {
+                        // The model failed, not the image - callers queue these for re-scoring
+                        results[item.index] = this.unavailableResult('INFERENCE_FAILED', `Inference failed: ${singleError.message}`);
+                    }
+                }
+            }
+        }
+
+        console.log(`✅ Batch prediction completed: ${results.filter(r => !r.error).length}/${imagePaths.length} succeeded`);
+        return results;
+    }
+
+    // Batch prediction with any registered version; a non-active version gets a temporary session
+    async predictBatchWithModel(name, version, imagePaths) {
+        const entry = this.getEntry(name, version);
+        if (!entry) {
+            throw new Error(`Model ${name}@${version} is not in the registry`);
+        }
+
+        const isActive = !!this.sessionONNX && this.activeModel &&
+            this.activeModel.name === name && this.activeModel.version === version;
+        const session = isActive ? this.sessionONNX : await this.createSession(this.resolveModelPath(entry));
+
+        try {
+            return await this.predictBatch(imagePaths, 16, { session, entry: isActive ? this.activeModel : entry });
+        } finally {
+            if (!isActive && typeof session.release === 'function') {
+                await session.release().catch(() => {});
+            }
+        }
+    }
+
+    // Run the session on N stacked images and return the raw output row of each image
+    async runBatch(session, entry, batchData, batchSize) {
+        const size = entry.inputSize;
+        const { Tensor } = onnxRuntime();
+        const inputTensor = new Tensor('float32', batchData, [batchSize, 3, size, size]);
+        const inputName = session.inputNames[0];
+
+        const startTime = Date.now();
+        const outputs = await session.run({ [inputName]: inputTensor });
+        console.log(`✅ Batch inference (${batchSize} images) completed in ${Date.now() - startTime}ms`);
+
+        const outputTensor = outputs[session.outputNames[0]];
+        const outputData = Array.from(outputTensor.data);
+
+        if (outputData.length < batchSize || outputData.length % batchSize !== 0) {
+            throw new Error(`Expected outputs for ${batchSize} images, got ${outputData.length} values`);
+        }
+
+        const valuesPerImage = outputData.length / batchSize;
+        return Array.from({ length: batchSize }, (_, i) =>
+            outputData.slice(i * valuesPerImage, (i + 1) * valuesPerImage)
+        );
     }
 
     validateImageFile(file) {
@@ -343,26 +1281,35 @@ class ModelManager {
     }
 
     getModelStatus() {
+        const modelPath = this.modelPath;
         return {
             isLoaded: !!this.sessionONNX,
             loadAttempts: this.modelLoadAttempts,
             maxAttempts: this.maxLoadAttempts,
             isLoading: this.isLoading,
-            modelPath: this.modelPath,
-            modelExists: fs.existsSync(this.modelPath)
+            modelPath,
+            modelExists: !!modelPath && fs.existsSync(modelPath),
+            activeModel: this.registry?.active || null,
+            loadedModel: this.activeModel ? { name: this.activeModel.name, version: this.activeModel.version } : null
         };
     }
 
-    // Method to retry loading the model
+    // Method to retry loading the model - an explicit retry starts a fresh attempt budget
     async retryLoadModel() {
-        if (this.modelLoadAttempts < this.maxLoadAttempts) {
-            console.log('🔄 Retrying model load...');
-            await this.loadModel();
-        } else {
-            console.log('❌ Cannot retry - maximum attempts reached');
+        if (this.modelLoadAttempts >= this.maxLoadAttempts) {
+            console.log('🔄 Resetting model load attempts for manual retry');
+            this.modelLoadAttempts = 0;
         }
+        console.log('🔄 Retrying model load...');
+        await this.loadModel();
         return this.getModelStatus();
     }
 }
 
+ModelManager.DEFAULT_MODEL_ENTRY = DEFAULT_MODEL_ENTRY;
+ModelManager.PREDICTION_LABELS = PREDICTION_LABELS;
+ModelManager.TTA_AUGMENTATIONS = TTA_AUGMENTATIONS;
+ModelManager.FileRegistryStateStore = FileRegistryStateStore;
+ModelManager.MongoRegistryStateStore = MongoRegistryStateStore;
+
 module.exports = ModelManager;
\ No newline at end of file
@@ -9,50 +9,111 @@ const mongoose = require('mongoose');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 
 // Import the ModelManager
 const ModelManager = require('./models/ModelManager');
+const RiskScorer = require('./services/RiskScorer');
+const QuestionnaireManager = require('./services/QuestionnaireManager');
+const RescoreQueue = require('./services/RescoreQueue');
+const ConfidenceMigration = require('./services/ConfidenceMigration');
+const ImageQualityChecker = require('./services/ImageQualityChecker');
+const OperatingPointEvaluator = require('./services/OperatingPointEvaluator');
+const ModelEvaluator = require('./services/ModelEvaluator');
+const ImageStore = require('./services/ImageStore');
+const AssessmentWorkflow = require('./services/AssessmentWorkflow');
+const AssessmentMessages = require('./services/AssessmentMessages');
+const NotificationHub = require('./services/NotificationHub');
+const DoctorDirectory = require('./services/DoctorDirectory');
+const AssessmentRouter = require('./services/AssessmentRouter');
+const AppointmentScheduler = require('./services/AppointmentScheduler');
+const ClinicalReport = require('./services/ClinicalReport');
+const ReportVerifier = require('./services/ReportVerifier');
+const AccessControl = require('./services/AccessControl');
+const ACCESS_RULES = require('./services/AccessRules');
+const RecordAccess = require('./services/RecordAccess');
+const AccountDiagnostics = require('./services/AccountDiagnostics');
+const AccountTokens = require('./services/AccountTokens');
+const Mailer = require('./services/Mailer');
+const PasswordPolicy = require('./services/PasswordPolicy');
+const LoginGuard = require('./services/LoginGuard');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
 
-// Initialize ModelManager
-const modelManager = new ModelManager();
+// Emailed links carry live tokens, so they must never point at a host taken from the request
+if (IS_PRODUCTION && !process.env.PUBLIC_BASE_URL) {
+  throw new Error('PUBLIC_BASE_URL must be set in production - links in emails and reports are built from it');
+}
+
+// Server-side malaria risk scoring
+const riskScorer = new RiskScorer();
+const imageQualityChecker = new ImageQualityChecker();
+const notificationHub = new NotificationHub();
 
 // MongoDB Connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/medical_screening_app';
 
-// Doctor profiles (in production, this should be in database)
-const doctorProfiles = {
-  '1': {
-    name: 'Dr. Debra Rinyai',
-    specialty: 'Infectious Diseases',
-    location: 'Nairobi',
-    photo: 'https://media.licdn.com/dms/image/v2/D4D03AQHvreljwrWTHA/profile-displayphoto-shrink_400_400/profile-displayphoto-shrink_400_400/0/1667146142894?e=1756944000&v=beta&t=HCb9MeHFbp1ua5ZFXiroweOhbfXSIGCwGBjv57qiA-o',
-    username: 'doctor1'
-  },
-  '2': {
-    name: 'Dr. Sharon Lavin',
-    specialty: 'Tropical Medicine',
-    location: 'Mombasa',
-    photo: 'https://media.licdn.com/dms/image/v2/C4D03AQEN0VHacwo6DQ/profile-displayphoto-shrink_800_800/profile-displayphoto-shrink_800_800/0/1646507114320?e=1756944000&v=beta&t=Gg51H5SnQ7uN4Kst88Nl8gTVh9TMc1h9aulTarprEPM',
-    username: 'doctor2'
-  },
-  '3': {
-    name: 'Dr. Juliet Ndolo',
-    specialty: 'Tropical Medicine',
-    location: 'Mombasa',
-    photo: 'https://media.licdn.com/dms/image/v2/D4D03AQFHMBsr29kbEw/profile-displayphoto-shrink_400_400/profile-displayphoto-shrink_400_400/0/1713880497242?e=1756944000&v=beta&t=RKRpKW1dP6VTTBPwZBb-d_DRr4hNPi-4r2FIROsLveY',
-    username: 'doctor3'
-  }
-};
-
 // MongoDB Schemas
+// unavailable: the model was asked and couldn't answer. not_requested: no image was sent (a symptom-only assessment),
+// which is not a model outage
+const PREDICTION_STATUSES = ['completed', 'unavailable', 'not_requested'];
+
 const patientResultSchema = new mongoose.Schema({
-  username: { type: String, required: true, index: true },
-  prediction: { type: String, required: true },
-  confidence: { type: Number, required: true },
+  username: { type: String, default: null, index: true }, // null on batch results no patient has claimed yet
+  // A prediction only exists when the model actually produced one
+  predictionStatus: { type: String, enum: PREDICTION_STATUSES, default: 'completed', index: true },
+  predictionReason: { type: String, default: null }, // Why a prediction is unavailable
+  prediction: {
+    type: String,
+    enum: ['Anemic', 'Non-anemic', null],
+    required: function () { return this.predictionStatus === 'completed'; }
+  },
+  // Calibrated probability of the predicted class
+  confidence: {
+    type: Number,
+    required: function () { return this.predictionStatus === 'completed'; }
+  },
+  probabilities: { type: Object, default: null }, // { Anemic, 'Non-anemic' } - calibrated, sum to 1
+  rawScore: { type: Number, default: null }, // Uncalibrated positive-label model output
+  calibration: { type: String, default: null }, // Calibration method of the model entry
+  confidenceMigratedAt: { type: Date, default: null }, // Set when converted from the old raw-score confidence
+  legacyPrediction: { type: Object, default: null }, // What a legacy record claimed when its score didn't back it up
+  pendingImagePath: { type: String, default: null }, // Image waiting in the re-score queue
+  rescoreAttempts: { type: Number, default: 0 },
+  rescoreError: { type: String, default: null },
+  rescoredAt: { type: Date, default: null },
+  // Retained eyelid image (content-addressed, see ImageStore) - only kept with the patient's consent
+  imageHash: { type: String, default: null, index: true },
+  imageExt: { type: String, default: null },
+  imageStoredAt: { type: Date, default: null },
+  imageExpiresAt: { type: Date, default: null, index: true },
+  imagePurgedAt: { type: Date, default: null },
+  qualityFlags: { type: [String], default: [] }, // Non-blocking image quality warnings (ImageQualityChecker codes)
+  qualityMetrics: { type: Object, default: null },
+  preprocessing: { type: Object, default: null }, // Steps ModelManager applied: crop, white balance, ...
+  pendingPreprocessing: { type: Object, default: null }, // Requested crop/preprocessing/TTA options, reused when re-scored
+  uncertainty: { type: Object, default: null }, // TTA mean/variance when predicted in TTA mode
+  needsReview: { type: Boolean, default: false, index: true }, // Uncertain result a doctor should look at
+  reviewReason: { type: String, default: null },
   symptoms: { type: Object, default: null },
+  questionnaireVersion: { type: Number, default: null },
+  riskLevel: { type: String, enum: ['Low', 'Medium', 'High'], default: null },
+  riskScore: { type: Number, default: null },
+  riskFactors: { type: Array, default: [] },
+  source: { type: String, enum: ['single', 'batch', 'assessment'], default: 'single' },
+  screenedBy: { type: String, default: null }, // Health worker who uploaded a batch image
+  // Batch images are filed under the identifier the screener typed, never under an account. The patient
+  // links the result to their account with the claim code handed to them at the screening.
+  patientIdentifier: { type: String, default: null, index: true },
+  claimCodeHash: { type: String, default: null, index: true },
+  claimedAt: { type: Date, default: null },
+  batchId: { type: String, default: null, index: true },
+  assessmentId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Set on 'assessment' results
+  modelName: { type: String, default: null },
+  modelVersion: { type: String, default: null },
+  verificationCode: { type: String, unique: true, sparse: true }, // Issued on first PDF export
   timestamp: { type: Date, default: Date.now },
   date: { type: String },
   time: { type: String }
@@ -63,8 +124,17 @@ const userSchema = new mongoose.Schema({
   email: { type: String, unique: true, sparse: true },
   password: { type: String, required: true },
   full_name: { type: String },
-  role: { type: String, required: true, enum: ['user', 'doctor', 'admin'] },
+  role: { type: String, required: true, enum: AccessControl.ROLES },
   doctorId: { type: String }, // For doctor users
+  imageRetentionConsent: { type: Boolean, default: false }, // Patient agreed to their eyelid images being kept
+  imageRetentionConsentAt: { type: Date, default: null },
+  // false until a self-registered patient opens the link emailed to them; unset on accounts
+  // that predate email verification, which count as verified
+  emailVerified: { type: Boolean },
+  emailVerifiedAt: { type: Date, default: null },
+  // Set on seeded accounts and temporary passwords from an admin; the user must pick a new password before anything else
+  mustChangePassword: { type: Boolean, default: false },
+  passwordChangedAt: { type: Date, default: null },
   created_at: { type: Date, default: Date.now },
   is_active: { type: Boolean, default: true }
 });
@@ -77,21 +147,216 @@ const adminLogSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now }
 });
 
+const assessmentHistorySchema = new mongoose.Schema({
+  action: { type: String, required: true }, // created, claim, update, review, complete, escalate
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  by: { type: String, required: true },
+  at: { type: Date, default: Date.now },
+  changes: { type: [String], default: [] } // Clinical fields the action changed
+}, { _id: false });
+
+const assessmentEscalationSchema = new mongoose.Schema({
+  fromDoctorId: { type: String, required: true },
+  toDoctorId: { type: String, required: true },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const doctorAssessmentSchema = new mongoose.Schema({
   doctorId: { type: String, required: true, index: true },
   from: { type: String, required: true },
+  predictionStatus: { type: String, enum: PREDICTION_STATUSES, default: 'completed' },
+  predictionReason: { type: String, default: null },
   prediction: { type: String },
   confidence: { type: Number },
+  probabilities: { type: Object, default: null },
+  confidenceMigratedAt: { type: Date, default: null },
+  legacyPrediction: { type: Object, default: null },
+  predictionNeedsReview: { type: Boolean, default: false }, // Copied from the uncertain image result
+  predictionUncertainty: { type: Object, default: null },
+  patientResultId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Image result the prediction came from
   symptoms: { type: Object },
+  questionnaireVersion: { type: Number, default: null },
   riskLevel: { type: String, enum: ['Low', 'Medium', 'High'], default: 'Medium' },
-  status: { type: String, enum: ['pending', 'reviewed', 'completed'], default: 'pending' },
+  riskScore: { type: Number },
+  riskFactors: { type: Array, default: [] },
+  status: { type: String, enum: AssessmentWorkflow.ASSESSMENT_STATUSES, default: 'pending' },
+  claimedBy: { type: String, default: null }, // Doctor username working on the case
+  claimedAt: { type: Date, default: null },
+  reviewedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  clinicalNotes: { type: String, default: null }, // Internal - never shown to the patient
+  diagnosis: { type: String, default: null }, // Working diagnosis
+  recommendedTests: { type: [String], default: [] },
+  followUpDate: { type: Date, default: null },
+  patientMessage: { type: String, default: null }, // The doctor's response shown to the patient
+  history: { type: [assessmentHistorySchema], default: [] },
+  patientLocation: { type: Object, default: null }, // { lat, lng, name } the patient shared for routing
+  routing: { type: Object, default: null }, // { mode: manual|auto|escalation, score, factors, routedAt }
+  assignedAt: { type: Date, default: Date.now }, // When the current doctor got the case - escalation counts from here
+  escalations: { type: [assessmentEscalationSchema], default: [] },
+  escalationExhaustedAt: { type: Date, default: null }, // No other doctor was left to escalate to
+  verificationCode: { type: String, unique: true, sparse: true }, // Issued on first PDF export
+  timestamp: { type: Date, default: Date.now }
+});
+
+const questionSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  text: { type: String, required: true },
+  type: { type: String, required: true, enum: QuestionnaireManager.QUESTION_TYPES },
+  min: { type: Number },
+  max: { type: Number },
+  unit: { type: String },
+  required: { type: Boolean, default: true },
+  showIf: { type: Object, default: null }, // e.g. { key: 'fever', equals: 'yes' }
+  order: { type: Number, default: 0 }
+}, { _id: false });
+
+const questionnaireSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  title: { type: String, required: true },
+  questions: { type: [questionSchema], default: [] },
+  status: { type: String, enum: ['draft', 'active', 'archived'], default: 'draft' },
+  created_by: { type: String },
+  created_at: { type: Date, default: Date.now },
+  activated_at: { type: Date, default: null }
+});
+
+// Patient-doctor messages on an assessment
+const assessmentMessageSchema = new mongoose.Schema({
+  assessmentId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  patientUsername: { type: String, required: true, index: true },
+  senderRole: { type: String, enum: ['patient', 'doctor'], required: true },
+  senderUsername: { type: String, required: true },
+  body: { type: String, default: null },
+  attachment: { type: Object, default: null }, // { imageHash, imageExt } of a photo in the ImageStore
+  readAt: { type: Date, default: null }, // When the other side opened the thread
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Doctor profiles patients choose from; `doctorId` is what users and assessments refer to
+const doctorSchema = new mongoose.Schema({
+  doctorId: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  specialty: { type: String, required: true },
+  location: { type: String, required: true },
+  photo: { type: String, default: null },
+  languages: { type: [String], default: [] },
+  facility: { type: String, default: null },
+  coordinates: { type: Object, default: null }, // { lat, lng } for routing patients to a nearby doctor
+  availability: {
+    status: { type: String, enum: DoctorDirectory.AVAILABILITY_STATUSES, default: 'available' },
+    note: { type: String, default: null }
+  },
+  username: { type: String, default: null }, // Linked doctor account
+  active: { type: Boolean, default: true }, // Inactive doctors keep their cases but receive no new ones
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Time a doctor has published for follow-up appointments; `appointmentId` is set while it is booked
+const appointmentSlotSchema = new mongoose.Schema({
+  doctorId: { type: String, required: true, index: true },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  appointmentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  cancelledAt: { type: Date, default: null }, // Withdrawn by the doctor
+  createdAt: { type: Date, default: Date.now }
+});
+
+const appointmentHistorySchema = new mongoose.Schema({
+  action: { type: String, required: true }, // booked, rescheduled, cancelled
+  by: { type: String, required: true },
+  at: { type: Date, default: Date.now },
+  startsAt: { type: Date, default: null },
+  previousStartsAt: { type: Date, default: null },
+  reason: { type: String, default: null }
+}, { _id: false });
+
+// A patient's follow-up booked into a slot, linked to the assessment it follows up on
+const appointmentSchema = new mongoose.Schema({
+  slotId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  doctorId: { type: String, required: true, index: true },
+  assessmentId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  patientUsername: { type: String, required: true, index: true },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  status: { type: String, enum: AppointmentScheduler.APPOINTMENT_STATUSES, default: 'booked' },
+  cancelledBy: { type: String, default: null },
+  cancelledAt: { type: Date, default: null },
+  cancelReason: { type: String, default: null },
+  history: { type: [appointmentHistorySchema], default: [] },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Single-use emailed tokens (email verification, staff invitations); only the hash of the token is stored
+const accountTokenSchema = new mongoose.Schema({
+  purpose: { type: String, required: true, enum: AccountTokens.PURPOSES },
+  tokenHash: { type: String, required: true, unique: true },
+  email: { type: String, required: true, index: true },
+  username: { type: String, default: null },
+  data: { type: Object, default: {} }, // Invitation: { fullName, role, doctorId }
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null }
+});
+// Spent and expired tokens are cleared out a month after they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Every login attempt, for throttling and the admin's review; passwords are never stored
+const loginAttemptSchema = new mongoose.Schema({
+  username: { type: String, default: '' }, // As typed - may not be an account
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  outcome: { type: String, required: true, enum: LoginGuard.OUTCOMES },
+  reason: { type: String, default: null },
   timestamp: { type: Date, default: Date.now }
 });
+loginAttemptSchema.index({ username: 1, timestamp: -1 });
+loginAttemptSchema.index({ ip: 1, timestamp: -1 });
+// Kept for 90 days
+loginAttemptSchema.index({ timestamp: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Confirmed lab findings for an assessment or image result - the ground truth models are evaluated against
+const outcomeLabelSchema = new mongoose.Schema({
+  patientUsername: { type: String, required: true, index: true },
+  assessmentId: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+  patientResultId: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+  hbLevel: { type: Number, default: null }, // g/dL
+  rdtResult: { type: String, enum: [...ModelEvaluator.RDT_RESULTS, null], default: null },
+  smearResult: { type: String, enum: [...ModelEvaluator.SMEAR_RESULTS, null], default: null },
+  anemiaStatus: { type: String, enum: ['Anemic', 'Non-anemic', null], default: null },
+  anemiaStatusSource: { type: String, enum: ['hb', 'doctor', null], default: null }, // Derived from Hb or set by the doctor
+  malariaStatus: { type: String, enum: ['positive', 'negative', null], default: null },
+  notes: { type: String, default: null },
+  // Snapshot of what the model said, so the label stays meaningful if the result changes
+  modelName: { type: String, default: null },
+  modelVersion: { type: String, default: null },
+  prediction: { type: String, default: null },
+  predictedProbability: { type: Number, default: null }, // P(Anemic)
+  labeledBy: { type: String, required: true },
+  labeledAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Admin changes to the model registry (active model, history, registered models, thresholds), laid over
+// the read-only models/registry.json on startup. One document; `_id` names it.
+const modelRegistryStateSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  active: { type: Object, default: null }, // { name, version }
+  history: { type: Array, default: [] },
+  registered: { type: Array, default: [] },
+  thresholds: { type: Array, default: [] }, // [{ name, version, threshold }] moved from the shipped value
+  updatedAt: { type: Date, default: Date.now }
+});
 
 // Create indexes for better performance
 patientResultSchema.index({ username: 1, timestamp: -1 });
 adminLogSchema.index({ timestamp: -1 });
 doctorAssessmentSchema.index({ doctorId: 1, timestamp: -1 });
+appointmentSlotSchema.index({ doctorId: 1, startsAt: 1 });
 userSchema.index({ username: 1, role: 1 });
 
 // MongoDB Models
@@ -99,6 +364,70 @@ const PatientResult = mongoose.model('PatientResult', patientResultSchema);
 const User = mongoose.model('User', userSchema);
 const AdminLog = mongoose.model('AdminLog', adminLogSchema);
 const DoctorAssessment = mongoose.model('DoctorAssessment', doctorAssessmentSchema);
+const Questionnaire = mongoose.model('Questionnaire', questionnaireSchema);
+const OutcomeLabel = mongoose.model('OutcomeLabel', outcomeLabelSchema);
+const AssessmentMessage = mongoose.model('AssessmentMessage', assessmentMessageSchema);
+const Doctor = mongoose.model('Doctor', doctorSchema);
+const AppointmentSlot = mongoose.model('AppointmentSlot', appointmentSlotSchema);
+const Appointment = mongoose.model('Appointment', appointmentSchema);
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+const ModelRegistryState = mongoose.model('ModelRegistryState', modelRegistryStateSchema);
+
+// Initialize ModelManager; registry.json is read-only, runtime changes are kept in MongoDB
+const modelManager = new ModelManager({
+  stateStore: new ModelManager.MongoRegistryStateStore(ModelRegistryState)
+});
+const operatingPointEvaluator = new OperatingPointEvaluator(modelManager, {
+  validationDir: process.env.VALIDATION_SET_DIR || path.join(__dirname, 'models', 'validation')
+});
+
+// Every questionnaire version has to keep asking what the risk scorer weighs
+const questionnaireManager = new QuestionnaireManager(Questionnaire, {
+  scoredKeys: Object.keys(RiskScorer.SYMPTOM_WEIGHTS)
+});
+const rescoreQueue = new RescoreQueue(PatientResult, modelManager, {
+  riskScorer,
+  queueDir: path.join(__dirname, 'uploads', 'rescore-queue')
+});
+const confidenceMigration = new ConfidenceMigration(PatientResult, DoctorAssessment, modelManager);
+const assessmentWorkflow = new AssessmentWorkflow(DoctorAssessment);
+const doctorDirectory = new DoctorDirectory(Doctor);
+const appointmentScheduler = new AppointmentScheduler(AppointmentSlot, Appointment, DoctorAssessment);
+const reportVerifier = new ReportVerifier(PatientResult, DoctorAssessment, { secret: process.env.REPORT_SIGNING_SECRET });
+const clinicalReport = new ClinicalReport(PatientResult, DoctorAssessment, User, { questionnaireManager, doctorDirectory, reportVerifier });
+const assessmentRouter = new AssessmentRouter(DoctorAssessment, doctorDirectory, {
+  escalationMinutes: Number(process.env.HIGH_RISK_ESCALATION_MINUTES) || AssessmentRouter.DEFAULT_ESCALATION_MINUTES,
+  onEscalated: (assessment, fromDoctorId, toDoctor) => notifyEscalation(assessment, fromDoctorId, toDoctor)
+});
+const imageStore = new ImageStore(User, PatientResult, {
+  storeDir: path.join(__dirname, 'uploads', 'images'),
+  retentionDays: Number(process.env.IMAGE_RETENTION_DAYS) || ImageStore.DEFAULT_RETENTION_DAYS
+});
+// Message photos share the store, so a file stays while a message still points to it
+imageStore.addReferenceCheck((imageHash, imageExt) =>
+  AssessmentMessage.exists({ 'attachment.imageHash': imageHash, 'attachment.imageExt': imageExt }));
+const assessmentMessages = new AssessmentMessages(AssessmentMessage, DoctorAssessment, imageStore);
+const accountDiagnostics = new AccountDiagnostics(User, Doctor);
+const accountTokens = new AccountTokens(AccountToken);
+const mailer = Mailer.fromConfig({
+  transport: process.env.MAIL_TRANSPORT,
+  outboxDir: process.env.MAIL_OUTBOX_DIR,
+  from: process.env.MAIL_FROM,
+  production: IS_PRODUCTION
+});
+const passwordPolicy = new PasswordPolicy({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH),
+  minCharacterClasses: Number(process.env.PASSWORD_MIN_CHARACTER_CLASSES)
+});
+const loginGuard = new LoginGuard(new LoginGuard.MongoAttemptStore(LoginAttempt), {
+  maxAccountFailures: Number(process.env.LOGIN_MAX_FAILURES),
+  maxIpFailures: Number(process.env.LOGIN_MAX_IP_FAILURES),
+  lockoutMs: Number(process.env.LOGIN_LOCKOUT_MINUTES) * 60 * 1000
+});
+const modelEvaluator = new ModelEvaluator(OutcomeLabel, PatientResult, {
+  anemiaHbCutoff: Number(process.env.ANEMIA_HB_CUTOFF) || ModelEvaluator.DEFAULT_ANEMIA_HB_CUTOFF
+});
 
 // Admin logging function
 const logAdminAction = async (adminUsername, action, targetUser = null, details = null) => {
@@ -116,6 +445,43 @@ const logAdminAction = async (adminUsername, action, targetUser = null, details
   }
 };
 
+// An unclaimed high-risk case moved to another doctor, or had nowhere left to go
+const notifyEscalation = async (assessment, fromDoctorId, toDoctor) => {
+  const escalation = {
+    assessmentId: assessment._id,
+    from: assessment.from,
+    riskLevel: assessment.riskLevel,
+    fromDoctorId,
+    toDoctorId: toDoctor ? toDoctor.doctorId : null
+  };
+
+  if (toDoctor) {
+    const notification = { ...escalation, predictionStatus: assessment.predictionStatus, escalated: true };
+    notificationHub.publish(`doctor:${toDoctor.doctorId}`, 'assessment.created', notification);
+    notificationHub.publish(`doctor:${toDoctor.doctorId}`, 'assessment.high_risk', notification);
+  }
+  notificationHub.publish(toDoctor ? [`doctor:${fromDoctorId}`, 'admins'] : 'admins', 'assessment.escalated', escalation);
+
+  // A follow-up booked with the previous doctor goes with the case: it is cancelled and the patient books again
+  if (toDoctor) {
+    try {
+      const cancelled = await appointmentScheduler.cancelForAssessment(assessment._id, 'SYSTEM',
+        `The case was escalated to another doctor (${toDoctor.name || toDoctor.doctorId}) - please book a time with them`);
+      if (cancelled) {
+        notifyAppointment(cancelled, 'appointment.cancelled', null, 'SYSTEM');
+        escalation.cancelledAppointmentId = cancelled._id;
+      }
+    } catch (error) {
+      console.error(`❌ Could not cancel the appointment of escalated assessment ${assessment._id}:`, error);
+    }
+  }
+
+  await logAdminAction('SYSTEM', 'ESCALATE_ASSESSMENT', assessment.from, toDoctor
+    ? `High-risk assessment ${assessment._id} unclaimed - moved from doctor ${fromDoctorId} to ${toDoctor.doctorId}` +
+      (escalation.cancelledAppointmentId ? ` (appointment ${escalation.cancelledAppointmentId} cancelled)` : '')
+    : `High-risk assessment ${assessment._id} unclaimed - no other doctor available to escalate to`);
+};
+
 // Add this function after your MongoDB connection and before your routes
 const createDefaultAdmin = async () => {
   try {
@@ -134,15 +500,14 @@ const createDefaultAdmin = async () => {
         full_name: 'System Administrator',
         email: 'admin@medicalsystem.com',
         role: 'admin',
+        mustChangePassword: true,
         is_active: true
       });
       
       await defaultAdmin.save();
       
-      console.log('🔑 Default admin account created:');
-      console.log(`   Username: ${defaultAdminUsername}`);
-      console.log(`   Password: ${defaultAdminPassword}`);
-      console.log('   ⚠️ IMPORTANT: Change the default password after first login!');
+      console.log(`🔑 Default admin account created: ${defaultAdminUsername}`);
+      console.log('   ⚠️ The password must be changed at first login');
       
       // Log this action
       await logAdminAction(defaultAdminUsername, 'SYSTEM_STARTUP', null, 'Default admin account created');
@@ -154,65 +519,44 @@ const createDefaultAdmin = async () => {
   }
 };
 
-// FIXED: Add this function to create default doctor accounts
+// Seed the default doctor profiles on first start and create their accounts.
+// Once the Doctor collection has data nothing is re-seeded and existing accounts are left alone.
 const createDefaultDoctors = async () => {
   try {
-    console.log('🩺 Checking for doctor accounts...');
-    
-    // Create doctor accounts based on doctorProfiles
-    for (const [doctorId, profile] of Object.entries(doctorProfiles)) {
+    console.log('🩺 Checking for doctor profiles...');
+
+    const seeded = await doctorDirectory.seedDefaults();
+    for (const profile of seeded) {
       const existingDoctor = await User.findOne({ username: profile.username });
-      
-      if (!existingDoctor) {
-        const defaultPassword = profile.username; // Using username as password
-        console.log(`🔐 Creating doctor ${profile.username} with password: ${defaultPassword}`);
-        
-        const hashedPassword = await bcrypt.hash(defaultPassword, 10);
-        console.log(`🔐 Password hashed for ${profile.username}`);
-        
-        const doctorUser = new User({
-          username: profile.username,
-          password: hashedPassword,
-          full_name: profile.name,
-          email: `${profile.username}@medicalsystem.com`,
-          role: 'doctor',
-          doctorId: doctorId, // Link to doctorProfiles
-          is_active: true
-        });
-        
-        await doctorUser.save();
-        
-        // IMMEDIATE TEST: Verify the password works
-        const testResult = await bcrypt.compare(defaultPassword, hashedPassword);
-        console.log(`🔐 Password test for ${profile.username}: ${testResult ? 'PASS' : 'FAIL'}`);
-        
-        console.log(`🩺 Doctor account created: ${profile.username} (${profile.name})`);
-        console.log(`   Password: ${defaultPassword}`);
-        console.log(`   Doctor ID: ${doctorId}`);
-        
-        // Log this action
-        await logAdminAction('SYSTEM', 'CREATE_DOCTOR_ACCOUNT', profile.username, 
-          `Auto-created doctor account for ${profile.name}`);
-      } else {
+      if (existingDoctor) {
         console.log(`✅ Doctor account already exists: ${profile.username}`);
-        
-        // VERIFY EXISTING PASSWORD WORKS
-        const testPassword = profile.username;
-        const passwordWorks = await bcrypt.compare(testPassword, existingDoctor.password);
-        console.log(`🔐 Existing password test for ${profile.username}: ${passwordWorks ? 'PASS' : 'FAIL'}`);
-        
-        if (!passwordWorks) {
-          console.log(`🔧 Fixing password for ${profile.username}...`);
-          const newHashedPassword = await bcrypt.hash(testPassword, 10);
-          await User.findOneAndUpdate(
-            { username: profile.username },
-            { password: newHashedPassword }
-          );
-          console.log(`✅ Password fixed for ${profile.username}`);
-        }
+        continue;
       }
+
+      const defaultPassword = profile.username; // Using username as password
+      const hashedPassword = await bcrypt.hash(defaultPassword, 10);
+
+      const doctorUser = new User({
+        username: profile.username,
+        password: hashedPassword,
+        full_name: profile.name,
+        email: `${profile.username}@medicalsystem.com`,
+        role: 'doctor',
+        doctorId: profile.doctorId, // Link to the Doctor profile
+        mustChangePassword: true,
+        is_active: true
+      });
+
+      await doctorUser.save();
+
+      console.log(`🩺 Doctor account created: ${profile.username} (${profile.name})`);
+      console.log(`   Doctor ID: ${profile.doctorId}`);
+
+      // Log this action
+      await logAdminAction('SYSTEM', 'CREATE_DOCTOR_ACCOUNT', profile.username,
+        `Auto-created doctor account for ${profile.name}`);
     }
-    console.log('🩺 Doctor account setup completed');
+    console.log('🩺 Doctor profile setup completed');
   } catch (error) {
     console.error('❌ Error creating doctor accounts:', error);
   }
@@ -234,46 +578,116 @@ createDirectories();
 // FIXED: Enhanced savePatientResult function with better error handling
 const savePatientResult = async (username, result) => {
   try {
-    // Validate required fields
-    if (!result.prediction) {
-      throw new Error('Prediction is required');
+    const predictionStatus = result.predictionStatus || 'completed';
+
+    if (!PREDICTION_STATUSES.includes(predictionStatus)) {
+      throw new Error(`Invalid prediction status: ${predictionStatus}`);
     }
 
-    if (!username) {
+    if (!username && result.source !== 'batch') {
       throw new Error('Username is required');
     }
 
     const now = new Date();
     
-    // Validate and sanitize inputs
-    const safeConfidence = Number.isFinite(result.confidence) ? result.confidence : 0.8;
-    const safePrediction = result.prediction;
-    
-    // Validate prediction value
-    if (safePrediction !== 'Anemic' && safePrediction !== 'Non-anemic') {
-      throw new Error(`Invalid prediction value: ${safePrediction}`);
+    // A completed result needs a real prediction, probabilities and confidence - never fill in defaults
+    let safePrediction = null;
+    let safeConfidence = null;
+    let safeProbabilities = null;
+
+    if (predictionStatus === 'completed') {
+      if (!result.prediction) {
+        throw new Error('Prediction is required');
+      }
+      if (result.prediction !== 'Anemic' && result.prediction !== 'Non-anemic') {
+        throw new Error(`Invalid prediction value: ${result.prediction}`);
+      }
+      if (!Number.isFinite(result.confidence)) {
+        throw new Error('Confidence is required for a completed prediction');
+      }
+      if (!result.probabilities || !ModelManager.PREDICTION_LABELS.every(label => Number.isFinite(result.probabilities[label]))) {
+        throw new Error('Per-class probabilities are required for a completed prediction');
+      }
+      // Confidence is the probability of the predicted class, nothing else
+      if (Math.abs(result.probabilities[result.prediction] - result.confidence) > 1e-6) {
+        throw new Error('Confidence does not match the probability of the predicted class');
+      }
+      safePrediction = result.prediction;
+      safeConfidence = result.confidence;
+      safeProbabilities = {
+        Anemic: result.probabilities.Anemic,
+        'Non-anemic': result.probabilities['Non-anemic']
+      };
     }
 
+    // Risk is always computed here - never taken from the client
+    const risk = result.symptoms
+      ? riskScorer.score(result.symptoms, { prediction: safePrediction })
+      : null;
+
     const patientResult = new PatientResult({
       username,
+      predictionStatus,
+      predictionReason: predictionStatus === 'completed' ? null : (result.predictionReason || null),
       prediction: safePrediction,
       confidence: safeConfidence,
+      probabilities: safeProbabilities,
+      rawScore: safePrediction && Number.isFinite(result.rawScore) ? result.rawScore : null,
+      calibration: safePrediction ? (result.calibration || null) : null,
+      pendingImagePath: result.pendingImagePath || null,
+      imageHash: result.image ? result.image.imageHash : null,
+      imageExt: result.image ? result.image.imageExt : null,
+      imageStoredAt: result.image ? result.image.imageStoredAt : null,
+      imageExpiresAt: result.image ? result.image.imageExpiresAt : null,
+      qualityFlags: result.quality ? result.quality.issues.map(issue => issue.code) : [],
+      qualityMetrics: result.quality ? result.quality.metrics : null,
+      preprocessing: safePrediction ? (result.preprocessing || null) : null,
+      pendingPreprocessing: result.pendingImagePath ? (result.pendingPreprocessing || null) : null,
+      uncertainty: safePrediction ? (result.uncertainty || null) : null,
+      needsReview: !!(safePrediction && result.needsReview),
+      reviewReason: safePrediction && result.needsReview ? (result.reviewReason || null) : null,
       symptoms: result.symptoms || null,
+      questionnaireVersion: result.symptoms ? (result.questionnaireVersion ?? null) : null,
+      riskLevel: risk ? risk.riskLevel : null,
+      riskScore: risk ? risk.score : null,
+      riskFactors: risk ? risk.factors : [],
+      source: result.source || 'single',
+      screenedBy: result.screenedBy || null,
+      patientIdentifier: result.patientIdentifier || null,
+      claimCodeHash: result.claimCode ? hashClaimCode(result.claimCode) : null,
+      batchId: result.batchId || null,
+      assessmentId: result.assessmentId || null,
+      modelName: result.model ? result.model.name : null,
+      modelVersion: result.model ? result.model.version : null,
       timestamp: now,
       date: now.toLocaleDateString(),
       time: now.toLocaleTimeString()
     });
 
     const saved = await patientResult.save();
-    console.log(`✅ Saved result for patient: ${username} (ID: ${saved._id}, Prediction: ${safePrediction})`);
+    console.log(`✅ Saved result for patient: ${username || result.patientIdentifier} (ID: ${saved._id}, Prediction: ${safePrediction || predictionStatus})`);
     return saved;
   } catch (err) {
     console.error('❌ Error saving patient result:', err);
-    console.error('❌ Input data was:', { username, result });
+    console.error('❌ Input data was:', { username, result: { ...result, claimCode: result.claimCode ? '[hidden]' : undefined } });
     throw err;
   }
 };
 
+// Claim codes (XXXX-XXXX-XXXX-XXXX) let a patient link a batch result to their account; only the hash is stored
+const newClaimCode = () => crypto.randomBytes(8).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+const hashClaimCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[^0-9a-f]/gi, '').toUpperCase()).digest('hex');
+
+// The patient's latest completed image prediction from the last 24 hours, or null.
+// Batch results only count once the patient has claimed them.
+const findLatestPrediction = (username) => PatientResult.findOne({
+  username,
+  predictionStatus: 'completed',
+  $or: [{ source: 'single' }, { source: 'batch', claimedAt: { $ne: null } }],
+  timestamp: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+}).sort({ timestamp: -1 }).lean();
+
 const getPatientResults = async (username) => {
   try {
     const results = await PatientResult.find({ username })
@@ -301,10 +715,12 @@ const getAllPatientResults = async () => {
 
 const getSystemStats = async () => {
   try {
-    const [totalUsersCount, totalTests, anemicCases, todayTests, weeklyTests, userActivity, predictionTrends, monthlyStats] = await Promise.all([
-      PatientResult.distinct('username').then(users => users.length),
+    const [totalUsersCount, totalTests, completedTests, unavailableTests, anemicCases, todayTests, weeklyTests, userActivity, predictionTrends, monthlyStats] = await Promise.all([
+      PatientResult.distinct('username', { username: { $ne: null } }).then(users => users.length),
       PatientResult.countDocuments(),
-      PatientResult.countDocuments({ prediction: 'Anemic' }),
+      PatientResult.countDocuments({ predictionStatus: 'completed' }),
+      PatientResult.countDocuments({ predictionStatus: 'unavailable' }),
+      PatientResult.countDocuments({ predictionStatus: 'completed', prediction: 'Anemic' }),
       PatientResult.countDocuments({
         timestamp: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
       }),
@@ -323,6 +739,7 @@ const getSystemStats = async () => {
         { $sort: { _id: 1 } }
       ]),
       PatientResult.aggregate([
+        { $match: { username: { $ne: null } } },
         {
           $group: {
             _id: "$username",
@@ -333,7 +750,9 @@ const getSystemStats = async () => {
         { $sort: { tests: -1 } },
         { $limit: 10 }
       ]),
+      // Unavailable predictions are excluded from the prediction distribution and rates
       PatientResult.aggregate([
+        { $match: { predictionStatus: 'completed' } },
         {
           $group: {
             _id: "$prediction",
@@ -356,7 +775,10 @@ const getSystemStats = async () => {
     return {
       totalUsers: [{ count: totalUsersCount }],
       totalTests: [{ count: totalTests }],
+      completedTests: [{ count: completedTests }],
+      unavailableTests: [{ count: unavailableTests }],
       anemicCases: [{ count: anemicCases }],
+      anemiaRate: completedTests > 0 ? anemicCases / completedTests : 0,
       todayTests: [{ count: todayTests }],
       weeklyTests: weeklyTests.map(item => ({ date: item._id, count: item.count })),
       userActivity: userActivity.map(item => ({ 
@@ -399,19 +821,31 @@ const deletePatientResult = async (username, resultId) => {
 };
 
 // Middleware
+
+// Behind a reverse proxy set TRUST_PROXY (true, a hop count or addresses) so req.ip - which login
+// throttling is keyed on - is the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
+
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Session configuration with MongoDB store
+const SESSION_COLLECTION = 'sessions';
+const sessionStore = MongoStore.create({
+  mongoUrl: MONGODB_URI,
+  collectionName: SESSION_COLLECTION,
+  touchAfter: 24 * 3600 // lazy session update
+});
+
 app.use(session({
   secret: process.env.SESSION_SECRET || 'anemia-malaria-secret-2024',
   resave: false,
   saveUninitialized: true,
-  store: MongoStore.create({
-    mongoUrl: MONGODB_URI,
-    touchAfter: 24 * 3600 // lazy session update
-  }),
+  store: sessionStore,
   cookie: { 
     secure: false, // Set to true in production with HTTPS
     maxAge: 24 * 60 * 60 * 1000 // 24 hours
@@ -461,258 +895,358 @@ const upload = multer({
   }
 });
 
-// Authentication middleware
-const requireAuth = (req, res, next) => {
-  if (!req.session.loggedIn) {
-    return res.redirect('/login');
+// Batch uploads for screening days - invalid files are skipped and reported, not fatal
+const MAX_BATCH_IMAGES = 50;
+
+const batchUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    // Remember each file's position so it can be matched to its patient identifier
+    req.batchFileCount = (req.batchFileCount || 0) + 1;
+    file.batchIndex = req.batchFileCount - 1;
+
+    const errors = modelManager.validateImageFile(file);
+
+    if (errors.length === 0) {
+      cb(null, true);
+    } else {
+      console.log(`❌ Batch file ${file.batchIndex} rejected:`, errors.join(', '));
+      req.rejectedFiles = req.rejectedFiles || [];
+      req.rejectedFiles.push({ index: file.batchIndex, filename: file.originalname, error: errors.join(', ') });
+      cb(null, false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024,
+    files: MAX_BATCH_IMAGES
+  }
+});
+
+// Every route has an access rule (services/AccessRules.js); AccessControl refuses requests no rule covers
+const accessControl = new AccessControl(ACCESS_RULES);
+// ...and routes serving one record check it against the session's scope
+const recordAccess = new RecordAccess(accessControl, DoctorAssessment);
+
+app.use(accessControl.middleware());
+
+// A session that must change its password reaches nothing but the change-password page until it does
+const PASSWORD_CHANGE_PATHS = ['/change-password', '/api/change-password', '/api/password-policy', '/api/current-user', '/logout'];
+app.use((req, res, next) => {
+  if (!req.session.loggedIn || !req.session.mustChangePassword || PASSWORD_CHANGE_PATHS.includes(req.path)) {
+    return next();
+  }
+  return accessControl.wantsJson(req)
+    ? res.status(403).json({ error: 'You must change your password before continuing', code: 'PASSWORD_CHANGE_REQUIRED' })
+    : res.redirect('/change-password');
+});
+
+// Routes
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'home.html')));
+
+app.get('/login', (req, res) => {
+  if (req.session.loggedIn) {
+    return res.redirect('/dashboard');
+  }
+
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+// Public signup creates patient accounts only - staff accounts come from admin invitations
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,30}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+// Problems with a new password: the strength policy, then the confirmation
+const validateNewPassword = ({ username, email, password, confirmPassword }) => {
+  const errors = passwordPolicy.validate(password, { username, email });
+  if (errors.length === 0 && password !== confirmPassword) errors.push('Passwords do not match');
+  return errors;
+};
+
+// Problems with the fields of the signup and invitation forms
+const validateAccountFields = ({ username, email, fullName, password, confirmPassword }) => {
+  const errors = [];
+  if (typeof fullName !== 'string' || !fullName.trim()) errors.push('Full name is required');
+  else if (fullName.trim().length > 100) errors.push('Full name must be at most 100 characters');
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    errors.push('Username must be 3-30 letters, numbers or underscores');
   }
-  next();
+  if (!EMAIL_PATTERN.test(normalizeEmail(email))) errors.push('A valid email address is required');
+  errors.push(...validateNewPassword({ username, email, password, confirmPassword }));
+  return errors;
 };
 
-const requireRole = (role) => {
-  return (req, res, next) => {
-    if (!req.session.loggedIn) return res.redirect('/login');
-    if (req.session.role !== role) {
-      return res.status(403).send(`
-        <h3>Access Denied</h3>
-        <p>You don't have permission to access this page.</p>
-        <a href="/dashboard">Go to Dashboard</a>
-      `);
-    }
-    next();
-  };
+// Links in emails and reports point at PUBLIC_BASE_URL (required in production). The request's Host
+// header is never used: whoever sends the request chooses it, and a reset link to their host hands them the token.
+const publicBaseUrl = () => (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+const sendVerificationEmail = async (user) => {
+  const { token } = await accountTokens.issue('verify_email', { email: user.email, username: user.username });
+  const link = `${publicBaseUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  await mailer.send({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hello ${user.full_name || user.username},\n\n` +
+      `Please confirm your email address to finish creating your account:\n${link}\n\n` +
+      `The link expires in ${AccountTokens.LIFETIMES.verify_email / 3600000} hours. ` +
+      'If you did not sign up, you can ignore this email.'
+  });
 };
 
-const requireAdmin = (req, res, next) => {
-  if (!req.session.loggedIn) return res.redirect('/login');
-  if (req.session.role !== 'admin') {
-    return res.status(403).send(`
-      <h3>Access Denied</h3>
-      <p>Administrator access required.</p>
-      <a href="/dashboard">Go to Dashboard</a>
-    `);
+// Emails a single-use link to choose a new password; `requestedBy` is the admin who reset it, if any
+const sendPasswordResetEmail = async (user, requestedBy = null) => {
+  const { token } = await accountTokens.issue('password_reset', {
+    email: user.email, username: user.username, createdBy: requestedBy
+  });
+  const link = `${publicBaseUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hello ${user.full_name || user.username},\n\n` +
+      (requestedBy ? 'An administrator reset the password of your account. ' : 'We received a request to reset your password. ') +
+      `Choose a new password here:\n${link}\n\n` +
+      `The link expires in ${AccountTokens.LIFETIMES.password_reset / 60000} minutes and works once. ` +
+      (requestedBy ? '' : 'If you did not ask for this, you can ignore this email - your password has not changed.')
+  });
+};
+
+// Logs an account out everywhere except `keepSessionId`, closing those sessions' event streams.
+// The store keeps each session as a JSON string under its id, so they are found by the username in it.
+const endUserSessions = async (username, keepSessionId = null) => {
+  const usernameField = `"username":${JSON.stringify(username)}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const sessions = await mongoose.connection.collection(SESSION_COLLECTION)
+    .find({ session: { $regex: `${usernameField}[,}]` } }, { projection: { _id: 1 } })
+    .toArray();
+
+  const sessionIds = sessions.map(stored => stored._id).filter(sessionId => sessionId !== keepSessionId);
+  for (const sessionId of sessionIds) {
+    notificationHub.disconnectSession(sessionId);
+    await new Promise((resolve, reject) => sessionStore.destroy(sessionId, error => (error ? reject(error) : resolve())));
   }
-  next();
+  if (sessionIds.length > 0) {
+    console.log(`🔒 Ended ${sessionIds.length} session(s) of ${username}`);
+  }
+  return sessionIds.length;
 };
 
-// DEBUG ROUTES - Add these temporarily to diagnose password issues
-app.get('/debug/users', async (req, res) => {
-  try {
-    const users = await User.find({}, 'username role doctorId full_name is_active').lean();
-    res.json({
-      totalUsers: users.length,
-      users: users
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// A new password ends every other session of the account: whoever knew the old one is logged out
+const setPassword = async (user, password, { mustChangePassword = false, keepSessionId = null } = {}) => {
+  user.password = await bcrypt.hash(password, 10);
+  user.mustChangePassword = mustChangePassword;
+  user.passwordChangedAt = new Date();
+  await user.save();
+  await endUserSessions(user.username, keepSessionId);
+};
+
+app.get('/signup', (req, res) => {
+  if (req.session.loggedIn) {
+    return res.redirect('/dashboard');
   }
+  res.sendFile(path.join(__dirname, 'public', 'signUp.html'));
 });
 
-app.get('/debug/user/:username', async (req, res) => {
+app.post('/signup', async (req, res) => {
+  // Any `role` in the form is ignored
+  const { username, fullName, password, confirmPassword } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  const errors = validateAccountFields({ username, email, fullName, password, confirmPassword });
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: errors.join('. '), details: errors });
+  }
+
   try {
-    const user = await User.findOne({ username: req.params.username }).lean();
-    if (user) {
-      res.json({
-        username: user.username,
-        role: user.role,
-        doctorId: user.doctorId,
-        hasPassword: !!user.password,
-        passwordHashLength: user.password ? user.password.length : 0,
-        is_active: user.is_active
+    if (await User.exists({ username })) {
+      return res.status(409).json({ success: false, error: 'Username already exists' });
+    }
+    if (await User.exists({ email })) {
+      return res.status(409).json({ success: false, error: 'Email already registered' });
+    }
+
+    const newUser = new User({
+      username,
+      email,
+      password: await bcrypt.hash(password, 10),
+      full_name: fullName.trim(),
+      role: 'user',
+      emailVerified: false,
+      is_active: true
+    });
+    await newUser.save();
+    console.log(`👤 New patient signup: ${username}`);
+
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error('❌ Error sending verification email:', mailError);
+      return res.status(201).json({
+        success: true,
+        message: 'Account created, but the confirmation email could not be sent. Request a new link from the login page.'
       });
-    } else {
-      res.status(404).json({ error: 'User not found' });
     }
+
+    res.status(201).json({
+      success: true,
+      message: `Account created. We sent a confirmation link to ${email} - confirm it, then log in.`
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Signup error:', error);
+    res.status(500).json({ success: false, error: 'Signup failed' });
   }
 });
 
-// Password debug route
-app.get('/debug/password/:username', async (req, res) => {
+app.get('/verify-email', async (req, res) => {
   try {
-    const { username } = req.params;
-    const user = await User.findOne({ username }).lean();
-    
-    if (!user) {
-      return res.json({ error: 'User not found' });
+    const record = await accountTokens.consume('verify_email', req.query.token);
+    if (!record) {
+      return res.redirect('/login?error=' + encodeURIComponent('This confirmation link is invalid or has expired') + '&resend=1');
     }
 
-    // Test password comparison with expected password
-    const expectedPassword = username; // Since you're using username as password
-    const manualTest = await bcrypt.compare(expectedPassword, user.password);
-    
-    // Also test with some other common passwords
-    const testPasswords = [username, 'doctor1', 'doctor2', 'doctor3', 'admin123'];
-    const testResults = {};
-    
-    for (const testPass of testPasswords) {
-      testResults[testPass] = await bcrypt.compare(testPass, user.password);
+    const user = await User.findOneAndUpdate(
+      { username: record.username, email: record.email },
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.redirect('/login?error=' + encodeURIComponent('The account for this link no longer exists'));
     }
-    
-    res.json({
-      username: user.username,
-      role: user.role,
-      doctorId: user.doctorId,
-      passwordHashExists: !!user.password,
-      passwordHashLength: user.password ? user.password.length : 0,
-      passwordHashPreview: user.password ? user.password.substring(0, 10) + '...' : null,
-      expectedPassword: expectedPassword,
-      manualPasswordTest: manualTest,
-      testResults: testResults,
-      created_at: user.created_at
-    });
+
+    console.log(`✅ Email confirmed for ${user.username}`);
+    res.redirect('/login?message=' + encodeURIComponent('Email confirmed - you can now log in'));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Error verifying email:', error);
+    res.redirect('/login?error=' + encodeURIComponent('Email confirmation failed'));
   }
 });
 
-// Manual doctor recreation route
-app.post('/debug/recreate-doctor/:username', async (req, res) => {
+// Same answer whether or not the address has an unconfirmed account, so it can't be used to probe for emails
+app.post('/resend-verification', async (req, res) => {
+  const email = normalizeEmail(req.body.email);
   try {
-    const { username } = req.params;
-    
-    // Find the doctor profile
-    const doctorProfile = Object.entries(doctorProfiles).find(([id, profile]) => 
-      profile.username === username
-    );
-    
-    if (!doctorProfile) {
-      return res.status(404).json({ error: 'Doctor profile not found' });
+    const user = EMAIL_PATTERN.test(email) ? await User.findOne({ email, emailVerified: false }).lean() : null;
+    if (user) {
+      await sendVerificationEmail(user);
     }
-    
-    const [doctorId, profile] = doctorProfile;
-    
-    // Delete existing user
-    await User.findOneAndDelete({ username });
-    
-    // Create new user with fresh password hash
-    const password = username; // Using username as password
-    const hashedPassword = await bcrypt.hash(password, 10);
-    
-    const doctorUser = new User({
-      username: profile.username,
-      password: hashedPassword,
-      full_name: profile.name,
-      email: `${profile.username}@medicalsystem.com`,
-      role: 'doctor',
-      doctorId: doctorId,
-      is_active: true
-    });
-    
-    await doctorUser.save();
-    
-    // Test the new password immediately
-    const testResult = await bcrypt.compare(password, hashedPassword);
-    
-    res.json({
-      message: `Doctor ${username} recreated successfully`,
-      password: password,
-      passwordTest: testResult,
-      doctorId: doctorId
-    });
-    
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Error resending verification email:', error);
   }
+  res.redirect('/login?message=' + encodeURIComponent('If that address has an unconfirmed account, a new link is on its way'));
 });
 
-// Routes
-app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'home.html')));
-
-app.get('/login', (req, res) => {
-  if (req.session.loggedIn) {
-    return res.redirect('/dashboard');
-  }
-
-  const { prefill, username, password, loginType } = req.query;
+app.get('/api/password-policy', (req, res) => {
+  res.json(passwordPolicy.describe());
+});
 
-  // You'll inject these values into your HTML using a templating engine or by client-side script
-  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+app.get('/forgot-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'forgot-password.html'));
 });
 
-app.get('/signup', (req, res) => {
-  if (req.session.loggedIn) {
-    return res.redirect('/dashboard');
+// Same answer whether or not the address belongs to an account, so it can't be used to probe for emails
+app.post('/forgot-password', async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  try {
+    const user = EMAIL_PATTERN.test(email) ? await User.findOne({ email, is_active: true }).lean() : null;
+    if (user) {
+      await sendPasswordResetEmail(user);
+      console.log(`🔑 Password reset link sent for ${user.username}`);
+    }
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
   }
-  res.sendFile(path.join(__dirname, 'public', 'signup.html'));
+  res.redirect('/login?message=' + encodeURIComponent('If that address belongs to an account, a password reset link is on its way'));
 });
 
-app.post('/signup', async (req, res) => {
-  const { username, password, full_name, role } = req.body;
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
+});
+
+app.post('/reset-password', async (req, res) => {
+  const { token, password, confirmPassword } = req.body;
 
   try {
-    const existingUser = await User.findOne({ username });
-    if (existingUser) {
-      return res.redirect('/signup?error=User already exists');
+    const reset = await accountTokens.peek('password_reset', token);
+    const user = reset && await User.findOne({ username: reset.username, email: reset.email, is_active: true });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'This reset link is invalid or has expired' });
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const newUser = new User({
-      username,
-      password: hashedPassword,
-      full_name,
-      role,
-      is_active: true
-    });
+    const errors = validateNewPassword({ username: user.username, email: user.email, password, confirmPassword });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('. '), details: errors });
+    }
 
-    await newUser.save();
+    if (!(await accountTokens.consume('password_reset', token))) {
+      return res.status(404).json({ success: false, error: 'This reset link is invalid or has expired' });
+    }
 
-    // Redirect to login with username and password prefilled (not secure for production)
-    res.redirect(`/login?prefill=true&username=${encodeURIComponent(username)}&password=${encodeURIComponent(password)}&loginType=${role}`);
+    // Following the emailed link also proves the address
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await setPassword(user, password);
+    // Whoever guessed at the old password is no reason to keep the owner out now
+    await loginGuard.unlock(user.username, { reason: 'Password reset', ip: req.ip });
+
+    console.log(`🔑 Password reset completed for ${user.username}`);
+    await logAdminAction('SYSTEM', 'PASSWORD_RESET_COMPLETED', user.username,
+      reset.createdBy ? `New password chosen after a reset by ${reset.createdBy}` : 'New password chosen from a forgot-password link');
+    res.json({ success: true, message: 'Password changed - you can now log in' });
   } catch (error) {
-    console.error('Signup error:', error);
-    res.redirect('/signup?error=Signup failed');
+    console.error('Error resetting password:', error);
+    res.status(500).json({ success: false, error: 'Failed to reset password' });
   }
 });
 
-// ENHANCED LOGIN ROUTE with better debugging
+const UNKNOWN_USER_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Login, throttled per account and per IP address by loginGuard. Passwords are never logged.
 app.post('/login', async (req, res) => {
   const { username, password } = req.body;
-  
-  console.log('🔐 Login attempt:', { username, passwordLength: password?.length });
 
   try {
-    const user = await User.findOne({ username });
-    console.log('👤 User lookup result:', { 
-      found: !!user, 
-      role: user?.role, 
-      doctorId: user?.doctorId,
-      is_active: user?.is_active 
-    });
+    // The attempt is stored as pending before the password is checked, so parallel guesses count against each other
+    const decision = await loginGuard.begin({ username, ip: req.ip, userAgent: req.get('user-agent') });
+    const { attempt } = decision;
+    if (!decision.allowed) {
+      console.log(`⛔ Login blocked for ${loginGuard.normalizeUsername(username)} from ${req.ip}: ${decision.reason}`);
+      res.set('Retry-After', String(Math.ceil(decision.retryAfterMs / 1000)));
+      return res.redirect('/login?error=' + encodeURIComponent(loginGuard.message(decision)));
+    }
 
-    if (!user) {
-      console.log('❌ User not found in database');
+    const user = typeof username === 'string' ? await User.findOne({ username }) : null;
+    // Unknown usernames still cost a bcrypt comparison, so response time doesn't reveal which accounts exist
+    const passwordMatch = typeof password === 'string' &&
+      await bcrypt.compare(password, user ? user.password : UNKNOWN_USER_HASH) && !!user;
+
+    if (!passwordMatch) {
+      console.log(`❌ Failed login for ${loginGuard.normalizeUsername(username)} from ${req.ip}`);
+      const { accountLocked } = await loginGuard.resolve(attempt, {
+        outcome: 'failure', reason: user ? 'wrong_password' : 'unknown_user'
+      });
+      if (accountLocked && user) {
+        await logAdminAction('SYSTEM', 'ACCOUNT_LOCKED', user.username,
+          `Locked out for ${loginGuard.lockoutMs / 60000} minutes after repeated failed logins (last from ${req.ip})`);
+      }
       return res.redirect('/login?error=Invalid username or password');
     }
 
+    // Only told to someone who knows the password
     if (!user.is_active) {
-      console.log('❌ User account is inactive');
+      await loginGuard.resolve(attempt, { outcome: 'denied', reason: 'inactive' });
       return res.redirect('/login?error=Account is inactive');
     }
 
-    console.log('🔐 Attempting password comparison...');
-    console.log('🔐 Input password:', password);
-    console.log('🔐 Stored hash length:', user.password?.length);
-    
-    const passwordMatch = await bcrypt.compare(password, user.password);
-    console.log('🔐 Password match result:', passwordMatch);
-    
-    if (!passwordMatch) {
-      console.log('❌ Password comparison failed');
-      console.log('🔍 Debug: Testing common passwords...');
-      
-      // Test common passwords for debugging
-      const testPasswords = [username, 'doctor1', 'doctor2', 'doctor3', 'admin123'];
-      for (const testPass of testPasswords) {
-        const testResult = await bcrypt.compare(testPass, user.password);
-        console.log(`🔍 Test password '${testPass}': ${testResult}`);
-      }
-      
-      return res.redirect('/login?error=Invalid username or password');
+    if (user.emailVerified === false) {
+      await loginGuard.resolve(attempt, { outcome: 'denied', reason: 'email_unverified' });
+      return res.redirect('/login?error=' + encodeURIComponent('Please confirm your email address before logging in') + '&resend=1');
     }
 
-    // ✅ Credentials are valid
+    await loginGuard.resolve(attempt, { outcome: 'success' });
+
+    // ✅ Credentials are valid - a fresh session id, so one planted before login is worth nothing after it
+    await new Promise((resolve, reject) => req.session.regenerate(error => (error ? reject(error) : resolve())));
     req.session.loggedIn = true;
     req.session.username = user.username;
     req.session.role = user.role;
@@ -724,6 +1258,12 @@ app.post('/login', async (req, res) => {
       doctorId: user.doctorId
     });
 
+    // Seeded accounts, temporary passwords from an admin and passwords the policy no longer accepts are changed first
+    if (user.mustChangePassword || passwordPolicy.validate(password, { username: user.username, email: user.email }).length > 0) {
+      req.session.mustChangePassword = true;
+      return res.redirect('/change-password');
+    }
+
     return res.redirect('/dashboard');
   } catch (error) {
     console.error('❌ Login error:', error);
@@ -732,12 +1272,14 @@ app.post('/login', async (req, res) => {
 });
 
 // FIXED: Add the missing API endpoint for current user info
-app.get('/api/current-user', requireAuth, (req, res) => {
+app.get('/api/current-user', (req, res) => {
   try {
     res.json({
       username: req.session.username,
       role: req.session.role,
       doctorId: req.session.doctorId,
+      permissions: accessControl.permissionsFor(req.session.role),
+      mustChangePassword: !!req.session.mustChangePassword,
       loggedIn: req.session.loggedIn
     });
   } catch (error) {
@@ -746,9 +1288,83 @@ app.get('/api/current-user', requireAuth, (req, res) => {
   }
 });
 
-app.get('/dashboard', requireAuth, (req, res) => {
-  // Redirect based on role
-  if (req.session.role === 'doctor') {
+app.get('/change-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'change-password.html'));
+});
+
+app.post('/api/change-password', async (req, res) => {
+  const { currentPassword, newPassword, confirmPassword } = req.body;
+
+  try {
+    const user = await User.findOne({ username: req.session.username });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (typeof currentPassword !== 'string' || !(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ success: false, error: 'Current password is incorrect' });
+    }
+    const errors = validateNewPassword({ username: user.username, email: user.email, password: newPassword, confirmPassword });
+    if (errors.length === 0 && newPassword === currentPassword) {
+      errors.push('The new password must be different from the current one');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('. '), details: errors });
+    }
+
+    await setPassword(user, newPassword, { keepSessionId: req.sessionID });
+    req.session.mustChangePassword = false;
+
+    console.log(`🔑 Password changed by ${user.username}`);
+    res.json({ success: true, message: 'Password changed', redirect: '/dashboard' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ success: false, error: 'Failed to change password' });
+  }
+});
+
+// The patient's consent to keeping their eyelid images (off unless they opt in)
+app.get('/api/image-consent', async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.session.username }, { imageRetentionConsent: 1, imageRetentionConsentAt: 1 }).lean();
+    res.json({
+      consent: !!(user && user.imageRetentionConsent),
+      consentAt: user ? user.imageRetentionConsentAt : null,
+      retentionDays: imageStore.retentionDays
+    });
+  } catch (error) {
+    console.error('Error getting image consent:', error);
+    res.status(500).json({ error: 'Failed to get consent' });
+  }
+});
+
+// Withdrawing consent deletes every image already kept for the patient
+app.post('/api/image-consent', async (req, res) => {
+  const { consent } = req.body;
+
+  if (typeof consent !== 'boolean') {
+    return res.status(400).json({ error: 'consent must be true or false' });
+  }
+
+  try {
+    await User.updateOne(
+      { username: req.session.username },
+      { imageRetentionConsent: consent, imageRetentionConsentAt: new Date() }
+    );
+
+    const purged = consent ? null : await imageStore.purgeForUser(req.session.username);
+    console.log(`🔏 Image retention consent ${consent ? 'given' : 'withdrawn'} by ${req.session.username}`);
+
+    res.json({ success: true, consent, retentionDays: imageStore.retentionDays, purged });
+  } catch (error) {
+    console.error('Error updating image consent:', error);
+    res.status(500).json({ error: 'Failed to update consent' });
+  }
+});
+
+app.get('/dashboard', (req, res) => {
+  // Redirect based on role
+  if (req.session.role === 'doctor') {
     return res.redirect(`/doctor/${req.session.doctorId}`);
   }
   
@@ -761,12 +1377,12 @@ app.get('/dashboard', requireAuth, (req, res) => {
 });
 
 // Admin Dashboard Route - Now serves HTML file
-app.get('/admin', requireAdmin, async (req, res) => {
+app.get('/admin', async (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin-dashboard.html'));
 });
 
 // API endpoint to get dashboard data
-app.get('/api/admin/dashboard-data', requireAdmin, async (req, res) => {
+app.get('/api/admin/dashboard-data', async (req, res) => {
   try {
     const stats = await getSystemStats();
     const allResults = await getAllPatientResults();
@@ -778,15 +1394,18 @@ app.get('/api/admin/dashboard-data', requireAdmin, async (req, res) => {
       .lean();
 
     // Add doctor names to assessments
+    const doctors = await doctorDirectory.list({ includeInactive: true });
+    const doctorNames = Object.fromEntries(doctors.map(doctor => [doctor.doctorId, doctor.name]));
     const assessmentsWithDoctors = allAssessments.map(assessment => ({
       ...assessment,
-      doctorName: doctorProfiles[assessment.doctorId]?.name || 'Unknown Doctor'
+      doctorName: doctorNames[assessment.doctorId] || 'Unknown Doctor'
     }));
 
     // Calculate summary statistics
     const totalUsers = await User.countDocuments({ role: { $ne: 'admin' } });
     const totalTests = await PatientResult.countDocuments();
-    const anemicCases = await PatientResult.countDocuments({ prediction: 'Anemic' });
+    const unavailableTests = await PatientResult.countDocuments({ predictionStatus: 'unavailable' });
+    const anemicCases = await PatientResult.countDocuments({ predictionStatus: 'completed', prediction: 'Anemic' });
     const todayTests = await PatientResult.countDocuments({
       timestamp: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
     });
@@ -796,7 +1415,9 @@ app.get('/api/admin/dashboard-data', requireAdmin, async (req, res) => {
       stats: {
         totalUsers,
         totalTests,
+        unavailableTests,
         anemicCases,
+        anemiaRate: stats.anemiaRate,
         todayTests,
         totalAssessments,
         weeklyTests: stats.weeklyTests || [],
@@ -804,6 +1425,7 @@ app.get('/api/admin/dashboard-data', requireAdmin, async (req, res) => {
       },
       patientResults: allResults.slice(0, 50), // Limit to 50 most recent
       doctorAssessments: assessmentsWithDoctors.slice(0, 50),
+      doctors,
       users: allUsers
     };
 
@@ -815,7 +1437,7 @@ app.get('/api/admin/dashboard-data', requireAdmin, async (req, res) => {
 });
 
 // API endpoint to get all users (for admin)
-app.get('/api/admin/users', requireAdmin, async (req, res) => {
+app.get('/api/admin/users', async (req, res) => {
   try {
     const users = await User.find({}, '-password')
       .sort({ created_at: -1 })
@@ -828,7 +1450,7 @@ app.get('/api/admin/users', requireAdmin, async (req, res) => {
 });
 
 // API endpoint to get all patient results (for admin)
-app.get('/api/admin/patient-results', requireAdmin, async (req, res) => {
+app.get('/api/admin/patient-results', async (req, res) => {
   try {
     const results = await getAllPatientResults();
     res.json(results);
@@ -839,16 +1461,17 @@ app.get('/api/admin/patient-results', requireAdmin, async (req, res) => {
 });
 
 // API endpoint to get all doctor assessments (for admin)
-app.get('/api/admin/doctor-assessments', requireAdmin, async (req, res) => {
+app.get('/api/admin/doctor-assessments', async (req, res) => {
   try {
     const assessments = await DoctorAssessment.find()
       .sort({ timestamp: -1 })
       .lean();
     
     // Add doctor names
+    const doctorNames = await doctorDirectory.nameMap();
     const assessmentsWithDoctors = assessments.map(assessment => ({
       ...assessment,
-      doctorName: doctorProfiles[assessment.doctorId]?.name || 'Unknown Doctor'
+      doctorName: doctorNames[assessment.doctorId] || 'Unknown Doctor'
     }));
     
     res.json(assessmentsWithDoctors);
@@ -858,10 +1481,265 @@ app.get('/api/admin/doctor-assessments', requireAdmin, async (req, res) => {
   }
 });
 
+// Doctor directory management (for admin)
+app.get('/api/admin/doctors', async (req, res) => {
+  try {
+    res.json(await doctorDirectory.list({ includeInactive: true }));
+  } catch (error) {
+    console.error('Error fetching doctors:', error);
+    res.status(500).json({ error: 'Failed to fetch doctors' });
+  }
+});
+
+app.post('/api/admin/doctors', async (req, res) => {
+  try {
+    const { errors, doctor } = doctorDirectory.normalize(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid doctor profile', details: errors });
+    }
+
+    const created = await doctorDirectory.create(doctor);
+
+    await logAdminAction(req.session.username, 'CREATE_DOCTOR', null,
+      `Created doctor profile ${created.doctorId} (${created.name})`);
+
+    res.status(201).json({ success: true, doctor: created });
+  } catch (error) {
+    console.error('Error creating doctor:', error);
+    res.status(500).json({ error: 'Failed to create doctor' });
+  }
+});
+
+app.put('/api/admin/doctors/:doctorId', async (req, res) => {
+  try {
+    const { errors, doctor } = doctorDirectory.normalize(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid doctor profile', details: errors });
+    }
+
+    const updated = await doctorDirectory.update(req.params.doctorId, doctor);
+    if (!updated) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    await logAdminAction(req.session.username, 'UPDATE_DOCTOR', updated.username,
+      `Updated doctor profile ${updated.doctorId}: ${Object.keys(doctor).join(', ') || 'no changes'}`);
+
+    res.json({ success: true, doctor: updated });
+  } catch (error) {
+    console.error('Error updating doctor:', error);
+    res.status(500).json({ error: 'Failed to update doctor' });
+  }
+});
+
+// Doctors with cases or a linked account are deactivated instead, so nothing points at a missing profile
+app.delete('/api/admin/doctors/:doctorId', async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const doctor = await doctorDirectory.get(doctorId, { includeInactive: true });
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    const [assessmentCount, account] = await Promise.all([
+      DoctorAssessment.countDocuments({ doctorId }),
+      User.exists({ doctorId })
+    ]);
+    if (assessmentCount > 0 || account) {
+      return res.status(409).json({
+        error: 'Doctor has assessments or a linked account - deactivate the profile instead'
+      });
+    }
+
+    await doctorDirectory.remove(doctorId);
+
+    await logAdminAction(req.session.username, 'DELETE_DOCTOR', null,
+      `Deleted doctor profile ${doctorId} (${doctor.name})`);
+
+    res.json({ success: true, message: 'Doctor deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting doctor:', error);
+    res.status(500).json({ error: 'Failed to delete doctor' });
+  }
+});
+
+// Staff invitations (admin) - doctor, health worker and admin accounts are only created through these
+const STAFF_ROLES = AccessControl.ROLES.filter(role => role !== 'user');
+
+const invitationView = (record) => ({
+  id: record._id,
+  email: record.email,
+  fullName: record.data.fullName,
+  role: record.data.role,
+  doctorId: record.data.doctorId || null,
+  createdBy: record.createdBy,
+  createdAt: record.createdAt,
+  expiresAt: record.expiresAt
+});
+
+app.get('/api/admin/invitations', async (req, res) => {
+  try {
+    const pending = await accountTokens.pending('invitation');
+    res.json({ success: true, invitations: pending.map(invitationView) });
+  } catch (error) {
+    console.error('Error listing invitations:', error);
+    res.status(500).json({ success: false, error: 'Failed to list invitations' });
+  }
+});
+
+app.post('/api/admin/invitations', async (req, res) => {
+  const { fullName, role, doctorId } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  if (!STAFF_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+  }
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ success: false, error: 'A valid email address is required' });
+  }
+  if (typeof fullName !== 'string' || !fullName.trim()) {
+    return res.status(400).json({ success: false, error: 'Full name is required' });
+  }
+
+  try {
+    if (await User.exists({ email })) {
+      return res.status(409).json({ success: false, error: 'Email already registered' });
+    }
+    if (role === 'doctor') {
+      const profile = doctorId ? await doctorDirectory.get(doctorId, { includeInactive: true }) : null;
+      if (!profile) {
+        return res.status(400).json({ success: false, error: 'Doctor invitations need a valid doctor profile' });
+      }
+      if (profile.username) {
+        return res.status(409).json({ success: false, error: `Doctor profile is already linked to ${profile.username}` });
+      }
+    }
+
+    const { token, record } = await accountTokens.issue('invitation', {
+      email,
+      data: { fullName: fullName.trim(), role, doctorId: role === 'doctor' ? String(doctorId) : null },
+      createdBy: req.session.username
+    });
+    const link = `${publicBaseUrl()}/accept-invite?token=${encodeURIComponent(token)}`;
+    await mailer.send({
+      to: email,
+      subject: 'You have been invited to the Medical Screening System',
+      text: `Hello ${fullName.trim()},\n\n` +
+        `${req.session.username} has invited you to join as ${role.replace('_', ' ')}. ` +
+        `Choose your username and password here:\n${link}\n\n` +
+        `The invitation expires in ${AccountTokens.LIFETIMES.invitation / (24 * 3600000)} days.`
+    });
+
+    await logAdminAction(req.session.username, 'INVITE_USER', email, `Invited ${fullName.trim()} as ${role}`);
+    res.status(201).json({ success: true, invitation: invitationView(record) });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({ success: false, error: 'Failed to send invitation' });
+  }
+});
+
+app.delete('/api/admin/invitations/:id', async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Invitation not found' });
+  }
+
+  try {
+    const revoked = await accountTokens.revoke('invitation', req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Invitation not found' });
+    }
+    await logAdminAction(req.session.username, 'REVOKE_INVITATION', revoked.email, `Revoked ${revoked.data.role} invitation`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke invitation' });
+  }
+});
+
+// Accepting an invitation (public - the token is the credential)
+app.get('/accept-invite', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'accept-invite.html'));
+});
+
+app.get('/api/invitation', async (req, res) => {
+  try {
+    const record = await accountTokens.peek('invitation', req.query.token);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'This invitation is invalid or has expired' });
+    }
+    res.json({ success: true, email: record.email, fullName: record.data.fullName, role: record.data.role });
+  } catch (error) {
+    console.error('Error loading invitation:', error);
+    res.status(500).json({ success: false, error: 'Failed to load invitation' });
+  }
+});
+
+app.post('/accept-invite', async (req, res) => {
+  const { token, username, fullName, password, confirmPassword } = req.body;
+
+  try {
+    const invitation = await accountTokens.peek('invitation', token);
+    if (!invitation) {
+      return res.status(404).json({ success: false, error: 'This invitation is invalid or has expired' });
+    }
+
+    const errors = validateAccountFields({ username, email: invitation.email, fullName, password, confirmPassword });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('. '), details: errors });
+    }
+    if (await User.exists({ username })) {
+      return res.status(409).json({ success: false, error: 'Username already exists' });
+    }
+    if (await User.exists({ email: invitation.email })) {
+      return res.status(409).json({ success: false, error: 'Email already registered' });
+    }
+
+    // From here the invitation is used up; it is handed back if the account can't be created
+    const record = await accountTokens.consume('invitation', token);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'This invitation is invalid or has expired' });
+    }
+
+    const { role, doctorId } = record.data;
+    const newUser = new User({
+      username,
+      email: record.email,
+      password: await bcrypt.hash(password, 10),
+      full_name: fullName.trim(),
+      role,
+      doctorId: role === 'doctor' ? doctorId : null,
+      emailVerified: true, // Opening the emailed invitation proves the address
+      emailVerifiedAt: new Date(),
+      is_active: true
+    });
+
+    try {
+      await newUser.save();
+    } catch (saveError) {
+      await accountTokens.release(record);
+      throw saveError;
+    }
+
+    if (role === 'doctor' && !(await doctorDirectory.linkAccount(doctorId, username))) {
+      await User.deleteOne({ _id: newUser._id });
+      await accountTokens.release(record);
+      return res.status(409).json({ success: false, error: 'The doctor profile for this invitation has been taken - ask an admin for a new invitation' });
+    }
+
+    console.log(`✅ Invitation accepted: ${username} (${role})`);
+    await logAdminAction('SYSTEM', 'ACCEPT_INVITATION', username, `${role} account created from invitation by ${record.createdBy}`);
+    res.status(201).json({ success: true, message: 'Account created - you can now log in' });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ success: false, error: 'Failed to create account' });
+  }
+});
+
 // User API endpoints
-app.post('/api/users', requireAdmin, async (req, res) => {
+app.post('/api/users', async (req, res) => {
   try {
-    const { username, email, password, fullName, role, doctorId } = req.body;
+    const { username, email, password, fullName, role } = req.body;
 
     // Validation
     if (!username || !password || !fullName) {
@@ -871,10 +1749,12 @@ app.post('/api/users', requireAdmin, async (req, res) => {
       });
     }
 
-    if (password.length < 6) {
+    const passwordErrors = passwordPolicy.validate(password, { username, email });
+    if (passwordErrors.length > 0) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Password must be at least 6 characters long' 
+        error: passwordErrors.join('. '),
+        details: passwordErrors
       });
     }
 
@@ -886,11 +1766,16 @@ app.post('/api/users', requireAdmin, async (req, res) => {
     }
 
     // Validate role
-    const validRoles = ['user', 'doctor', 'admin'];
-    if (role && !validRoles.includes(role)) {
+    if (role && !AccessControl.ROLES.includes(role)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid role. Must be one of: ${AccessControl.ROLES.join(', ')}` 
+      });
+    }
+    if (role && STAFF_ROLES.includes(role)) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Invalid role. Must be one of: user, doctor, admin' 
+        error: 'Doctor, health worker and admin accounts are created by invitation - use /api/admin/invitations' 
       });
     }
 
@@ -914,14 +1799,6 @@ app.post('/api/users', requireAdmin, async (req, res) => {
       }
     }
 
-    // Validate doctorId if creating a doctor account
-    if (role === 'doctor' && doctorId && !doctorProfiles[doctorId]) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid doctor ID' 
-      });
-    }
-
     // Hash password before creating user
     const hashedPassword = await bcrypt.hash(password, 10);
 
@@ -931,19 +1808,19 @@ app.post('/api/users', requireAdmin, async (req, res) => {
       email: email || null,
       password: hashedPassword, // Store hashed password
       full_name: fullName,
-      role: role || 'user',
-      doctorId: role === 'doctor' ? doctorId : null,
+      role: 'user',
+      mustChangePassword: true, // The admin chose this password, so the patient replaces it at first login
       created_at: new Date(),
       is_active: true
     });
 
     await newUser.save();
 
-    console.log(`✅ New user created via API: ${username} (${fullName}) with role: ${role || 'user'}`);
+    console.log(`✅ New user created via API: ${username} (${fullName}) with role: ${newUser.role}`);
 
     // Log admin action
     await logAdminAction(req.session.username, 'CREATE_USER_API', username, 
-      `Created new ${role || 'user'} account for ${fullName}${email ? ` (${email})` : ''}`);
+      `Created new ${newUser.role} account for ${fullName}${email ? ` (${email})` : ''}`);
 
     // Return success response
     res.status(201).json({
@@ -969,30 +1846,84 @@ app.post('/api/users', requireAdmin, async (req, res) => {
   }
 });
 
+// Fields an admin may edit directly; anything else about an account has its own route
+const EDITABLE_USER_FIELDS = ['full_name', 'fullName', 'email'];
+const USER_FIELD_ROUTES = {
+  role: 'Roles are given by invitation - use /api/admin/invitations',
+  doctorId: 'Doctor profiles are linked by invitation - use /api/admin/invitations',
+  is_active: 'Use /api/admin/users/:username/toggle-status to activate or deactivate an account',
+  password: 'Use /api/admin/users/:username/reset-password to reset a password',
+  mustChangePassword: 'Use /api/admin/users/:username/reset-password to make the user choose a new password',
+  passwordChangedAt: "'passwordChangedAt' is set when the password changes and cannot be edited"
+};
+
 // API endpoint to update user (for admin)
-app.put('/api/admin/users/:username', requireAdmin, async (req, res) => {
+app.put('/api/admin/users/:username', async (req, res) => {
   try {
     const { username } = req.params;
-    const updateData = req.body;
-    
-    // Remove sensitive fields that shouldn't be updated this way
-    delete updateData.password;
-    delete updateData._id;
-    
-    const updatedUser = await User.findOneAndUpdate(
-      { username },
-      updateData,
-      { new: true, select: '-password' }
-    );
-    
-    if (!updatedUser) {
+    const updateData = req.body || {};
+
+    const refused = Object.keys(updateData).filter(field => !EDITABLE_USER_FIELDS.includes(field));
+    if (refused.length > 0) {
+      const details = refused.map(field => USER_FIELD_ROUTES[field] || `'${field}' cannot be edited`);
+      return res.status(400).json({ success: false, error: details.join('. '), details });
+    }
+
+    const user = await User.findOne({ username });
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    
-    await logAdminAction(req.session.username, 'UPDATE_USER', username, 
-      `Updated user information`);
-    
-    res.json({ success: true, user: updatedUser });
+
+    const changes = [];
+    const fullName = updateData.full_name ?? updateData.fullName;
+    if (fullName !== undefined) {
+      if (typeof fullName !== 'string' || !fullName.trim()) {
+        return res.status(400).json({ success: false, error: 'Full name cannot be empty' });
+      }
+      user.full_name = fullName.trim();
+      changes.push('full name');
+    }
+
+    // A new address has to be confirmed by its owner before the account can log in again
+    let emailChanged = false;
+    if (updateData.email !== undefined) {
+      const email = normalizeEmail(updateData.email);
+      if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ success: false, error: 'A valid email address is required' });
+      }
+      if (email !== user.email) {
+        if (await User.exists({ email, username: { $ne: username } })) {
+          return res.status(409).json({ success: false, error: 'Email already registered' });
+        }
+        user.email = email;
+        user.emailVerified = false;
+        user.emailVerifiedAt = null;
+        emailChanged = true;
+        changes.push(`email to ${email}`);
+      }
+    }
+
+    // Send first, so a mail failure leaves the account as it was rather than unverified at an
+    // address that never got a link. The link only confirms the address once it is saved on the account.
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error(`❌ Could not send confirmation email to ${user.email}:`, error);
+        return res.status(502).json({
+          success: false,
+          error: 'Could not send the confirmation email - the user was not changed'
+        });
+      }
+    }
+    await user.save();
+
+    await logAdminAction(req.session.username, 'UPDATE_USER', username,
+      changes.length > 0 ? `Updated ${changes.join(', ')}` : 'No changes');
+
+    const updatedUser = user.toObject();
+    delete updatedUser.password;
+    res.json({ success: true, user: updatedUser, verificationSent: emailChanged });
   } catch (error) {
     console.error('Error updating user:', error);
     res.status(500).json({ error: 'Failed to update user' });
@@ -1000,7 +1931,7 @@ app.put('/api/admin/users/:username', requireAdmin, async (req, res) => {
 });
 
 // API endpoint to delete user (for admin)
-app.delete('/api/admin/users/:username', requireAdmin, async (req, res) => {
+app.delete('/api/admin/users/:username', async (req, res) => {
   try {
     const { username } = req.params;
     
@@ -1015,6 +1946,8 @@ app.delete('/api/admin/users/:username', requireAdmin, async (req, res) => {
     }
     
     await User.findOneAndDelete({ username });
+    await imageStore.purgeForUser(username);
+    await doctorDirectory.unlinkAccount(username);
     
     await logAdminAction(req.session.username, 'DELETE_USER', username, 
       `Deleted user account`);
@@ -1027,7 +1960,7 @@ app.delete('/api/admin/users/:username', requireAdmin, async (req, res) => {
 });
 
 // API endpoint to suspend/activate user (for admin)
-app.post('/api/admin/users/:username/toggle-status', requireAdmin, async (req, res) => {
+app.post('/api/admin/users/:username/toggle-status', async (req, res) => {
   try {
     const { username } = req.params;
     
@@ -1060,31 +1993,47 @@ app.post('/api/admin/users/:username/toggle-status', requireAdmin, async (req, r
   }
 });
 
-// API endpoint to reset user password (for admin)
-app.post('/api/admin/users/:username/reset-password', requireAdmin, async (req, res) => {
+// API endpoint to reset user password (for admin).
+// Accounts with an email get a reset link and their old password stops working; otherwise the admin
+// sets a temporary password, which the user must change at next login. Passwords are never sent back.
+app.post('/api/admin/users/:username/reset-password', async (req, res) => {
   try {
     const { username } = req.params;
+    const { temporaryPassword } = req.body;
     
     const user = await User.findOne({ username });
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    
-    // Generate temporary password
-    const tempPassword = Math.random().toString(36).slice(-8);
-    const hashedPassword = await bcrypt.hash(tempPassword, 10);
-    
-    user.password = hashedPassword;
-    await user.save();
+
+    if (temporaryPassword !== undefined) {
+      const errors = passwordPolicy.validate(temporaryPassword, { username: user.username, email: user.email });
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join('. '), details: errors });
+      }
+
+      await setPassword(user, temporaryPassword, { mustChangePassword: true });
+      await logAdminAction(req.session.username, 'RESET_PASSWORD', username, 
+        'Temporary password set by admin - must be changed at next login');
+      return res.json({ success: true, message: `Temporary password set - ${username} must change it at next login` });
+    }
+
+    if (!user.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'This account has no email address - set a temporary password instead',
+        code: 'TEMPORARY_PASSWORD_REQUIRED'
+      });
+    }
+
+    // Send first, so a mail failure leaves the account as it was
+    await sendPasswordResetEmail(user, req.session.username);
+    await setPassword(user, crypto.randomBytes(32).toString('base64url'), { mustChangePassword: true });
     
     await logAdminAction(req.session.username, 'RESET_PASSWORD', username, 
-      'Password reset by admin');
+      `Password reset by admin - reset link sent to ${user.email}`);
     
-    res.json({ 
-      success: true, 
-      message: 'Password reset successfully',
-      tempPassword: tempPassword // In production, send this via email instead
-    });
+    res.json({ success: true, message: `Password reset - a link to choose a new one was sent to ${user.email}` });
   } catch (error) {
     console.error('Error resetting password:', error);
     res.status(500).json({ error: 'Failed to reset password' });
@@ -1092,7 +2041,7 @@ app.post('/api/admin/users/:username/reset-password', requireAdmin, async (req,
 });
 
 // API endpoint to get admin logs
-app.get('/api/admin/logs', requireAdmin, async (req, res) => {
+app.get('/api/admin/logs', async (req, res) => {
   try {
     const logs = await AdminLog.find()
       .sort({ timestamp: -1 })
@@ -1105,182 +2054,1526 @@ app.get('/api/admin/logs', requireAdmin, async (req, res) => {
   }
 });
 
-// User routes (protected)
-app.get('/symptoms', requireAuth, (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'symptom-checker.html'));
+// Recent login attempts, filtered by ?username=, ?ip= and ?outcome=, and the accounts locked out right now
+app.get('/api/admin/login-attempts', async (req, res) => {
+  try {
+    const { username, ip, outcome } = req.query;
+    if (outcome && !LoginGuard.OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ success: false, error: `Outcome must be one of: ${LoginGuard.OUTCOMES.join(', ')}` });
+    }
+
+    const [attempts, lockedAccounts] = await Promise.all([
+      loginGuard.attempts({
+        username: typeof username === 'string' ? username.trim() : null,
+        ip: typeof ip === 'string' ? ip.trim() : null,
+        outcome,
+        limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+      }),
+      loginGuard.lockedAccounts()
+    ]);
+    res.json({ success: true, attempts, lockedAccounts });
+  } catch (error) {
+    console.error('Error fetching login attempts:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch login attempts' });
+  }
 });
 
-app.get('/send-assessment', requireAuth, (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'send-assessment.html'));
+// Lift a login lockout (for admin)
+app.post('/api/admin/users/:username/unlock', async (req, res) => {
+  try {
+    const { username } = req.params;
+    const state = await loginGuard.state('account', username);
+    if (!state.locked) {
+      return res.status(409).json({ success: false, error: `${username} is not locked out` });
+    }
+
+    await loginGuard.unlock(username, { reason: `Unlocked by ${req.session.username}`, ip: req.ip });
+    await logAdminAction(req.session.username, 'UNLOCK_ACCOUNT', username,
+      `Lifted login lockout after ${state.failures} failed attempts`);
+    res.json({ success: true, message: `${username} can log in again` });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    res.status(500).json({ success: false, error: 'Failed to unlock account' });
+  }
 });
 
-app.get('/history', requireAuth, (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'patient-history.html'));
+// Account diagnostics (admin) - off unless ADMIN_DIAGNOSTICS_ENABLED=true; every run is audited
+const diagnosticsEnabled = () => process.env.ADMIN_DIAGNOSTICS_ENABLED === 'true';
+
+app.get('/api/admin/diagnostics/accounts', async (req, res) => {
+  if (!diagnosticsEnabled()) {
+    return res.status(404).json({ error: 'Diagnostics are disabled' });
+  }
+
+  try {
+    const report = await accountDiagnostics.accountsReport();
+    await logAdminAction(req.session.username, 'RUN_DIAGNOSTICS', null,
+      `Account health check: ${Object.entries(report.summary).map(([key, count]) => `${key} ${count}`).join(', ')}`);
+    res.json(report);
+  } catch (error) {
+    console.error('Error running account diagnostics:', error);
+    res.status(500).json({ error: 'Failed to run diagnostics' });
+  }
 });
 
-// FIXED: Prediction endpoint with better error handling for missing predictions
-app.post('/predict', requireAuth, upload.single('eyelid'), async (req, res) => {
-  console.log('Prediction request received from user:', req.session.username);
-  
-  if (!req.file) {
-      return res.status(400).json({ 
-          error: 'No file uploaded',
-          code: 'NO_FILE'
-      });
+app.get('/api/admin/diagnostics/accounts/:username', async (req, res) => {
+  if (!diagnosticsEnabled()) {
+    return res.status(404).json({ error: 'Diagnostics are disabled' });
   }
 
   try {
-      // Verify file exists
-      if (!fsSync.existsSync(req.file.path)) {
-          throw new Error('File not found after upload');
-      }
+    const account = await accountDiagnostics.account(req.params.username);
+    await logAdminAction(req.session.username, 'RUN_DIAGNOSTICS', req.params.username,
+      account ? 'Checked account health' : 'Checked account health - account not found');
+    if (!account) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(account);
+  } catch (error) {
+    console.error('Error running account diagnostics:', error);
+    res.status(500).json({ error: 'Failed to run diagnostics' });
+  }
+});
 
-      console.log('Processing image for prediction...');
-      
-      // Get prediction from ModelManager
-      const result = await modelManager.predict(req.file.path);
-      
-      console.log('Raw prediction result:', result);
-      
-      // Ensure we have a valid prediction
-      let finalPrediction = result.prediction;
-      let finalConfidence = result.confidence || 0.8;
-      
-      // Handle case where prediction might be missing or invalid
-      if (!finalPrediction || (finalPrediction !== 'Anemic' && finalPrediction !== 'Non-anemic')) {
-          console.log('⚠️ Invalid or missing prediction, using default');
-          finalPrediction = 'Non-anemic'; // Default safe prediction
-          finalConfidence = 0.6; // Lower confidence for default
+// Re-score queued images in the background whenever a model becomes available
+const drainRescoreQueue = () => {
+  rescoreQueue.processPending()
+    .then(summary => {
+      if (summary.rescored > 0) {
+        console.log(`✅ Re-score queue: ${summary.rescored} result(s) re-scored, ${summary.remaining} remaining`);
       }
-      
-      console.log('Final prediction details:', {
-          prediction: finalPrediction,
-          confidence: finalConfidence,
-          usingDefault: result.usingDefaultPrediction
-      });
-
-      // Save to database with proper validation
-      const savedResult = await savePatientResult(req.session.username, {
-          prediction: finalPrediction,
-          confidence: finalConfidence,
-          // Add symptoms if they exist in the request
-          symptoms: req.body.symptoms || null
-      });
+    })
+    .catch(error => console.error('❌ Re-score queue processing failed:', error));
+};
+
+// Model registry management (admin) - activation and rollback take effect without a restart
+app.get('/api/admin/models', (req, res) => {
+  try {
+    res.json({ ...modelManager.listModels(), status: modelManager.getModelStatus() });
+  } catch (error) {
+    console.error('Error fetching model registry:', error);
+    res.status(500).json({ error: 'Failed to fetch model registry' });
+  }
+});
+
+app.post('/api/admin/models', async (req, res) => {
+  try {
+    const entry = await modelManager.registerModel(req.body);
+
+    await logAdminAction(req.session.username, 'REGISTER_MODEL', null,
+      `Registered model ${entry.name}@${entry.version} (${entry.file})`);
+
+    res.status(201).json({ success: true, model: entry });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ success: false, error: 'Invalid model definition', details: error.validationErrors });
+    }
+    console.error('Error registering model:', error);
+    res.status(500).json({ success: false, error: 'Failed to register model' });
+  }
+});
+
+app.post('/api/admin/models/activate', async (req, res) => {
+  const { name, version } = req.body;
+
+  if (!name || !version) {
+    return res.status(400).json({ success: false, error: 'Model name and version are required' });
+  }
+
+  try {
+    const previous = modelManager.getModelStatus().loadedModel;
+    const status = await modelManager.activateModel(name, version);
+
+    await logAdminAction(req.session.username, 'ACTIVATE_MODEL', null,
+      `Activated model ${name}@${version}${previous ? ` (was ${previous.name}@${previous.version})` : ''}`);
+
+    drainRescoreQueue();
+
+    res.json({ success: true, status });
+  } catch (error) {
+    console.error('Error activating model:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Sensitivity/specificity/PPV/NPV of a model version at candidate thresholds, on the local validation set
+app.get('/api/admin/models/operating-points', async (req, res) => {
+  const { name, version } = req.query;
+
+  if (!name || !version) {
+    return res.status(400).json({ success: false, error: 'Model name and version are required' });
+  }
+
+  try {
+    const thresholds = operatingPointEvaluator.parseThresholds(req.query.thresholds);
+    const minSensitivity = req.query.minSensitivity !== undefined ? Number(req.query.minSensitivity) : 0.9;
+    if (!Number.isFinite(minSensitivity) || minSensitivity < 0 || minSensitivity > 1) {
+      return res.status(400).json({ success: false, error: 'minSensitivity must be between 0 and 1' });
+    }
+
+    const evaluation = await operatingPointEvaluator.evaluate(name, version, thresholds, { minSensitivity });
+
+    await logAdminAction(req.session.username, 'EVALUATE_OPERATING_POINTS', null,
+      `Evaluated ${name}@${version} at ${evaluation.operatingPoints.length} thresholds on ${evaluation.validationSet.scored} validation images`);
+
+    res.json({ success: true, ...evaluation });
+  } catch (error) {
+    if (error.code === 'VALIDATION_SET_MISSING' || error.code === 'VALIDATION_SET_INVALID') {
+      return res.status(409).json({ success: false, error: error.message, code: error.code, details: error.validationErrors });
+    }
+    console.error('Error evaluating operating points:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Change the decision threshold of a model version; the validation metrics at the new
+// threshold are recorded in the audit log so the operating point can be justified later
+app.post('/api/admin/models/threshold', async (req, res) => {
+  const { name, version, reason } = req.body;
+  const threshold = Number(req.body.threshold);
+
+  if (!name || !version) {
+    return res.status(400).json({ success: false, error: 'Model name and version are required' });
+  }
+
+  try {
+    let operatingPoint = null;
+    try {
+      const evaluation = await operatingPointEvaluator.evaluate(name, version, [threshold]);
+      operatingPoint = evaluation.operatingPoints.find(point => point.threshold === threshold) || null;
+    } catch (evaluationError) {
+      console.warn(`⚠️ No validation metrics for new threshold: ${evaluationError.message}`);
+    }
+
+    const { previous, entry } = await modelManager.setThreshold(name, version, threshold);
+
+    const metrics = operatingPoint
+      ? `sensitivity ${operatingPoint.sensitivity}, specificity ${operatingPoint.specificity}, PPV ${operatingPoint.ppv}, NPV ${operatingPoint.npv}`
+      : 'no validation metrics available';
+    await logAdminAction(req.session.username, 'SET_MODEL_THRESHOLD', null,
+      `${name}@${version}: ${previous} -> ${entry.threshold} (${metrics})${reason ? ` - ${reason}` : ''}`);
+
+    res.json({ success: true, model: entry, previousThreshold: previous, operatingPoint });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ success: false, error: 'Invalid threshold', details: error.validationErrors });
+    }
+    console.error('Error setting model threshold:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Confusion matrix, ROC/AUC and calibration per model version, against outcomes confirmed by doctors
+app.get('/api/admin/evaluation', async (req, res) => {
+  const { name, version } = req.query;
+
+  try {
+    const evaluation = await modelEvaluator.evaluate({ name, version });
+
+    await logAdminAction(req.session.username, 'EVALUATE_MODELS', null,
+      `Evaluated ${evaluation.models.length} model version(s)${name ? ` matching ${name}${version ? `@${version}` : ''}` : ''} on ${evaluation.evaluatedResults} labeled result(s)`);
+
+    res.json({ success: true, ...evaluation });
+  } catch (error) {
+    console.error('Error evaluating models:', error);
+    res.status(500).json({ success: false, error: 'Failed to evaluate models' });
+  }
+});
+
+app.post('/api/admin/models/rollback', async (req, res) => {
+  try {
+    const previous = modelManager.getModelStatus().loadedModel;
+    const status = await modelManager.rollbackModel();
+
+    await logAdminAction(req.session.username, 'ROLLBACK_MODEL', null,
+      `Rolled back model${previous ? ` from ${previous.name}@${previous.version}` : ''} to ${status.loadedModel.name}@${status.loadedModel.version}`);
+
+    drainRescoreQueue();
+
+    res.json({ success: true, status });
+  } catch (error) {
+    console.error('Error rolling back model:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/models/reload', async (req, res) => {
+  try {
+    const status = await modelManager.retryLoadModel();
+
+    await logAdminAction(req.session.username, 'RELOAD_MODEL', null,
+      `Reloaded active model (${status.isLoaded ? 'loaded' : 'not loaded'})`);
+
+    drainRescoreQueue();
+
+    res.json({ success: status.isLoaded, status });
+  } catch (error) {
+    console.error('Error reloading model:', error);
+    res.status(500).json({ success: false, error: 'Failed to reload model' });
+  }
+});
+
+// Re-score queue for predictions made while the model was unavailable (admin)
+app.get('/api/admin/rescore-queue', async (req, res) => {
+  try {
+    const pending = await rescoreQueue.getPending();
+    res.json({
+      pending: pending.map(record => ({
+        _id: record._id,
+        username: record.username,
+        predictionReason: record.predictionReason,
+        rescoreAttempts: record.rescoreAttempts,
+        timestamp: record.timestamp
+      })),
+      count: pending.length,
+      modelLoaded: modelManager.getModelStatus().isLoaded
+    });
+  } catch (error) {
+    console.error('Error fetching re-score queue:', error);
+    res.status(500).json({ error: 'Failed to fetch re-score queue' });
+  }
+});
+
+app.post('/api/admin/rescore-queue/process', async (req, res) => {
+  try {
+    const summary = await rescoreQueue.processPending();
+
+    await logAdminAction(req.session.username, 'PROCESS_RESCORE_QUEUE', null,
+      `Re-scored ${summary.rescored} of ${summary.processed} queued results (${summary.remaining} remaining)`);
+
+    res.json({ success: !summary.skipped, ...summary });
+  } catch (error) {
+    console.error('Error processing re-score queue:', error);
+    res.status(500).json({ success: false, error: 'Failed to process re-score queue' });
+  }
+});
+
+// How automatic routing would rank doctors for a case - ?riskLevel=High&lat=..&lng=..&name=Nairobi
+app.get('/api/admin/routing/preview', async (req, res) => {
+  try {
+    const candidates = await assessmentRouter.rank({
+      riskLevel: req.query.riskLevel || 'Medium',
+      patientLocation: assessmentRouter.normalizeLocation(req.query)
+    });
+
+    res.json(candidates.map(({ doctor, score, factors }) => ({
+      doctorId: doctor.doctorId,
+      name: doctor.name,
+      score,
+      factors
+    })));
+  } catch (error) {
+    console.error('Error previewing routing:', error);
+    res.status(500).json({ error: 'Failed to preview routing' });
+  }
+});
+
+// Run the high-risk escalation check now instead of waiting for the timer
+app.post('/api/admin/escalations/process', async (req, res) => {
+  try {
+    const summary = await assessmentRouter.escalateOverdue();
+
+    await logAdminAction(req.session.username, 'PROCESS_ESCALATIONS', null,
+      `Escalated ${summary.escalated} of ${summary.checked} overdue high-risk assessments (${summary.exhausted} with no doctor left)`);
+
+    res.json({ success: !summary.skipped, ...summary });
+  } catch (error) {
+    console.error('Error processing escalations:', error);
+    res.status(500).json({ success: false, error: 'Failed to process escalations' });
+  }
+});
+
+// Questionnaire management (admin)
+app.get('/api/admin/questionnaires', async (req, res) => {
+  try {
+    const versions = await questionnaireManager.listVersions();
+    res.json(versions);
+  } catch (error) {
+    console.error('Error fetching questionnaires:', error);
+    res.status(500).json({ error: 'Failed to fetch questionnaires' });
+  }
+});
+
+app.get('/api/admin/questionnaires/:version', async (req, res) => {
+  try {
+    const questionnaire = await questionnaireManager.getVersion(req.params.version);
+    if (!questionnaire) {
+      return res.status(404).json({ error: 'Questionnaire version not found' });
+    }
+    res.json(questionnaire);
+  } catch (error) {
+    console.error('Error fetching questionnaire:', error);
+    res.status(500).json({ error: 'Failed to fetch questionnaire' });
+  }
+});
+
+app.post('/api/admin/questionnaires', async (req, res) => {
+  try {
+    const { title, questions } = req.body;
+    const questionnaire = await questionnaireManager.createVersion({ title, questions }, req.session.username);
+
+    await logAdminAction(req.session.username, 'CREATE_QUESTIONNAIRE', null,
+      `Created draft questionnaire version ${questionnaire.version} (${questionnaire.questions.length} questions)`);
+
+    res.status(201).json({ success: true, questionnaire });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ success: false, error: 'Invalid questionnaire', details: error.validationErrors });
+    }
+    console.error('Error creating questionnaire:', error);
+    res.status(500).json({ success: false, error: 'Failed to create questionnaire' });
+  }
+});
+
+app.put('/api/admin/questionnaires/:version', async (req, res) => {
+  try {
+    const { title, questions } = req.body;
+    const questionnaire = await questionnaireManager.updateDraft(req.params.version, { title, questions });
+    if (!questionnaire) {
+      return res.status(404).json({ success: false, error: 'Questionnaire version not found' });
+    }
+
+    await logAdminAction(req.session.username, 'UPDATE_QUESTIONNAIRE', null,
+      `Updated draft questionnaire version ${questionnaire.version}`);
+
+    res.json({ success: true, questionnaire });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ success: false, error: 'Invalid questionnaire', details: error.validationErrors });
+    }
+    console.error('Error updating questionnaire:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/admin/questionnaires/:version/activate', async (req, res) => {
+  try {
+    const questionnaire = await questionnaireManager.activate(req.params.version);
+    if (!questionnaire) {
+      return res.status(404).json({ success: false, error: 'Questionnaire version not found' });
+    }
+
+    await logAdminAction(req.session.username, 'ACTIVATE_QUESTIONNAIRE', null,
+      `Activated questionnaire version ${questionnaire.version}`);
+
+    res.json({ success: true, questionnaire });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ success: false, error: 'Invalid questionnaire', details: error.validationErrors });
+    }
+    console.error('Error activating questionnaire:', error);
+    res.status(500).json({ success: false, error: 'Failed to activate questionnaire' });
+  }
+});
+
+app.delete('/api/admin/questionnaires/:version', async (req, res) => {
+  try {
+    const deleted = await questionnaireManager.deleteDraft(req.params.version);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Draft questionnaire version not found' });
+    }
+
+    await logAdminAction(req.session.username, 'DELETE_QUESTIONNAIRE', null,
+      `Deleted draft questionnaire version ${deleted.version}`);
+
+    res.json({ success: true, message: 'Draft deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting questionnaire:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete questionnaire' });
+  }
+});
+
+// Questionnaire for patients - the active version, or a specific one to read old answers
+app.get('/api/questionnaire', async (req, res) => {
+  try {
+    const questionnaire = await questionnaireManager.getActive();
+    if (!questionnaire) {
+      return res.status(404).json({ error: 'No active questionnaire' });
+    }
+    res.json(questionnaire);
+  } catch (error) {
+    console.error('Error fetching questionnaire:', error);
+    res.status(500).json({ error: 'Failed to fetch questionnaire' });
+  }
+});
+
+app.get('/api/questionnaire/:version', async (req, res) => {
+  try {
+    const questionnaire = await questionnaireManager.getVersion(req.params.version);
+    if (!questionnaire || questionnaire.status === 'draft') {
+      return res.status(404).json({ error: 'Questionnaire version not found' });
+    }
+    res.json(questionnaire);
+  } catch (error) {
+    console.error('Error fetching questionnaire:', error);
+    res.status(500).json({ error: 'Failed to fetch questionnaire' });
+  }
+});
+
+// User routes (protected)
+app.get('/symptoms', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'symptom-checker.html'));
+});
+
+app.get('/send-assessment', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'send-assessment.html'));
+});
+
+app.get('/history', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'patient-history.html'));
+});
+
+// FIXED: Prediction endpoint with better error handling for missing predictions
+// Retention must never cost the patient their result - a failure is logged and the image is just not kept
+const retainImage = async (username, filePath) => {
+  try {
+    return await imageStore.retain(username, filePath);
+  } catch (error) {
+    console.error('⚠️ Failed to retain image:', error.message);
+    return null;
+  }
+};
+
+// Optional prediction options sent with /predict as multipart fields:
+//   crop: JSON { left, top, width, height } in pixels of the photo as displayed
+//   autoCrop, whiteBalance, tta: 'true' / 'false' to override the active model's defaults
+const parsePredictOptions = (body = {}) => {
+  const options = {};
+
+  if (body.crop !== undefined && body.crop !== '') {
+    let crop = body.crop;
+    if (typeof crop === 'string') {
+      try {
+        crop = JSON.parse(crop);
+      } catch (error) {
+        crop = null;
+      }
+    }
+    const keys = ['left', 'top', 'width', 'height'];
+    if (!crop || typeof crop !== 'object' || !keys.every(key => Number.isFinite(Number(crop[key])))) {
+      const error = new Error('crop must be a JSON object with numeric left, top, width and height');
+      error.code = 'INVALID_CROP';
+      throw error;
+    }
+    options.crop = keys.reduce((rect, key) => ({ ...rect, [key]: Number(crop[key]) }), {});
+  }
+
+  for (const key of ['autoCrop', 'whiteBalance', 'tta']) {
+    if (body[key] === 'true' || body[key] === true) options[key] = true;
+    else if (body[key] === 'false' || body[key] === false) options[key] = false;
+  }
+
+  return options;
+};
+
+const symptomError = (message, details = []) => {
+  const error = new Error(message);
+  error.code = 'INVALID_SYMPTOMS';
+  error.details = details;
+  return error;
+};
+
+// Symptom answers are checked against the published questionnaire version they were given for (the active
+// one when none is named), keeping only known, visible questions. Throws INVALID_SYMPTOMS with `details`.
+const checkSymptomAnswers = async (rawAnswers, version) => {
+  if (!rawAnswers || typeof rawAnswers !== 'object' || Array.isArray(rawAnswers)) {
+    throw symptomError('Symptoms must be an object of questionnaire answers.');
+  }
+
+  const questionnaire = await questionnaireManager.getAnswerable(version);
+  if (!questionnaire) {
+    throw symptomError('Unknown questionnaire version.');
+  }
+
+  const { errors, answers } = questionnaireManager.validateAnswers(questionnaire, rawAnswers);
+  if (errors.length > 0) {
+    throw symptomError('Invalid symptom answers.', errors);
+  }
+
+  return { symptoms: answers, questionnaireVersion: questionnaire.version };
+};
+
+// Symptom answers sent with an image arrive as a JSON form field
+const parsePredictSymptoms = async (body = {}) => {
+  if (body.symptoms === undefined || body.symptoms === null || body.symptoms === '') return null;
+
+  let rawAnswers = body.symptoms;
+  if (typeof rawAnswers === 'string') {
+    try {
+      rawAnswers = JSON.parse(rawAnswers);
+    } catch (error) {
+      rawAnswers = null;
+    }
+  }
+  return checkSymptomAnswers(rawAnswers, body.questionnaireVersion);
+};
+
+app.post('/predict', upload.single('eyelid'), async (req, res) => {
+  console.log('Prediction request received from user:', req.session.username);
+  
+  if (!req.file) {
+      return res.status(400).json({ 
+          error: 'No file uploaded',
+          code: 'NO_FILE'
+      });
+  }
+
+  try {
+      // Verify file exists
+      if (!fsSync.existsSync(req.file.path)) {
+          throw new Error('File not found after upload');
+      }
+
+      const predictOptions = parsePredictOptions(req.body);
+      const answers = await parsePredictSymptoms(req.body);
+
+      // Reject unusable photos before they reach the model so the user can retake them
+      const quality = await imageQualityChecker.assess(req.file.path);
+      if (!quality.passed) {
+          fsSync.unlinkSync(req.file.path);
+          const rejections = quality.issues.filter(issue => issue.severity === 'reject');
+          console.log('⚠️ Image rejected by quality check:', rejections.map(issue => issue.code));
+
+          return res.status(422).json({
+              success: false,
+              code: 'IMAGE_QUALITY_REJECTED',
+              error: 'The photo is not good enough to analyze. Please retake it.',
+              qualityCodes: rejections.map(issue => issue.code),
+              quality
+          });
+      }
+
+      console.log('Processing image for prediction...');
+      
+      // Get prediction from ModelManager
+      const result = await modelManager.predict(req.file.path, predictOptions);
+      
+      console.log('Raw prediction result:', result);
+
+      const image = await retainImage(req.session.username, req.file.path);
+
+      // Model unavailable: keep the image for re-scoring and record the result as unavailable
+      if (result.status === 'unavailable') {
+          const queuedPath = rescoreQueue.enqueue(req.file.path);
+          const savedResult = await savePatientResult(req.session.username, {
+              predictionStatus: 'unavailable',
+              predictionReason: result.reason,
+              pendingImagePath: queuedPath,
+              image,
+              pendingPreprocessing: predictOptions,
+              quality,
+              symptoms: answers ? answers.symptoms : null,
+              questionnaireVersion: answers ? answers.questionnaireVersion : null
+          });
+
+          console.log('⚠️ Prediction unavailable, result queued for re-scoring:', savedResult._id);
+
+          return res.status(503).json({
+              success: false,
+              status: 'unavailable',
+              code: 'MODEL_UNAVAILABLE',
+              error: 'The screening model is currently unavailable. Your image has been saved and will be analyzed automatically once the model is back.',
+              resultId: savedResult._id,
+              queued: true,
+              qualityCodes: quality.issues.map(issue => issue.code)
+          });
+      }
+
+      const finalPrediction = result.prediction;
+      const finalConfidence = result.confidence;
+      
+      console.log('Final prediction details:', {
+          prediction: finalPrediction,
+          confidence: finalConfidence
+      });
+
+      // Save to database with proper validation
+      const savedResult = await savePatientResult(req.session.username, {
+          prediction: finalPrediction,
+          confidence: finalConfidence,
+          probabilities: result.probabilities,
+          rawScore: result.rawScore,
+          calibration: result.calibration,
+          model: result.model,
+          quality,
+          preprocessing: result.preprocessing,
+          uncertainty: result.uncertainty,
+          needsReview: result.needsReview,
+          reviewReason: result.reviewReason,
+          image,
+          symptoms: answers ? answers.symptoms : null,
+          questionnaireVersion: answers ? answers.questionnaireVersion : null
+      });
 
       console.log('✅ Successfully saved prediction result:', savedResult._id);
 
       // Clean up uploaded file
       fsSync.unlinkSync(req.file.path);
 
-      // Return results
-      res.json({
-          success: true,
-          prediction: finalPrediction,
-          confidence: finalConfidence,
-          confidencePercentage: Math.round(finalConfidence * 100),
-          usingDefaultPrediction: result.usingDefaultPrediction || false
-      });
+      // Return results
+      res.json({
+          success: true,
+          status: 'completed',
+          prediction: finalPrediction,
+          confidence: finalConfidence,
+          confidencePercentage: Math.round(finalConfidence * 100),
+          probabilities: result.probabilities,
+          model: result.model,
+          // Warnings only - the prediction was made but may be less reliable
+          qualityCodes: quality.issues.map(issue => issue.code),
+          quality,
+          preprocessing: result.preprocessing,
+          uncertainty: result.uncertainty,
+          needsReview: result.needsReview,
+          reviewReason: result.reviewReason,
+          imageRetained: !!image,
+          resultId: savedResult._id
+      });
+
+  } catch (error) {
+      console.error('❌ Prediction failed:', error);
+      
+      // Clean up file if exists
+      if (req.file?.path && fsSync.existsSync(req.file.path)) {
+          try {
+              fsSync.unlinkSync(req.file.path);
+          } catch (cleanupError) {
+              console.error('Failed to cleanup file:', cleanupError);
+          }
+      }
+      
+      if (error.code === 'INVALID_CROP') {
+          return res.status(400).json({ error: error.message, code: error.code });
+      }
+
+      if (error.code === 'INVALID_SYMPTOMS') {
+          return res.status(400).json({ error: error.message, code: error.code, details: error.details });
+      }
+
+      // An unreadable image is the client's problem, not a server failure
+      if (error.code === 'IMAGE_PROCESSING_FAILED') {
+          return res.status(422).json({
+              error: 'The image could not be processed. Please upload a clear photo of the eyelid.',
+              code: error.code,
+              details: error.message
+          });
+      }
+      
+      res.status(500).json({
+          error: 'Prediction failed',
+          details: error.message
+      });
+  }
+});
+
+// Parse the patient identifiers sent with a batch: repeated form fields or a JSON array
+const parsePatientIds = (raw) => {
+  if (Array.isArray(raw)) return raw;
+  if (typeof raw !== 'string') return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [raw];
+  } catch (error) {
+    return [raw];
+  }
+};
+
+const PATIENT_ID_PATTERN = /^[A-Za-z0-9._@-]{1,100}$/;
+
+// Batch prediction for clinic screening days - one patient identifier per image.
+// Results are filed under the identifier, not an account, and no image is retained (there is no patient
+// consent to go on). Each result comes back with a claim code for the patient - see /api/results/claim.
+app.post('/predict/batch', (req, res, next) => {
+  batchUpload.array('eyelids', MAX_BATCH_IMAGES)(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_COUNT'
+        ? `Too many images - a batch can contain at most ${MAX_BATCH_IMAGES}`
+        : err.message;
+      return res.status(400).json({ error: message, code: err.code || 'UPLOAD_FAILED' });
+    }
+    next();
+  });
+}, async (req, res) => {
+  const files = req.files || [];
+  const rejectedFiles = req.rejectedFiles || [];
+  const patientIds = parsePatientIds(req.body.patientIds).map(id => String(id).trim());
+  const totalFiles = files.length + rejectedFiles.length;
+
+  const cleanup = () => {
+    for (const file of files) {
+      try {
+        if (fsSync.existsSync(file.path)) fsSync.unlinkSync(file.path);
+      } catch (cleanupError) {
+        console.error('Failed to cleanup file:', cleanupError);
+      }
+    }
+  };
+
+  if (totalFiles === 0) {
+    return res.status(400).json({ error: 'No files uploaded', code: 'NO_FILE' });
+  }
+
+  if (patientIds.length !== totalFiles) {
+    cleanup();
+    return res.status(400).json({
+      error: `Expected one patient identifier per image (${totalFiles} images, ${patientIds.length} identifiers)`,
+      code: 'PATIENT_ID_MISMATCH'
+    });
+  }
+
+  const batchId = `batch-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  const results = new Array(totalFiles);
+
+  for (const rejected of rejectedFiles) {
+    results[rejected.index] = {
+      index: rejected.index,
+      patientId: patientIds[rejected.index],
+      filename: rejected.filename,
+      success: false,
+      error: rejected.error,
+      code: 'INVALID_FILE'
+    };
+  }
+
+  // Only files with a valid patient identifier and an acceptable photo go through the model
+  const toPredict = [];
+  const qualityByIndex = {};
+
+  try {
+    for (const file of files) {
+      const patientId = patientIds[file.batchIndex];
+      const entry = { index: file.batchIndex, patientId, filename: file.originalname };
+
+      if (!PATIENT_ID_PATTERN.test(patientId)) {
+        results[file.batchIndex] = { ...entry, success: false, error: 'Invalid patient identifier', code: 'INVALID_PATIENT_ID' };
+        continue;
+      }
+
+      let quality;
+      try {
+        quality = await imageQualityChecker.assess(file.path);
+      } catch (qualityError) {
+        results[file.batchIndex] = { ...entry, success: false, error: qualityError.message, code: 'IMAGE_PROCESSING_FAILED' };
+        continue;
+      }
+
+      if (!quality.passed) {
+        const rejections = quality.issues.filter(issue => issue.severity === 'reject');
+        results[file.batchIndex] = {
+          ...entry,
+          success: false,
+          error: rejections.map(issue => issue.message).join(' '),
+          code: 'IMAGE_QUALITY_REJECTED',
+          qualityCodes: rejections.map(issue => issue.code)
+        };
+        continue;
+      }
+
+      qualityByIndex[file.batchIndex] = quality;
+      toPredict.push(file);
+    }
+
+    // Without a working model every image is queued for re-scoring instead of being predicted -
+    // including when the model is swapped out between upload and inference
+    let predictions;
+    try {
+      predictions = await modelManager.predictBatch(toPredict.map(file => file.path));
+    } catch (modelError) {
+      const reason = modelManager.getModelStatus().isLoaded ? 'INFERENCE_FAILED' : 'MODEL_NOT_LOADED';
+      console.warn(`⚠️ Batch prediction failed (${modelError.message}) - queuing ${toPredict.length} image(s) for re-scoring`);
+      predictions = toPredict.map(() => modelManager.unavailableResult(reason, modelError.message));
+    }
+
+    for (let i = 0; i < toPredict.length; i++) {
+      const file = toPredict[i];
+      const prediction = predictions[i];
+      const quality = qualityByIndex[file.batchIndex];
+      const entry = {
+        index: file.batchIndex,
+        patientId: patientIds[file.batchIndex],
+        filename: file.originalname,
+        qualityCodes: quality.issues.map(issue => issue.code)
+      };
+
+      if (prediction.status === 'unavailable') {
+        try {
+          const claimCode = newClaimCode();
+          const queuedPath = rescoreQueue.enqueue(file.path);
+          const saved = await savePatientResult(null, {
+            predictionStatus: 'unavailable',
+            predictionReason: prediction.reason,
+            pendingImagePath: queuedPath,
+            quality,
+            source: 'batch',
+            screenedBy: req.session.username,
+            patientIdentifier: entry.patientId,
+            claimCode,
+            batchId
+          });
+          results[file.batchIndex] = {
+            ...entry,
+            success: false,
+            status: 'unavailable',
+            error: 'Model unavailable - image queued for re-scoring',
+            code: 'MODEL_UNAVAILABLE',
+            queued: true,
+            resultId: saved._id,
+            claimCode
+          };
+        } catch (queueError) {
+          results[file.batchIndex] = { ...entry, success: false, error: queueError.message, code: 'SAVE_FAILED' };
+        }
+        continue;
+      }
+
+      if (prediction.error) {
+        results[file.batchIndex] = { ...entry, success: false, error: prediction.error, code: 'PREDICTION_FAILED' };
+        continue;
+      }
+
+      try {
+        const claimCode = newClaimCode();
+        const saved = await savePatientResult(null, {
+          prediction: prediction.prediction,
+          confidence: prediction.confidence,
+          probabilities: prediction.probabilities,
+          rawScore: prediction.rawScore,
+          calibration: prediction.calibration,
+          model: prediction.model,
+          quality,
+          preprocessing: prediction.preprocessing,
+          source: 'batch',
+          screenedBy: req.session.username,
+          patientIdentifier: entry.patientId,
+          claimCode,
+          batchId
+        });
+
+        results[file.batchIndex] = {
+          ...entry,
+          success: true,
+          status: 'completed',
+          prediction: prediction.prediction,
+          confidence: prediction.confidence,
+          confidencePercentage: Math.round(prediction.confidence * 100),
+          probabilities: prediction.probabilities,
+          model: prediction.model,
+          resultId: saved._id,
+          claimCode
+        };
+      } catch (saveError) {
+        results[file.batchIndex] = { ...entry, success: false, error: saveError.message, code: 'SAVE_FAILED' };
+      }
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+    console.log(`✅ Batch ${batchId} by ${req.session.username}: ${succeeded}/${totalFiles} succeeded`);
+
+    res.json({
+      success: true,
+      batchId,
+      total: totalFiles,
+      succeeded,
+      failed: totalFiles - succeeded,
+      results
+    });
+  } catch (error) {
+    console.error('❌ Batch prediction failed:', error);
+    res.status(500).json({ error: 'Batch prediction failed', details: error.message });
+  } finally {
+    cleanup();
+  }
+});
+
+// A patient links a batch screening result to their account with the claim code they were given
+app.post('/api/results/claim', async (req, res) => {
+  const code = typeof req.body.code === 'string' ? req.body.code.trim() : '';
+  if (!/^[0-9a-f]{16}$/i.test(code.replace(/[-\s]/g, ''))) {
+    return res.status(400).json({ success: false, error: 'Enter the 16-character claim code from your screening slip' });
+  }
+
+  try {
+    // Clearing the hash in the same update makes each code work once
+    const result = await PatientResult.findOneAndUpdate(
+      { claimCodeHash: hashClaimCode(code), username: null, source: 'batch' },
+      { username: req.session.username, claimedAt: new Date(), claimCodeHash: null },
+      { new: true }
+    ).lean();
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'No unclaimed screening result has this code' });
+    }
+
+    console.log(`🔗 Batch result ${result._id} claimed by ${req.session.username}`);
+    res.json({ success: true, message: 'Screening result added to your history', resultId: result._id });
+  } catch (error) {
+    console.error('Error claiming result:', error);
+    res.status(500).json({ success: false, error: 'Failed to claim result' });
+  }
+});
+
+// FIXED: Send assessment to doctor with better error handling
+// With `routing: 'auto'` the doctor is chosen by assessmentRouter instead of `doctorId`
+app.post('/api/sendToDoctor', async (req, res) => {
+  const { assessmentData } = req.body;
+  const autoRoute = req.body.routing === 'auto';
+  const patientLocation = assessmentRouter.normalizeLocation(req.body.patientLocation);
+  
+  console.log('Send to doctor request:', {
+    from: req.session.username,
+    doctorId: req.body.doctorId,
+    routing: autoRoute ? 'auto' : 'manual',
+    assessmentData
+  });
+  
+  if ((!req.body.doctorId && !autoRoute) || !assessmentData) {
+    return res.status(400).json({ error: 'Missing required data.' });
+  }
+
+  try {
+    // Validate doctor exists and is taking new cases
+    let doctor = null;
+    if (!autoRoute) {
+      doctor = await doctorDirectory.get(req.body.doctorId);
+      if (!doctor) {
+        return res.status(400).json({ error: 'Invalid doctor selected.' });
+      }
+      if (doctor.availability && doctor.availability.status === 'away') {
+        return res.status(409).json({ error: `${doctor.name} is away and not accepting new assessments.` });
+      }
+    }
+
+    // The prediction comes from the patient's latest image result on the server, not from the client.
+    // Without a recent completed result the assessment is sent as symptoms only, with no prediction requested.
+    const latestResult = await findLatestPrediction(req.session.username);
+
+    const prediction = latestResult ? latestResult.prediction : null;
+    const confidence = latestResult ? latestResult.confidence : null;
+    const probabilities = latestResult ? latestResult.probabilities : null;
+    const predictionStatus = latestResult ? 'completed' : 'not_requested';
+    const predictionReason = latestResult ? null : 'NO_RECENT_IMAGE';
+
+    if (!latestResult) {
+      console.log('⚠️ No recent image prediction - sending assessment with symptoms only');
+    }
+
+    // Answers are checked against the questionnaire version they were given for
+    let checked;
+    try {
+      checked = await checkSymptomAnswers(assessmentData.symptoms || {}, assessmentData.questionnaireVersion);
+    } catch (error) {
+      if (error.code !== 'INVALID_SYMPTOMS') throw error;
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    const { symptoms, questionnaireVersion } = checked;
+
+    // Compute risk server-side; any riskLevel sent by the client is ignored
+    const risk = riskScorer.score(symptoms, { prediction });
+
+    // Automatic routing needs the risk level, so the doctor is only picked now
+    let routing = assessmentRouter.routingRecord('manual');
+    if (autoRoute) {
+      const candidate = await assessmentRouter.pick({ riskLevel: risk.riskLevel, patientLocation });
+      if (!candidate) {
+        return res.status(503).json({ error: 'No doctor is available right now. Please try again later.' });
+      }
+      doctor = candidate.doctor;
+      routing = assessmentRouter.routingRecord('auto', candidate);
+    }
+    const doctorId = doctor.doctorId;
+
+    // Save assessment to MongoDB
+    const assessment = new DoctorAssessment({
+      doctorId,
+      from: req.session.username,
+      predictionStatus,
+      predictionReason,
+      prediction,
+      confidence,
+      probabilities,
+      predictionNeedsReview: !!(latestResult && latestResult.needsReview),
+      predictionUncertainty: latestResult ? latestResult.uncertainty : null,
+      patientResultId: latestResult ? latestResult._id : null,
+      symptoms,
+      questionnaireVersion,
+      riskLevel: risk.riskLevel,
+      riskScore: risk.score,
+      riskFactors: risk.factors,
+      status: 'pending',
+      history: [{ action: 'created', from: null, to: 'pending', by: req.session.username }],
+      patientLocation,
+      routing,
+      assignedAt: new Date()
+    });
+
+    const savedAssessment = await assessment.save();
+    console.log('✅ Assessment saved:', savedAssessment._id);
+
+    // Also save this to patient's history with symptoms
+    const resultWithSymptoms = {
+      predictionStatus,
+      predictionReason,
+      prediction,
+      confidence,
+      probabilities,
+      rawScore: latestResult ? latestResult.rawScore : null,
+      calibration: latestResult ? latestResult.calibration : null,
+      uncertainty: latestResult ? latestResult.uncertainty : null,
+      needsReview: !!(latestResult && latestResult.needsReview),
+      reviewReason: latestResult ? latestResult.reviewReason : null,
+      symptoms,
+      questionnaireVersion,
+      model: latestResult && latestResult.modelName
+        ? { name: latestResult.modelName, version: latestResult.modelVersion }
+        : null,
+      source: 'assessment',
+      assessmentId: savedAssessment._id
+    };
+    
+    const savedResult = await savePatientResult(req.session.username, resultWithSymptoms);
+    console.log('✅ Patient result saved:', savedResult._id);
+
+    console.log(`✅ Assessment sent to doctor ${doctorId} from user ${req.session.username}`);
+
+    const notification = {
+      assessmentId: savedAssessment._id,
+      from: req.session.username,
+      riskLevel: risk.riskLevel,
+      predictionStatus
+    };
+    notificationHub.publish(`doctor:${doctorId}`, 'assessment.created', notification);
+    if (risk.riskLevel === 'High') {
+      notificationHub.publish([`doctor:${doctorId}`, 'admins'], 'assessment.high_risk', { ...notification, doctorId });
+    }
+    res.json({ 
+      success: true, 
+      message: `Assessment sent to ${doctor.name} successfully.`,
+      assessmentId: savedAssessment._id,
+      doctorId,
+      doctorName: doctor.name,
+      riskLevel: risk.riskLevel
+    });
+  } catch (error) {
+    console.error('❌ Error saving assessment:', error);
+    res.status(500).json({ 
+      error: 'Failed to send assessment to doctor',
+      details: error.message 
+    });
+  }
+});
+
+// Doctors set their own availability; patients see it when choosing a doctor
+app.post('/api/doctor/availability', async (req, res) => {
+  try {
+    const { errors, doctor } = doctorDirectory.normalize({ availability: req.body }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid availability', details: errors });
+    }
+
+    const updated = await doctorDirectory.update(req.session.doctorId, doctor);
+    if (!updated) {
+      return res.status(404).json({ error: 'Doctor not found' });
+    }
+
+    console.log(`🩺 ${req.session.username} is now ${updated.availability.status}`);
+    res.json({ success: true, availability: updated.availability });
+  } catch (error) {
+    console.error('Error updating availability:', error);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+});
+
+// Doctor case workflow: claim, update, review or complete an assessment assigned to this doctor.
+// Clinical fields (clinicalNotes, diagnosis, recommendedTests, followUpDate, patientMessage) can be sent with any action.
+app.post('/api/doctor/assessments/:id/:action', async (req, res) => {
+  const { id, action } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ error: 'Assessment not found', code: 'ASSESSMENT_NOT_FOUND' });
+  }
+
+  try {
+    const assessment = await assessmentWorkflow.apply(id, action, {
+      username: req.session.username,
+      doctorId: req.session.doctorId
+    }, req.body);
+
+    console.log(`🩺 ${req.session.username}: ${action} assessment ${id} (now ${assessment.status})`);
+
+    // The patient only ever gets their view of the case, never the clinical notes
+    notificationHub.publish(`doctor:${assessment.doctorId}`, 'assessment.status', {
+      assessmentId: assessment._id, action, status: assessment.status, by: req.session.username
+    });
+    const doctor = await doctorDirectory.get(assessment.doctorId, { includeInactive: true });
+    notificationHub.publish(`user:${assessment.from}`, 'assessment.status', {
+      assessmentId: assessment._id,
+      doctorName: doctor ? doctor.name : null,
+      doctorResponse: assessmentWorkflow.patientView(assessment)
+    });
+    res.json({ success: true, assessment });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.validationErrors });
+    }
+    console.error('❌ Error updating assessment:', error);
+    res.status(500).json({ error: 'Failed to update assessment' });
+  }
+});
+
+// The patient's own assessments, with the doctor's response and unread message counts
+app.get('/api/my-assessments', async (req, res) => {
+  try {
+    const assessments = await DoctorAssessment.find({ from: req.session.username })
+      .sort({ timestamp: -1 })
+      .limit(50)
+      .lean();
+    const unread = await assessmentMessages.unreadCounts(req.session);
+    const doctorNames = await doctorDirectory.nameMap();
+    const appointments = await Appointment.find({
+      assessmentId: { $in: assessments.map(assessment => assessment._id) },
+      status: 'booked'
+    }).lean();
+    const appointmentByAssessment = new Map(appointments.map(appointment => [String(appointment.assessmentId), appointment]));
+
+    res.json(assessments.map(assessment => ({
+      _id: assessment._id,
+      doctorId: assessment.doctorId,
+      doctorName: doctorNames[assessment.doctorId] || null,
+      riskLevel: assessment.riskLevel,
+      timestamp: assessment.timestamp,
+      doctorResponse: assessmentWorkflow.patientView(assessment),
+      unreadMessages: unread.byAssessment[String(assessment._id)] || 0,
+      appointment: appointmentByAssessment.get(String(assessment._id)) || null
+    })));
+  } catch (error) {
+    console.error('Error fetching patient assessments:', error);
+    res.status(500).json({ error: 'Failed to fetch assessments' });
+  }
+});
+
+// Server-Sent Events for the logged-in session: new assessments, status changes, high-risk cases and messages.
+// Signed-out EventSource requests get a plain 401 from the access rules, not a redirect it can't follow.
+app.get('/api/events', (req, res) => {
+  notificationHub.subscribe(req, res);
+});
+
+// Unread message counts for the dashboards
+app.get('/api/messages/unread', async (req, res) => {
+  try {
+    res.json(await assessmentMessages.unreadCounts(req.session));
+  } catch (error) {
+    console.error('Error counting unread messages:', error);
+    res.status(500).json({ error: 'Failed to count unread messages' });
+  }
+});
+
+// Message thread of an assessment - only the patient who sent it and the doctor it was sent to
+app.get('/api/assessments/:id/messages', async (req, res) => {
+  try {
+    const thread = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await assessmentMessages.findThread(req.params.id, req.session)
+      : null;
+    if (!thread) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+
+    const messages = await assessmentMessages.list(thread.assessment, thread.role);
+    res.json({ success: true, role: thread.role, messages });
+  } catch (error) {
+    console.error('Error loading messages:', error);
+    res.status(500).json({ error: 'Failed to load messages' });
+  }
+});
+
+// Send a message; patients may attach an extra eyelid photo as the multipart field "photo"
+app.post('/api/assessments/:id/messages', (req, res, next) => {
+  upload.single('photo')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message, code: err.code || 'UPLOAD_FAILED' });
+    }
+    next();
+  });
+}, async (req, res) => {
+  const removeUpload = () => {
+    if (req.file && fsSync.existsSync(req.file.path)) {
+      fsSync.unlinkSync(req.file.path);
+    }
+  };
+
+  try {
+    const thread = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await assessmentMessages.findThread(req.params.id, req.session)
+      : null;
+    if (!thread) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+
+    if (req.file && thread.role !== 'patient') {
+      return res.status(400).json({ error: 'Only patients can attach photos' });
+    }
+
+    const { text, error } = assessmentMessages.validateBody(req.body.body, !!req.file);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const message = await assessmentMessages.post(thread.assessment, thread.role, req.session.username, text, req.file ? req.file.path : null);
+    console.log(`💬 Message from ${req.session.username} (${thread.role}) on assessment ${thread.assessment._id}`);
+
+    notificationHub.publish(
+      thread.role === 'doctor' ? `user:${thread.assessment.from}` : `doctor:${thread.assessment.doctorId}`,
+      'message.new',
+      { assessmentId: thread.assessment._id, messageId: message._id, senderRole: thread.role }
+    );
+
+    res.json({ success: true, message });
+  } catch (error) {
+    console.error('❌ Error sending message:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  } finally {
+    removeUpload();
+  }
+});
+
+app.get('/api/assessments/:id/messages/:messageId/attachment', async (req, res) => {
+  try {
+    const valid = mongoose.Types.ObjectId.isValid(req.params.id) && mongoose.Types.ObjectId.isValid(req.params.messageId);
+    const thread = valid ? await assessmentMessages.findThread(req.params.id, req.session) : null;
+    const message = thread
+      ? await AssessmentMessage.findOne({ _id: req.params.messageId, assessmentId: thread.assessment._id }).lean()
+      : null;
+    const imagePath = message ? imageStore.resolve(message.attachment) : null;
+
+    if (!imagePath) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.sendFile(imagePath);
+  } catch (error) {
+    console.error('Error serving attachment:', error);
+    res.status(500).json({ error: 'Failed to load attachment' });
+  }
+});
+
+const sendSchedulingError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, code: error.code, details: error.validationErrors });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Tell the other side of an appointment what changed - both sides when neither made the change (role null)
+const notifyAppointment = (appointment, event, role, username) => {
+  const patient = `user:${appointment.patientUsername}`;
+  const doctor = `doctor:${appointment.doctorId}`;
+  const channel = role === 'doctor' ? patient : role === 'patient' ? doctor : [patient, doctor];
+  notificationHub.publish(channel, event, {
+    appointmentId: appointment._id,
+    assessmentId: appointment.assessmentId,
+    startsAt: appointment.startsAt,
+    status: appointment.status,
+    by: username
+  });
+};
+
+// Doctors publish the times patients can book
+app.get('/api/doctor/slots', async (req, res) => {
+  try {
+    res.json(await appointmentScheduler.doctorSlots(req.session.doctorId));
+  } catch (error) {
+    sendSchedulingError(res, error, 'Failed to load slots');
+  }
+});
+
+// { startsAt, durationMinutes, count } publishes `count` back-to-back slots
+app.post('/api/doctor/slots', async (req, res) => {
+  try {
+    const slots = await appointmentScheduler.createSlots(req.session.doctorId, req.body);
+    console.log(`📅 ${req.session.username} published ${slots.length} appointment slot(s)`);
+    res.status(201).json({ success: true, slots });
+  } catch (error) {
+    sendSchedulingError(res, error, 'Failed to create slots');
+  }
+});
+
+app.delete('/api/doctor/slots/:id', async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ error: 'Slot not found', code: 'SLOT_NOT_FOUND' });
+  }
+
+  try {
+    await appointmentScheduler.withdrawSlot(req.session.doctorId, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendSchedulingError(res, error, 'Failed to withdraw slot');
+  }
+});
+
+// Free slots of the doctor an assessment was sent to - what the patient can book
+app.get('/api/assessments/:id/slots', async (req, res) => {
+  try {
+    const thread = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await assessmentMessages.findThread(req.params.id, req.session)
+      : null;
+    if (!thread) {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+
+    res.json({
+      success: true,
+      slots: await appointmentScheduler.openSlots(thread.assessment.doctorId),
+      appointment: await appointmentScheduler.forAssessment(thread.assessment._id)
+    });
+  } catch (error) {
+    sendSchedulingError(res, error, 'Failed to load slots');
+  }
+});
+
+// The patient books a follow-up for their assessment
+app.post('/api/assessments/:id/appointments', async (req, res) => {
+  try {
+    const thread = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await assessmentMessages.findThread(req.params.id, req.session)
+      : null;
+    if (!thread || thread.role !== 'patient') {
+      return res.status(404).json({ error: 'Assessment not found' });
+    }
+
+    const appointment = await appointmentScheduler.book(thread.assessment, req.body.slotId, req.session.username);
+    console.log(`📅 ${req.session.username} booked an appointment with doctor ${appointment.doctorId} for ${appointment.startsAt.toISOString()}`);
+
+    notifyAppointment(appointment, 'appointment.booked', 'patient', req.session.username);
+    res.status(201).json({ success: true, appointment });
+  } catch (error) {
+    sendSchedulingError(res, error, 'Failed to book appointment');
+  }
+});
+
+// The logged-in patient's or doctor's appointments
+app.get('/api/appointments', async (req, res) => {
+  try {
+    res.json(await appointmentScheduler.listFor(req.session));
+  } catch (error) {
+    sendSchedulingError(res, error, 'Failed to load appointments');
+  }
+});
+
+// Either side can reschedule ({ slotId } of another free slot of the same doctor) or cancel ({ reason })
+app.post('/api/appointments/:id/:action', async (req, res) => {
+  const { id, action } = req.params;
+  if (!['reschedule', 'cancel'].includes(action)) {
+    return res.status(400).json({ error: `Unknown action: ${action}` });
+  }
+
+  try {
+    const appointment = mongoose.Types.ObjectId.isValid(id) ? await Appointment.findById(id).lean() : null;
+    const role = appointmentScheduler.participantRole(appointment, req.session);
+    if (!role) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    const updated = action === 'reschedule'
+      ? await appointmentScheduler.reschedule(appointment, req.body.slotId, req.session.username)
+      : await appointmentScheduler.cancel(appointment, req.session.username, req.body.reason);
 
+    console.log(`📅 ${req.session.username}: ${action} appointment ${id}`);
+    notifyAppointment(updated, action === 'reschedule' ? 'appointment.rescheduled' : 'appointment.cancelled', role, req.session.username);
+    res.json({ success: true, appointment: updated });
   } catch (error) {
-      console.error('❌ Prediction failed:', error);
-      
-      // Clean up file if exists
-      if (req.file?.path && fsSync.existsSync(req.file.path)) {
-          try {
-              fsSync.unlinkSync(req.file.path);
-          } catch (cleanupError) {
-              console.error('Failed to cleanup file:', cleanupError);
-          }
-      }
-      
-      res.status(500).json({
-          error: 'Prediction failed',
-          details: error.message
-      });
+    sendSchedulingError(res, error, `Failed to ${action} appointment`);
   }
 });
 
-// FIXED: Send assessment to doctor with better error handling
-app.post('/api/sendToDoctor', requireAuth, async (req, res) => {
-  const { doctorId, assessmentData } = req.body;
-  
-  console.log('Send to doctor request:', {
-    from: req.session.username,
-    doctorId,
-    assessmentData
-  });
-  
-  if (!doctorId || !assessmentData) {
-    return res.status(400).json({ error: 'Missing required data.' });
+// Record what the lab found (Hb, malaria RDT/smear) for an assessment or an image result.
+// Doctors may label assessments sent to them, batch images they screened and results of their patients.
+app.post('/api/doctor/outcomes', async (req, res) => {
+  const { assessmentId, patientResultId } = req.body;
+
+  if (!assessmentId === !patientResultId) {
+    return res.status(400).json({ error: 'Provide either assessmentId or patientResultId.' });
   }
 
-  // Validate doctor exists
-  if (!doctorProfiles[doctorId]) {
-    return res.status(400).json({ error: 'Invalid doctor selected.' });
+  const { errors, outcome } = modelEvaluator.normalizeOutcome(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid outcome.', details: errors });
   }
 
   try {
-    // Ensure we have a valid prediction
-    let prediction = assessmentData.prediction;
-    if (!prediction || (prediction !== 'Anemic' && prediction !== 'Non-anemic')) {
-      prediction = 'Non-anemic'; // Default safe prediction
-      console.log('⚠️ Using default prediction for assessment');
+    // Admins label any record; doctors only their own cases and screenings
+    const ownCasesOnly = !accessControl.can(req.session, 'assessment:read:all');
+    const id = assessmentId || patientResultId;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: 'Record not found.' });
     }
 
-    // Save assessment to MongoDB
-    const assessment = new DoctorAssessment({
-      doctorId,
-      from: req.session.username,
-      prediction: prediction,
-      confidence: assessmentData.confidence || 0.8,
-      symptoms: assessmentData.symptoms || {},
-      riskLevel: assessmentData.riskLevel || 'Medium',
-      status: 'pending'
-    });
+    let target;
+    if (assessmentId) {
+      const assessment = await DoctorAssessment.findById(assessmentId).lean();
+      if (!assessment || (ownCasesOnly && assessment.doctorId !== req.session.doctorId)) {
+        return res.status(404).json({ error: 'Assessment not found.' });
+      }
+      target = { assessment };
+    } else {
+      const patientResult = await PatientResult.findById(patientResultId).lean();
+      const hasAccess = patientResult && (!ownCasesOnly ||
+        patientResult.screenedBy === req.session.username ||
+        await DoctorAssessment.exists({ doctorId: req.session.doctorId, from: patientResult.username }));
+      if (!hasAccess) {
+        return res.status(404).json({ error: 'Result not found.' });
+      }
+      target = { patientResult };
+    }
 
-    const savedAssessment = await assessment.save();
-    console.log('✅ Assessment saved:', savedAssessment._id);
+    const saved = await modelEvaluator.recordOutcome(target, outcome, req.session.username);
+    console.log(`🧪 Outcome recorded by ${req.session.username} for ${assessmentId ? 'assessment' : 'result'} ${id}`);
 
-    // Also save this to patient's history with symptoms
-    const resultWithSymptoms = {
-      prediction: prediction,
-      confidence: assessmentData.confidence || 0.8,
-      symptoms: assessmentData.symptoms || {}
-    };
-    
-    const savedResult = await savePatientResult(req.session.username, resultWithSymptoms);
-    console.log('✅ Patient result saved:', savedResult._id);
+    res.json({ success: true, outcome: saved });
+  } catch (error) {
+    console.error('❌ Error recording outcome:', error);
+    res.status(500).json({ error: 'Failed to record outcome' });
+  }
+});
 
-    console.log(`✅ Assessment sent to doctor ${doctorId} from user ${req.session.username}`);
-    res.json({ 
-      success: true, 
-      message: `Assessment sent to ${doctorProfiles[doctorId].name} successfully.`,
-      assessmentId: savedAssessment._id
+// Score a symptom map without saving anything (used by the symptom checker results page)
+// Scores the answers with the same image prediction /api/sendToDoctor will use, so the tier
+// the patient sees is the one the doctor gets
+app.post('/api/risk-assessment', async (req, res) => {
+  try {
+    let checked;
+    try {
+      checked = await checkSymptomAnswers(req.body.symptoms, req.body.questionnaireVersion);
+    } catch (error) {
+      if (error.code !== 'INVALID_SYMPTOMS') throw error;
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    const { symptoms, questionnaireVersion } = checked;
+
+    const latestResult = await findLatestPrediction(req.session.username);
+    const prediction = latestResult ? latestResult.prediction : null;
+    const risk = riskScorer.score(symptoms, { prediction });
+    res.json({
+      success: true,
+      ...risk,
+      questionnaireVersion,
+      prediction,
+      predictionStatus: latestResult ? 'completed' : 'not_requested'
     });
   } catch (error) {
-    console.error('❌ Error saving assessment:', error);
-    res.status(500).json({ 
-      error: 'Failed to send assessment to doctor',
-      details: error.message 
-    });
+    console.error('Error scoring risk:', error);
+    res.status(500).json({ error: 'Failed to compute risk' });
   }
 });
 
 // FIXED: Update the existing getDoctorAssessments endpoint
-app.get('/api/getDoctorAssessments', requireAuth, async (req, res) => {
+app.get('/api/getDoctorAssessments', async (req, res) => {
   try {
+    // Doctors only reach this for their own doctorId, admins for any - see the access rules
     const { doctorId } = req.query;
-    
-    // Verify doctor access - only doctors can access assessments
-    if (req.session.role !== 'doctor') {
-      return res.status(403).json({ error: 'Access denied - doctors only' });
+    if (!doctorId) {
+      return res.status(400).json({ error: 'doctorId is required' });
     }
-    
-    // Verify doctor is accessing their own assessments
-    if (req.session.doctorId !== doctorId) {
-      return res.status(403).json({ error: 'Access denied - can only view your own assessments' });
-    }
-    
+
     console.log(`🔍 Fetching assessments for doctor ${doctorId} (${req.session.username})`);
     
     const assessments = await DoctorAssessment.find({ doctorId })
@@ -1296,10 +3589,126 @@ app.get('/api/getDoctorAssessments', requireAuth, async (req, res) => {
   }
 });
 
+app.get('/api/results/:id/image', async (req, res) => {
+  try {
+    const result = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PatientResult.findById(req.params.id, { username: 1, screenedBy: 1, assessmentId: 1, imageHash: 1, imageExt: 1 }).lean()
+      : null;
+
+    // Same answer for "doesn't exist" and "not yours", so result ids can't be probed
+    if (!result || !(await recordAccess.canViewResult(req.session, result))) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const imagePath = imageStore.resolve(result);
+    if (!imagePath) {
+      return res.status(404).json({ error: 'No image retained for this result' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.sendFile(imagePath);
+  } catch (error) {
+    console.error('Error serving result image:', error);
+    res.status(500).json({ error: 'Failed to load image' });
+  }
+});
+
+// PDF report of a screening result or a doctor assessment, for the patient to take to a clinic.
+// Clinical notes only appear on reports generated by the assessment's doctor or an admin.
+app.get('/api/reports/:kind/:id', async (req, res) => {
+  const { kind, id } = req.params;
+  if (!['result', 'assessment'].includes(kind) || !mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  // Printed on the report for clinics to check it
+  const verifyBaseUrl = publicBaseUrl();
+
+  try {
+    let report = null;
+    if (kind === 'result') {
+      const result = await PatientResult.findById(id).lean();
+      if (result && await recordAccess.canViewResult(req.session, result)) {
+        const assessment = result.assessmentId ? await DoctorAssessment.findById(result.assessmentId, { doctorId: 1 }).lean() : null;
+        const includeClinicalNotes = recordAccess.canSeeClinicalNotes(req.session, assessment);
+        report = await clinicalReport.forResult(result, { includeClinicalNotes, verifyBaseUrl });
+      }
+    } else {
+      const assessment = await DoctorAssessment.findById(id).lean();
+      if (assessment && recordAccess.canViewAssessment(req.session, assessment)) {
+        report = await clinicalReport.forAssessment(assessment, {
+          includeClinicalNotes: recordAccess.canSeeClinicalNotes(req.session, assessment),
+          verifyBaseUrl
+        });
+      }
+    }
+
+    // Same answer for "doesn't exist" and "not yours"
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const pdf = await clinicalReport.render(report);
+    console.log(`📄 ${req.session.username} exported ${kind} report ${report.verificationCode}`);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${clinicalReport.fileName(report)}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating report:', error);
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
+// Public report verification - a clinic checks a printed code and token without logging in
+app.get(['/verify', '/verify/:code'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'verify.html'));
+});
+
+const VERIFICATION_MESSAGES = {
+  valid: 'This report is genuine and the record has not changed since it was issued.',
+  altered: 'This report was issued by this service, but the record has changed since - ask for a current copy.',
+  deleted: 'This report was issued by this service, but the record has since been deleted.',
+  invalid: 'This code and token were not issued by this service. The report cannot be trusted.'
+};
+
+app.get('/api/verify/:code', async (req, res) => {
+  try {
+    const verification = await reportVerifier.verify(req.params.code, req.query.token);
+    console.log(`🔏 Report verification ${req.params.code}: ${verification.status}`);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ ...verification, message: VERIFICATION_MESSAGES[verification.status] });
+  } catch (error) {
+    console.error('Error verifying report:', error);
+    res.status(500).json({ error: 'Failed to verify report' });
+  }
+});
+
 // API endpoint to get patient history
-app.get('/api/patient-history', requireAuth, async (req, res) => {
+app.get('/api/patient-history', async (req, res) => {
   try {
     const results = await getPatientResults(req.session.username);
+
+    // Assessment results carry the doctor's response once the case has been reviewed
+    const assessmentIds = results.map(result => result.assessmentId).filter(Boolean);
+    if (assessmentIds.length > 0) {
+      const assessments = await DoctorAssessment.find({ _id: { $in: assessmentIds }, from: req.session.username }).lean();
+      const byId = new Map(assessments.map(assessment => [String(assessment._id), assessment]));
+      const doctorNames = await doctorDirectory.nameMap();
+      for (const result of results) {
+        const assessment = result.assessmentId && byId.get(String(result.assessmentId));
+        if (assessment) {
+          result.doctorResponse = {
+            ...assessmentWorkflow.patientView(assessment),
+            doctorName: doctorNames[assessment.doctorId] || null
+          };
+        }
+      }
+    }
+
     res.json(results);
   } catch (error) {
     console.error('Error fetching patient history:', error);
@@ -1308,7 +3717,7 @@ app.get('/api/patient-history', requireAuth, async (req, res) => {
 });
 
 // Get patient statistics summary
-app.get('/api/patient-stats', requireAuth, async (req, res) => {
+app.get('/api/patient-stats', async (req, res) => {
   try {
     const results = await getPatientResults(req.session.username);
     
@@ -1317,7 +3726,9 @@ app.get('/api/patient-stats', requireAuth, async (req, res) => {
         totalTests: 0,
         anemicResults: 0,
         normalResults: 0,
+        unavailableResults: 0,
         avgConfidence: 0,
+        avgAnemiaProbability: 0,
         thisWeekTests: 0,
         lastTest: null,
         trend: 'stable'
@@ -1326,9 +3737,21 @@ app.get('/api/patient-stats', requireAuth, async (req, res) => {
 
     // Calculate statistics
     const totalTests = results.length;
-    const anemicResults = results.filter(r => r.prediction === 'Anemic').length;
-    const normalResults = results.filter(r => r.prediction === 'Non-anemic').length;
-    const avgConfidence = results.reduce((sum, r) => sum + r.confidence, 0) / totalTests;
+    // Confidence and trend only make sense for results the model actually produced
+    const completed = results.filter(r => r.predictionStatus === 'completed');
+    const anemicResults = completed.filter(r => r.prediction === 'Anemic').length;
+    const normalResults = completed.filter(r => r.prediction === 'Non-anemic').length;
+    // Symptom-only assessments never asked the model, so they aren't counted as unavailable
+    const unavailableResults = results.filter(r => r.predictionStatus === 'unavailable').length;
+    // Confidence is the probability of each result's own predicted class
+    const avgConfidence = completed.length > 0
+      ? completed.reduce((sum, r) => sum + r.confidence, 0) / completed.length
+      : 0;
+    const anemiaProbability = (r) => r.probabilities ? r.probabilities.Anemic : null;
+    const withProbabilities = completed.filter(r => Number.isFinite(anemiaProbability(r)));
+    const avgAnemiaProbability = withProbabilities.length > 0
+      ? withProbabilities.reduce((sum, r) => sum + anemiaProbability(r), 0) / withProbabilities.length
+      : 0;
 
     // This week's tests
     const weekAgo = new Date();
@@ -1340,23 +3763,25 @@ app.get('/api/patient-stats', requireAuth, async (req, res) => {
     // Last test
     const lastTest = results[0];
 
-    // Calculate trend (compare last 3 vs previous 3)
+    // Calculate trend (compare anemia probability of the last 3 vs previous 3) - falling is improving
     let trend = 'stable';
-    if (results.length >= 6) {
-      const recent3 = results.slice(0, 3);
-      const previous3 = results.slice(3, 6);
-      const recentAvg = recent3.reduce((sum, r) => sum + r.confidence, 0) / 3;
-      const previousAvg = previous3.reduce((sum, r) => sum + r.confidence, 0) / 3;
+    if (withProbabilities.length >= 6) {
+      const recent3 = withProbabilities.slice(0, 3);
+      const previous3 = withProbabilities.slice(3, 6);
+      const recentAvg = recent3.reduce((sum, r) => sum + anemiaProbability(r), 0) / 3;
+      const previousAvg = previous3.reduce((sum, r) => sum + anemiaProbability(r), 0) / 3;
       
-      if (recentAvg > previousAvg + 0.1) trend = 'improving';
-      else if (recentAvg < previousAvg - 0.1) trend = 'declining';
+      if (recentAvg < previousAvg - 0.1) trend = 'improving';
+      else if (recentAvg > previousAvg + 0.1) trend = 'declining';
     }
 
     res.json({
       totalTests,
       anemicResults,
       normalResults,
+      unavailableResults,
       avgConfidence: Math.round(avgConfidence * 100),
+      avgAnemiaProbability: Math.round(avgAnemiaProbability * 100),
       thisWeekTests,
       lastTest,
       trend
@@ -1368,19 +3793,14 @@ app.get('/api/patient-stats', requireAuth, async (req, res) => {
 });
 
 // API endpoint to get available doctors (for patient interface)
-app.get('/api/doctors', requireAuth, (req, res) => {
+app.get('/api/doctors', async (req, res) => {
   try {
-    // Return only the information needed for patient interface
+    // Return only the information needed for patient interface, keyed by doctor ID
     const availableDoctors = {};
     
-    Object.entries(doctorProfiles).forEach(([id, doctor]) => {
-      availableDoctors[id] = {
-        name: doctor.name,
-        specialty: doctor.specialty,
-        location: doctor.location,
-        photo: doctor.photo,
-        username: doctor.username
-      };
+    const doctors = await doctorDirectory.list();
+    doctors.forEach(doctor => {
+      availableDoctors[doctor.doctorId] = doctorDirectory.publicProfile(doctor);
     });
     
     res.json(availableDoctors);
@@ -1391,12 +3811,12 @@ app.get('/api/doctors', requireAuth, (req, res) => {
 });
 
 // FIXED: Add a test endpoint to verify doctor dashboard functionality
-app.get('/api/test-doctor-data/:doctorId', requireAuth, async (req, res) => {
+app.get('/api/test-doctor-data/:doctorId', async (req, res) => {
   try {
     const { doctorId } = req.params;
     
     // Get doctor profile
-    const doctorProfile = doctorProfiles[doctorId];
+    const doctorProfile = await doctorDirectory.get(doctorId, { includeInactive: true });
     if (!doctorProfile) {
       return res.status(404).json({ error: 'Doctor not found' });
     }
@@ -1429,39 +3849,47 @@ app.get('/api/test-doctor-data/:doctorId', requireAuth, async (req, res) => {
   }
 });
 
+// Free text typed by doctors and patients goes into server-rendered pages
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
 // Doctor dashboard
-app.get('/doctor/:id', requireAuth, async (req, res) => {
+app.get('/doctor/:id', async (req, res) => {
+  // Only the doctor whose profile this is gets here - see the access rules
   const { id } = req.params;
-  
-  // Check if user is a doctor
-  if (req.session.role !== 'doctor') {
-    return res.status(403).send(`
-      <h3>Access Denied</h3>
-      <p>Only doctors can access this page.</p>
-      <a href="/dashboard">Go to Dashboard</a>
-    `);
-  }
-
-  // Check if doctor is accessing their own dashboard
-  if (req.session.doctorId !== id) {
-    return res.status(403).send(`
-      <h3>Access Denied</h3>
-      <p>You can only access your own dashboard.</p>
-      <a href="/doctor/${req.session.doctorId}">Go to Your Dashboard</a>
-    `);
-  }
-
-  // Get doctor profile
-  const doctor = doctorProfiles[id];
-  if (!doctor) {
-    return res.status(404).send('<h3>Doctor not found</h3>');
-  }
 
   try {
+    // Get doctor profile - deactivated doctors can still work the cases they have
+    const doctor = await doctorDirectory.get(id, { includeInactive: true });
+    if (!doctor) {
+      return res.status(404).send('<h3>Doctor not found</h3>');
+    }
+
     // Get assessments for this doctor from MongoDB
     const assessments = await DoctorAssessment.find({ doctorId: id })
       .sort({ timestamp: -1 })
       .lean();
+
+    // Question texts for each questionnaire version the answers were given against
+    const questionLabels = {};
+    const versions = [...new Set(assessments.map(a => a.questionnaireVersion).filter(v => v != null))];
+    for (const version of versions) {
+      questionLabels[version] = await questionnaireManager.getQuestionLabels(version);
+    }
+
+    const outcomes = await OutcomeLabel.find({ assessmentId: { $in: assessments.map(a => a._id) } }).lean();
+    const outcomeByAssessment = new Map(outcomes.map(outcome => [String(outcome.assessmentId), outcome]));
+
+    // Image results that still have a retained eyelid photo
+    const withImages = await PatientResult.find({
+      _id: { $in: assessments.map(a => a.patientResultId).filter(Boolean) },
+      imageHash: { $ne: null }
+    }, { _id: 1 }).lean();
+    const imageResultIds = new Set(withImages.map(result => String(result._id)));
+    const unread = await assessmentMessages.unreadCounts(req.session);
+    const appointments = await Appointment.find({ assessmentId: { $in: assessments.map(a => a._id) }, status: 'booked' }).lean();
+    const appointmentByAssessment = new Map(appointments.map(appointment => [String(appointment.assessmentId), appointment]));
     
     // Generate HTML for doctor dashboard (same as original)
     let html = `
@@ -1469,7 +3897,7 @@ app.get('/doctor/:id', requireAuth, async (req, res) => {
       <html lang="en">
       <head>
         <meta charset="UTF-8">
-        <title>Doctor Dashboard - ${doctor.name}</title>
+        <title>Doctor Dashboard - ${escapeHtml(doctor.name)}</title>
         <style>
           body {
             font-family: 'Segoe UI', sans-serif;
@@ -1615,17 +4043,174 @@ app.get('/doctor/:id', requireAuth, async (req, res) => {
             font-style: italic;
             padding: 40px;
           }
+          .outcome-box {
+            margin-top: 15px;
+            padding: 12px;
+            background: #eef6ff;
+            border-radius: 8px;
+            font-size: 0.9em;
+          }
+          .outcome-form {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 10px;
+            align-items: center;
+            margin-top: 10px;
+          }
+          .outcome-form input, .outcome-form select {
+            padding: 6px 8px;
+            border: 1px solid #ccc;
+            border-radius: 6px;
+          }
+          .workflow-box {
+            margin-top: 15px;
+            padding: 12px;
+            background: #f5f5f5;
+            border-radius: 8px;
+            font-size: 0.9em;
+          }
+          .workflow-form {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+            gap: 10px;
+            margin-top: 10px;
+          }
+          .workflow-form textarea, .workflow-form input {
+            padding: 6px 8px;
+            border: 1px solid #ccc;
+            border-radius: 6px;
+            font-family: inherit;
+          }
+          .workflow-actions {
+            display: flex;
+            gap: 10px;
+            margin-top: 10px;
+          }
+          .workflow-actions button {
+            border: none;
+            padding: 7px 14px;
+            border-radius: 6px;
+            cursor: pointer;
+            color: white;
+            background: #1976d2;
+          }
+          .status-badge {
+            padding: 3px 10px;
+            border-radius: 12px;
+            font-weight: bold;
+            background: #fff3e0;
+            color: #f57c00;
+          }
+          .status-reviewed {
+            background: #e3f2fd;
+            color: #1976d2;
+          }
+          .status-completed {
+            background: #e8f5e8;
+            color: #2e7d32;
+          }
+          .history-trail {
+            margin: 8px 0 0 0;
+            padding-left: 20px;
+            color: #666;
+          }
+          .live-notifications {
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            z-index: 1000;
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+            max-width: 360px;
+          }
+          .live-notification {
+            background: #2e7d32;
+            color: white;
+            padding: 12px 16px;
+            border-radius: 8px;
+            box-shadow: 0 5px 15px rgba(0,0,0,0.2);
+          }
+          .live-notification.high-risk {
+            background: #d32f2f;
+          }
+          .live-notification a {
+            color: white;
+            font-weight: bold;
+          }
+          .messages-box {
+            margin-top: 15px;
+          }
+          .messages-toggle {
+            background: none;
+            border: 1px solid #1976d2;
+            color: #1976d2;
+            padding: 6px 12px;
+            border-radius: 6px;
+            cursor: pointer;
+          }
+          .unread-badge {
+            background: #d32f2f;
+            color: white;
+            border-radius: 10px;
+            padding: 1px 8px;
+            font-size: 0.85em;
+          }
+          .message-thread {
+            margin-top: 10px;
+            padding: 10px;
+            background: white;
+            border: 1px solid #e0e0e0;
+            border-radius: 8px;
+          }
+          .message {
+            margin-bottom: 8px;
+            padding: 8px 12px;
+            border-radius: 8px;
+            background: #f0f0f0;
+            max-width: 80%;
+          }
+          .message-own {
+            background: #e3f2fd;
+            margin-left: auto;
+          }
+          .message small {
+            display: block;
+            color: #888;
+          }
+          .message img {
+            max-width: 180px;
+            border-radius: 6px;
+            margin-top: 6px;
+          }
+          .outcome-form button {
+            background: #2e7d32;
+            color: white;
+            border: none;
+            padding: 7px 14px;
+            border-radius: 6px;
+            cursor: pointer;
+          }
         </style>
       </head>
       <body>
         <div class="container">
           <div class="header">
             <div class="doctor-info">
-              <img src="${doctor.photo}" alt="${doctor.name}">
+              <img src="${escapeHtml(doctor.photo)}" alt="${escapeHtml(doctor.name)}">
               <div class="doctor-details">
-                <h1>${doctor.name}</h1>
-                <p><strong>Specialty:</strong> ${doctor.specialty}</p>
-                <p><strong>Location:</strong> ${doctor.location}</p>
+                <h1>${escapeHtml(doctor.name)}</h1>
+                <p><strong>Specialty:</strong> ${escapeHtml(doctor.specialty)}</p>
+                <p><strong>Location:</strong> ${escapeHtml(doctor.location)}${doctor.facility ? ` - ${escapeHtml(doctor.facility)}` : ''}</p>
+                ${doctor.languages && doctor.languages.length ? `<p><strong>Languages:</strong> ${escapeHtml(doctor.languages.join(', '))}</p>` : ''}
+                ${doctor.active ? '' : '<p><strong>Profile inactive</strong> - no new assessments are routed to you</p>'}
+                <p>
+                  <strong>Availability:</strong>
+                  <select id="availabilityStatus" onchange="updateAvailability()">
+                    ${DoctorDirectory.AVAILABILITY_STATUSES.map(status => `<option value="${status}" ${(doctor.availability && doctor.availability.status) === status ? 'selected' : ''}>${status}</option>`).join('')}
+                  </select>
+                  <input type="text" id="availabilityNote" placeholder="Note for patients" value="${escapeHtml(doctor.availability && doctor.availability.note)}" onchange="updateAvailability()">
+                </p>
               </div>
             </div>
             <form action="/logout" method="POST" style="display: inline;">
@@ -1646,6 +4231,21 @@ app.get('/doctor/:id', requireAuth, async (req, res) => {
               <h3>${assessments.filter(a => a.riskLevel === 'High').length}</h3>
               <p>High Risk Cases</p>
             </div>
+            <div class="stat-card">
+              <h3>${unread.total}</h3>
+              <p>Unread Messages</p>
+            </div>
+          </div>
+
+          <h2>Appointment Slots</h2>
+          <div class="workflow-box">
+            <form class="workflow-form" onsubmit="return publishSlots(event)">
+              <label>Start<br><input type="datetime-local" name="startsAt" required></label>
+              <label>Minutes per slot<br><input type="number" name="durationMinutes" value="30" min="10" max="240"></label>
+              <label>Number of slots<br><input type="number" name="count" value="1" min="1" max="20"></label>
+              <div class="workflow-actions"><button type="submit">Publish Slots</button></div>
+            </form>
+            <div id="slotList" style="margin-top: 10px;">Loading slots...</div>
           </div>
 
           <h2>Patient Assessments</h2>
@@ -1657,32 +4257,137 @@ app.get('/doctor/:id', requireAuth, async (req, res) => {
       assessments.forEach((assessment, index) => {
         const date = new Date(assessment.timestamp).toLocaleString();
         const riskClass = assessment.riskLevel ? 
-          `risk-${assessment.riskLevel.toLowerCase()}` : 'risk-medium';
+          `risk-${escapeHtml(assessment.riskLevel.toLowerCase())}` : 'risk-medium';
+        const labels = questionLabels[assessment.questionnaireVersion] || {};
+        const outcome = outcomeByAssessment.get(String(assessment._id));
+        const appointment = appointmentByAssessment.get(String(assessment._id));
         
         html += `
           <div class="assessment-card">
             <div class="assessment-header">
               <div class="assessment-meta">
-                <strong>From:</strong> ${assessment.from} | 
+                <strong>From:</strong> ${escapeHtml(assessment.from)} | 
                 <strong>Received:</strong> ${date}
               </div>
               <div class="risk-badge ${riskClass}">
-                ${assessment.riskLevel || 'Medium'} Risk
+                ${escapeHtml(assessment.riskLevel || 'Medium')} Risk
               </div>
             </div>
             
-            <div><strong>Prediction:</strong> ${assessment.prediction || 'N/A'}</div>
+            ${appointment ? `
+              <div style="margin-bottom: 8px; color: #1976d2;">
+                <strong>📅 Follow-up appointment:</strong> ${new Date(appointment.startsAt).toLocaleString()}
+              </div>
+            ` : ''}
+            ${assessment.escalations && assessment.escalations.length ? `
+              <div style="margin-bottom: 8px; color: #c62828;">
+                <strong>⏫ Escalated</strong> - high-risk case left unclaimed by another doctor
+              </div>
+            ` : ''}
+            <div><strong>Prediction:</strong> ${assessment.predictionStatus === 'not_requested' ? 'Not requested (no recent eyelid image)'
+              : assessment.predictionStatus === 'unavailable' ? (assessment.predictionReason === ConfidenceMigration.UNVERIFIED_REASON ? 'Unavailable (legacy result could not be verified)' : 'Unavailable (no recent eyelid analysis)')
+              : escapeHtml(assessment.prediction || 'N/A')}</div>
+            ${assessment.predictionNeedsReview ? `
+              <div style="margin-top: 8px; color: #e67e22;">
+                <strong>⚠️ Uncertain AI result</strong> - predictions varied across image augmentations
+                ${assessment.predictionUncertainty ? `(std ${assessment.predictionUncertainty.std})` : ''}. Please review carefully.
+              </div>
+            ` : ''}
+            ${assessment.patientResultId && imageResultIds.has(String(assessment.patientResultId)) ? `
+              <div style="margin-top: 10px;">
+                <a href="/api/results/${assessment.patientResultId}/image" target="_blank">
+                  <img src="/api/results/${assessment.patientResultId}/image" alt="Eyelid image" style="max-width: 200px; border-radius: 8px; border: 1px solid #e0e0e0;">
+                </a>
+              </div>
+            ` : ''}
             
             ${assessment.symptoms ? `
               <div style="margin-top: 15px;">
                 <strong>Symptoms:</strong>
                 <div class="symptoms-grid">
                   ${Object.entries(assessment.symptoms).map(([symptom, value]) => 
-                    `<div class="symptom-item symptom-${value}">${symptom}: ${value}</div>`
+                    `<div class="symptom-item symptom-${escapeHtml(value)}" title="${escapeHtml(labels[symptom] || symptom)}">${escapeHtml(symptom)}: ${escapeHtml(value)}</div>`
                   ).join('')}
                 </div>
               </div>
             ` : ''}
+
+            <div class="workflow-box">
+              <strong>Status:</strong>
+              <span class="status-badge status-${assessment.status}">${assessment.status}</span>
+              ${assessment.claimedBy ? `<span style="color: #666;">- claimed by ${escapeHtml(assessment.claimedBy)}</span>` : ''}
+              ${assessment.status === 'completed' ? `
+                <div style="margin-top: 10px;">
+                  <div><strong>Diagnosis:</strong> ${escapeHtml(assessment.diagnosis)}</div>
+                  ${assessment.clinicalNotes ? `<div><strong>Notes:</strong> ${escapeHtml(assessment.clinicalNotes)}</div>` : ''}
+                  ${assessment.recommendedTests && assessment.recommendedTests.length ? `<div><strong>Recommended tests:</strong> ${assessment.recommendedTests.map(escapeHtml).join(', ')}</div>` : ''}
+                  ${assessment.followUpDate ? `<div><strong>Follow-up:</strong> ${new Date(assessment.followUpDate).toLocaleDateString()}</div>` : ''}
+                  ${assessment.patientMessage ? `<div><strong>Message to patient:</strong> ${escapeHtml(assessment.patientMessage)}</div>` : ''}
+                </div>
+              ` : !assessment.claimedBy ? `
+                <div class="workflow-actions">
+                  <button onclick="workflowAction('${assessment._id}', 'claim')">Claim case</button>
+                </div>
+              ` : assessment.claimedBy === req.session.username ? `
+                <form class="workflow-form" id="workflow-${assessment._id}" onsubmit="return false">
+                  <textarea name="clinicalNotes" rows="3" placeholder="Clinical notes (not shown to the patient)">${escapeHtml(assessment.clinicalNotes)}</textarea>
+                  <textarea name="patientMessage" rows="3" placeholder="Message to the patient">${escapeHtml(assessment.patientMessage)}</textarea>
+                  <input type="text" name="diagnosis" placeholder="Working diagnosis" value="${escapeHtml(assessment.diagnosis)}">
+                  <input type="text" name="recommendedTests" placeholder="Recommended tests, comma-separated" value="${escapeHtml((assessment.recommendedTests || []).join(', '))}">
+                  <input type="date" name="followUpDate" title="Follow-up date" value="${assessment.followUpDate ? new Date(assessment.followUpDate).toISOString().slice(0, 10) : ''}">
+                </form>
+                <div class="workflow-actions">
+                  <button onclick="workflowAction('${assessment._id}', 'update')">Save notes</button>
+                  ${assessment.status === 'pending' ? `<button onclick="workflowAction('${assessment._id}', 'review')">Mark reviewed</button>` : ''}
+                  <button style="background: #2e7d32;" onclick="workflowAction('${assessment._id}', 'complete')">Complete</button>
+                </div>
+              ` : ''}
+              ${assessment.history && assessment.history.length ? `
+                <ul class="history-trail">
+                  ${assessment.history.map(entry => `
+                    <li>${new Date(entry.at).toLocaleString()} - ${escapeHtml(entry.by)}: ${entry.action}${entry.from && entry.from !== entry.to ? ` (${entry.from} → ${entry.to})` : ''}${entry.changes && entry.changes.length ? ` [${entry.changes.join(', ')}]` : ''}</li>
+                  `).join('')}
+                </ul>
+              ` : ''}
+            </div>
+
+            <div style="margin-top: 10px;">
+              <a href="/api/reports/assessment/${assessment._id}">📄 Download PDF report</a>
+            </div>
+
+            <div class="messages-box">
+              <button class="messages-toggle" onclick="toggleMessages('${assessment._id}')">
+                💬 Messages${unread.byAssessment[String(assessment._id)] ? ` <span class="unread-badge">${unread.byAssessment[String(assessment._id)]} unread</span>` : ''}
+              </button>
+              <div class="message-thread" id="messages-${assessment._id}" style="display: none;"></div>
+            </div>
+
+            <div class="outcome-box">
+              <strong>🧪 Lab outcome:</strong>
+              ${outcome ? `
+                Hb ${outcome.hbLevel !== null ? `${outcome.hbLevel} g/dL` : 'not recorded'} |
+                Anemia: ${outcome.anemiaStatus || 'unknown'}${outcome.anemiaStatusSource === 'doctor' ? ' (set by doctor)' : ''} |
+                RDT: ${outcome.rdtResult || 'not done'} | Smear: ${outcome.smearResult || 'not done'}
+                <span style="color: #666;">(recorded by ${escapeHtml(outcome.labeledBy)}, ${new Date(outcome.updatedAt).toLocaleString()})</span>
+              ` : 'not recorded yet'}
+              <form class="outcome-form" data-assessment-id="${assessment._id}" onsubmit="return submitOutcome(event)">
+                <input type="number" name="hbLevel" step="0.1" min="1" max="25" placeholder="Hb (g/dL)" value="${outcome && outcome.hbLevel !== null ? outcome.hbLevel : ''}">
+                <select name="rdtResult">
+                  <option value="">RDT: not done</option>
+                  ${ModelEvaluator.RDT_RESULTS.map(value => `<option value="${value}" ${outcome && outcome.rdtResult === value ? 'selected' : ''}>RDT: ${value}</option>`).join('')}
+                </select>
+                <select name="smearResult">
+                  <option value="">Smear: not done</option>
+                  ${ModelEvaluator.SMEAR_RESULTS.map(value => `<option value="${value}" ${outcome && outcome.smearResult === value ? 'selected' : ''}>Smear: ${value}</option>`).join('')}
+                </select>
+                <select name="anemiaStatus" title="Leave on 'from Hb' unless the Hb cut-off does not apply to this patient">
+                  <option value="">Anemia: from Hb</option>
+                  ${ModelManager.PREDICTION_LABELS.map(value => `<option value="${value}" ${outcome && outcome.anemiaStatusSource === 'doctor' && outcome.anemiaStatus === value ? 'selected' : ''}>Anemia: ${value}</option>`).join('')}
+                </select>
+                <input type="text" name="notes" maxlength="1000" placeholder="Notes" value="${outcome ? escapeHtml(outcome.notes) : ''}">
+                <button type="submit">${outcome ? 'Update outcome' : 'Record outcome'}</button>
+              </form>
+            </div>
           </div>
         `;
       });
@@ -1690,6 +4395,278 @@ app.get('/doctor/:id', requireAuth, async (req, res) => {
 
     html += `
         </div>
+        <div class="live-notifications" id="liveNotifications"></div>
+        <script>
+          function escapeHtml(value) {
+            const div = document.createElement('div');
+            div.textContent = value == null ? '' : String(value);
+            return div.innerHTML;
+          }
+
+          function showNotification(html, highRisk) {
+            const item = document.createElement('div');
+            item.className = 'live-notification' + (highRisk ? ' high-risk' : '');
+            item.innerHTML = html + ' <a href="javascript:window.location.reload()">Refresh</a>';
+            document.getElementById('liveNotifications').appendChild(item);
+            if (!highRisk) setTimeout(() => item.remove(), 15000);
+          }
+
+          // Live updates - EventSource reconnects on its own if the connection drops
+          const events = new EventSource('/api/events');
+          events.addEventListener('assessment.created', (event) => {
+            const data = JSON.parse(event.data);
+            // High-risk cases get their own, sticky notification
+            if (data.riskLevel !== 'High') {
+              showNotification('📋 New assessment from ' + escapeHtml(data.from) + ' (' + escapeHtml(data.riskLevel) + ' risk)');
+            }
+          });
+          events.addEventListener('assessment.high_risk', (event) => {
+            const data = JSON.parse(event.data);
+            showNotification((data.escalated ? '⏫ Escalated high-risk case from ' : '🚨 High-risk case from ') + escapeHtml(data.from), true);
+          });
+          events.addEventListener('assessment.escalated', (event) => {
+            const data = JSON.parse(event.data);
+            showNotification('⏫ Unclaimed high-risk case from ' + escapeHtml(data.from) + ' was moved to another doctor');
+          });
+          events.addEventListener('assessment.status', (event) => {
+            const data = JSON.parse(event.data);
+            if (data.by !== ${JSON.stringify(req.session.username)}) {
+              showNotification('🔄 Assessment ' + escapeHtml(data.action) + ' by ' + escapeHtml(data.by) + ' (now ' + escapeHtml(data.status) + ')');
+            }
+          });
+          ['appointment.booked', 'appointment.rescheduled', 'appointment.cancelled'].forEach(type => {
+            events.addEventListener(type, (event) => {
+              const data = JSON.parse(event.data);
+              showNotification('📅 Appointment ' + type.split('.')[1] + ' by ' + escapeHtml(data.by) + ' for ' + new Date(data.startsAt).toLocaleString());
+              loadSlots();
+            });
+          });
+          events.addEventListener('message.new', (event) => {
+            const data = JSON.parse(event.data);
+            const thread = document.getElementById('messages-' + data.assessmentId);
+            if (thread && thread.style.display !== 'none') {
+              loadMessages(data.assessmentId);
+            } else {
+              showNotification('💬 New message from a patient');
+            }
+          });
+
+          async function loadMessages(assessmentId) {
+            const container = document.getElementById('messages-' + assessmentId);
+            try {
+              const response = await fetch('/api/assessments/' + assessmentId + '/messages');
+              const data = await response.json();
+              if (!response.ok) throw new Error(data.error || 'Failed to load messages');
+
+              const messages = data.messages.map(message =>
+                '<div class="message' + (message.senderRole === 'doctor' ? ' message-own' : '') + '">' +
+                  (message.body ? escapeHtml(message.body) : '') +
+                  (message.attachment
+                    ? '<a href="/api/assessments/' + assessmentId + '/messages/' + message._id + '/attachment" target="_blank">' +
+                      '<img src="/api/assessments/' + assessmentId + '/messages/' + message._id + '/attachment" alt="Attached photo"></a>'
+                    : '') +
+                  '<small>' + escapeHtml(message.senderUsername) + ' - ' + new Date(message.createdAt).toLocaleString() + '</small>' +
+                '</div>'
+              ).join('');
+
+              container.innerHTML = (messages || '<p style="color: #666;">No messages yet.</p>') +
+                '<form onsubmit="return sendMessage(event, \\'' + assessmentId + '\\')" style="display: flex; gap: 8px; margin-top: 10px;">' +
+                  '<input type="text" name="body" maxlength="2000" placeholder="Ask the patient a question..." style="flex: 1; padding: 6px 8px; border: 1px solid #ccc; border-radius: 6px;">' +
+                  '<button type="submit" class="messages-toggle">Send</button>' +
+                '</form>';
+            } catch (error) {
+              container.innerHTML = '<p style="color: #d32f2f;">' + escapeHtml(error.message) + '</p>';
+            }
+          }
+
+          function toggleMessages(assessmentId) {
+            const container = document.getElementById('messages-' + assessmentId);
+            const opening = container.style.display === 'none';
+            container.style.display = opening ? 'block' : 'none';
+            if (opening) loadMessages(assessmentId);
+          }
+
+          async function sendMessage(event, assessmentId) {
+            event.preventDefault();
+            const input = event.target.elements.body;
+            if (!input.value.trim()) return false;
+
+            const formData = new FormData();
+            formData.append('body', input.value);
+            try {
+              const response = await fetch('/api/assessments/' + assessmentId + '/messages', { method: 'POST', body: formData });
+              const data = await response.json();
+              if (!response.ok) throw new Error(data.error || 'Failed to send message');
+              loadMessages(assessmentId);
+            } catch (error) {
+              alert(error.message);
+            }
+            return false;
+          }
+
+          async function workflowAction(assessmentId, action) {
+            const body = {};
+            const form = document.getElementById('workflow-' + assessmentId);
+            if (form) {
+              new FormData(form).forEach((value, key) => { body[key] = value; });
+            }
+
+            try {
+              const response = await fetch('/api/doctor/assessments/' + assessmentId + '/' + action, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+              });
+              const data = await response.json();
+              if (!response.ok) {
+                alert(data.error || 'Failed to update assessment');
+                return;
+              }
+              window.location.reload();
+            } catch (error) {
+              alert('Failed to update assessment: ' + error.message);
+            }
+          }
+
+          function formatSlotTime(slot) {
+            return new Date(slot.startsAt).toLocaleString() + ' - ' + new Date(slot.endsAt).toLocaleTimeString();
+          }
+
+          async function loadSlots() {
+            const list = document.getElementById('slotList');
+            try {
+              const response = await fetch('/api/doctor/slots');
+              const slots = await response.json();
+              if (!response.ok) throw new Error(slots.error || 'Failed to load slots');
+              if (slots.length === 0) {
+                list.innerHTML = '<em>No upcoming slots published.</em>';
+                return;
+              }
+
+              const free = slots.filter(slot => !slot.appointment);
+              list.innerHTML = '<ul class="history-trail">' + slots.map(slot => {
+                if (!slot.appointment) {
+                  return '<li>' + formatSlotTime(slot) + ' - free ' +
+                    '<button type="button" onclick="withdrawSlot(\\'' + slot._id + '\\')">Withdraw</button></li>';
+                }
+                const options = free.map(other => '<option value="' + other._id + '">' + formatSlotTime(other) + '</option>').join('');
+                return '<li><strong>' + formatSlotTime(slot) + '</strong> - booked by ' + escapeHtml(slot.appointment.patientUsername) +
+                  (options ? ' <select id="move-' + slot.appointment._id + '">' + options + '</select>' +
+                    ' <button type="button" onclick="appointmentAction(\\'' + slot.appointment._id + '\\', \\'reschedule\\')">Move</button>' : '') +
+                  ' <button type="button" onclick="appointmentAction(\\'' + slot.appointment._id + '\\', \\'cancel\\')">Cancel</button></li>';
+              }).join('') + '</ul>';
+            } catch (error) {
+              list.textContent = error.message;
+            }
+          }
+
+          async function publishSlots(event) {
+            event.preventDefault();
+            const form = event.target;
+            const body = {
+              startsAt: new Date(form.startsAt.value).toISOString(),
+              durationMinutes: Number(form.durationMinutes.value),
+              count: Number(form.count.value)
+            };
+
+            try {
+              const response = await fetch('/api/doctor/slots', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+              });
+              const data = await response.json();
+              if (!response.ok) {
+                alert(data.error || 'Failed to publish slots');
+                return false;
+              }
+              form.reset();
+              loadSlots();
+            } catch (error) {
+              alert('Failed to publish slots: ' + error.message);
+            }
+            return false;
+          }
+
+          async function withdrawSlot(slotId) {
+            try {
+              const response = await fetch('/api/doctor/slots/' + slotId, { method: 'DELETE' });
+              const data = await response.json();
+              if (!response.ok) alert(data.error || 'Failed to withdraw slot');
+              loadSlots();
+            } catch (error) {
+              alert('Failed to withdraw slot: ' + error.message);
+            }
+          }
+
+          async function appointmentAction(appointmentId, action) {
+            const body = {};
+            if (action === 'reschedule') {
+              body.slotId = document.getElementById('move-' + appointmentId).value;
+            } else {
+              const reason = prompt('Reason for cancelling (shown to the patient):');
+              if (reason === null) return;
+              body.reason = reason;
+            }
+
+            try {
+              const response = await fetch('/api/appointments/' + appointmentId + '/' + action, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+              });
+              const data = await response.json();
+              if (!response.ok) {
+                alert(data.error || 'Failed to update appointment');
+                return;
+              }
+              window.location.reload();
+            } catch (error) {
+              alert('Failed to update appointment: ' + error.message);
+            }
+          }
+
+          async function updateAvailability() {
+            try {
+              const response = await fetch('/api/doctor/availability', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                  status: document.getElementById('availabilityStatus').value,
+                  note: document.getElementById('availabilityNote').value
+                })
+              });
+              const data = await response.json();
+              if (!response.ok) alert(data.error || 'Failed to update availability');
+            } catch (error) {
+              alert('Failed to update availability: ' + error.message);
+            }
+          }
+
+          async function submitOutcome(event) {
+            event.preventDefault();
+            const form = event.target;
+            const body = { assessmentId: form.dataset.assessmentId };
+            new FormData(form).forEach((value, key) => { body[key] = value; });
+
+            try {
+              const response = await fetch('/api/doctor/outcomes', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+              });
+              const data = await response.json();
+              if (!response.ok) {
+                alert((data.error || 'Failed to record outcome') + (data.details ? '\\n' + data.details.join('\\n') : ''));
+                return false;
+              }
+              window.location.reload();
+            } catch (error) {
+              alert('Failed to record outcome: ' + error.message);
+            }
+            return false;
+          }
+        </script>
       </body>
       </html>
     `;
@@ -1703,6 +4680,7 @@ app.get('/doctor/:id', requireAuth, async (req, res) => {
 
 // Logout route
 app.post('/logout', (req, res) => {
+  notificationHub.disconnectSession(req.sessionID);
   req.session.destroy((err) => {
     if (err) {
       console.error('Error destroying session:', err);
@@ -1748,30 +4726,35 @@ async function startServer() {
     await createDefaultAdmin();
     await createDefaultDoctors();
     console.log('✅ Default accounts setup completed');
+
+    await questionnaireManager.ensureDefault();
     
     // Initialize ModelManager
     const modelStatus = await modelManager.initialize();
     console.log('📊 ModelManager Status:', modelStatus);
+
+    // Needs the model registry for each record's calibration, so runs after initialize()
+    await confidenceMigration.run();
+
+    // Re-score anything queued while the model was unavailable, then keep checking
+    drainRescoreQueue();
+    rescoreQueue.start();
+
+    // Move unclaimed high-risk cases to another doctor once they wait past the escalation time
+    assessmentRouter.start();
+
+    // Drop images past their retention period now and once a day from here on
+    imageStore.purgeExpired().catch(error => console.error('❌ Image retention purge failed:', error));
+    imageStore.start();
     
     // Start server
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📱 Medical Screening System is ready!`);
       console.log(`🌐 Access the application at: http://localhost:${PORT}`);
-      console.log(`🤖 Model Status: ${modelStatus.isLoaded ? 'Loaded' : 'Using Default Predictions'}`);
-      console.log('');
-      console.log('🔐 Default Login Credentials:');
-      console.log('   Admin: admin / admin123');
-      console.log('   Doctor 1: doctor1 / doctor1');
-      console.log('   Doctor 2: doctor2 / doctor2');  
-      console.log('   Doctor 3: doctor3 / doctor3');
+      console.log(`🤖 Model Status: ${modelStatus.isLoaded ? 'Loaded' : 'Unavailable - predictions will be queued'}`);
       console.log('');
-      console.log('🔍 Debug Routes Available:');
-      console.log('   GET  /debug/users - List all users');
-      console.log('   GET  /debug/user/:username - Check specific user');
-      console.log('   GET  /debug/password/:username - Test password for user');
-      console.log('   POST /debug/recreate-doctor/:username - Recreate doctor with fresh password');
-      console.log('   GET  /api/test-doctor-data/:doctorId - Test doctor dashboard data');
+      console.log(`🔍 Admin diagnostics: ${diagnosticsEnabled() ? 'enabled at /api/admin/diagnostics/accounts' : 'disabled (set ADMIN_DIAGNOSTICS_ENABLED=true)'}`);
       console.log('');
     });
     
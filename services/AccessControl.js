@@ -0,0 +1,204 @@
+// services/AccessControl.js - Named permissions, the roles that hold them, and the one middleware
+// that checks every request against the route access rules
+
+/*
+ * Permissions. Suffixes scope what a permission reaches:
+ *   :own        records the account itself created (a patient's results and assessments)
+ *   :screened   results the account took for other patients
+ *   :assigned   cases assigned to the doctor profile linked to the account
+ *   :all        every record
+ * Routes that serve single records still check the record against the scope the session holds.
+ */
+const PERMISSIONS = [
+    'questionnaire:read',
+    'doctors:read',
+    'risk:score',
+    'results:create',
+    'results:create:batch',
+    'results:read:own',
+    'results:read:screened',
+    'results:read:assigned',
+    'results:read:all',
+    'results:claim',
+    'assessment:create',
+    'assessment:read:own',
+    'assessment:read:assigned',
+    'assessment:read:all',
+    'assessment:review',
+    'assessment:message',
+    'appointments:book',
+    'appointments:slots',
+    'outcomes:record',
+    'doctor:availability',
+    'dashboard:admin',
+    'users:manage',
+    'doctors:manage',
+    'models:manage',
+    'questionnaires:manage',
+    'routing:manage',
+    'audit:read',
+    'diagnostics:run'
+];
+
+// A new role is one more entry here (and in the user schema's role enum)
+const ROLE_PERMISSIONS = {
+    // Patients
+    user: [
+        'questionnaire:read', 'doctors:read', 'risk:score',
+        'results:create', 'results:read:own', 'results:claim',
+        'assessment:create', 'assessment:read:own', 'assessment:message',
+        'appointments:book'
+    ],
+    // Nurses and community health workers screening patients in the field
+    health_worker: [
+        'questionnaire:read', 'doctors:read', 'risk:score',
+        'results:create', 'results:create:batch', 'results:read:own', 'results:read:screened'
+    ],
+    doctor: [
+        'questionnaire:read', 'doctors:read', 'risk:score',
+        'results:create', 'results:create:batch', 'results:read:screened', 'results:read:assigned',
+        'assessment:read:assigned', 'assessment:review', 'assessment:message',
+        'appointments:slots', 'outcomes:record', 'doctor:availability'
+    ],
+    admin: PERMISSIONS
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+class AccessControl {
+    /**
+     * `rules` are [method, path, access] checked in order, first match wins.
+     *   method  'GET', 'POST', ... or '*'
+     *   path    Express-style, ':name' matches one segment and a trailing '/*' the rest of the path
+     *   access  'public', 'authenticated', a permission, or a list of permissions any of which grants access.
+     *           A permission can be { permission, when(req, params) } to hold only for the session's own records.
+     */
+    constructor(rules = [], rolePermissions = ROLE_PERMISSIONS) {
+        this.rolePermissions = Object.fromEntries(
+            Object.entries(rolePermissions).map(([role, permissions]) => [role, new Set(permissions)]));
+        this.rules = rules.map(rule => this.compile(rule));
+    }
+
+    compile([method, path, access]) {
+        const names = [];
+        const pattern = path.replace(/\/$/, '').split('/').map(segment => {
+            if (segment === '*') return '(?:/.+)';
+            if (segment.startsWith(':')) {
+                names.push(segment.slice(1));
+                return '/([^/]+)';
+            }
+            return '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).slice(1).join('');
+
+        for (const permission of [].concat(access)) {
+            const name = typeof permission === 'string' ? permission : permission.permission;
+            if (!['public', 'authenticated'].includes(name) && !PERMISSIONS.includes(name)) {
+                throw new Error(`Unknown permission "${name}" in access rule for ${method} ${path}`);
+            }
+        }
+
+        return {
+            method: method.toUpperCase(),
+            path,
+            regex: new RegExp(`^${pattern || '/'}/?$`, 'i'),
+            names,
+            access: [].concat(access)
+        };
+    }
+
+    permissionsFor(role) {
+        return [...(this.rolePermissions[role] || [])];
+    }
+
+    can(session, permission) {
+        if (!session || !session.loggedIn) return false;
+        const permissions = this.rolePermissions[session.role];
+        return !!permissions && permissions.has(permission);
+    }
+
+    canAny(session, permissions) {
+        return permissions.some(permission => this.can(session, permission));
+    }
+
+    // The first rule for the request, with its path parameters, or null when no rule covers it
+    match(method, path) {
+        const requestMethod = method.toUpperCase() === 'HEAD' ? 'GET' : method.toUpperCase();
+
+        for (const rule of this.rules) {
+            if (rule.method !== '*' && rule.method !== requestMethod) continue;
+            const found = rule.regex.exec(path);
+            if (!found) continue;
+
+            const params = {};
+            rule.names.forEach((name, i) => {
+                try {
+                    params[name] = decodeURIComponent(found[i + 1]);
+                } catch (error) {
+                    params[name] = found[i + 1];
+                }
+            });
+            return { rule, params };
+        }
+        return null;
+    }
+
+    /**
+     * 'allowed', 'unauthenticated' or 'forbidden' for a request under a matched rule.
+     */
+    decide(req, rule, params) {
+        if (rule.access.includes('public')) return 'allowed';
+        if (!req.session || !req.session.loggedIn) return 'unauthenticated';
+        if (rule.access.includes('authenticated')) return 'allowed';
+
+        const granted = rule.access.some(entry => {
+            if (typeof entry === 'string') return this.can(req.session, entry);
+            return this.can(req.session, entry.permission) && !!entry.when(req, params);
+        });
+        return granted ? 'allowed' : 'forbidden';
+    }
+
+    // API callers get JSON; pages get a redirect to the login page or an access denied page
+    wantsJson(req) {
+        return req.path.toLowerCase().startsWith('/api/') || req.xhr ||
+            (req.get('accept') || '').includes('application/json');
+    }
+
+    /**
+     * Checks every request against the rules. Requests no rule covers are refused,
+     * so a route added without an access rule fails closed instead of open.
+     */
+    middleware() {
+        return (req, res, next) => {
+            const found = this.match(req.method, req.path);
+            if (!found) {
+                console.warn(`⚠️ No access rule for ${req.method} ${req.path} - refused`);
+                return this.wantsJson(req)
+                    ? res.status(404).json({ error: 'Not found' })
+                    : res.status(404).send('<h3>Not found</h3>');
+            }
+
+            const decision = this.decide(req, found.rule, found.params);
+            if (decision === 'allowed') return next();
+
+            if (decision === 'unauthenticated') {
+                return this.wantsJson(req)
+                    ? res.status(401).json({ error: 'Not logged in' })
+                    : res.redirect('/login');
+            }
+
+            return this.wantsJson(req)
+                ? res.status(403).json({ error: 'Access denied' })
+                : res.status(403).send(`
+                    <h3>Access Denied</h3>
+                    <p>You don't have permission to access this page.</p>
+                    <a href="/dashboard">Go to Dashboard</a>
+                `);
+        };
+    }
+}
+
+AccessControl.PERMISSIONS = PERMISSIONS;
+AccessControl.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+AccessControl.ROLES = ROLES;
+
+module.exports = AccessControl;
@@ -0,0 +1,110 @@
+// services/AccessRules.js - The access rule for every route the server registers, checked by AccessControl.
+// A route without a rule here is refused; routes serving single records still check the record against
+// the session (see services/RecordAccess.js).
+
+// Holds only when the doctor id the request names is the doctor profile linked to the session
+const ownDoctorProfile = (getDoctorId) => (req, params) =>
+    !!req.session.doctorId && getDoctorId(req, params) === req.session.doctorId;
+
+const ACCESS_RULES = [
+    // Public pages, login and report verification
+    ['GET', '/', 'public'],
+    ['*', '/login', 'public'],
+    ['*', '/signup', 'public'],
+    ['GET', '/verify-email', 'public'],
+    ['POST', '/resend-verification', 'public'],
+    ['*', '/accept-invite', 'public'],
+    ['GET', '/api/invitation', 'public'],
+    ['*', '/forgot-password', 'public'],
+    ['*', '/reset-password', 'public'],
+    ['GET', '/api/password-policy', 'public'],
+    ['POST', '/logout', 'public'],
+    ['GET', '/health', 'public'],
+    ['GET', '/api/model-status', 'public'],
+    ['GET', '/verify', 'public'],
+    ['GET', '/verify/:code', 'public'],
+    ['GET', '/api/verify/:code', 'public'],
+
+    // Any signed-in account
+    ['GET', '/dashboard', 'authenticated'],
+    ['GET', '/api/current-user', 'authenticated'],
+    ['GET', '/change-password', 'authenticated'],
+    ['POST', '/api/change-password', 'authenticated'],
+    ['*', '/api/image-consent', 'authenticated'],
+    ['GET', '/api/events', 'authenticated'],
+
+    // Admin
+    ['GET', '/admin', 'dashboard:admin'],
+    ['GET', '/api/admin/dashboard-data', 'dashboard:admin'],
+    ['GET', '/api/admin/patient-results', 'results:read:all'],
+    ['GET', '/api/admin/doctor-assessments', 'assessment:read:all'],
+    ['*', '/api/admin/doctors', 'doctors:manage'],
+    ['*', '/api/admin/doctors/:doctorId', 'doctors:manage'],
+    ['*', '/api/admin/users', 'users:manage'],
+    ['*', '/api/admin/users/*', 'users:manage'],
+    ['POST', '/api/users', 'users:manage'],
+    ['*', '/api/admin/invitations', 'users:manage'],
+    ['DELETE', '/api/admin/invitations/:id', 'users:manage'],
+    ['GET', '/api/admin/logs', 'audit:read'],
+    ['GET', '/api/admin/login-attempts', 'audit:read'],
+    ['GET', '/api/admin/diagnostics/*', 'diagnostics:run'],
+    ['*', '/api/admin/models', 'models:manage'],
+    ['*', '/api/admin/models/*', 'models:manage'],
+    ['GET', '/api/admin/evaluation', 'models:manage'],
+    ['*', '/api/admin/rescore-queue', 'models:manage'],
+    ['*', '/api/admin/rescore-queue/*', 'models:manage'],
+    ['GET', '/api/admin/routing/preview', 'routing:manage'],
+    ['POST', '/api/admin/escalations/process', 'routing:manage'],
+    ['*', '/api/admin/questionnaires', 'questionnaires:manage'],
+    ['*', '/api/admin/questionnaires/*', 'questionnaires:manage'],
+
+    // Screening
+    ['GET', '/api/questionnaire', 'questionnaire:read'],
+    ['GET', '/api/questionnaire/:version', 'questionnaire:read'],
+    ['GET', '/symptoms', 'questionnaire:read'],
+    ['POST', '/api/risk-assessment', 'risk:score'],
+    ['POST', '/predict', 'results:create'],
+    ['POST', '/predict/batch', 'results:create:batch'],
+    ['GET', '/history', 'results:read:own'],
+    ['GET', '/api/patient-history', 'results:read:own'],
+    ['GET', '/api/patient-stats', 'results:read:own'],
+    ['POST', '/api/results/claim', 'results:claim'],
+    ['GET', '/api/results/:id/image', ['results:read:own', 'results:read:screened', 'results:read:assigned', 'results:read:all']],
+    ['GET', '/api/reports/:kind/:id', [
+        'results:read:own', 'results:read:screened', 'results:read:assigned', 'results:read:all',
+        'assessment:read:own', 'assessment:read:assigned', 'assessment:read:all'
+    ]],
+
+    // Assessments sent to doctors
+    ['GET', '/api/doctors', 'doctors:read'],
+    ['GET', '/send-assessment', 'assessment:create'],
+    ['POST', '/api/sendToDoctor', 'assessment:create'],
+    ['GET', '/api/my-assessments', 'assessment:read:own'],
+    ['GET', '/doctor/:id', [
+        { permission: 'assessment:read:assigned', when: ownDoctorProfile((req, params) => params.id) }
+    ]],
+    ['GET', '/api/getDoctorAssessments', [
+        'assessment:read:all',
+        { permission: 'assessment:read:assigned', when: ownDoctorProfile(req => req.query.doctorId) }
+    ]],
+    ['GET', '/api/test-doctor-data/:doctorId', [
+        'assessment:read:all',
+        { permission: 'assessment:read:assigned', when: ownDoctorProfile((req, params) => params.doctorId) }
+    ]],
+    ['POST', '/api/doctor/assessments/:id/:action', 'assessment:review'],
+    ['POST', '/api/doctor/availability', 'doctor:availability'],
+    ['POST', '/api/doctor/outcomes', 'outcomes:record'],
+    ['GET', '/api/messages/unread', 'assessment:message'],
+    ['*', '/api/assessments/:id/messages', 'assessment:message'],
+    ['GET', '/api/assessments/:id/messages/:messageId/attachment', 'assessment:message'],
+
+    // Appointments
+    ['*', '/api/doctor/slots', 'appointments:slots'],
+    ['DELETE', '/api/doctor/slots/:id', 'appointments:slots'],
+    ['GET', '/api/assessments/:id/slots', 'appointments:book'],
+    ['POST', '/api/assessments/:id/appointments', 'appointments:book'],
+    ['GET', '/api/appointments', ['appointments:book', 'appointments:slots']],
+    ['POST', '/api/appointments/:id/:action', ['appointments:book', 'appointments:slots']]
+];
+
+module.exports = ACCESS_RULES;
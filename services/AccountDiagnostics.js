@@ -0,0 +1,141 @@
+// services/AccountDiagnostics.js - Account health checks for admins: inactive accounts, doctor accounts
+// and profiles that are not linked up, and staff still on a default password. Never returns hashes or passwords.
+const bcrypt = require('bcrypt');
+
+// Passwords the seeded accounts were created with; the account's own username is always tried too
+const DEFAULT_PASSWORDS = ['admin123'];
+
+// Patients choose their own password at signup - only accounts that can be created with a default are checked
+const DEFAULT_PASSWORD_ROLES = ['admin', 'doctor', 'health_worker'];
+
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+class AccountDiagnostics {
+    constructor(UserModel, DoctorModel) {
+        this.User = UserModel;
+        this.Doctor = DoctorModel;
+    }
+
+    // What a check may show about an account
+    describe(user) {
+        return {
+            username: user.username,
+            full_name: user.full_name || null,
+            role: user.role,
+            is_active: user.is_active,
+            doctorId: user.doctorId || null
+        };
+    }
+
+    hasValidHash(user) {
+        return typeof user.password === 'string' && BCRYPT_HASH.test(user.password);
+    }
+
+    async usesDefaultPassword(user) {
+        if (!this.hasValidHash(user)) return false;
+
+        for (const candidate of [user.username, ...DEFAULT_PASSWORDS]) {
+            if (await bcrypt.compare(candidate, user.password)) return true;
+        }
+        return false;
+    }
+
+    async inactiveAccounts() {
+        const users = await this.User.find({ is_active: false }, { password: 0 }).sort({ username: 1 }).lean();
+        return users.map(user => this.describe(user));
+    }
+
+    /**
+     * Doctor accounts with no profile (or a profile linked to someone else), and
+     * profiles whose linked account no longer exists.
+     */
+    async doctorLinks() {
+        const doctors = await this.User.find({ role: 'doctor' }, { password: 0 }).lean();
+        const profiles = await this.Doctor.find({}, { doctorId: 1, name: 1, username: 1, active: 1 }).lean();
+        const profileById = new Map(profiles.map(profile => [profile.doctorId, profile]));
+        const usernames = new Set((await this.User.find({}, { username: 1 }).lean()).map(user => user.username));
+
+        const doctorsWithoutProfile = [];
+        for (const doctor of doctors) {
+            const profile = doctor.doctorId ? profileById.get(doctor.doctorId) : null;
+            let problem = null;
+            if (!doctor.doctorId) problem = 'No doctorId on the account';
+            else if (!profile) problem = `Doctor profile ${doctor.doctorId} does not exist`;
+            else if (profile.username !== doctor.username) problem = `Doctor profile ${doctor.doctorId} is linked to another account`;
+
+            if (problem) doctorsWithoutProfile.push({ ...this.describe(doctor), problem });
+        }
+
+        const profilesWithoutAccount = profiles
+            .filter(profile => profile.username && !usernames.has(profile.username))
+            .map(profile => ({ doctorId: profile.doctorId, name: profile.name, username: profile.username, active: profile.active }));
+
+        return { doctorsWithoutProfile, profilesWithoutAccount };
+    }
+
+    // Staff accounts whose password is still a default, plus accounts whose stored password is not a usable hash
+    async passwordProblems() {
+        const users = await this.User.find({ role: { $in: DEFAULT_PASSWORD_ROLES } }).sort({ username: 1 }).lean();
+        const defaultPasswords = [];
+        const invalidHashes = [];
+
+        for (const user of users) {
+            if (!this.hasValidHash(user)) {
+                invalidHashes.push(this.describe(user));
+            } else if (await this.usesDefaultPassword(user)) {
+                defaultPasswords.push(this.describe(user));
+            }
+        }
+        return { defaultPasswords, invalidHashes };
+    }
+
+    async accountsReport() {
+        const inactiveAccounts = await this.inactiveAccounts();
+        const links = await this.doctorLinks();
+        const passwords = await this.passwordProblems();
+
+        return {
+            generatedAt: new Date(),
+            inactiveAccounts,
+            ...links,
+            ...passwords,
+            summary: {
+                inactiveAccounts: inactiveAccounts.length,
+                doctorsWithoutProfile: links.doctorsWithoutProfile.length,
+                profilesWithoutAccount: links.profilesWithoutAccount.length,
+                defaultPasswords: passwords.defaultPasswords.length,
+                invalidHashes: passwords.invalidHashes.length
+            }
+        };
+    }
+
+    // Health of one account, or null when it does not exist
+    async account(username) {
+        const user = await this.User.findOne({ username }).lean();
+        if (!user) return null;
+
+        const profile = user.role === 'doctor' && user.doctorId
+            ? await this.Doctor.findOne({ doctorId: user.doctorId }, { doctorId: 1, name: 1, username: 1, active: 1 }).lean()
+            : null;
+
+        return {
+            ...this.describe(user),
+            created_at: user.created_at || null,
+            hasPassword: !!user.password,
+            passwordHashValid: this.hasValidHash(user),
+            usesDefaultPassword: DEFAULT_PASSWORD_ROLES.includes(user.role) ? await this.usesDefaultPassword(user) : null,
+            doctorProfile: user.role === 'doctor'
+                ? {
+                    exists: !!profile,
+                    linked: !!profile && profile.username === user.username,
+                    name: profile ? profile.name : null,
+                    active: profile ? profile.active : null
+                }
+                : null
+        };
+    }
+}
+
+AccountDiagnostics.DEFAULT_PASSWORD_ROLES = DEFAULT_PASSWORD_ROLES;
+
+module.exports = AccountDiagnostics;
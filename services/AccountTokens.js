@@ -0,0 +1,107 @@
+// services/AccountTokens.js - Single-use, expiring tokens sent by email (email verification, staff invitations,
+// password resets).
+// Only a hash of each token is stored, so the database never holds a usable link.
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long each kind of token stays valid
+const LIFETIMES = {
+    verify_email: 48 * HOUR_MS,
+    invitation: 7 * 24 * HOUR_MS,
+    password_reset: HOUR_MS
+};
+
+const PURPOSES = Object.keys(LIFETIMES);
+
+class AccountTokens {
+    constructor(AccountTokenModel, options = {}) {
+        this.AccountToken = AccountTokenModel;
+        this.lifetimes = { ...LIFETIMES, ...(options.lifetimes || {}) };
+    }
+
+    hash(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    /**
+     * Issue a token for `purpose`. Earlier unused tokens of the same purpose for the same
+     * email are revoked, so only the latest link works. Returns { token, record } - the raw
+     * token only exists in the return value and the email it is sent in.
+     */
+    async issue(purpose, { email, username = null, data = {}, createdBy = null }) {
+        if (!PURPOSES.includes(purpose)) {
+            throw new Error(`Unknown token purpose "${purpose}"`);
+        }
+
+        const now = new Date();
+        await this.AccountToken.updateMany(
+            { purpose, email, usedAt: null, revokedAt: null },
+            { revokedAt: now }
+        );
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const record = await this.AccountToken.create({
+            purpose,
+            tokenHash: this.hash(token),
+            email,
+            username,
+            data,
+            createdBy,
+            expiresAt: new Date(now.getTime() + this.lifetimes[purpose])
+        });
+
+        return { token, record: record.toObject() };
+    }
+
+    activeQuery(purpose, token) {
+        return {
+            purpose,
+            tokenHash: this.hash(token),
+            usedAt: null,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        };
+    }
+
+    // The token's record while it can still be used, without using it up
+    async peek(purpose, token) {
+        if (typeof token !== 'string' || !token) return null;
+        return this.AccountToken.findOne(this.activeQuery(purpose, token)).lean();
+    }
+
+    // Use a token up. The update only matches an unused, unexpired token, so a link works exactly once.
+    async consume(purpose, token) {
+        if (typeof token !== 'string' || !token) return null;
+        return this.AccountToken.findOneAndUpdate(
+            this.activeQuery(purpose, token),
+            { usedAt: new Date() },
+            { new: true }
+        ).lean();
+    }
+
+    // Put a consumed token back when what it was used for failed, so the link can be tried again
+    async release(record) {
+        await this.AccountToken.updateOne({ _id: record._id, revokedAt: null }, { usedAt: null });
+    }
+
+    async pending(purpose) {
+        return this.AccountToken.find(
+            { purpose, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+            { tokenHash: 0 }
+        ).sort({ createdAt: -1 }).lean();
+    }
+
+    async revoke(purpose, id) {
+        return this.AccountToken.findOneAndUpdate(
+            { _id: id, purpose, usedAt: null, revokedAt: null },
+            { revokedAt: new Date() },
+            { new: true, projection: { tokenHash: 0 } }
+        ).lean();
+    }
+}
+
+AccountTokens.PURPOSES = PURPOSES;
+AccountTokens.LIFETIMES = LIFETIMES;
+
+module.exports = AccountTokens;
@@ -0,0 +1,300 @@
+// services/AppointmentScheduler.js - Doctor availability slots and follow-up appointments booked from an assessment
+const mongoose = require('mongoose');
+
+const APPOINTMENT_STATUSES = ['booked', 'cancelled'];
+const MIN_DURATION_MINUTES = 10;
+const MAX_DURATION_MINUTES = 240;
+const MAX_SLOTS_PER_REQUEST = 20;
+const MAX_REASON_LENGTH = 500;
+
+class AppointmentScheduler {
+    constructor(SlotModel, AppointmentModel, DoctorAssessmentModel) {
+        this.Slot = SlotModel;
+        this.Appointment = AppointmentModel;
+        this.DoctorAssessment = DoctorAssessmentModel;
+    }
+
+    schedulingError(code, message, status) {
+        const error = new Error(message);
+        error.code = code;
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * Validate a doctor's request to publish slots: { startsAt, durationMinutes, count } creates
+     * `count` back-to-back slots. Returns { errors, slots } with slots as { startsAt, endsAt }.
+     */
+    normalizeSlots(body = {}) {
+        const errors = [];
+        const startsAt = new Date(body.startsAt);
+        const durationMinutes = Number(body.durationMinutes ?? 30);
+        const count = Number(body.count ?? 1);
+
+        if (!body.startsAt || Number.isNaN(startsAt.getTime())) {
+            errors.push('startsAt must be a valid date');
+        } else if (startsAt <= new Date()) {
+            errors.push('Slots must start in the future');
+        }
+        if (!Number.isInteger(durationMinutes) || durationMinutes < MIN_DURATION_MINUTES || durationMinutes > MAX_DURATION_MINUTES) {
+            errors.push(`durationMinutes must be a whole number from ${MIN_DURATION_MINUTES} to ${MAX_DURATION_MINUTES}`);
+        }
+        if (!Number.isInteger(count) || count < 1 || count > MAX_SLOTS_PER_REQUEST) {
+            errors.push(`count must be from 1 to ${MAX_SLOTS_PER_REQUEST}`);
+        }
+        if (errors.length > 0) {
+            return { errors, slots: [] };
+        }
+
+        const slots = [];
+        for (let i = 0; i < count; i++) {
+            const start = new Date(startsAt.getTime() + i * durationMinutes * 60 * 1000);
+            slots.push({ startsAt: start, endsAt: new Date(start.getTime() + durationMinutes * 60 * 1000) });
+        }
+        return { errors, slots };
+    }
+
+    overlapQuery(doctorId, slots) {
+        return {
+            doctorId,
+            cancelledAt: null,
+            startsAt: { $lt: slots[slots.length - 1].endsAt },
+            endsAt: { $gt: slots[0].startsAt }
+        };
+    }
+
+    /**
+     * A doctor cannot be in two places at once - new slots may not overlap their existing ones.
+     * Two publishes can pass the first check together, so the overlap is checked again once the
+     * slots are in: whichever request sees the other's slots takes its own back out. At worst both do.
+     */
+    async createSlots(doctorId, body) {
+        const { errors, slots } = this.normalizeSlots(body);
+        if (errors.length > 0) {
+            const error = this.schedulingError('INVALID_SLOTS', errors.join('; '), 400);
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        const overlapError = () =>
+            this.schedulingError('SLOT_OVERLAP', 'These times overlap slots you have already published', 409);
+
+        if (await this.Slot.exists(this.overlapQuery(doctorId, slots))) {
+            throw overlapError();
+        }
+
+        const created = await this.Slot.insertMany(slots.map(slot => ({ ...slot, doctorId })));
+        const createdIds = created.map(slot => slot._id);
+
+        const raced = await this.Slot.exists({ ...this.overlapQuery(doctorId, slots), _id: { $nin: createdIds } });
+        if (raced) {
+            await this.Slot.deleteMany({ _id: { $in: createdIds }, appointmentId: null });
+            throw overlapError();
+        }
+        return created.map(slot => slot.toObject());
+    }
+
+    // Slots a doctor published from now on, with the appointment booked into each
+    async doctorSlots(doctorId) {
+        const slots = await this.Slot.find({ doctorId, cancelledAt: null, endsAt: { $gte: new Date() } })
+            .sort({ startsAt: 1 })
+            .lean();
+        const appointmentIds = slots.map(slot => slot.appointmentId).filter(Boolean);
+        const appointments = await this.Appointment.find({ _id: { $in: appointmentIds } }).lean();
+        const byId = new Map(appointments.map(appointment => [String(appointment._id), appointment]));
+
+        return slots.map(slot => ({
+            ...slot,
+            appointment: slot.appointmentId ? byId.get(String(slot.appointmentId)) || null : null
+        }));
+    }
+
+    // Free future slots of one doctor, for a patient choosing a time
+    async openSlots(doctorId) {
+        return this.Slot.find({ doctorId, cancelledAt: null, appointmentId: null, startsAt: { $gt: new Date() } })
+            .sort({ startsAt: 1 })
+            .limit(100)
+            .lean();
+    }
+
+    // A doctor withdraws a slot nobody has booked
+    async withdrawSlot(doctorId, slotId) {
+        const slot = await this.Slot.findOneAndUpdate(
+            { _id: slotId, doctorId, cancelledAt: null, appointmentId: null },
+            { cancelledAt: new Date() },
+            { new: true }
+        ).lean();
+
+        if (!slot) {
+            const exists = await this.Slot.exists({ _id: slotId, doctorId, cancelledAt: null });
+            throw exists
+                ? this.schedulingError('SLOT_BOOKED', 'The slot is booked - cancel the appointment first', 409)
+                : this.schedulingError('SLOT_NOT_FOUND', 'Slot not found', 404);
+        }
+        return slot;
+    }
+
+    /**
+     * Reserve a slot for an appointment. The update only matches a free, future slot of the right doctor,
+     * so two bookings racing for the same slot cannot both succeed.
+     */
+    async claimSlot(slotId, doctorId, appointmentId) {
+        if (!mongoose.Types.ObjectId.isValid(slotId)) {
+            throw this.schedulingError('SLOT_NOT_FOUND', 'Slot not found', 404);
+        }
+
+        const slot = await this.Slot.findOneAndUpdate(
+            { _id: slotId, doctorId, cancelledAt: null, appointmentId: null, startsAt: { $gt: new Date() } },
+            { appointmentId },
+            { new: true }
+        ).lean();
+
+        if (!slot) {
+            throw this.schedulingError('SLOT_UNAVAILABLE', 'That time is no longer available - choose another slot', 409);
+        }
+        return slot;
+    }
+
+    async releaseSlot(slotId, appointmentId) {
+        await this.Slot.updateOne({ _id: slotId, appointmentId }, { appointmentId: null });
+    }
+
+    // The active appointment of an assessment, if any
+    async forAssessment(assessmentId) {
+        return this.Appointment.findOne({ assessmentId, status: 'booked' }).lean();
+    }
+
+    /**
+     * Book a slot of the assessment's doctor for the patient who sent the assessment.
+     * If the case is escalated to another doctor while booking, the appointment is taken back
+     * rather than left with a doctor who no longer has the case.
+     */
+    async book(assessment, slotId, username) {
+        if (await this.forAssessment(assessment._id)) {
+            throw this.schedulingError('ALREADY_BOOKED', 'This assessment already has an appointment - reschedule it instead', 409);
+        }
+
+        const appointmentId = new mongoose.Types.ObjectId();
+        const slot = await this.claimSlot(slotId, assessment.doctorId, appointmentId);
+
+        let booked;
+        try {
+            const appointment = await this.Appointment.create({
+                _id: appointmentId,
+                slotId: slot._id,
+                doctorId: assessment.doctorId,
+                assessmentId: assessment._id,
+                patientUsername: assessment.from,
+                startsAt: slot.startsAt,
+                endsAt: slot.endsAt,
+                status: 'booked',
+                history: [{ action: 'booked', by: username, startsAt: slot.startsAt }]
+            });
+            booked = appointment.toObject();
+        } catch (error) {
+            await this.releaseSlot(slot._id, appointmentId);
+            throw error;
+        }
+
+        if (!await this.DoctorAssessment.exists({ _id: assessment._id, doctorId: assessment.doctorId })) {
+            await this.cancelForAssessment(assessment._id, 'SYSTEM', 'The case moved to another doctor');
+            throw this.schedulingError('ASSESSMENT_REASSIGNED', 'Your case was moved to another doctor - reload and choose one of their times', 409);
+        }
+        return booked;
+    }
+
+    /**
+     * Move a booked appointment to another free slot of the same doctor. The new slot is claimed
+     * before the old one is released, so the appointment is never left without a time.
+     */
+    async reschedule(appointment, slotId, username) {
+        if (appointment.status !== 'booked') {
+            throw this.schedulingError('NOT_BOOKED', `Cannot reschedule an appointment that is ${appointment.status}`, 409);
+        }
+
+        const slot = await this.claimSlot(slotId, appointment.doctorId, appointment._id);
+
+        const updated = await this.Appointment.findOneAndUpdate(
+            { _id: appointment._id, status: 'booked', slotId: appointment.slotId },
+            {
+                $set: { slotId: slot._id, startsAt: slot.startsAt, endsAt: slot.endsAt },
+                $push: { history: { action: 'rescheduled', by: username, startsAt: slot.startsAt, previousStartsAt: appointment.startsAt } }
+            },
+            { new: true }
+        ).lean();
+
+        if (!updated) {
+            await this.releaseSlot(slot._id, appointment._id);
+            throw this.schedulingError('CONCURRENT_UPDATE', 'The appointment was changed by someone else - reload and try again', 409);
+        }
+
+        await this.releaseSlot(appointment.slotId, appointment._id);
+        return updated;
+    }
+
+    // Either side cancels; the slot opens up again for other patients
+    async cancel(appointment, username, reason = null) {
+        if (appointment.status !== 'booked') {
+            throw this.schedulingError('NOT_BOOKED', `Appointment is already ${appointment.status}`, 409);
+        }
+        const note = typeof reason === 'string' ? reason.trim().slice(0, MAX_REASON_LENGTH) : null;
+
+        const updated = await this.Appointment.findOneAndUpdate(
+            { _id: appointment._id, status: 'booked' },
+            {
+                $set: { status: 'cancelled', cancelledBy: username, cancelledAt: new Date(), cancelReason: note || null },
+                $push: { history: { action: 'cancelled', by: username, startsAt: appointment.startsAt, reason: note || null } }
+            },
+            { new: true }
+        ).lean();
+
+        if (!updated) {
+            throw this.schedulingError('CONCURRENT_UPDATE', 'The appointment was changed by someone else - reload and try again', 409);
+        }
+
+        await this.releaseSlot(appointment.slotId, appointment._id);
+        return updated;
+    }
+
+    /**
+     * Cancel the booked appointment of an assessment, if it has one - used when the case leaves the
+     * doctor the appointment is with. Returns the cancelled appointment, or null when there was none
+     * (or someone else cancelled it first).
+     */
+    async cancelForAssessment(assessmentId, username, reason) {
+        const appointment = await this.forAssessment(assessmentId);
+        if (!appointment) return null;
+
+        try {
+            return await this.cancel(appointment, username, reason);
+        } catch (error) {
+            if (error.code === 'CONCURRENT_UPDATE') return null;
+            throw error;
+        }
+    }
+
+    // 'doctor' for the doctor the appointment is with, 'patient' for the patient who booked it, else null
+    participantRole(appointment, session) {
+        if (!appointment || !session || !session.loggedIn) return null;
+        if (session.role === 'doctor' && session.doctorId && appointment.doctorId === session.doctorId) return 'doctor';
+        if (session.role !== 'doctor' && appointment.patientUsername === session.username) return 'patient';
+        return null;
+    }
+
+    // Upcoming and recent appointments for a patient or a doctor
+    async listFor(session) {
+        const query = session.role === 'doctor'
+            ? { doctorId: session.doctorId }
+            : { patientUsername: session.username };
+
+        return this.Appointment.find({ ...query, endsAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } })
+            .sort({ startsAt: 1 })
+            .limit(100)
+            .lean();
+    }
+}
+
+AppointmentScheduler.APPOINTMENT_STATUSES = APPOINTMENT_STATUSES;
+AppointmentScheduler.MAX_SLOTS_PER_REQUEST = MAX_SLOTS_PER_REQUEST;
+
+module.exports = AppointmentScheduler;
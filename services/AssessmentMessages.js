@@ -0,0 +1,101 @@
+// services/AssessmentMessages.js - Message thread between a patient and their doctor on each DoctorAssessment
+const MAX_MESSAGE_LENGTH = 2000;
+
+class AssessmentMessages {
+    constructor(MessageModel, DoctorAssessmentModel, imageStore) {
+        this.Message = MessageModel;
+        this.DoctorAssessment = DoctorAssessmentModel;
+        this.imageStore = imageStore;
+    }
+
+    /**
+     * Which side of the thread the session is on: 'doctor' for the doctor the assessment was sent to,
+     * 'patient' for the patient who sent it, null for everyone else (admins included).
+     */
+    participantRole(assessment, session) {
+        if (!assessment || !session || !session.loggedIn) return null;
+        if (session.role === 'doctor' && session.doctorId && assessment.doctorId === session.doctorId) return 'doctor';
+        if (session.role !== 'doctor' && assessment.from === session.username) return 'patient';
+        return null;
+    }
+
+    // The assessment and the caller's role in it, or null when the caller may not see the thread
+    async findThread(assessmentId, session) {
+        const assessment = await this.DoctorAssessment.findById(assessmentId).lean();
+        const role = this.participantRole(assessment, session);
+        return role ? { assessment, role } : null;
+    }
+
+    validateBody(body, hasAttachment) {
+        const text = typeof body === 'string' ? body.trim() : '';
+        if (!text && !hasAttachment) return { error: 'A message needs text or a photo' };
+        if (text.length > MAX_MESSAGE_LENGTH) return { error: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters` };
+        return { text };
+    }
+
+    /**
+     * Add a message to the thread. `filePath` is an uploaded photo (patients only) that is copied into
+     * the image store; the caller still removes the upload.
+     */
+    async post(assessment, role, username, text, filePath = null) {
+        const attachment = filePath ? this.imageStore.store(filePath) : null;
+
+        const message = await this.Message.create({
+            assessmentId: assessment._id,
+            patientUsername: assessment.from,
+            senderRole: role,
+            senderUsername: username,
+            body: text || null,
+            attachment
+        });
+
+        return message.toObject();
+    }
+
+    // Returns the thread oldest-first and marks what the other side sent as read
+    async list(assessment, role) {
+        const messages = await this.Message.find({ assessmentId: assessment._id })
+            .sort({ createdAt: 1 })
+            .lean();
+
+        const unreadIds = messages
+            .filter(message => message.senderRole !== role && !message.readAt)
+            .map(message => message._id);
+
+        if (unreadIds.length > 0) {
+            await this.Message.updateMany({ _id: { $in: unreadIds } }, { readAt: new Date() });
+        }
+
+        return messages;
+    }
+
+    // Unread messages per assessment for a doctor (sent by patients) or a patient (sent by their doctors)
+    async unreadCounts(session) {
+        // Doctors go through their current assessments, so a reassigned case moves its messages along
+        const match = session.role === 'doctor'
+            ? {
+                assessmentId: { $in: await this.DoctorAssessment.distinct('_id', { doctorId: session.doctorId }) },
+                senderRole: 'patient',
+                readAt: null
+            }
+            : { patientUsername: session.username, senderRole: 'doctor', readAt: null };
+
+        const groups = await this.Message.aggregate([
+            { $match: match },
+            { $group: { _id: '$assessmentId', count: { $sum: 1 } } }
+        ]);
+
+        const byAssessment = {};
+        let total = 0;
+        for (const group of groups) {
+            byAssessment[String(group._id)] = group.count;
+            total += group.count;
+        }
+
+        return { total, byAssessment };
+    }
+}
+
+AssessmentMessages.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+
+module.exports = AssessmentMessages;
@@ -0,0 +1,259 @@
+// services/AssessmentRouter.js - Picks a doctor for an assessment (proximity, specialty, workload, availability)
+// and escalates high-risk cases nobody has claimed to another doctor
+const DEFAULT_ESCALATION_MINUTES = 60;
+const CHECK_INTERVAL_MS = 60 * 1000;
+const EARTH_RADIUS_KM = 6371;
+const PROXIMITY_RANGE_KM = 500; // Beyond this distance proximity no longer counts
+
+// Relative weight of each factor in a doctor's routing score
+const WEIGHTS = {
+    proximity: 0.3,
+    specialty: 0.3,
+    workload: 0.25,
+    availability: 0.15
+};
+
+// Busy doctors still take cases, just after available ones; away doctors are never picked
+const AVAILABILITY_SCORES = { available: 1, busy: 0.3 };
+
+// Specialties suited to high malaria risk cases
+const HIGH_RISK_SPECIALTIES = /tropical|infectious/i;
+
+// Assessments still waiting on the doctor they are assigned to
+const OPEN_STATUSES = ['pending', 'reviewed'];
+
+class AssessmentRouter {
+    constructor(DoctorAssessmentModel, doctorDirectory, options = {}) {
+        this.DoctorAssessment = DoctorAssessmentModel;
+        this.doctorDirectory = doctorDirectory;
+        this.escalationMinutes = options.escalationMinutes || DEFAULT_ESCALATION_MINUTES;
+        this.onEscalated = options.onEscalated || null; // fn(assessment, fromDoctorId, toDoctor) - toDoctor is null when nobody was left
+        this.isEscalating = false;
+        this.timer = null;
+    }
+
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    hasCoordinates(point) {
+        return !!point && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+    }
+
+    /**
+     * Patient location sent with an assessment: { lat, lng } from the browser and/or { name } of a town.
+     * Returns null when nothing usable was sent.
+     */
+    normalizeLocation(value) {
+        if (!value || typeof value !== 'object') return null;
+
+        const location = {};
+        const lat = Number(value.lat);
+        const lng = Number(value.lng);
+        if (value.lat != null && value.lng != null && Number.isFinite(lat) && Number.isFinite(lng) &&
+            Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+            location.lat = lat;
+            location.lng = lng;
+        }
+        if (typeof value.name === 'string' && value.name.trim()) {
+            location.name = value.name.trim().slice(0, 100);
+        }
+
+        return Object.keys(location).length > 0 ? location : null;
+    }
+
+    // Great-circle distance in km
+    distanceKm(a, b) {
+        const dLat = this.toRadians(b.lat - a.lat);
+        const dLng = this.toRadians(b.lng - a.lng);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(this.toRadians(a.lat)) * Math.cos(this.toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+    }
+
+    /**
+     * 0..1 closeness of a doctor to the patient. Coordinates are used when both sides have them,
+     * otherwise a matching town name counts as close. Unknown location scores 0 for everyone.
+     */
+    proximityScore(doctor, patientLocation) {
+        if (!patientLocation) return { score: 0, distanceKm: null };
+
+        if (this.hasCoordinates(patientLocation) && this.hasCoordinates(doctor.coordinates)) {
+            const distanceKm = this.distanceKm(patientLocation, doctor.coordinates);
+            return { score: Math.max(0, 1 - distanceKm / PROXIMITY_RANGE_KM), distanceKm: Math.round(distanceKm) };
+        }
+
+        const name = (patientLocation.name || '').trim().toLowerCase();
+        const sameTown = !!name && (doctor.location || '').trim().toLowerCase() === name;
+        return { score: sameTown ? 1 : 0, distanceKm: null };
+    }
+
+    // Specialty only matters for high-risk cases, which should go to tropical or infectious disease doctors
+    specialtyScore(doctor, riskLevel) {
+        if (riskLevel !== 'High') return 0;
+        return HIGH_RISK_SPECIALTIES.test(doctor.specialty || '') ? 1 : 0;
+    }
+
+    async openCaseCounts() {
+        const groups = await this.DoctorAssessment.aggregate([
+            { $match: { status: { $in: OPEN_STATUSES } } },
+            { $group: { _id: '$doctorId', count: { $sum: 1 } } }
+        ]);
+        return Object.fromEntries(groups.map(group => [group._id, group.count]));
+    }
+
+    /**
+     * Rank the doctors who can take a new case: active, not away and with a linked account.
+     * `excludeDoctorIds` skips doctors the case has already been with.
+     * Returns candidates best-first as { doctor, score, factors }.
+     */
+    async rank({ riskLevel, patientLocation = null, excludeDoctorIds = [] }) {
+        const doctors = (await this.doctorDirectory.list()).filter(doctor =>
+            doctor.username &&
+            !excludeDoctorIds.includes(doctor.doctorId) &&
+            (doctor.availability?.status || 'available') in AVAILABILITY_SCORES);
+
+        const openCases = await this.openCaseCounts();
+
+        const candidates = doctors.map(doctor => {
+            const proximity = this.proximityScore(doctor, patientLocation);
+            const pending = openCases[doctor.doctorId] || 0;
+            const factors = {
+                proximity: proximity.score,
+                specialty: this.specialtyScore(doctor, riskLevel),
+                workload: 1 / (1 + pending),
+                availability: AVAILABILITY_SCORES[doctor.availability?.status || 'available']
+            };
+            const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * factors[key], 0);
+
+            return {
+                doctor,
+                score: Math.round(score * 1000) / 1000,
+                factors: { ...factors, distanceKm: proximity.distanceKm, openCases: pending }
+            };
+        });
+
+        // Ties go to the doctor with fewer open cases, then the lower ID so routing is deterministic
+        return candidates.sort((a, b) =>
+            b.score - a.score ||
+            a.factors.openCases - b.factors.openCases ||
+            String(a.doctor.doctorId).localeCompare(String(b.doctor.doctorId), undefined, { numeric: true }));
+    }
+
+    // The best doctor for a new case, or null when nobody can take it
+    async pick(criteria) {
+        const [best] = await this.rank(criteria);
+        return best || null;
+    }
+
+    // What gets stored on the assessment to explain why it went where it did
+    routingRecord(mode, candidate = null) {
+        return {
+            mode,
+            score: candidate ? candidate.score : null,
+            factors: candidate ? candidate.factors : null,
+            routedAt: new Date()
+        };
+    }
+
+    /**
+     * Move high-risk cases that have waited unclaimed past the escalation time to the next best doctor.
+     * A case is never sent back to a doctor it has already been with; when nobody is left it stays
+     * where it is and is marked so admins are only told once.
+     */
+    async escalateOverdue() {
+        const summary = { checked: 0, escalated: 0, exhausted: 0, skipped: false };
+        if (this.isEscalating) {
+            summary.skipped = true;
+            return summary;
+        }
+
+        this.isEscalating = true;
+        try {
+            const cutoff = new Date(Date.now() - this.escalationMinutes * 60 * 1000);
+            const overdue = await this.DoctorAssessment.find({
+                riskLevel: 'High',
+                status: 'pending',
+                claimedBy: null,
+                escalationExhaustedAt: null,
+                $or: [
+                    { assignedAt: { $lte: cutoff } },
+                    { assignedAt: null, timestamp: { $lte: cutoff } }
+                ]
+            }).lean();
+
+            for (const assessment of overdue) {
+                summary.checked++;
+                const previous = [assessment.doctorId, ...(assessment.escalations || []).map(entry => entry.fromDoctorId)];
+                const next = await this.pick({
+                    riskLevel: assessment.riskLevel,
+                    patientLocation: assessment.patientLocation,
+                    excludeDoctorIds: previous
+                });
+                const now = new Date();
+
+                if (!next) {
+                    const marked = await this.DoctorAssessment.findOneAndUpdate(
+                        { _id: assessment._id, doctorId: assessment.doctorId, status: 'pending', claimedBy: null },
+                        { escalationExhaustedAt: now },
+                        { new: true }
+                    ).lean();
+                    if (marked) {
+                        summary.exhausted++;
+                        if (this.onEscalated) await this.onEscalated(marked, assessment.doctorId, null);
+                    }
+                    continue;
+                }
+
+                // Only applies if the case was not claimed or reassigned in the meantime
+                const updated = await this.DoctorAssessment.findOneAndUpdate(
+                    { _id: assessment._id, doctorId: assessment.doctorId, status: 'pending', claimedBy: null },
+                    {
+                        $set: {
+                            doctorId: next.doctor.doctorId,
+                            assignedAt: now,
+                            routing: this.routingRecord('escalation', next)
+                        },
+                        $push: {
+                            escalations: { fromDoctorId: assessment.doctorId, toDoctorId: next.doctor.doctorId, at: now },
+                            history: { action: 'escalate', from: 'pending', to: 'pending', by: 'SYSTEM', at: now, changes: ['doctorId'] }
+                        }
+                    },
+                    { new: true }
+                ).lean();
+
+                if (updated) {
+                    summary.escalated++;
+                    console.log(`⏫ Escalated high-risk assessment ${assessment._id}: doctor ${assessment.doctorId} -> ${next.doctor.doctorId}`);
+                    if (this.onEscalated) await this.onEscalated(updated, assessment.doctorId, next.doctor);
+                }
+            }
+        } finally {
+            this.isEscalating = false;
+        }
+
+        return summary;
+    }
+
+    // Periodic escalation check; the timer never keeps the process alive on its own
+    start(intervalMs = CHECK_INTERVAL_MS) {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.escalateOverdue().catch(error => console.error('❌ Assessment escalation failed:', error));
+        }, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+AssessmentRouter.DEFAULT_ESCALATION_MINUTES = DEFAULT_ESCALATION_MINUTES;
+AssessmentRouter.WEIGHTS = WEIGHTS;
+
+module.exports = AssessmentRouter;
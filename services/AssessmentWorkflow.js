@@ -0,0 +1,173 @@
+// services/AssessmentWorkflow.js - Doctor case workflow on DoctorAssessment: claim, review, complete,
+// clinical notes and the history trail of every change
+const ASSESSMENT_STATUSES = ['pending', 'reviewed', 'completed'];
+
+// What each action needs and does; `to: null` keeps the current status
+const ACTIONS = {
+    claim: { from: ['pending'], to: null },
+    update: { from: ['pending', 'reviewed'], to: null, requiresClaim: true },
+    review: { from: ['pending'], to: 'reviewed', requiresClaim: true, timestamp: 'reviewedAt' },
+    complete: { from: ['pending', 'reviewed'], to: 'completed', requiresClaim: true, requiresDiagnosis: true, timestamp: 'completedAt' }
+};
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_RECOMMENDED_TESTS = 20;
+
+class AssessmentWorkflow {
+    constructor(DoctorAssessmentModel) {
+        this.DoctorAssessment = DoctorAssessmentModel;
+    }
+
+    workflowError(code, message, status) {
+        const error = new Error(message);
+        error.code = code;
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * Validate the clinical fields a doctor sent. Only fields present in the body are returned,
+     * so a partial update never clears what is already recorded.
+     */
+    normalizeClinicalFields(body = {}) {
+        const errors = [];
+        const fields = {};
+
+        for (const key of ['clinicalNotes', 'diagnosis', 'patientMessage']) {
+            if (body[key] === undefined) continue;
+            if (body[key] !== null && typeof body[key] !== 'string') {
+                errors.push(`${key} must be text`);
+            } else if (body[key] && body[key].length > MAX_TEXT_LENGTH) {
+                errors.push(`${key} must be at most ${MAX_TEXT_LENGTH} characters`);
+            } else {
+                fields[key] = body[key] ? body[key].trim() : null;
+            }
+        }
+
+        if (body.recommendedTests !== undefined) {
+            // Accept a list or the comma-separated text of a form field
+            const tests = Array.isArray(body.recommendedTests)
+                ? body.recommendedTests
+                : String(body.recommendedTests || '').split(',');
+            const cleaned = tests.map(test => String(test).trim()).filter(Boolean);
+            if (cleaned.length > MAX_RECOMMENDED_TESTS) {
+                errors.push(`At most ${MAX_RECOMMENDED_TESTS} recommended tests`);
+            } else {
+                fields.recommendedTests = [...new Set(cleaned)];
+            }
+        }
+
+        if (body.followUpDate !== undefined) {
+            if (body.followUpDate === null || body.followUpDate === '') {
+                fields.followUpDate = null;
+            } else {
+                const date = new Date(body.followUpDate);
+                if (Number.isNaN(date.getTime())) {
+                    errors.push('followUpDate must be a valid date');
+                } else {
+                    fields.followUpDate = date;
+                }
+            }
+        }
+
+        return { errors, fields };
+    }
+
+    /**
+     * Run a workflow action for the doctor the assessment is assigned to.
+     * `doctor` is { username, doctorId } from the session. Throws errors with `code` and an HTTP `status`.
+     */
+    async apply(assessmentId, action, doctor, body = {}) {
+        const rule = ACTIONS[action];
+        if (!rule) {
+            throw this.workflowError('UNKNOWN_ACTION', `Unknown action: ${action}`, 400);
+        }
+
+        const { errors, fields } = this.normalizeClinicalFields(body);
+        if (errors.length > 0) {
+            const error = this.workflowError('INVALID_CLINICAL_FIELDS', errors.join('; '), 400);
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        const assessment = await this.DoctorAssessment.findById(assessmentId).lean();
+        if (!assessment || assessment.doctorId !== doctor.doctorId) {
+            throw this.workflowError('ASSESSMENT_NOT_FOUND', 'Assessment not found', 404);
+        }
+
+        if (!rule.from.includes(assessment.status)) {
+            throw this.workflowError('INVALID_TRANSITION', `Cannot ${action} an assessment that is ${assessment.status}`, 409);
+        }
+
+        if (action === 'claim' && assessment.claimedBy && assessment.claimedBy !== doctor.username) {
+            throw this.workflowError('ALREADY_CLAIMED', `Assessment is already claimed by ${assessment.claimedBy}`, 409);
+        }
+
+        if (rule.requiresClaim && assessment.claimedBy !== doctor.username) {
+            throw this.workflowError('NOT_CLAIMED', 'Claim the assessment before working on it', 409);
+        }
+
+        const diagnosis = fields.diagnosis !== undefined ? fields.diagnosis : assessment.diagnosis;
+        if (rule.requiresDiagnosis && !diagnosis) {
+            throw this.workflowError('DIAGNOSIS_REQUIRED', 'A working diagnosis is required to complete an assessment', 400);
+        }
+
+        const now = new Date();
+        const to = rule.to || assessment.status;
+        const set = { ...fields, status: to };
+        if (action === 'claim') {
+            set.claimedBy = doctor.username;
+            set.claimedAt = assessment.claimedAt || now;
+        }
+        if (rule.timestamp) {
+            set[rule.timestamp] = now;
+        }
+
+        const entry = {
+            action,
+            from: assessment.status,
+            to,
+            by: doctor.username,
+            at: now,
+            // Forms resend every field, so only record the ones whose value actually changed
+            changes: Object.keys(fields).filter(key =>
+                JSON.stringify(fields[key]) !== JSON.stringify(assessment[key] ?? (Array.isArray(fields[key]) ? [] : null)))
+        };
+
+        // Only applies if nobody changed the status or claim since it was read
+        const updated = await this.DoctorAssessment.findOneAndUpdate(
+            { _id: assessment._id, status: assessment.status, claimedBy: assessment.claimedBy || null },
+            { $set: set, $push: { history: entry } },
+            { new: true }
+        ).lean();
+
+        if (!updated) {
+            throw this.workflowError('CONCURRENT_UPDATE', 'The assessment was changed by someone else - reload and try again', 409);
+        }
+
+        return updated;
+    }
+
+    // What the patient is shown of the doctor's work - clinical notes stay internal,
+    // and nothing is shown before the doctor has reviewed the case
+    patientView(assessment) {
+        if (assessment.status === 'pending') {
+            return { status: 'pending' };
+        }
+
+        return {
+            status: assessment.status,
+            diagnosis: assessment.diagnosis || null,
+            recommendedTests: assessment.recommendedTests || [],
+            followUpDate: assessment.followUpDate || null,
+            patientMessage: assessment.patientMessage || null,
+            reviewedAt: assessment.reviewedAt || null,
+            completedAt: assessment.completedAt || null
+        };
+    }
+}
+
+AssessmentWorkflow.ASSESSMENT_STATUSES = ASSESSMENT_STATUSES;
+AssessmentWorkflow.ACTIONS = ACTIONS;
+
+module.exports = AssessmentWorkflow;
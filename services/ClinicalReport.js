@@ -0,0 +1,313 @@
+// services/ClinicalReport.js - Printable PDF report of a screening result or doctor assessment,
+// rendered locally with pdfkit and carrying a verification code and signed token
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+
+const DISCLAIMER = 'This report is for screening purposes only and does not replace professional medical diagnosis. ' +
+    'Always consult with qualified healthcare providers for proper diagnosis and treatment.';
+
+const CONFIDENCE_DEFINITION = 'Confidence is the model\'s calibrated probability for the predicted class, estimated from ' +
+    'the eyelid image alone. It is not a laboratory-confirmed probability of disease.';
+
+// No 0/O or 1/I, so codes survive being read out or typed from paper
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+const SOURCE_LABELS = {
+    single: 'Eyelid image upload',
+    batch: 'Health worker batch screening',
+    assessment: 'Symptom assessment sent to a doctor'
+};
+
+class ClinicalReport {
+    constructor(PatientResultModel, DoctorAssessmentModel, UserModel, options = {}) {
+        this.PatientResult = PatientResultModel;
+        this.DoctorAssessment = DoctorAssessmentModel;
+        this.User = UserModel;
+        this.questionnaireManager = options.questionnaireManager;
+        this.doctorDirectory = options.doctorDirectory;
+        this.reportVerifier = options.reportVerifier || null;
+    }
+
+    // e.g. 7KQM-2RXD-H9TW
+    generateCode() {
+        const bytes = crypto.randomBytes(CODE_LENGTH);
+        const chars = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+        return chars.match(/.{4}/g).join('-');
+    }
+
+    /**
+     * The record's verification code, issued on its first export and kept from then on
+     * so every copy of the report carries the same code.
+     */
+    async ensureCode(Model, record) {
+        if (record.verificationCode) return record.verificationCode;
+
+        const updated = await Model.findOneAndUpdate(
+            { _id: record._id, verificationCode: null },
+            { verificationCode: this.generateCode() },
+            { new: true, projection: { verificationCode: 1 } }
+        ).lean();
+        if (updated) return updated.verificationCode;
+
+        // Another export issued it first
+        const current = await Model.findById(record._id, { verificationCode: 1 }).lean();
+        return current.verificationCode;
+    }
+
+    percent(value) {
+        return typeof value === 'number' ? `${(value * 100).toFixed(1)}%` : 'N/A';
+    }
+
+    // Symptom answers as question/answer pairs, with the question texts of the version they were answered against
+    async symptomAnswers(symptoms, questionnaireVersion) {
+        if (!symptoms || Object.keys(symptoms).length === 0) return [];
+
+        const labels = questionnaireVersion != null
+            ? await this.questionnaireManager.getQuestionLabels(questionnaireVersion)
+            : {};
+        return Object.entries(symptoms).map(([key, answer]) => ({
+            question: labels[key] || key,
+            answer: answer === null || answer === undefined ? '-' : String(answer)
+        }));
+    }
+
+    // Image prediction of a result or an assessment, with what its confidence means
+    predictionSection(record, model) {
+        if (record.predictionStatus === 'unavailable' || !record.prediction) {
+            return { available: false, model };
+        }
+
+        return {
+            available: true,
+            label: record.prediction,
+            confidence: record.confidence,
+            probabilities: record.probabilities || null,
+            calibration: record.calibration || null,
+            needsReview: !!(record.needsReview || record.predictionNeedsReview),
+            uncertainty: record.uncertainty || record.predictionUncertainty || null,
+            model
+        };
+    }
+
+    /**
+     * The doctor's side of an assessment. Clinical notes are internal and only included
+     * in reports generated for the doctor or an admin.
+     */
+    async reviewSection(assessment, includeClinicalNotes) {
+        if (!assessment) return null;
+
+        const doctor = await this.doctorDirectory.get(assessment.doctorId, { includeInactive: true });
+        return {
+            doctorName: doctor ? doctor.name : null,
+            status: assessment.status,
+            reviewedAt: assessment.reviewedAt || null,
+            completedAt: assessment.completedAt || null,
+            diagnosis: assessment.status === 'pending' ? null : assessment.diagnosis || null,
+            recommendedTests: assessment.status === 'pending' ? [] : assessment.recommendedTests || [],
+            followUpDate: assessment.status === 'pending' ? null : assessment.followUpDate || null,
+            patientMessage: assessment.status === 'pending' ? null : assessment.patientMessage || null,
+            clinicalNotes: includeClinicalNotes ? assessment.clinicalNotes || null : undefined
+        };
+    }
+
+    /**
+     * Signed token and the public link a clinic opens to check the printed report.
+     * `verifyBaseUrl` is the server's public address, e.g. https://screening.example.org
+     */
+    async verification(kind, record, verificationCode, verifyBaseUrl) {
+        if (!this.reportVerifier) return null;
+
+        const token = await this.reportVerifier.issue(kind, record, verificationCode);
+        return {
+            token,
+            url: `${verifyBaseUrl || ''}/verify/${encodeURIComponent(verificationCode)}?token=${encodeURIComponent(token)}`
+        };
+    }
+
+    async patientName(username) {
+        const user = await this.User.findOne({ username }, { full_name: 1 }).lean();
+        return user && user.full_name ? user.full_name : null;
+    }
+
+    // Everything that goes on the report of a PatientResult
+    async forResult(result, { includeClinicalNotes = false, verifyBaseUrl = null } = {}) {
+        const assessment = result.assessmentId ? await this.DoctorAssessment.findById(result.assessmentId).lean() : null;
+        const verificationCode = await this.ensureCode(this.PatientResult, result);
+
+        return {
+            kind: 'result',
+            recordId: String(result._id),
+            verificationCode,
+            verification: await this.verification('result', result, verificationCode, verifyBaseUrl),
+            generatedAt: new Date(),
+            patient: {
+                username: result.username,
+                fullName: result.username ? await this.patientName(result.username) : null,
+                identifier: result.patientIdentifier || null // Typed at a batch screening
+            },
+            screenedAt: result.timestamp,
+            source: SOURCE_LABELS[result.source] || result.source,
+            screenedBy: result.screenedBy || null,
+            prediction: this.predictionSection(result, result.modelName ? { name: result.modelName, version: result.modelVersion } : null),
+            risk: result.riskLevel ? { level: result.riskLevel, score: result.riskScore, factors: result.riskFactors || [] } : null,
+            symptoms: await this.symptomAnswers(result.symptoms, result.questionnaireVersion),
+            review: await this.reviewSection(assessment, includeClinicalNotes)
+        };
+    }
+
+    // Everything that goes on the report of a DoctorAssessment
+    async forAssessment(assessment, { includeClinicalNotes = false, verifyBaseUrl = null } = {}) {
+        // The model that made the prediction is recorded on the image result it came from
+        const imageResult = assessment.patientResultId
+            ? await this.PatientResult.findById(assessment.patientResultId, { modelName: 1, modelVersion: 1, calibration: 1 }).lean()
+            : null;
+        const model = imageResult && imageResult.modelName ? { name: imageResult.modelName, version: imageResult.modelVersion } : null;
+        const verificationCode = await this.ensureCode(this.DoctorAssessment, assessment);
+
+        return {
+            kind: 'assessment',
+            recordId: String(assessment._id),
+            verificationCode,
+            verification: await this.verification('assessment', assessment, verificationCode, verifyBaseUrl),
+            generatedAt: new Date(),
+            patient: { username: assessment.from, fullName: await this.patientName(assessment.from) },
+            screenedAt: assessment.timestamp,
+            source: SOURCE_LABELS.assessment,
+            screenedBy: null,
+            prediction: this.predictionSection({ ...assessment, calibration: imageResult ? imageResult.calibration : null }, model),
+            risk: { level: assessment.riskLevel, score: assessment.riskScore, factors: assessment.riskFactors || [] },
+            symptoms: await this.symptomAnswers(assessment.symptoms, assessment.questionnaireVersion),
+            review: await this.reviewSection(assessment, includeClinicalNotes)
+        };
+    }
+
+    fileName(report) {
+        return `screening-report-${report.verificationCode}.pdf`;
+    }
+
+    /**
+     * Render a report to a PDF buffer. Only the PDF standard fonts are used,
+     * so nothing is fetched from outside the server.
+     */
+    render(report) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: 50,
+                info: { Title: 'Screening Report', Subject: `Verification code ${report.verificationCode}` }
+            });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            this.writeReport(doc, report);
+            doc.end();
+        });
+    }
+
+    heading(doc, text) {
+        doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor('#2e7d32').text(text);
+        doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('black');
+    }
+
+    field(doc, label, value) {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value == null || value === '' ? '-' : String(value));
+    }
+
+    writeReport(doc, report) {
+        const date = value => (value ? new Date(value).toLocaleString('en-GB', { timeZone: 'UTC' }) + ' UTC' : '-');
+
+        doc.font('Helvetica-Bold').fontSize(18).fillColor('#2e7d32').text('Anemia & Malaria Screening Report');
+        doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#555')
+            .text(`Generated ${date(report.generatedAt)}`);
+        doc.moveDown(0.5).font('Helvetica-Bold').fontSize(12).fillColor('black')
+            .text(`Verification code: ${report.verificationCode}`);
+        doc.font('Helvetica').fontSize(10);
+
+        this.heading(doc, 'Patient');
+        this.field(doc, 'Name', report.patient.fullName);
+        this.field(doc, 'Username', report.patient.username);
+        if (report.patient.identifier) this.field(doc, 'Patient ID', report.patient.identifier);
+        this.field(doc, 'Screened', date(report.screenedAt));
+        this.field(doc, 'Type', report.source);
+        if (report.screenedBy) this.field(doc, 'Screened by', report.screenedBy);
+
+        this.heading(doc, 'Eyelid Image Analysis (Anemia)');
+        const prediction = report.prediction;
+        if (!prediction.available) {
+            doc.text('No image prediction is available for this record.');
+        } else {
+            this.field(doc, 'Prediction', prediction.label);
+            this.field(doc, 'Confidence', this.percent(prediction.confidence));
+            if (prediction.probabilities) {
+                this.field(doc, 'Class probabilities', Object.entries(prediction.probabilities)
+                    .map(([label, probability]) => `${label} ${this.percent(probability)}`).join(', '));
+            }
+            if (prediction.calibration) this.field(doc, 'Calibration', prediction.calibration);
+            if (prediction.uncertainty && typeof prediction.uncertainty.std === 'number') {
+                this.field(doc, 'Spread across image augmentations (std)', prediction.uncertainty.std.toFixed(3));
+            }
+            if (prediction.needsReview) {
+                doc.fillColor('#c62828').text('Uncertain result - flagged for review by a doctor.').fillColor('black');
+            }
+            doc.moveDown(0.3).fontSize(9).fillColor('#555').text(CONFIDENCE_DEFINITION).fontSize(10).fillColor('black');
+        }
+        this.field(doc, 'Model', prediction.model ? `${prediction.model.name} (version ${prediction.model.version || 'unknown'})` : 'Not recorded');
+
+        if (report.risk) {
+            this.heading(doc, 'Malaria Risk');
+            this.field(doc, 'Risk tier', report.risk.level);
+            if (report.risk.score != null) this.field(doc, 'Risk score', report.risk.score);
+            if (report.risk.factors.length > 0) {
+                doc.text('Contributing factors:');
+                doc.list(report.risk.factors.map(factor => factor.label || factor.key), { bulletIndent: 10 });
+            }
+        }
+
+        if (report.symptoms.length > 0) {
+            this.heading(doc, 'Symptom Answers');
+            for (const { question, answer } of report.symptoms) {
+                this.field(doc, question, answer);
+            }
+        }
+
+        this.heading(doc, 'Doctor Review');
+        const review = report.review;
+        if (!review) {
+            doc.text('This screening has not been sent to a doctor.');
+        } else if (review.status === 'pending') {
+            doc.text(`Awaiting review${review.doctorName ? ` by ${review.doctorName}` : ''}.`);
+        } else {
+            this.field(doc, 'Doctor', review.doctorName);
+            this.field(doc, 'Status', review.status);
+            this.field(doc, 'Reviewed', date(review.reviewedAt));
+            if (review.completedAt) this.field(doc, 'Completed', date(review.completedAt));
+            this.field(doc, 'Working diagnosis', review.diagnosis);
+            this.field(doc, 'Recommended tests', review.recommendedTests.join(', '));
+            if (review.followUpDate) this.field(doc, 'Follow-up', date(review.followUpDate));
+            this.field(doc, 'Doctor\'s notes to the patient', review.patientMessage);
+            if (review.clinicalNotes !== undefined) {
+                this.field(doc, 'Clinical notes (internal)', review.clinicalNotes);
+            }
+        }
+
+        if (report.verification) {
+            this.heading(doc, 'Verify This Report');
+            doc.text('To confirm this report is genuine and unchanged, open:');
+            doc.moveDown(0.2).fontSize(8).fillColor('#1565c0')
+                .text(report.verification.url, { link: report.verification.url, underline: true })
+                .fontSize(10).fillColor('black');
+            doc.moveDown(0.3).text(`or enter code ${report.verificationCode} with the signed token below at /verify.`);
+            doc.moveDown(0.2).font('Courier').fontSize(7).text(report.verification.token).font('Helvetica').fontSize(10);
+        }
+
+        doc.moveDown(1.5).fontSize(9).fillColor('#555').text(DISCLAIMER, { align: 'justify' });
+    }
+}
+
+ClinicalReport.DISCLAIMER = DISCLAIMER;
+ClinicalReport.CONFIDENCE_DEFINITION = CONFIDENCE_DEFINITION;
+
+module.exports = ClinicalReport;
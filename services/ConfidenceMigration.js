@@ -0,0 +1,107 @@
+// services/ConfidenceMigration.js - Converts results stored with the raw model score as `confidence`
+// to per-class probabilities and a confidence for the predicted class. Records whose prediction the
+// stored score doesn't back up are marked unavailable instead of being converted.
+const ModelManager = require('../models/ModelManager');
+
+const UNVERIFIED_REASON = 'LEGACY_UNVERIFIED';
+
+class ConfidenceMigration {
+    constructor(PatientResultModel, DoctorAssessmentModel, modelManager) {
+        this.PatientResult = PatientResultModel;
+        this.DoctorAssessment = DoctorAssessmentModel;
+        this.modelManager = modelManager;
+    }
+
+    // Legacy records hold the uncalibrated positive-label score of the model that produced them
+    getEntryFor(record) {
+        const entry = record.modelName
+            ? this.modelManager.getEntry(record.modelName, record.modelVersion)
+            : null;
+        return entry || ModelManager.DEFAULT_MODEL_ENTRY;
+    }
+
+    /**
+     * Before probabilities existed, fallback results were saved while the model was down and clients could
+     * send their own confidence, so a legacy score only counts if the model's threshold turns it into the
+     * stored prediction. Anything else never came from the model: it keeps no prediction, and what it
+     * claimed is kept in `legacyPrediction` for review.
+     */
+    convert(record) {
+        const rawScore = record.confidence;
+        const entry = this.getEntryFor(record);
+
+        if (rawScore >= 0 && rawScore <= 1) {
+            const { positiveLabel, negativeLabel, positiveProbability, probabilities } =
+                this.modelManager.scoreToProbabilities(rawScore, entry);
+            const expected = positiveProbability > entry.threshold ? positiveLabel : negativeLabel;
+
+            if (expected === record.prediction) {
+                return {
+                    probabilities,
+                    rawScore,
+                    confidence: probabilities[record.prediction],
+                    confidenceMigratedAt: new Date()
+                };
+            }
+        }
+
+        return {
+            predictionStatus: 'unavailable',
+            predictionReason: UNVERIFIED_REASON,
+            prediction: null,
+            confidence: null,
+            probabilities: null,
+            legacyPrediction: { prediction: record.prediction, confidence: rawScore },
+            confidenceMigratedAt: new Date()
+        };
+    }
+
+    // Only records with a prediction and a stored score but no probabilities are legacy
+    legacyQuery() {
+        return {
+            prediction: { $in: ModelManager.PREDICTION_LABELS },
+            confidence: { $type: 'number' },
+            probabilities: null
+        };
+    }
+
+    async migrateCollection(Model, label) {
+        const summary = { migrated: 0, unverified: 0, failed: 0 };
+        const cursor = Model.find(this.legacyQuery()).lean().cursor();
+
+        for await (const record of cursor) {
+            try {
+                const update = this.convert(record);
+                await Model.updateOne({ _id: record._id }, update);
+                if (update.predictionReason === UNVERIFIED_REASON) summary.unverified++;
+                else summary.migrated++;
+            } catch (error) {
+                console.error(`❌ Failed to migrate ${label} ${record._id}:`, error.message);
+                summary.failed++;
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Safe to run on every startup - already converted records are never touched again.
+     */
+    async run() {
+        const results = await this.migrateCollection(this.PatientResult, 'result');
+        const assessments = await this.migrateCollection(this.DoctorAssessment, 'assessment');
+
+        if (results.migrated + assessments.migrated > 0) {
+            console.log(`🔄 Confidence migration: ${results.migrated} result(s) and ${assessments.migrated} assessment(s) converted to per-class probabilities`);
+        }
+        if (results.unverified + assessments.unverified > 0) {
+            console.warn(`⚠️ Confidence migration: ${results.unverified} result(s) and ${assessments.unverified} assessment(s) had a prediction their score doesn't support - marked unavailable (${UNVERIFIED_REASON})`);
+        }
+
+        return { results, assessments };
+    }
+}
+
+ConfidenceMigration.UNVERIFIED_REASON = UNVERIFIED_REASON;
+
+module.exports = ConfidenceMigration;
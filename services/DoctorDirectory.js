@@ -0,0 +1,210 @@
+// services/DoctorDirectory.js - Doctor profiles stored in MongoDB: lookup, validation, admin CRUD and first-run seeding
+const AVAILABILITY_STATUSES = ['available', 'busy', 'away'];
+
+// Seeded once into an empty collection; after that doctors are managed through the admin API
+const DEFAULT_DOCTORS = [
+    {
+        doctorId: '1',
+        name: 'Dr. Debra Rinyai',
+        specialty: 'Infectious Diseases',
+        location: 'Nairobi',
+        coordinates: { lat: -1.2921, lng: 36.8219 },
+        photo: 'https://media.licdn.com/dms/image/v2/D4D03AQHvreljwrWTHA/profile-displayphoto-shrink_400_400/profile-displayphoto-shrink_400_400/0/1667146142894?e=1756944000&v=beta&t=HCb9MeHFbp1ua5ZFXiroweOhbfXSIGCwGBjv57qiA-o',
+        username: 'doctor1'
+    },
+    {
+        doctorId: '2',
+        name: 'Dr. Sharon Lavin',
+        specialty: 'Tropical Medicine',
+        location: 'Mombasa',
+        coordinates: { lat: -4.0435, lng: 39.6682 },
+        photo: 'https://media.licdn.com/dms/image/v2/C4D03AQEN0VHacwo6DQ/profile-displayphoto-shrink_800_800/profile-displayphoto-shrink_800_800/0/1646507114320?e=1756944000&v=beta&t=Gg51H5SnQ7uN4Kst88Nl8gTVh9TMc1h9aulTarprEPM',
+        username: 'doctor2'
+    },
+    {
+        doctorId: '3',
+        name: 'Dr. Juliet Ndolo',
+        specialty: 'Tropical Medicine',
+        location: 'Mombasa',
+        coordinates: { lat: -4.0435, lng: 39.6682 },
+        photo: 'https://media.licdn.com/dms/image/v2/D4D03AQFHMBsr29kbEw/profile-displayphoto-shrink_400_400/profile-displayphoto-shrink_400_400/0/1713880497242?e=1756944000&v=beta&t=RKRpKW1dP6VTTBPwZBb-d_DRr4hNPi-4r2FIROsLveY',
+        username: 'doctor3'
+    }
+];
+
+// `username` is not edited here - it is set when a doctor account is linked to the profile
+const TEXT_FIELDS = ['name', 'specialty', 'location', 'photo', 'facility'];
+const MAX_TEXT_LENGTH = 500;
+
+class DoctorDirectory {
+    constructor(DoctorModel) {
+        this.Doctor = DoctorModel;
+    }
+
+    async list({ includeInactive = false } = {}) {
+        return this.Doctor.find(includeInactive ? {} : { active: true })
+            .sort({ name: 1 })
+            .lean();
+    }
+
+    async get(doctorId, { includeInactive = false } = {}) {
+        if (doctorId === undefined || doctorId === null) return null;
+        const query = { doctorId: String(doctorId) };
+        if (!includeInactive) query.active = true;
+        return this.Doctor.findOne(query).lean();
+    }
+
+    async getByUsername(username) {
+        return this.Doctor.findOne({ username }).lean();
+    }
+
+    // doctorId -> name, for tables that show who an assessment went to (inactive doctors included)
+    async nameMap() {
+        const doctors = await this.Doctor.find({}, { doctorId: 1, name: 1 }).lean();
+        return Object.fromEntries(doctors.map(doctor => [doctor.doctorId, doctor.name]));
+    }
+
+    // What patients see when choosing a doctor
+    publicProfile(doctor) {
+        return {
+            name: doctor.name,
+            specialty: doctor.specialty,
+            location: doctor.location,
+            facility: doctor.facility || null,
+            languages: doctor.languages || [],
+            photo: doctor.photo || null,
+            username: doctor.username || null,
+            availability: doctor.availability || { status: 'available', note: null }
+        };
+    }
+
+    /**
+     * Validate an admin create/update body. With `partial` only the fields present are checked and returned.
+     * Returns { errors, doctor }.
+     */
+    normalize(body = {}, { partial = false } = {}) {
+        const errors = [];
+        const doctor = {};
+
+        for (const key of TEXT_FIELDS) {
+            if (body[key] === undefined) continue;
+            if (body[key] !== null && typeof body[key] !== 'string') {
+                errors.push(`${key} must be text`);
+            } else if (body[key] && body[key].length > MAX_TEXT_LENGTH) {
+                errors.push(`${key} must be at most ${MAX_TEXT_LENGTH} characters`);
+            } else {
+                doctor[key] = body[key] ? body[key].trim() : null;
+            }
+        }
+
+        if (!partial) {
+            for (const key of ['name', 'specialty', 'location']) {
+                if (!doctor[key]) errors.push(`${key} is required`);
+            }
+        } else {
+            for (const key of ['name', 'specialty', 'location']) {
+                if (key in doctor && !doctor[key]) errors.push(`${key} cannot be empty`);
+            }
+        }
+
+        if (body.languages !== undefined) {
+            const languages = Array.isArray(body.languages) ? body.languages : String(body.languages || '').split(',');
+            doctor.languages = [...new Set(languages.map(language => String(language).trim()).filter(Boolean))];
+        }
+
+        if (body.coordinates !== undefined) {
+            // Used for routing patients to a nearby doctor; null clears them
+            const coordinates = body.coordinates;
+            if (coordinates === null || coordinates === '') {
+                doctor.coordinates = null;
+            } else {
+                const lat = Number(coordinates && coordinates.lat);
+                const lng = Number(coordinates && coordinates.lng);
+                if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+                    errors.push('coordinates must have a valid lat and lng');
+                } else {
+                    doctor.coordinates = { lat, lng };
+                }
+            }
+        }
+
+        if (body.availability !== undefined) {
+            const availability = body.availability || {};
+            if (!AVAILABILITY_STATUSES.includes(availability.status)) {
+                errors.push(`availability.status must be one of ${AVAILABILITY_STATUSES.join(', ')}`);
+            } else {
+                doctor.availability = {
+                    status: availability.status,
+                    note: typeof availability.note === 'string' ? availability.note.trim().slice(0, MAX_TEXT_LENGTH) : null
+                };
+            }
+        }
+
+        if (body.active !== undefined) {
+            if (typeof body.active !== 'boolean') {
+                errors.push('active must be true or false');
+            } else {
+                doctor.active = body.active;
+            }
+        }
+
+        return { errors, doctor };
+    }
+
+    // Numeric ids continue from the highest existing one, matching the ids doctors already have
+    async nextDoctorId() {
+        const doctors = await this.Doctor.find({}, { doctorId: 1 }).lean();
+        const highest = doctors.reduce((max, doctor) => Math.max(max, Number(doctor.doctorId) || 0), 0);
+        return String(highest + 1);
+    }
+
+    async create(fields) {
+        const doctor = new this.Doctor({ ...fields, doctorId: await this.nextDoctorId() });
+        return (await doctor.save()).toObject();
+    }
+
+    async update(doctorId, fields) {
+        return this.Doctor.findOneAndUpdate(
+            { doctorId: String(doctorId) },
+            { ...fields, updatedAt: new Date() },
+            { new: true, runValidators: true }
+        ).lean();
+    }
+
+    // Link a doctor account to a profile that has none yet; returns null when the profile is already taken
+    async linkAccount(doctorId, username) {
+        return this.Doctor.findOneAndUpdate(
+            { doctorId: String(doctorId), $or: [{ username: null }, { username }] },
+            { username, updatedAt: new Date() },
+            { new: true }
+        ).lean();
+    }
+
+    // The account was deleted - the profile stays, ready for a new account
+    async unlinkAccount(username) {
+        return this.Doctor.updateMany({ username }, { username: null, updatedAt: new Date() });
+    }
+
+    async remove(doctorId) {
+        return this.Doctor.findOneAndDelete({ doctorId: String(doctorId) }).lean();
+    }
+
+    /**
+     * Fill an empty collection with the default doctors. Returns the doctors that were inserted,
+     * so accounts are only ever created alongside a fresh seed.
+     */
+    async seedDefaults() {
+        if (await this.Doctor.estimatedDocumentCount() > 0) {
+            return [];
+        }
+
+        const inserted = await this.Doctor.insertMany(DEFAULT_DOCTORS);
+        console.log(`🩺 Seeded ${inserted.length} default doctor profile(s)`);
+        return inserted.map(doctor => doctor.toObject());
+    }
+}
+
+DoctorDirectory.AVAILABILITY_STATUSES = AVAILABILITY_STATUSES;
+DoctorDirectory.DEFAULT_DOCTORS = DEFAULT_DOCTORS;
+
+module.exports = DoctorDirectory;
@@ -0,0 +1,186 @@
+// services/ImageQualityChecker.js - Rejects or flags unusable eyelid photos before they reach the model
+const sharp = require('sharp');
+
+// Machine-readable codes returned to clients; 'reject' stops the prediction, 'warn' only flags it
+const QUALITY_CODES = {
+    IMAGE_TOO_SMALL: { severity: 'reject', message: 'The image resolution is too low. Move closer or use a higher camera resolution.' },
+    EXTREME_ASPECT_RATIO: { severity: 'reject', message: 'The image is too narrow or too wide. Take a normal photo of the eyelid.' },
+    TOO_BLURRY: { severity: 'reject', message: 'The image is blurry. Hold the camera steady and make sure the eyelid is in focus.' },
+    UNDEREXPOSED: { severity: 'reject', message: 'The image is too dark. Take the photo in good light.' },
+    OVEREXPOSED: { severity: 'reject', message: 'The image is too bright or washed out. Avoid direct flash or sunlight.' },
+    SLIGHTLY_BLURRY: { severity: 'warn', message: 'The image is slightly blurry - the result may be less reliable.' },
+    POOR_LIGHTING: { severity: 'warn', message: 'Lighting is uneven - the result may be less reliable.' },
+    NO_CONJUNCTIVA_DETECTED: { severity: 'warn', message: 'No inner eyelid could be found. Pull the lower eyelid down so the red inner surface is visible.' }
+};
+
+const DEFAULT_THRESHOLDS = {
+    minWidth: 224,
+    minHeight: 224,
+    maxAspectRatio: 3, // long side / short side
+    analysisSize: 512, // Images are downscaled to this before measuring, so blur scores are comparable
+    minBlurVariance: 40, // Laplacian variance below this is rejected
+    warnBlurVariance: 100,
+    minMeanBrightness: 40,
+    maxMeanBrightness: 225,
+    maxDarkFraction: 0.6, // Share of pixels near black
+    maxBrightFraction: 0.5, // Share of pixels near white (clipped highlights)
+    warnClippedFraction: 0.2,
+    minRedFraction: 0.02 // Share of reddish pixels expected from a visible conjunctiva
+};
+
+class ImageQualityChecker {
+    constructor(options = {}) {
+        this.thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+    }
+
+    issue(code, value, threshold) {
+        return { code, severity: QUALITY_CODES[code].severity, message: QUALITY_CODES[code].message, value, threshold };
+    }
+
+    // Variance of the 4-neighbour Laplacian - low values mean few sharp edges
+    laplacianVariance(gray, width, height) {
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const value = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+                sum += value;
+                sumSquares += value * value;
+                count++;
+            }
+        }
+
+        if (count === 0) return 0;
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
+    }
+
+    exposureStats(gray) {
+        let total = 0;
+        let dark = 0;
+        let bright = 0;
+
+        for (let i = 0; i < gray.length; i++) {
+            total += gray[i];
+            if (gray[i] < 20) dark++;
+            else if (gray[i] > 235) bright++;
+        }
+
+        return {
+            meanBrightness: total / gray.length,
+            darkFraction: dark / gray.length,
+            brightFraction: bright / gray.length
+        };
+    }
+
+    // Conjunctiva pixels are clearly red-dominant; skin and background rarely are
+    redFraction(rgb) {
+        let red = 0;
+        const pixels = rgb.length / 3;
+
+        for (let i = 0; i < rgb.length; i += 3) {
+            const r = rgb[i];
+            const g = rgb[i + 1];
+            const b = rgb[i + 2];
+            if (r > 90 && r > g * 1.4 && r > b * 1.3) red++;
+        }
+
+        return pixels > 0 ? red / pixels : 0;
+    }
+
+    /**
+     * Measure an image and return { passed, issues, metrics }.
+     * `passed` is false when any issue has severity 'reject'.
+     * Throws with code IMAGE_PROCESSING_FAILED when the file cannot be decoded.
+     */
+    async assess(imagePath) {
+        const t = this.thresholds;
+        const issues = [];
+        let metadata;
+
+        try {
+            metadata = await sharp(imagePath).rotate().metadata();
+        } catch (error) {
+            error.code = 'IMAGE_PROCESSING_FAILED';
+            throw error;
+        }
+
+        // EXIF orientations 5-8 swap width and height
+        const rotated = metadata.orientation >= 5;
+        const width = rotated ? metadata.height : metadata.width;
+        const height = rotated ? metadata.width : metadata.height;
+        const aspectRatio = Math.max(width, height) / Math.max(1, Math.min(width, height));
+
+        const metrics = { width, height, aspectRatio: Number(aspectRatio.toFixed(2)) };
+
+        if (width < t.minWidth || height < t.minHeight) {
+            issues.push(this.issue('IMAGE_TOO_SMALL', `${width}x${height}`, `${t.minWidth}x${t.minHeight}`));
+        }
+        if (aspectRatio > t.maxAspectRatio) {
+            issues.push(this.issue('EXTREME_ASPECT_RATIO', metrics.aspectRatio, t.maxAspectRatio));
+        }
+
+        let rgb;
+        let info;
+        try {
+            ({ data: rgb, info } = await sharp(imagePath)
+                .rotate()
+                .resize(t.analysisSize, t.analysisSize, { fit: 'inside', withoutEnlargement: true })
+                .removeAlpha()
+                .toColourspace('srgb')
+                .raw()
+                .toBuffer({ resolveWithObject: true }));
+        } catch (error) {
+            error.code = 'IMAGE_PROCESSING_FAILED';
+            throw error;
+        }
+
+        // Rec. 601 luma from the same pixels, so colour and brightness checks agree (sRGB is always 3 channels)
+        const gray = new Float32Array(info.width * info.height);
+        for (let i = 0, p = 0; p < gray.length; i += 3, p++) {
+            gray[p] = 0.299 * rgb[i] + 0.587 * rgb[i + 1] + 0.114 * rgb[i + 2];
+        }
+
+        const blurVariance = this.laplacianVariance(gray, info.width, info.height);
+        const exposure = this.exposureStats(gray);
+        const redFraction = this.redFraction(rgb);
+
+        metrics.blurVariance = Number(blurVariance.toFixed(1));
+        metrics.meanBrightness = Number(exposure.meanBrightness.toFixed(1));
+        metrics.darkFraction = Number(exposure.darkFraction.toFixed(3));
+        metrics.brightFraction = Number(exposure.brightFraction.toFixed(3));
+        metrics.redFraction = Number(redFraction.toFixed(3));
+
+        if (blurVariance < t.minBlurVariance) {
+            issues.push(this.issue('TOO_BLURRY', metrics.blurVariance, t.minBlurVariance));
+        } else if (blurVariance < t.warnBlurVariance) {
+            issues.push(this.issue('SLIGHTLY_BLURRY', metrics.blurVariance, t.warnBlurVariance));
+        }
+
+        if (exposure.meanBrightness < t.minMeanBrightness || exposure.darkFraction > t.maxDarkFraction) {
+            issues.push(this.issue('UNDEREXPOSED', metrics.meanBrightness, t.minMeanBrightness));
+        } else if (exposure.meanBrightness > t.maxMeanBrightness || exposure.brightFraction > t.maxBrightFraction) {
+            issues.push(this.issue('OVEREXPOSED', metrics.meanBrightness, t.maxMeanBrightness));
+        } else if (exposure.darkFraction + exposure.brightFraction > t.warnClippedFraction) {
+            issues.push(this.issue('POOR_LIGHTING', Number((exposure.darkFraction + exposure.brightFraction).toFixed(3)), t.warnClippedFraction));
+        }
+
+        if (redFraction < t.minRedFraction) {
+            issues.push(this.issue('NO_CONJUNCTIVA_DETECTED', metrics.redFraction, t.minRedFraction));
+        }
+
+        return {
+            passed: !issues.some(issue => issue.severity === 'reject'),
+            issues,
+            metrics
+        };
+    }
+}
+
+ImageQualityChecker.QUALITY_CODES = QUALITY_CODES;
+ImageQualityChecker.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+
+module.exports = ImageQualityChecker;
@@ -0,0 +1,158 @@
+// services/ImageStore.js - Keeps uploaded eyelid images of consenting patients in a content-addressed
+// store and purges them once the retention period is over
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ImageStore {
+    constructor(UserModel, PatientResultModel, options = {}) {
+        this.User = UserModel;
+        this.PatientResult = PatientResultModel;
+        this.storeDir = options.storeDir || path.join(__dirname, '..', 'uploads', 'images');
+        this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+        this.referenceChecks = []; // Other collections that point into the store
+        this.timer = null;
+    }
+
+    // fn(hash, ext) resolves truthy while something outside PatientResult still uses that file
+    addReferenceCheck(fn) {
+        this.referenceChecks.push(fn);
+    }
+
+    hashFile(filePath) {
+        return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    }
+
+    // Two-level fan-out so no single directory ends up with every image
+    pathFor(hash, ext) {
+        return path.join(this.storeDir, hash.slice(0, 2), `${hash}${ext || ''}`);
+    }
+
+    async hasConsent(username) {
+        const user = await this.User.findOne({ username }, { imageRetentionConsent: 1 }).lean();
+        return !!(user && user.imageRetentionConsent);
+    }
+
+    /**
+     * Copy an image into the store if its patient has consented to retention.
+     * Returns the PatientResult fields that link to the stored image, or null when nothing was kept.
+     * The original file is left in place - the caller still owns its cleanup.
+     */
+    async retain(username, filePath) {
+        if (!username || !(await this.hasConsent(username))) {
+            return null;
+        }
+
+        const { imageHash, imageExt } = this.store(filePath);
+        const now = new Date();
+        return {
+            imageHash,
+            imageExt,
+            imageStoredAt: now,
+            imageExpiresAt: new Date(now.getTime() + this.retentionDays * DAY_MS)
+        };
+    }
+
+    // Copy a file into the store unconditionally - for images the patient explicitly sent, like message attachments
+    store(filePath) {
+        const hash = this.hashFile(filePath);
+        const ext = path.extname(filePath).toLowerCase();
+        const storedPath = this.pathFor(hash, ext);
+
+        // Identical uploads share one file
+        if (!fs.existsSync(storedPath)) {
+            fs.mkdirSync(path.dirname(storedPath), { recursive: true });
+            fs.copyFileSync(filePath, storedPath);
+        }
+
+        return { imageHash: hash, imageExt: ext };
+    }
+
+    // Stored file of a result or attachment, or null when it was never retained or has been purged
+    resolve(record) {
+        if (!record || !record.imageHash) return null;
+        const storedPath = this.pathFor(record.imageHash, record.imageExt);
+        return fs.existsSync(storedPath) ? storedPath : null;
+    }
+
+    // Delete a stored file once no result points to it any more
+    async releaseIfUnreferenced(hash, ext) {
+        if (await this.PatientResult.exists({ imageHash: hash, imageExt: ext })) {
+            return false;
+        }
+        for (const check of this.referenceChecks) {
+            if (await check(hash, ext)) return false;
+        }
+
+        try {
+            const storedPath = this.pathFor(hash, ext);
+            if (fs.existsSync(storedPath)) {
+                fs.unlinkSync(storedPath);
+                return true;
+            }
+        } catch (error) {
+            console.error('Failed to delete retained image:', error);
+        }
+        return false;
+    }
+
+    // Unlink results from their images, then delete files no other result still points to
+    async unlinkResults(query) {
+        const records = await this.PatientResult.find({ ...query, imageHash: { $ne: null } }, { imageHash: 1, imageExt: 1 }).lean();
+        if (records.length === 0) {
+            return { unlinked: 0, deleted: 0 };
+        }
+
+        await this.PatientResult.updateMany(
+            { _id: { $in: records.map(record => record._id) } },
+            { imageHash: null, imageExt: null, imageStoredAt: null, imageExpiresAt: null, imagePurgedAt: new Date() }
+        );
+
+        let deleted = 0;
+        const files = new Map(records.map(record => [`${record.imageHash}${record.imageExt || ''}`, record]));
+        for (const record of files.values()) {
+            if (await this.releaseIfUnreferenced(record.imageHash, record.imageExt)) {
+                deleted++;
+            }
+        }
+
+        return { unlinked: records.length, deleted };
+    }
+
+    async purgeExpired() {
+        const summary = await this.unlinkResults({ imageExpiresAt: { $lte: new Date() } });
+        if (summary.unlinked > 0) {
+            console.log(`🧹 Image retention: ${summary.unlinked} result(s) past retention, ${summary.deleted} image(s) deleted`);
+        }
+        return summary;
+    }
+
+    // Consent withdrawn or account removed - nothing of this patient may stay in the store
+    async purgeForUser(username) {
+        return this.unlinkResults({ username });
+    }
+
+    // Daily purge; the timer never keeps the process alive on its own
+    start(intervalMs = DAY_MS) {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.purgeExpired().catch(error => console.error('❌ Image retention purge failed:', error));
+        }, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+ImageStore.DEFAULT_RETENTION_DAYS = DEFAULT_RETENTION_DAYS;
+
+module.exports = ImageStore;
@@ -0,0 +1,303 @@
+// services/LoginGuard.js - Login throttling and lockout: exponential backoff per account and per IP address,
+// a temporary lockout after repeated failures, and the stored record of every attempt admins can review
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_MAX_ACCOUNT_FAILURES = 5;
+const DEFAULT_MAX_IP_FAILURES = 50; // Clinics share one address behind NAT; this is for sprays, not typos
+const DEFAULT_LOCKOUT_MS = 15 * MINUTE_MS;
+const WINDOW_MS = 60 * MINUTE_MS; // Failures older than this no longer count
+const BASE_DELAY_MS = 1000; // Doubles with every further failure
+const MAX_DELAY_MS = MINUTE_MS;
+const MAX_USERNAME_LENGTH = 100; // Attempted usernames are untrusted input
+
+/*
+ * Outcomes:
+ *   pending   stored before the password is checked and resolved to one of the others afterwards;
+ *             counts as a failure meanwhile, so parallel guesses see each other
+ *   success   logged in; clears the account's failures
+ *   failure   wrong username or password - with pending, the only outcome that counts towards throttling
+ *   denied    right password, but the account is inactive or its email is unconfirmed
+ *   blocked   refused by the throttle without checking the password
+ *   unlocked  an admin or a password reset cleared the account's failures
+ */
+const OUTCOMES = ['pending', 'success', 'failure', 'denied', 'blocked', 'unlocked'];
+const COUNTED_OUTCOMES = ['failure', 'pending'];
+
+// A success or an unlock starts an account's count over; an address's count only ages out,
+// so logging into one account doesn't buy more guesses at another. Failures up to `freeFailures`
+// are not slowed down - a few typos for an account, the typos of a whole clinic for an address.
+const SCOPES = {
+    account: { field: 'username', resetOutcomes: ['success', 'unlocked'], freeFailures: 2 },
+    ip: { field: 'ip', resetOutcomes: [], freeFailures: 10 }
+};
+
+// Unset, zero or malformed settings fall back to the default
+const setting = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+
+// Keeps attempts in memory, newest last - for tests and single-process development
+class MemoryAttemptStore {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || 10000;
+        this.attempts = [];
+        this.nextId = 1;
+    }
+
+    async add(attempt) {
+        const stored = { ...attempt, _id: this.nextId++ };
+        this.attempts.push(stored);
+        if (this.attempts.length > this.maxAttempts) {
+            this.attempts.splice(0, this.attempts.length - this.maxAttempts);
+        }
+        return { ...stored };
+    }
+
+    async update(id, changes) {
+        const attempt = this.attempts.find(stored => stored._id === id);
+        if (!attempt) return null;
+        Object.assign(attempt, changes);
+        return { ...attempt };
+    }
+
+    // Failures and pending attempts for field=value since `since`, stopping at the latest reset outcome.
+    // `excludeId` leaves out the attempt asking.
+    async failureStreak(field, value, since, resetOutcomes = [], excludeId = null) {
+        let count = 0;
+        let lastFailureAt = null;
+        for (let i = this.attempts.length - 1; i >= 0; i--) {
+            const attempt = this.attempts[i];
+            if (attempt.timestamp < since) break;
+            if (attempt[field] !== value || attempt._id === excludeId) continue;
+            if (resetOutcomes.includes(attempt.outcome)) break;
+            if (COUNTED_OUTCOMES.includes(attempt.outcome)) {
+                count++;
+                lastFailureAt = lastFailureAt || attempt.timestamp;
+            }
+        }
+        return { count, lastFailureAt };
+    }
+
+    async list({ username, ip, outcome, limit = 100 } = {}) {
+        return this.attempts
+            .filter(attempt => (!username || attempt.username === username) &&
+                (!ip || attempt.ip === ip) && (!outcome || attempt.outcome === outcome))
+            .slice(-limit)
+            .reverse()
+            .map(attempt => ({ ...attempt }));
+    }
+
+    async usernamesFailedSince(since) {
+        return [...new Set(this.attempts
+            .filter(attempt => attempt.outcome === 'failure' && attempt.timestamp >= since)
+            .map(attempt => attempt.username))];
+    }
+}
+
+// Keeps attempts in a mongoose model
+class MongoAttemptStore {
+    constructor(LoginAttemptModel) {
+        this.LoginAttempt = LoginAttemptModel;
+    }
+
+    async add(attempt) {
+        const record = await this.LoginAttempt.create(attempt);
+        return record.toObject();
+    }
+
+    async update(id, changes) {
+        return this.LoginAttempt.findByIdAndUpdate(id, changes, { new: true }).lean();
+    }
+
+    async failureStreak(field, value, since, resetOutcomes = [], excludeId = null) {
+        let after = { $gte: since };
+        if (resetOutcomes.length > 0) {
+            const reset = await this.LoginAttempt.findOne(
+                { [field]: value, outcome: { $in: resetOutcomes }, timestamp: { $gte: since } }
+            ).sort({ timestamp: -1 }).lean();
+            if (reset) after = { $gt: reset.timestamp };
+        }
+
+        const query = { [field]: value, outcome: { $in: COUNTED_OUTCOMES }, timestamp: after };
+        if (excludeId) query._id = { $ne: excludeId };
+        const [count, last] = await Promise.all([
+            this.LoginAttempt.countDocuments(query),
+            this.LoginAttempt.findOne(query).sort({ timestamp: -1 }).lean()
+        ]);
+        return { count, lastFailureAt: last ? last.timestamp : null };
+    }
+
+    async list({ username, ip, outcome, limit = 100 } = {}) {
+        const query = {};
+        if (username) query.username = username;
+        if (ip) query.ip = ip;
+        if (outcome) query.outcome = outcome;
+        return this.LoginAttempt.find(query).sort({ timestamp: -1 }).limit(limit).lean();
+    }
+
+    async usernamesFailedSince(since) {
+        return this.LoginAttempt.distinct('username', { outcome: 'failure', timestamp: { $gte: since } });
+    }
+}
+
+class LoginGuard {
+    /**
+     * `store` is a MemoryAttemptStore, a MongoAttemptStore or anything with the same methods.
+     * `options.now` replaces the clock, so tests can step through backoff and lockout.
+     */
+    constructor(store, options = {}) {
+        this.store = store;
+        this.maxFailures = {
+            account: setting(options.maxAccountFailures, DEFAULT_MAX_ACCOUNT_FAILURES),
+            ip: setting(options.maxIpFailures, DEFAULT_MAX_IP_FAILURES)
+        };
+        this.lockoutMs = setting(options.lockoutMs, DEFAULT_LOCKOUT_MS);
+        this.windowMs = Math.max(setting(options.windowMs, WINDOW_MS), this.lockoutMs);
+        this.now = options.now || (() => Date.now());
+    }
+
+    normalizeUsername(username) {
+        return typeof username === 'string' ? username.trim().slice(0, MAX_USERNAME_LENGTH) : '';
+    }
+
+    // Wait before the next attempt after `count` failures in a row: nothing for the scope's free failures, then doubling
+    backoffMs(count, scope = 'account') {
+        const { freeFailures } = SCOPES[scope];
+        if (count <= freeFailures) return 0;
+        return Math.min(BASE_DELAY_MS * 2 ** (count - freeFailures - 1), MAX_DELAY_MS);
+    }
+
+    // { failures, locked, retryAfterMs } for one account or address, leaving out the attempt `excludeId`
+    async state(scope, value, now = this.now(), excludeId = null) {
+        const { field, resetOutcomes } = SCOPES[scope];
+        const { count, lastFailureAt } = await this.store.failureStreak(
+            field, value, new Date(now - this.windowMs), resetOutcomes, excludeId);
+        if (!lastFailureAt) return { failures: count, locked: false, retryAfterMs: 0 };
+
+        const locked = count >= this.maxFailures[scope];
+        const wait = locked ? this.lockoutMs : this.backoffMs(count, scope);
+        const retryAfterMs = Math.max(new Date(lastFailureAt).getTime() + wait - now, 0);
+        return { failures: count, locked: locked && retryAfterMs > 0, retryAfterMs };
+    }
+
+    /**
+     * Whether a login for `username` from `ip` may be tried now. When not, `reason` is
+     * account_locked, account_throttled, ip_locked or ip_throttled and `retryAfterMs` says for how long.
+     */
+    async check({ username, ip }, excludeId = null) {
+        const now = this.now();
+        const states = [];
+        const account = this.normalizeUsername(username);
+        if (account) states.push(['account', await this.state('account', account, now, excludeId)]);
+        if (ip) states.push(['ip', await this.state('ip', ip, now, excludeId)]);
+
+        const blocking = states
+            .filter(([, state]) => state.retryAfterMs > 0)
+            .sort((a, b) => b[1].retryAfterMs - a[1].retryAfterMs)[0];
+        if (!blocking) return { allowed: true };
+
+        const [scope, state] = blocking;
+        return {
+            allowed: false,
+            reason: `${scope}_${state.locked ? 'locked' : 'throttled'}`,
+            retryAfterMs: state.retryAfterMs
+        };
+    }
+
+    /**
+     * Start a login: the attempt is stored as pending before the password is checked, and only then
+     * is the throttle consulted, counting every other pending attempt. Parallel requests therefore
+     * can't all slip through before the first failure is written. Returns check()'s decision plus
+     * the `attempt`; an allowed attempt is finished with resolve(), a refused one is already stored as blocked.
+     */
+    async begin({ username, ip = null, userAgent = null }) {
+        const attempt = await this.store.add({
+            username: this.normalizeUsername(username),
+            ip,
+            userAgent: userAgent ? String(userAgent).slice(0, 200) : null,
+            outcome: 'pending',
+            reason: null,
+            timestamp: new Date(this.now())
+        });
+
+        const decision = await this.check({ username, ip }, attempt._id);
+        if (!decision.allowed) {
+            return { ...decision, attempt: await this.store.update(attempt._id, { outcome: 'blocked', reason: decision.reason }) };
+        }
+        return { ...decision, attempt };
+    }
+
+    // Settle a pending attempt from begin() with what the password check found
+    async resolve(attempt, { outcome, reason = null }) {
+        this.assertOutcome(outcome);
+        const resolved = await this.store.update(attempt._id, { outcome, reason });
+        return { attempt: resolved, accountLocked: await this.lockedBy(resolved) };
+    }
+
+    /**
+     * Store a finished attempt. For a failure, `accountLocked` says whether it left the account locked out.
+     */
+    async record({ username, ip = null, userAgent = null, outcome, reason = null }) {
+        this.assertOutcome(outcome);
+
+        const attempt = await this.store.add({
+            username: this.normalizeUsername(username),
+            ip,
+            userAgent: userAgent ? String(userAgent).slice(0, 200) : null,
+            outcome,
+            reason,
+            timestamp: new Date(this.now())
+        });
+        return { attempt, accountLocked: await this.lockedBy(attempt) };
+    }
+
+    assertOutcome(outcome) {
+        if (!OUTCOMES.includes(outcome) || outcome === 'pending') {
+            throw new Error(`Unknown login outcome "${outcome}"`);
+        }
+    }
+
+    // Whether a stored failure left its account locked out
+    async lockedBy(attempt) {
+        if (!attempt || attempt.outcome !== 'failure' || !attempt.username) return false;
+        return (await this.state('account', attempt.username)).locked;
+    }
+
+    // Lets a locked-out account try again straight away
+    async unlock(username, { reason = null, ip = null } = {}) {
+        return this.record({ username, ip, outcome: 'unlocked', reason });
+    }
+
+    async attempts(filters = {}) {
+        return this.store.list(filters);
+    }
+
+    // Accounts locked out right now, with when each lockout ends
+    async lockedAccounts() {
+        const now = this.now();
+        const usernames = await this.store.usernamesFailedSince(new Date(now - this.windowMs));
+        const locked = [];
+        for (const username of usernames) {
+            const state = await this.state('account', username, now);
+            if (state.locked) {
+                locked.push({ username, failures: state.failures, lockedUntil: new Date(now + state.retryAfterMs) });
+            }
+        }
+        return locked;
+    }
+
+    // What to tell the person at the login page
+    message(decision) {
+        const minutes = Math.ceil(decision.retryAfterMs / MINUTE_MS);
+        if (decision.reason.endsWith('_locked')) {
+            return `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`;
+        }
+        const seconds = Math.ceil(decision.retryAfterMs / 1000);
+        return `Too many failed login attempts. Wait ${seconds} second${seconds === 1 ? '' : 's'} and try again.`;
+    }
+}
+
+LoginGuard.OUTCOMES = OUTCOMES;
+LoginGuard.SCOPES = SCOPES;
+LoginGuard.MemoryAttemptStore = MemoryAttemptStore;
+LoginGuard.MongoAttemptStore = MongoAttemptStore;
+
+module.exports = LoginGuard;
@@ -0,0 +1,69 @@
+// services/Mailer.js - Outgoing email through a pluggable transport. Ships with console and file transports
+// for development and testing; a real SMTP or API transport is any object with send(message).
+const fs = require('fs');
+const path = require('path');
+
+// Prints every message to the server log
+class ConsoleTransport {
+    async send(message) {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { id: null };
+    }
+}
+
+// Writes every message as a JSON file, so tests and developers can open the links it contains
+class FileTransport {
+    constructor(outboxDir) {
+        this.outboxDir = outboxDir;
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(this.outboxDir, { recursive: true });
+        const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+        const filePath = path.join(this.outboxDir, `${id}.json`);
+        await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+        console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+        return { id };
+    }
+}
+
+class Mailer {
+    constructor(options = {}) {
+        this.from = options.from || 'no-reply@medicalsystem.com';
+        this.transport = options.transport || new ConsoleTransport();
+    }
+
+    /**
+     * Transport named by configuration: 'console' (the development default) or 'file'.
+     * Anything else is plugged in with setTransport(). An unknown name is an error, and so is
+     * the console transport in `production`, where it would print live reset links to the log.
+     */
+    static fromConfig({ transport, outboxDir, from, production = false } = {}) {
+        if (transport === 'file') {
+            return new Mailer({ from, transport: new FileTransport(outboxDir || path.join(__dirname, '..', 'uploads', 'outbox')) });
+        }
+        if (transport !== undefined && transport !== '' && transport !== 'console') {
+            throw new Error(`Unknown mail transport "${transport}" - use "console" or "file"`);
+        }
+        if (production) {
+            throw new Error('The console mail transport prints account links to the log - set MAIL_TRANSPORT for production');
+        }
+        return new Mailer({ from, transport: new ConsoleTransport() });
+    }
+
+    setTransport(transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error('A mail transport needs a send(message) method');
+        }
+        this.transport = transport;
+    }
+
+    async send({ to, subject, text }) {
+        return this.transport.send({ from: this.from, to, subject, text });
+    }
+}
+
+Mailer.ConsoleTransport = ConsoleTransport;
+Mailer.FileTransport = FileTransport;
+
+module.exports = Mailer;
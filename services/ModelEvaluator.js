@@ -0,0 +1,291 @@
+// services/ModelEvaluator.js - Confirmed lab outcomes recorded by doctors, and per-model-version
+// confusion matrix, ROC/AUC and calibration measured against them
+const ModelManager = require('../models/ModelManager');
+const OperatingPointEvaluator = require('./OperatingPointEvaluator');
+
+const CONDITION_LABEL = OperatingPointEvaluator.CONDITION_LABEL;
+
+// WHO cut-off for non-pregnant adult women; configurable because it differs by age, sex and pregnancy
+const DEFAULT_ANEMIA_HB_CUTOFF = 12; // g/dL
+const HB_RANGE = { min: 1, max: 25 }; // Anything outside this is a typo, not a measurement
+
+const RDT_RESULTS = ['positive', 'negative', 'invalid'];
+const SMEAR_RESULTS = ['positive', 'negative'];
+const CALIBRATION_BINS = 10;
+
+class ModelEvaluator {
+    constructor(OutcomeLabelModel, PatientResultModel, options = {}) {
+        this.OutcomeLabel = OutcomeLabelModel;
+        this.PatientResult = PatientResultModel;
+        this.anemiaHbCutoff = options.anemiaHbCutoff || DEFAULT_ANEMIA_HB_CUTOFF;
+    }
+
+    isEmpty(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    /**
+     * Validate the lab fields of an outcome and derive the ground-truth labels from them.
+     * Anemia comes from Hb unless the doctor sets it explicitly; a smear overrides the RDT for malaria.
+     * Returns { errors, outcome }.
+     */
+    normalizeOutcome(body = {}) {
+        const errors = [];
+        const outcome = {
+            hbLevel: null,
+            rdtResult: null,
+            smearResult: null,
+            anemiaStatus: null,
+            anemiaStatusSource: null,
+            malariaStatus: null,
+            notes: typeof body.notes === 'string' ? body.notes.trim().slice(0, 1000) : null
+        };
+
+        if (!this.isEmpty(body.hbLevel)) {
+            const hbLevel = Number(body.hbLevel);
+            if (!Number.isFinite(hbLevel) || hbLevel < HB_RANGE.min || hbLevel > HB_RANGE.max) {
+                errors.push(`hbLevel must be a number in g/dL between ${HB_RANGE.min} and ${HB_RANGE.max}`);
+            } else {
+                outcome.hbLevel = Number(hbLevel.toFixed(1));
+            }
+        }
+
+        if (!this.isEmpty(body.rdtResult)) {
+            if (!RDT_RESULTS.includes(body.rdtResult)) {
+                errors.push(`rdtResult must be one of ${RDT_RESULTS.join(', ')}`);
+            } else {
+                outcome.rdtResult = body.rdtResult;
+            }
+        }
+
+        if (!this.isEmpty(body.smearResult)) {
+            if (!SMEAR_RESULTS.includes(body.smearResult)) {
+                errors.push(`smearResult must be one of ${SMEAR_RESULTS.join(', ')}`);
+            } else {
+                outcome.smearResult = body.smearResult;
+            }
+        }
+
+        if (!this.isEmpty(body.anemiaStatus)) {
+            if (!ModelManager.PREDICTION_LABELS.includes(body.anemiaStatus)) {
+                errors.push(`anemiaStatus must be one of ${ModelManager.PREDICTION_LABELS.join(', ')}`);
+            } else {
+                outcome.anemiaStatus = body.anemiaStatus;
+                outcome.anemiaStatusSource = 'doctor';
+            }
+        } else if (outcome.hbLevel !== null) {
+            outcome.anemiaStatus = outcome.hbLevel < this.anemiaHbCutoff ? CONDITION_LABEL : 'Non-anemic';
+            outcome.anemiaStatusSource = 'hb';
+        }
+
+        if (outcome.smearResult) {
+            outcome.malariaStatus = outcome.smearResult;
+        } else if (outcome.rdtResult && outcome.rdtResult !== 'invalid') {
+            outcome.malariaStatus = outcome.rdtResult;
+        }
+
+        if (errors.length === 0 && outcome.hbLevel === null && outcome.anemiaStatus === null && outcome.malariaStatus === null) {
+            errors.push('At least one of hbLevel, anemiaStatus, rdtResult or smearResult is required');
+        }
+
+        return { errors, outcome };
+    }
+
+    /**
+     * Store the outcome for an assessment or a patient result, replacing any earlier one for the same case.
+     * `target` is { assessment } or { patientResult } - access checks are the caller's job.
+     */
+    async recordOutcome(target, outcome, labeledBy) {
+        const { assessment, patientResult } = target;
+        // Assessments point at the image result they were sent with, which is what the model scored
+        const patientResultId = patientResult ? patientResult._id : (assessment.patientResultId || null);
+        const scored = patientResultId
+            ? (patientResult || await this.PatientResult.findById(patientResultId).lean())
+            : null;
+
+        const key = assessment ? { assessmentId: assessment._id } : { patientResultId, assessmentId: null };
+        const now = new Date();
+
+        return this.OutcomeLabel.findOneAndUpdate(key, {
+            ...outcome,
+            ...key,
+            patientResultId,
+            patientUsername: assessment ? assessment.from : patientResult.username,
+            modelName: scored ? scored.modelName : null,
+            modelVersion: scored ? scored.modelVersion : null,
+            prediction: scored ? scored.prediction : (assessment.prediction || null),
+            predictedProbability: scored && scored.probabilities ? scored.probabilities[CONDITION_LABEL] : null,
+            labeledBy,
+            updatedAt: now,
+            $setOnInsert: { labeledAt: now }
+        }, { upsert: true, new: true, runValidators: true });
+    }
+
+    ratio(numerator, denominator) {
+        return denominator > 0 ? Number((numerator / denominator).toFixed(4)) : null;
+    }
+
+    confusionMatrix(cases) {
+        const counts = { tp: 0, fp: 0, tn: 0, fn: 0 };
+
+        for (const item of cases) {
+            const predictedCondition = item.prediction === CONDITION_LABEL;
+            if (predictedCondition && item.actual) counts.tp++;
+            else if (predictedCondition) counts.fp++;
+            else if (item.actual) counts.fn++;
+            else counts.tn++;
+        }
+
+        return {
+            ...counts,
+            sensitivity: this.ratio(counts.tp, counts.tp + counts.fn),
+            specificity: this.ratio(counts.tn, counts.tn + counts.fp),
+            ppv: this.ratio(counts.tp, counts.tp + counts.fp),
+            npv: this.ratio(counts.tn, counts.tn + counts.fn),
+            accuracy: this.ratio(counts.tp + counts.tn, cases.length)
+        };
+    }
+
+    // One ROC point per distinct P(Anemic), sweeping the threshold from high to low; AUC by trapezoids
+    roc(cases) {
+        const positives = cases.filter(item => item.actual).length;
+        const negatives = cases.length - positives;
+        if (positives === 0 || negatives === 0) {
+            return { points: [], auc: null };
+        }
+
+        const sorted = [...cases].sort((a, b) => b.probability - a.probability);
+        const points = [{ threshold: 1, fpr: 0, tpr: 0 }];
+        let tp = 0;
+        let fp = 0;
+
+        sorted.forEach((item, index) => {
+            if (item.actual) tp++;
+            else fp++;
+            // Tied probabilities move together, otherwise the curve depends on sort order
+            const next = sorted[index + 1];
+            if (!next || next.probability !== item.probability) {
+                points.push({ threshold: Number(item.probability.toFixed(4)), fpr: fp / negatives, tpr: tp / positives });
+            }
+        });
+
+        let auc = 0;
+        for (let i = 1; i < points.length; i++) {
+            auc += (points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr) / 2;
+        }
+
+        return {
+            points: points.map(point => ({ ...point, fpr: Number(point.fpr.toFixed(4)), tpr: Number(point.tpr.toFixed(4)) })),
+            auc: Number(auc.toFixed(4))
+        };
+    }
+
+    // Reliability diagram bins on P(Anemic), plus Brier score and expected calibration error
+    calibration(cases) {
+        const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+            lower: i / CALIBRATION_BINS,
+            upper: (i + 1) / CALIBRATION_BINS,
+            count: 0,
+            sumPredicted: 0,
+            positives: 0
+        }));
+
+        let brier = 0;
+        for (const item of cases) {
+            const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(item.probability * CALIBRATION_BINS))];
+            bin.count++;
+            bin.sumPredicted += item.probability;
+            if (item.actual) bin.positives++;
+            brier += (item.probability - (item.actual ? 1 : 0)) ** 2;
+        }
+
+        let ece = 0;
+        const result = bins.map(bin => {
+            const meanPredicted = bin.count > 0 ? bin.sumPredicted / bin.count : null;
+            const observedRate = bin.count > 0 ? bin.positives / bin.count : null;
+            if (bin.count > 0) {
+                ece += (bin.count / cases.length) * Math.abs(meanPredicted - observedRate);
+            }
+            return {
+                lower: bin.lower,
+                upper: bin.upper,
+                count: bin.count,
+                meanPredicted: meanPredicted === null ? null : Number(meanPredicted.toFixed(4)),
+                observedRate: observedRate === null ? null : Number(observedRate.toFixed(4))
+            };
+        });
+
+        return {
+            bins: result,
+            brierScore: cases.length > 0 ? Number((brier / cases.length).toFixed(4)) : null,
+            ece: cases.length > 0 ? Number(ece.toFixed(4)) : null
+        };
+    }
+
+    /**
+     * Metrics per model version over every image result that has a confirmed anemia outcome.
+     * Results saved before model versions were recorded are grouped as "unversioned".
+     */
+    async evaluate({ name, version } = {}) {
+        const labels = await this.OutcomeLabel.find({ anemiaStatus: { $ne: null }, patientResultId: { $ne: null } })
+            .sort({ updatedAt: -1 })
+            .lean();
+
+        // Several assessments can share one image result - the newest outcome wins
+        const actualByResult = new Map();
+        const ids = [];
+        for (const label of labels) {
+            const key = String(label.patientResultId);
+            if (!actualByResult.has(key)) {
+                actualByResult.set(key, label.anemiaStatus === CONDITION_LABEL);
+                ids.push(label.patientResultId);
+            }
+        }
+
+        const results = await this.PatientResult.find({
+            _id: { $in: ids },
+            predictionStatus: 'completed',
+            source: { $in: ['single', 'batch'] },
+            probabilities: { $ne: null }
+        }).lean();
+
+        const groups = new Map();
+        for (const result of results) {
+            const model = { name: result.modelName || 'unversioned', version: result.modelVersion || null };
+            if (name && model.name !== name) continue;
+            if (version && model.version !== version) continue;
+
+            const key = `${model.name}@${model.version}`;
+            if (!groups.has(key)) groups.set(key, { model, cases: [] });
+            groups.get(key).cases.push({
+                prediction: result.prediction,
+                probability: result.probabilities[CONDITION_LABEL],
+                actual: actualByResult.get(String(result._id))
+            });
+        }
+
+        const models = [...groups.values()].map(({ model, cases }) => ({
+            model,
+            cases: cases.length,
+            anemic: cases.filter(item => item.actual).length,
+            nonAnemic: cases.filter(item => !item.actual).length,
+            confusionMatrix: this.confusionMatrix(cases),
+            roc: this.roc(cases),
+            calibration: this.calibration(cases)
+        }));
+
+        return {
+            conditionLabel: CONDITION_LABEL,
+            anemiaHbCutoff: this.anemiaHbCutoff,
+            labeledResults: actualByResult.size,
+            evaluatedResults: models.reduce((sum, entry) => sum + entry.cases, 0),
+            models
+        };
+    }
+}
+
+ModelEvaluator.RDT_RESULTS = RDT_RESULTS;
+ModelEvaluator.SMEAR_RESULTS = SMEAR_RESULTS;
+ModelEvaluator.DEFAULT_ANEMIA_HB_CUTOFF = DEFAULT_ANEMIA_HB_CUTOFF;
+
+module.exports = ModelEvaluator;
@@ -0,0 +1,135 @@
+// services/NotificationHub.js - Server-Sent Events connections and publishing to users, doctors and admins
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Keeps proxies from closing idle streams
+const MAX_STREAMS_PER_USER = 5; // One per open tab is plenty; the oldest is dropped beyond this
+
+/*
+ * Channels:
+ *   user:<username>     everything addressed to one account (patients' own cases)
+ *   doctor:<doctorId>   cases assigned to a doctor
+ *   admins              every admin session
+ */
+class NotificationHub {
+    constructor(options = {}) {
+        this.heartbeatIntervalMs = options.heartbeatIntervalMs || HEARTBEAT_INTERVAL_MS;
+        this.maxStreamsPerUser = options.maxStreamsPerUser || MAX_STREAMS_PER_USER;
+        this.clients = new Set(); // { res, username, sessionId, channels }
+        this.nextEventId = 1;
+        this.timer = null;
+    }
+
+    // Channels a session listens on
+    channelsFor(session) {
+        const channels = [`user:${session.username}`];
+        if (session.role === 'doctor' && session.doctorId) channels.push(`doctor:${session.doctorId}`);
+        if (session.role === 'admin') channels.push('admins');
+        return channels;
+    }
+
+    /**
+     * Turn a request into an event stream for the session's channels.
+     * The connection stays registered until the client goes away.
+     */
+    subscribe(req, res) {
+        const session = req.session;
+        const client = {
+            res,
+            username: session.username,
+            sessionId: req.sessionID,
+            channels: new Set(this.channelsFor(session))
+        };
+
+        const existing = [...this.clients].filter(other => other.username === client.username);
+        if (existing.length >= this.maxStreamsPerUser) {
+            this.remove(existing[0]);
+            existing[0].res.end();
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        this.clients.add(client);
+        req.on('close', () => this.remove(client));
+        this.startHeartbeat();
+
+        this.send(client, 'connected', { channels: [...client.channels] });
+        return client;
+    }
+
+    remove(client) {
+        this.clients.delete(client);
+        if (this.clients.size === 0) this.stopHeartbeat();
+    }
+
+    // Logged out - the session's streams must stop receiving events
+    disconnectSession(sessionId) {
+        for (const client of [...this.clients]) {
+            if (client.sessionId === sessionId) {
+                this.remove(client);
+                client.res.end();
+            }
+        }
+    }
+
+    send(client, event, data, id = null) {
+        try {
+            client.res.write(`${id !== null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        } catch (error) {
+            this.remove(client);
+        }
+    }
+
+    /**
+     * Push an event to every stream listening on any of `channels`.
+     * Returns how many streams it went to. Never throws - a notification must not break the request that sent it.
+     */
+    publish(channels, event, data = {}) {
+        const targets = new Set(Array.isArray(channels) ? channels : [channels]);
+        const id = this.nextEventId++;
+        const payload = { ...data, at: new Date().toISOString() };
+        let delivered = 0;
+
+        for (const client of this.clients) {
+            if ([...client.channels].some(channel => targets.has(channel))) {
+                this.send(client, event, payload, id);
+                delivered++;
+            }
+        }
+
+        return delivered;
+    }
+
+    startHeartbeat() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            for (const client of this.clients) {
+                try {
+                    client.res.write(': ping\n\n');
+                } catch (error) {
+                    this.remove(client);
+                }
+            }
+        }, this.heartbeatIntervalMs);
+        this.timer.unref();
+    }
+
+    stopHeartbeat() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    get connectionCount() {
+        return this.clients.size;
+    }
+}
+
+NotificationHub.HEARTBEAT_INTERVAL_MS = HEARTBEAT_INTERVAL_MS;
+
+module.exports = NotificationHub;
@@ -0,0 +1,194 @@
+// services/OperatingPointEvaluator.js - Sensitivity/specificity/PPV/NPV of a model version at candidate
+// thresholds, measured on a labeled validation set kept on local disk
+const fs = require('fs');
+const path = require('path');
+const ModelManager = require('../models/ModelManager');
+
+// Screening is about finding anemia, so Anemic is the "positive" condition for all metrics
+const CONDITION_LABEL = 'Anemic';
+
+/*
+ * Validation set layout (not committed - contains patient images):
+ *   <validationDir>/labels.json   [{ "file": "img001.jpg", "label": "Anemic" }, ...]
+ *   <validationDir>/<file>        the images, paths relative to the directory
+ */
+class OperatingPointEvaluator {
+    constructor(modelManager, options = {}) {
+        this.modelManager = modelManager;
+        this.validationDir = options.validationDir || path.join(__dirname, '..', 'models', 'validation');
+        this.cache = new Map(); // name@version -> { labelsMtime, scored, skipped }
+    }
+
+    get labelsPath() {
+        return path.join(this.validationDir, 'labels.json');
+    }
+
+    loadValidationSet() {
+        if (!fs.existsSync(this.labelsPath)) {
+            const error = new Error(`No validation set found - expected ${this.labelsPath}`);
+            error.code = 'VALIDATION_SET_MISSING';
+            throw error;
+        }
+
+        let items;
+        try {
+            items = JSON.parse(fs.readFileSync(this.labelsPath, 'utf8'));
+        } catch (parseError) {
+            const error = new Error(`labels.json is not valid JSON: ${parseError.message}`);
+            error.code = 'VALIDATION_SET_INVALID';
+            throw error;
+        }
+
+        const errors = [];
+        if (!Array.isArray(items) || items.length === 0) {
+            errors.push('labels.json must be a non-empty array');
+        } else {
+            items.forEach((item, index) => {
+                if (!item || typeof item.file !== 'string' || path.isAbsolute(item.file) || item.file.split(/[\\/]/).includes('..')) {
+                    errors.push(`Item ${index + 1}: file must be a path inside the validation directory`);
+                } else if (!fs.existsSync(path.join(this.validationDir, item.file))) {
+                    errors.push(`Item ${index + 1}: ${item.file} not found`);
+                }
+                if (!item || !ModelManager.PREDICTION_LABELS.includes(item.label)) {
+                    errors.push(`Item ${index + 1}: label must be one of ${ModelManager.PREDICTION_LABELS.join(', ')}`);
+                }
+            });
+        }
+
+        if (errors.length > 0) {
+            const error = new Error(errors.join('; '));
+            error.code = 'VALIDATION_SET_INVALID';
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        return items.map(item => ({ ...item, path: path.join(this.validationDir, item.file) }));
+    }
+
+    /**
+     * Calibrated positive-label probability of every validation image under one model version.
+     * Probabilities don't depend on the threshold, so they are cached until labels.json changes.
+     */
+    async scoreModel(name, version) {
+        const key = `${name}@${version}`;
+        const items = this.loadValidationSet();
+        const labelsMtime = fs.statSync(this.labelsPath).mtimeMs;
+
+        const cached = this.cache.get(key);
+        if (cached && cached.labelsMtime === labelsMtime) {
+            return cached;
+        }
+
+        const entry = this.modelManager.getEntry(name, version);
+        if (!entry) {
+            throw new Error(`Model ${key} is not in the registry`);
+        }
+
+        console.log(`📏 Scoring validation set (${items.length} images) with ${key}`);
+        const predictions = await this.modelManager.predictBatchWithModel(name, version, items.map(item => item.path));
+        const positiveLabel = entry.output.positiveLabel || 'Non-anemic';
+
+        const scored = [];
+        const skipped = [];
+        items.forEach((item, index) => {
+            const prediction = predictions[index];
+            if (!prediction || prediction.error) {
+                skipped.push({ file: item.file, error: prediction ? prediction.error : 'No prediction' });
+                return;
+            }
+            scored.push({ file: item.file, label: item.label, positiveProbability: prediction.probabilities[positiveLabel] });
+        });
+
+        const result = { labelsMtime, positiveLabel, scored, skipped };
+        this.cache.set(key, result);
+        return result;
+    }
+
+    // Candidate thresholds from a comma-separated list, or a 0.05 grid by default
+    parseThresholds(raw) {
+        if (raw === undefined || raw === null || raw === '') {
+            return Array.from({ length: 19 }, (_, i) => Number(((i + 1) * 0.05).toFixed(2)));
+        }
+
+        const values = String(raw).split(',').map(value => Number(value.trim()));
+        if (values.length === 0 || values.some(value => !Number.isFinite(value) || value <= 0 || value >= 1)) {
+            throw new Error('thresholds must be a comma-separated list of numbers between 0 and 1');
+        }
+        return [...new Set(values)].sort((a, b) => a - b);
+    }
+
+    ratio(numerator, denominator) {
+        return denominator > 0 ? Number((numerator / denominator).toFixed(4)) : null;
+    }
+
+    // Same decision rule as ModelManager.interpretOutput: positive label when its probability > threshold
+    metricsAt(scored, positiveLabel, threshold) {
+        const negativeLabel = ModelManager.PREDICTION_LABELS.find(label => label !== positiveLabel);
+        const counts = { tp: 0, fp: 0, tn: 0, fn: 0 };
+
+        for (const item of scored) {
+            const predicted = item.positiveProbability > threshold ? positiveLabel : negativeLabel;
+            const predictedCondition = predicted === CONDITION_LABEL;
+            const hasCondition = item.label === CONDITION_LABEL;
+
+            if (predictedCondition && hasCondition) counts.tp++;
+            else if (predictedCondition) counts.fp++;
+            else if (hasCondition) counts.fn++;
+            else counts.tn++;
+        }
+
+        return {
+            threshold,
+            ...counts,
+            sensitivity: this.ratio(counts.tp, counts.tp + counts.fn),
+            specificity: this.ratio(counts.tn, counts.tn + counts.fp),
+            ppv: this.ratio(counts.tp, counts.tp + counts.fp),
+            npv: this.ratio(counts.tn, counts.tn + counts.fn)
+        };
+    }
+
+    // Screening favours sensitivity: the most specific point that still reaches minSensitivity
+    recommend(operatingPoints, minSensitivity) {
+        const eligible = operatingPoints.filter(point => point.sensitivity !== null && point.sensitivity >= minSensitivity);
+        if (eligible.length === 0) return null;
+
+        return eligible.reduce((best, point) =>
+            (point.specificity ?? -1) > (best.specificity ?? -1) ? point : best
+        );
+    }
+
+    async evaluate(name, version, thresholds, { minSensitivity = 0.9 } = {}) {
+        const entry = this.modelManager.getEntry(name, version);
+        if (!entry) {
+            throw new Error(`Model ${name}@${version} is not in the registry`);
+        }
+
+        const { positiveLabel, scored, skipped } = await this.scoreModel(name, version);
+        const candidates = [...new Set([...thresholds, entry.threshold])].sort((a, b) => a - b);
+        const operatingPoints = candidates.map(threshold => ({
+            ...this.metricsAt(scored, positiveLabel, threshold),
+            isCurrent: threshold === entry.threshold
+        }));
+
+        return {
+            model: { name, version },
+            conditionLabel: CONDITION_LABEL,
+            thresholdAppliesTo: positiveLabel,
+            currentThreshold: entry.threshold,
+            validationSet: {
+                total: scored.length + skipped.length,
+                scored: scored.length,
+                anemic: scored.filter(item => item.label === CONDITION_LABEL).length,
+                nonAnemic: scored.filter(item => item.label !== CONDITION_LABEL).length,
+                skipped
+            },
+            operatingPoints,
+            minSensitivity,
+            recommended: this.recommend(operatingPoints, minSensitivity)
+        };
+    }
+}
+
+OperatingPointEvaluator.CONDITION_LABEL = CONDITION_LABEL;
+
+module.exports = OperatingPointEvaluator;
@@ -0,0 +1,80 @@
+// services/PasswordPolicy.js - Configurable password strength rules shared by signup, invitations,
+// password changes and resets
+const DEFAULT_MIN_LENGTH = 8;
+const DEFAULT_MIN_CHARACTER_CLASSES = 3;
+const MAX_LENGTH = 128; // bcrypt only looks at the first 72 bytes; anything much longer is a mistake or an attack
+
+const CHARACTER_CLASSES = [
+    { name: 'lowercase letters', pattern: /[a-z]/ },
+    { name: 'uppercase letters', pattern: /[A-Z]/ },
+    { name: 'numbers', pattern: /[0-9]/ },
+    { name: 'symbols', pattern: /[^A-Za-z0-9]/ }
+];
+
+// Passwords that pass the character rules but are still guessed first
+const COMMON_PASSWORDS = new Set([
+    'password', 'password1', 'password123', 'passw0rd', 'p@ssw0rd', 'p@ssword1',
+    'qwerty123', 'welcome1', 'welcome123', 'letmein1', 'admin123', 'administrator1',
+    'iloveyou1', 'abc12345', 'changeme1', 'doctor123', 'malaria123'
+]);
+
+// Unset, zero or malformed settings fall back to the default
+const setting = (value, fallback) => (Number.isFinite(value) && value > 0 ? Math.floor(value) : fallback);
+
+class PasswordPolicy {
+    constructor(options = {}) {
+        this.minLength = Math.min(setting(options.minLength, DEFAULT_MIN_LENGTH), MAX_LENGTH);
+        this.minCharacterClasses = Math.min(
+            setting(options.minCharacterClasses, DEFAULT_MIN_CHARACTER_CLASSES), CHARACTER_CLASSES.length);
+    }
+
+    /**
+     * Problems with a password; empty when it meets the policy.
+     * `username` and `email` are checked so the password can't just repeat them.
+     */
+    validate(password, { username = null, email = null } = {}) {
+        if (typeof password !== 'string' || password.length === 0) {
+            return ['Password is required'];
+        }
+
+        const errors = [];
+        if (password.length < this.minLength) {
+            errors.push(`Password must be at least ${this.minLength} characters long`);
+        }
+        if (password.length > MAX_LENGTH) {
+            errors.push(`Password must be at most ${MAX_LENGTH} characters long`);
+        }
+
+        const classes = CHARACTER_CLASSES.filter(characterClass => characterClass.pattern.test(password));
+        if (classes.length < this.minCharacterClasses) {
+            errors.push(`Password must mix at least ${this.minCharacterClasses} of: ` +
+                CHARACTER_CLASSES.map(characterClass => characterClass.name).join(', '));
+        }
+
+        const lower = password.toLowerCase();
+        if (COMMON_PASSWORDS.has(lower)) {
+            errors.push('Password is too common');
+        }
+        const emailName = email ? String(email).split('@')[0].toLowerCase() : null;
+        if ((username && lower.includes(String(username).toLowerCase())) || (emailName && emailName.length >= 3 && lower.includes(emailName))) {
+            errors.push('Password must not contain your username or email');
+        }
+
+        return errors;
+    }
+
+    // The rules in a form the signup and password pages can show
+    describe() {
+        return {
+            minLength: this.minLength,
+            maxLength: MAX_LENGTH,
+            minCharacterClasses: this.minCharacterClasses,
+            characterClasses: CHARACTER_CLASSES.map(characterClass => characterClass.name)
+        };
+    }
+}
+
+PasswordPolicy.DEFAULT_MIN_LENGTH = DEFAULT_MIN_LENGTH;
+PasswordPolicy.DEFAULT_MIN_CHARACTER_CLASSES = DEFAULT_MIN_CHARACTER_CLASSES;
+
+module.exports = PasswordPolicy;
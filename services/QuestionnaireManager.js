@@ -0,0 +1,311 @@
+// services/QuestionnaireManager.js - Versioned symptom questionnaire definitions stored in MongoDB
+
+const QUESTION_TYPES = ['yes_no', 'scale', 'numeric'];
+const RULE_OPERATORS = ['equals', 'notEquals', 'in', 'gt', 'gte', 'lt', 'lte'];
+
+// Version 1 - the original ten yes/no questions of the symptom checker
+const DEFAULT_QUESTIONS = [
+    { key: 'fever', type: 'yes_no', text: 'Are you currently experiencing a fever (temperature above 38°C / 100.4°F)?' },
+    { key: 'chills', type: 'yes_no', text: 'Do you have chills or experience shivering episodes?' },
+    { key: 'sweating', type: 'yes_no', text: 'Have you been sweating excessively, especially after fever?' },
+    { key: 'headache', type: 'yes_no', text: 'Are you suffering from headaches?' },
+    { key: 'nausea', type: 'yes_no', text: 'Do you feel nauseous or have you vomited recently?' },
+    { key: 'fatigue', type: 'yes_no', text: 'Are you experiencing fatigue or general body weakness?' },
+    { key: 'pain', type: 'yes_no', text: 'Do you have any muscle or joint pain?' },
+    { key: 'jaundice', type: 'yes_no', text: 'Have you noticed yellowing of the skin or eyes (jaundice)?' },
+    { key: 'seizure', type: 'yes_no', text: 'Have you experienced any confusion or seizures recently?' },
+    { key: 'travel', type: 'yes_no', text: 'Have you recently traveled to or lived in a malaria-endemic area?' }
+];
+
+class QuestionnaireManager {
+    /**
+     * options.scoredKeys - yes/no question keys something downstream depends on (the RiskScorer
+     * weights); every version must keep asking them, so none can be renamed, retyped or dropped.
+     */
+    constructor(QuestionnaireModel, options = {}) {
+        this.Questionnaire = QuestionnaireModel;
+        this.scoredKeys = options.scoredKeys || [];
+        this.versionCache = new Map();
+    }
+
+    // Seed version 1 from the original hardcoded questions if no questionnaire exists yet
+    async ensureDefault() {
+        const existing = await this.Questionnaire.findOne().lean();
+        if (existing) {
+            console.log('✅ Questionnaire definition already exists');
+            return existing;
+        }
+
+        const questionnaire = await this.Questionnaire.create({
+            version: 1,
+            title: 'Malaria Symptom Assessment',
+            questions: DEFAULT_QUESTIONS.map((question, index) => ({ ...question, order: index })),
+            status: 'active',
+            created_by: 'SYSTEM',
+            activated_at: new Date()
+        });
+
+        console.log('📋 Default questionnaire (version 1) created');
+        return questionnaire.toObject();
+    }
+
+    async getActive() {
+        return this.Questionnaire.findOne({ status: 'active' }).sort({ version: -1 }).lean();
+    }
+
+    // Published versions never change, so they can be cached; drafts are always re-read
+    async getVersion(version) {
+        const numericVersion = Number(version);
+        if (!Number.isInteger(numericVersion)) return null;
+
+        if (this.versionCache.has(numericVersion)) {
+            return this.versionCache.get(numericVersion);
+        }
+
+        const questionnaire = await this.Questionnaire.findOne({ version: numericVersion }).lean();
+        if (questionnaire && questionnaire.status !== 'draft') {
+            this.versionCache.set(numericVersion, questionnaire);
+        }
+        return questionnaire;
+    }
+
+    /**
+     * The questionnaire a set of answers was given for: `version` when one is named, the active one
+     * when it is unset or empty. Drafts were never shown to patients, so they count as unknown (null).
+     */
+    async getAnswerable(version) {
+        if (version === undefined || version === null || version === '') {
+            return this.getActive();
+        }
+        const questionnaire = await this.getVersion(version);
+        return questionnaire && questionnaire.status !== 'draft' ? questionnaire : null;
+    }
+
+    async listVersions() {
+        return this.Questionnaire.find({}, 'version title status created_by created_at activated_at')
+            .sort({ version: -1 })
+            .lean();
+    }
+
+    validateDefinition(questions) {
+        const errors = [];
+
+        if (!Array.isArray(questions) || questions.length === 0) {
+            return ['Questionnaire must contain at least one question'];
+        }
+
+        const seenKeys = new Set();
+
+        questions.forEach((question, index) => {
+            const label = `Question ${index + 1}`;
+
+            if (!question || typeof question !== 'object') {
+                errors.push(`${label}: invalid question`);
+                return;
+            }
+
+            if (!question.key || !/^[a-z][a-z0-9_]*$/.test(question.key)) {
+                errors.push(`${label}: key must be lowercase letters, digits or underscores`);
+            } else if (seenKeys.has(question.key)) {
+                errors.push(`${label}: duplicate key '${question.key}'`);
+            }
+
+            if (!question.text || typeof question.text !== 'string') {
+                errors.push(`${label}: text is required`);
+            }
+
+            if (!QUESTION_TYPES.includes(question.type)) {
+                errors.push(`${label}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+            }
+
+            if (question.type === 'scale' || question.type === 'numeric') {
+                if (question.min !== undefined && question.max !== undefined && Number(question.min) >= Number(question.max)) {
+                    errors.push(`${label}: min must be less than max`);
+                }
+            }
+
+            if (question.type === 'scale' && (question.min === undefined || question.max === undefined)) {
+                errors.push(`${label}: scale questions need min and max`);
+            }
+
+            if (question.showIf) {
+                const rule = question.showIf;
+                const operators = Object.keys(rule).filter(op => op !== 'key');
+
+                // Rules may only depend on earlier questions so the form can be filled in order
+                if (!rule.key || !seenKeys.has(rule.key)) {
+                    errors.push(`${label}: showIf must reference an earlier question key`);
+                }
+                if (operators.length !== 1 || !RULE_OPERATORS.includes(operators[0])) {
+                    errors.push(`${label}: showIf needs exactly one operator (${RULE_OPERATORS.join(', ')})`);
+                }
+            }
+
+            if (question.key) seenKeys.add(question.key);
+        });
+
+        for (const key of this.scoredKeys) {
+            const question = questions.find(candidate => candidate && candidate.key === key);
+            if (!question) {
+                errors.push(`Question '${key}' is used for risk scoring and cannot be removed`);
+            } else if (question.type !== 'yes_no') {
+                errors.push(`Question '${key}' is used for risk scoring and must stay a yes_no question`);
+            }
+        }
+
+        return errors;
+    }
+
+    assertValidDefinition(questions) {
+        const errors = this.validateDefinition(questions);
+        if (errors.length > 0) {
+            const error = new Error(errors.join('; '));
+            error.validationErrors = errors;
+            throw error;
+        }
+    }
+
+    isQuestionVisible(question, answers = {}) {
+        const rule = question.showIf;
+        if (!rule || !rule.key) return true;
+
+        const value = answers[rule.key];
+        if (value === undefined || value === null) return false;
+
+        if ('equals' in rule) return value === rule.equals;
+        if ('notEquals' in rule) return value !== rule.notEquals;
+        if ('in' in rule) return Array.isArray(rule.in) && rule.in.includes(value);
+        if ('gt' in rule) return Number(value) > rule.gt;
+        if ('gte' in rule) return Number(value) >= rule.gte;
+        if ('lt' in rule) return Number(value) < rule.lt;
+        if ('lte' in rule) return Number(value) <= rule.lte;
+
+        return true;
+    }
+
+    /**
+     * Check a set of answers against a questionnaire version.
+     * Returns { errors, answers } where answers only contains known, visible questions.
+     */
+    validateAnswers(questionnaire, rawAnswers = {}) {
+        const errors = [];
+        const answers = {};
+
+        for (const question of questionnaire.questions) {
+            if (!this.isQuestionVisible(question, answers)) continue;
+
+            const value = rawAnswers[question.key];
+
+            if (value === undefined || value === null || value === '') {
+                if (question.required !== false) {
+                    errors.push(`Missing answer for '${question.key}'`);
+                }
+                continue;
+            }
+
+            if (question.type === 'yes_no') {
+                const normalized = String(value).trim().toLowerCase();
+                if (normalized !== 'yes' && normalized !== 'no') {
+                    errors.push(`Answer for '${question.key}' must be yes or no`);
+                    continue;
+                }
+                answers[question.key] = normalized;
+                continue;
+            }
+
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                errors.push(`Answer for '${question.key}' must be a number`);
+                continue;
+            }
+            if ((question.min !== undefined && number < question.min) ||
+                (question.max !== undefined && number > question.max)) {
+                errors.push(`Answer for '${question.key}' is out of range`);
+                continue;
+            }
+            if (question.type === 'scale' && !Number.isInteger(number)) {
+                errors.push(`Answer for '${question.key}' must be a whole number`);
+                continue;
+            }
+            answers[question.key] = number;
+        }
+
+        return { errors, answers };
+    }
+
+    async createVersion({ title, questions }, createdBy) {
+        this.assertValidDefinition(questions);
+
+        const latest = await this.Questionnaire.findOne().sort({ version: -1 }).lean();
+        const version = latest ? latest.version + 1 : 1;
+
+        const questionnaire = await this.Questionnaire.create({
+            version,
+            title: title || (latest ? latest.title : 'Symptom Assessment'),
+            questions: questions.map((question, index) => ({ ...question, order: index })),
+            status: 'draft',
+            created_by: createdBy
+        });
+
+        return questionnaire.toObject();
+    }
+
+    async updateDraft(version, { title, questions }) {
+        const questionnaire = await this.Questionnaire.findOne({ version: Number(version) });
+        if (!questionnaire) return null;
+
+        if (questionnaire.status !== 'draft') {
+            throw new Error('Only draft versions can be edited - create a new version instead');
+        }
+
+        if (questions !== undefined) {
+            this.assertValidDefinition(questions);
+            questionnaire.questions = questions.map((question, index) => ({ ...question, order: index }));
+        }
+        if (title) questionnaire.title = title;
+
+        await questionnaire.save();
+        return questionnaire.toObject();
+    }
+
+    // Make one version active and archive the previously active one.
+    // Drafts saved before a rule was added are checked again here, not only when edited.
+    async activate(version) {
+        const questionnaire = await this.Questionnaire.findOne({ version: Number(version) });
+        if (!questionnaire) return null;
+
+        this.assertValidDefinition(questionnaire.toObject().questions);
+
+        await this.Questionnaire.updateMany(
+            { status: 'active', version: { $ne: questionnaire.version } },
+            { status: 'archived' }
+        );
+
+        questionnaire.status = 'active';
+        questionnaire.activated_at = new Date();
+        await questionnaire.save();
+
+        this.versionCache.clear();
+        return questionnaire.toObject();
+    }
+
+    async deleteDraft(version) {
+        return this.Questionnaire.findOneAndDelete({ version: Number(version), status: 'draft' });
+    }
+
+    // key -> question text for a version, used to label stored answers
+    async getQuestionLabels(version) {
+        const questionnaire = await this.getVersion(version);
+        if (!questionnaire) return {};
+
+        return questionnaire.questions.reduce((labels, question) => {
+            labels[question.key] = question.text;
+            return labels;
+        }, {});
+    }
+}
+
+QuestionnaireManager.QUESTION_TYPES = QUESTION_TYPES;
+QuestionnaireManager.DEFAULT_QUESTIONS = DEFAULT_QUESTIONS;
+
+module.exports = QuestionnaireManager;
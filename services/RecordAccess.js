@@ -0,0 +1,39 @@
+// services/RecordAccess.js - Record-level checks behind the :own / :screened / :assigned permissions,
+// for routes that serve one result or assessment after AccessControl has let the request through
+class RecordAccess {
+    constructor(accessControl, DoctorAssessmentModel) {
+        this.accessControl = accessControl;
+        this.DoctorAssessment = DoctorAssessmentModel;
+    }
+
+    // The session is the doctor the assessment is assigned to
+    isAssignedDoctor(session, assessment) {
+        return !!assessment && this.accessControl.can(session, 'assessment:read:assigned') &&
+            !!session.doctorId && assessment.doctorId === session.doctorId;
+    }
+
+    // Doctors' notes go to the assigned doctor and admins, not to the patient
+    canSeeClinicalNotes(session, assessment) {
+        return this.accessControl.can(session, 'assessment:read:all') || this.isAssignedDoctor(session, assessment);
+    }
+
+    canViewAssessment(session, assessment) {
+        return this.accessControl.can(session, 'assessment:read:all') || this.isAssignedDoctor(session, assessment) ||
+            (this.accessControl.can(session, 'assessment:read:own') && assessment.from === session.username);
+    }
+
+    // Results (their retained images and reports) are visible to the patient, the doctor the case was sent to
+    // or who screened it, and admins
+    async canViewResult(session, result) {
+        const { accessControl } = this;
+        if (accessControl.can(session, 'results:read:all')) return true;
+        if (accessControl.can(session, 'results:read:own') && result.username === session.username) return true;
+        if (accessControl.can(session, 'results:read:screened') && result.screenedBy === session.username) return true;
+        if (!accessControl.can(session, 'results:read:assigned') || !session.doctorId) return false;
+        const linkedAssessments = [{ patientResultId: result._id }];
+        if (result.assessmentId) linkedAssessments.push({ _id: result.assessmentId });
+        return !!(await this.DoctorAssessment.exists({ doctorId: session.doctorId, $or: linkedAssessments }));
+    }
+}
+
+module.exports = RecordAccess;
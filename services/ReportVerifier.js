@@ -0,0 +1,148 @@
+// services/ReportVerifier.js - HMAC-signed verification tokens printed on exported reports,
+// and the public check a clinic runs against them
+const crypto = require('crypto');
+
+const TOKEN_VERSION = 1;
+const KINDS = ['result', 'assessment'];
+
+// The fields of each record a report is drawn from - a change to any of them after export shows as "altered"
+const SIGNED_FIELDS = {
+    result: ['timestamp', 'prediction', 'confidence', 'probabilities', 'predictionStatus', 'riskLevel', 'riskScore',
+        'symptoms', 'modelName', 'modelVersion', 'assessmentId'],
+    assessment: ['timestamp', 'prediction', 'confidence', 'riskLevel', 'riskScore', 'symptoms', 'status',
+        'diagnosis', 'recommendedTests', 'followUpDate', 'patientMessage', 'patientResultId']
+};
+
+/*
+ * Verification outcomes:
+ *   valid     signature checks out and the record is unchanged
+ *   altered   signature checks out but the record has changed since the report was issued
+ *   deleted   signature checks out but the record no longer exists
+ *   invalid   the token was not issued by this server (or the code does not match it)
+ */
+class ReportVerifier {
+    constructor(PatientResultModel, DoctorAssessmentModel, options = {}) {
+        this.PatientResult = PatientResultModel;
+        this.DoctorAssessment = DoctorAssessmentModel;
+
+        if (!options.secret) {
+            // Tokens signed with a throwaway key stop verifying when the server restarts
+            console.warn('⚠️ REPORT_SIGNING_SECRET is not set - report verification tokens will not survive a restart');
+        }
+        this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+    }
+
+    modelFor(kind) {
+        return kind === 'result' ? this.PatientResult : this.DoctorAssessment;
+    }
+
+    // JSON with sorted keys, so the same record always hashes the same way
+    canonical(value) {
+        if (value === undefined || value === null) return null;
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value.toHexString === 'function') return value.toHexString();
+        if (Array.isArray(value)) return value.map(item => this.canonical(item));
+        if (typeof value === 'object') {
+            return Object.fromEntries(Object.keys(value).sort().map(key => [key, this.canonical(value[key])]));
+        }
+        return value;
+    }
+
+    digest(kind, record) {
+        const fields = Object.fromEntries(SIGNED_FIELDS[kind].map(key => [key, record[key]]));
+        return crypto.createHash('sha256').update(JSON.stringify(this.canonical(fields))).digest('base64url');
+    }
+
+    // Assessments record their prediction, but the model that made it is on the image result they came from
+    async modelVersion(kind, record) {
+        if (kind === 'result') return record.modelVersion || null;
+        if (!record.patientResultId) return null;
+
+        const imageResult = await this.PatientResult.findById(record.patientResultId, { modelVersion: 1 }).lean();
+        return imageResult ? imageResult.modelVersion || null : null;
+    }
+
+    /**
+     * What a clinic is shown: when the screening happened, its outcome and the model version.
+     * Nothing here identifies the patient.
+     */
+    async summary(kind, record) {
+        const outcome = {
+            prediction: record.predictionStatus === 'unavailable' ? null : record.prediction || null,
+            riskLevel: record.riskLevel || null
+        };
+        if (kind === 'assessment') outcome.reviewStatus = record.status;
+
+        return {
+            kind,
+            screenedAt: record.timestamp ? new Date(record.timestamp).toISOString() : null,
+            outcome,
+            modelVersion: await this.modelVersion(kind, record)
+        };
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    /**
+     * Token for a record's report: the signed summary and content digest, so the check can still
+     * say what was issued after the record is gone.
+     */
+    async issue(kind, record, verificationCode) {
+        const payload = Buffer.from(JSON.stringify({
+            v: TOKEN_VERSION,
+            kind,
+            id: String(record._id),
+            code: verificationCode,
+            summary: await this.summary(kind, record),
+            digest: this.digest(kind, record)
+        })).toString('base64url');
+
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    // The signed contents of a token, or null when it was not issued by this server
+    readToken(token) {
+        if (typeof token !== 'string') return null;
+
+        const [payload, signature, ...rest] = token.split('.');
+        if (!payload || !signature || rest.length > 0) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const given = Buffer.from(signature);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+        try {
+            const contents = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return contents.v === TOKEN_VERSION && KINDS.includes(contents.kind) ? contents : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check a printed code and token against the current record.
+     * Returns { status, issued, current } - `issued` is the summary as signed, `current` the record today.
+     */
+    async verify(verificationCode, token) {
+        const contents = this.readToken(token);
+        const code = String(verificationCode || '').trim().toUpperCase();
+        if (!contents || contents.code !== code) {
+            return { status: 'invalid', issued: null, current: null };
+        }
+
+        const record = await this.modelFor(contents.kind).findOne({ _id: contents.id, verificationCode: code }).lean();
+        if (!record) {
+            return { status: 'deleted', issued: contents.summary, current: null };
+        }
+
+        const current = await this.summary(contents.kind, record);
+        const status = this.digest(contents.kind, record) === contents.digest ? 'valid' : 'altered';
+        return { status, issued: contents.summary, current };
+    }
+}
+
+ReportVerifier.SIGNED_FIELDS = SIGNED_FIELDS;
+
+module.exports = ReportVerifier;
@@ -0,0 +1,167 @@
+// services/RescoreQueue.js - Keeps images whose prediction was unavailable and re-scores them once the model is back
+const fs = require('fs');
+const path = require('path');
+
+class RescoreQueue {
+    constructor(PatientResultModel, modelManager, options = {}) {
+        this.PatientResult = PatientResultModel;
+        this.modelManager = modelManager;
+        this.riskScorer = options.riskScorer || null;
+        this.queueDir = options.queueDir || path.join(__dirname, '..', 'uploads', 'rescore-queue');
+        this.maxAttempts = options.maxAttempts || 5;
+        this.isProcessing = false;
+        this.timer = null;
+    }
+
+    // Move an uploaded file into the queue directory so upload cleanup doesn't delete it
+    enqueue(filePath) {
+        if (!fs.existsSync(this.queueDir)) {
+            fs.mkdirSync(this.queueDir, { recursive: true });
+        }
+
+        const queuedPath = path.join(this.queueDir, path.basename(filePath));
+        fs.renameSync(filePath, queuedPath);
+        console.log(`📥 Queued image for re-scoring: ${path.basename(queuedPath)}`);
+        return queuedPath;
+    }
+
+    async getPending(limit = 100) {
+        return this.PatientResult.find({
+            predictionStatus: 'unavailable',
+            pendingImagePath: { $ne: null }
+        })
+            .sort({ timestamp: 1 })
+            .limit(limit)
+            .lean();
+    }
+
+    async countPending() {
+        return this.PatientResult.countDocuments({
+            predictionStatus: 'unavailable',
+            pendingImagePath: { $ne: null }
+        });
+    }
+
+    removeImage(imagePath) {
+        try {
+            if (imagePath && fs.existsSync(imagePath)) fs.unlinkSync(imagePath);
+        } catch (error) {
+            console.error('Failed to remove queued image:', error);
+        }
+    }
+
+    async dropFromQueue(record, reason) {
+        await this.PatientResult.updateOne(
+            { _id: record._id },
+            { pendingImagePath: null, rescoreError: reason }
+        );
+        this.removeImage(record.pendingImagePath);
+    }
+
+    /**
+     * Re-score queued images. Stops at the first model outage so the rest stay queued.
+     * Returns counts of what happened.
+     */
+    async processPending(limit = 50) {
+        const summary = { processed: 0, rescored: 0, failed: 0, remaining: 0, skipped: false };
+
+        if (this.isProcessing || !this.modelManager.getModelStatus().isLoaded) {
+            summary.skipped = true;
+            summary.remaining = await this.countPending();
+            return summary;
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const pending = await this.getPending(limit);
+
+            for (const record of pending) {
+                summary.processed++;
+
+                if (!fs.existsSync(record.pendingImagePath)) {
+                    await this.dropFromQueue(record, 'Queued image no longer exists');
+                    summary.failed++;
+                    continue;
+                }
+
+                let result;
+                try {
+                    // Same crop and options the user asked for when the image was uploaded
+                    result = await this.modelManager.predict(record.pendingImagePath, record.pendingPreprocessing || {});
+                } catch (error) {
+                    // The image itself cannot be processed - retrying won't help
+                    await this.dropFromQueue(record, error.message);
+                    summary.failed++;
+                    continue;
+                }
+
+                if (result.status !== 'completed') {
+                    const attempts = (record.rescoreAttempts || 0) + 1;
+                    if (attempts >= this.maxAttempts) {
+                        await this.dropFromQueue(record, `Gave up after ${attempts} attempts: ${result.error}`);
+                        summary.failed++;
+                    } else {
+                        await this.PatientResult.updateOne({ _id: record._id }, { rescoreAttempts: attempts });
+                    }
+                    break;
+                }
+
+                const update = {
+                    prediction: result.prediction,
+                    confidence: result.confidence,
+                    probabilities: result.probabilities,
+                    rawScore: result.rawScore,
+                    calibration: result.calibration,
+                    preprocessing: result.preprocessing,
+                    pendingPreprocessing: null,
+                    uncertainty: result.uncertainty || null,
+                    needsReview: !!result.needsReview,
+                    reviewReason: result.reviewReason || null,
+                    predictionStatus: 'completed',
+                    predictionReason: null,
+                    modelName: result.model ? result.model.name : null,
+                    modelVersion: result.model ? result.model.version : null,
+                    pendingImagePath: null,
+                    rescoredAt: new Date()
+                };
+
+                if (record.symptoms && this.riskScorer) {
+                    const risk = this.riskScorer.score(record.symptoms, result);
+                    update.riskLevel = risk.riskLevel;
+                    update.riskScore = risk.score;
+                    update.riskFactors = risk.factors;
+                }
+
+                await this.PatientResult.updateOne({ _id: record._id }, update);
+                this.removeImage(record.pendingImagePath);
+                summary.rescored++;
+                console.log(`✅ Re-scored result ${record._id} for ${record.username}: ${result.prediction}`);
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+
+        summary.remaining = await this.countPending();
+        return summary;
+    }
+
+    // Periodically drain the queue; the timer never keeps the process alive on its own
+    start(intervalMs = 5 * 60 * 1000) {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processPending().catch(error => console.error('❌ Re-score queue processing failed:', error));
+        }, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = RescoreQueue;
@@ -0,0 +1,105 @@
+// services/RiskScorer.js - Server-side malaria risk scoring from symptoms and model output
+
+// Weight of each symptom answered "yes" in the symptom checker
+const SYMPTOM_WEIGHTS = {
+    fever: { weight: 3, label: 'Fever above 38°C' },
+    chills: { weight: 2, label: 'Chills or shivering' },
+    sweating: { weight: 2, label: 'Excessive sweating' },
+    headache: { weight: 1, label: 'Headache' },
+    nausea: { weight: 1, label: 'Nausea or vomiting' },
+    fatigue: { weight: 1, label: 'Fatigue or weakness' },
+    pain: { weight: 1, label: 'Muscle or joint pain' },
+    jaundice: { weight: 3, label: 'Jaundice' },
+    seizure: { weight: 4, label: 'Confusion or seizures' },
+    travel: { weight: 3, label: 'Travel to or residence in an endemic area' }
+};
+
+// Signs of severe malaria - any one of these is High risk on its own
+const DANGER_SIGNS = ['seizure', 'jaundice'];
+
+const ANEMIA_WEIGHT = 3;
+
+// Tier cut-offs on the weighted score; tiers match doctorAssessmentSchema.riskLevel
+const TIER_THRESHOLDS = {
+    High: 9,
+    Medium: 4
+};
+
+class RiskScorer {
+    constructor(options = {}) {
+        this.symptomWeights = options.symptomWeights || SYMPTOM_WEIGHTS;
+        this.dangerSigns = options.dangerSigns || DANGER_SIGNS;
+        this.anemiaWeight = options.anemiaWeight ?? ANEMIA_WEIGHT;
+        this.thresholds = options.thresholds || TIER_THRESHOLDS;
+    }
+
+    // Answers arrive as 'yes'/'no' from the questionnaire, but accept booleans too
+    isPositive(answer) {
+        if (answer === true) return true;
+        if (typeof answer === 'string') {
+            return ['yes', 'true', '1'].includes(answer.trim().toLowerCase());
+        }
+        return false;
+    }
+
+    getMaxScore() {
+        const symptomTotal = Object.values(this.symptomWeights)
+            .reduce((sum, entry) => sum + entry.weight, 0);
+        return symptomTotal + this.anemiaWeight;
+    }
+
+    tierForScore(score) {
+        if (score >= this.thresholds.High) return 'High';
+        if (score >= this.thresholds.Medium) return 'Medium';
+        return 'Low';
+    }
+
+    /**
+     * Score a symptom map together with a ModelManager.predict() result.
+     * Returns the weighted score, a 'Low'/'Medium'/'High' tier and the factors that contributed.
+     */
+    score(symptoms = {}, modelResult = null) {
+        const factors = [];
+        const dangerSigns = [];
+        let score = 0;
+
+        for (const [key, entry] of Object.entries(this.symptomWeights)) {
+            if (!symptoms || !this.isPositive(symptoms[key])) continue;
+
+            score += entry.weight;
+            factors.push({ key, label: entry.label, weight: entry.weight });
+
+            if (this.dangerSigns.includes(key)) {
+                dangerSigns.push(key);
+            }
+        }
+
+        // Only a completed model prediction counts - an unavailable one has no prediction at all
+        if (modelResult && modelResult.prediction === 'Anemic') {
+            score += this.anemiaWeight;
+            factors.push({ key: 'anemia', label: 'Anemia detected in eyelid image', weight: this.anemiaWeight });
+        }
+
+        let riskLevel = this.tierForScore(score);
+        const escalated = dangerSigns.length > 0 && riskLevel !== 'High';
+        if (dangerSigns.length > 0) {
+            riskLevel = 'High';
+        }
+
+        factors.sort((a, b) => b.weight - a.weight);
+
+        return {
+            score,
+            maxScore: this.getMaxScore(),
+            riskLevel,
+            factors,
+            dangerSigns,
+            escalated
+        };
+    }
+}
+
+RiskScorer.SYMPTOM_WEIGHTS = SYMPTOM_WEIGHTS;
+RiskScorer.DANGER_SIGNS = DANGER_SIGNS;
+
+module.exports = RiskScorer;
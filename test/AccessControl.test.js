@@ -0,0 +1,156 @@
+// test/AccessControl.test.js - Every role against every access rule, the own-record rules,
+// HEAD requests, and the refusal of routes no rule covers
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const AccessControl = require('../services/AccessControl');
+const ACCESS_RULES = require('../services/AccessRules');
+
+const accessControl = new AccessControl(ACCESS_RULES);
+const middleware = accessControl.middleware();
+
+const SESSIONS = {
+    anonymous: {},
+    user: { loggedIn: true, role: 'user', username: 'patient1' },
+    health_worker: { loggedIn: true, role: 'health_worker', username: 'worker1' },
+    doctor: { loggedIn: true, role: 'doctor', username: 'doctor2', doctorId: '2' },
+    admin: { loggedIn: true, role: 'admin', username: 'admin' }
+};
+
+// What the middleware did with a request: 'allowed', a status code, or 'redirect <location>'
+const run = (method, url, session) => {
+    const [requestPath, search = ''] = url.split('?');
+    const req = {
+        method,
+        path: requestPath,
+        query: Object.fromEntries(new URLSearchParams(search)),
+        session,
+        xhr: false,
+        get: () => undefined
+    };
+    let outcome = null;
+    const res = {
+        status(code) { outcome = code; return this; },
+        json() { return this; },
+        send() { return this; },
+        redirect(location) { outcome = `redirect ${location}`; }
+    };
+
+    const warn = console.warn;
+    console.warn = () => {}; // Refusals are logged; keep the test output readable
+    try {
+        middleware(req, res, () => { outcome = 'allowed'; });
+    } finally {
+        console.warn = warn;
+    }
+    return outcome;
+};
+
+// A concrete path for a rule; parameters get values that belong to nobody
+const samplePath = (rulePath) => rulePath
+    .replace(/:(\w+)/g, (match, name) => `sample-${name}`)
+    .replace(/\/\*$/, '/sample/rest');
+
+const isApi = (requestPath) => requestPath.toLowerCase().startsWith('/api/');
+
+// Worked out from the role's permission list, independently of AccessControl.decide
+const expectedOutcome = ([, rulePath, access], role) => {
+    const entries = [].concat(access);
+    if (entries.includes('public')) return 'allowed';
+    if (role === 'anonymous') return isApi(rulePath) ? 401 : 'redirect /login';
+    if (entries.includes('authenticated')) return 'allowed';
+
+    // Own-record rules never hold for the sample parameters, so only plain permissions can grant access here
+    const permissions = AccessControl.ROLE_PERMISSIONS[role];
+    return entries.some(entry => typeof entry === 'string' && permissions.includes(entry)) ? 'allowed' : 403;
+};
+
+const methodsFor = (method) => (method === '*' ? ['GET', 'POST', 'PUT', 'DELETE'] : [method]);
+
+test('every rule is reachable - no earlier rule shadows it', () => {
+    for (const [method, rulePath] of ACCESS_RULES) {
+        for (const requestMethod of methodsFor(method)) {
+            const found = accessControl.match(requestMethod, samplePath(rulePath));
+            assert.ok(found, `${requestMethod} ${rulePath} matches no rule`);
+            assert.equal(found.rule.path, rulePath, `${requestMethod} ${rulePath} is caught by ${found.rule.path}`);
+        }
+    }
+});
+
+for (const role of Object.keys(SESSIONS)) {
+    test(`${role}: each rule allows or refuses as the role's permissions say`, () => {
+        for (const rule of ACCESS_RULES) {
+            const requestPath = samplePath(rule[1]);
+            for (const method of methodsFor(rule[0])) {
+                assert.equal(run(method, requestPath, SESSIONS[role]), expectedOutcome(rule, role),
+                    `${role} ${method} ${requestPath}`);
+            }
+        }
+    });
+}
+
+test('routes with no rule are refused with 404 for every role', () => {
+    for (const session of Object.values(SESSIONS)) {
+        assert.equal(run('GET', '/debug/users', session), 404);
+        assert.equal(run('GET', '/api/not-a-route', session), 404);
+        assert.equal(run('POST', '/dashboard', session), 404); // Known path, unlisted method
+        assert.equal(run('DELETE', '/api/doctors', session), 404);
+    }
+});
+
+test('HEAD is checked as GET', () => {
+    assert.equal(run('HEAD', '/health', SESSIONS.anonymous), 'allowed');
+    assert.equal(run('HEAD', '/admin', SESSIONS.admin), 'allowed');
+    assert.equal(run('HEAD', '/admin', SESSIONS.user), 403);
+    assert.equal(run('HEAD', '/api/admin/logs', SESSIONS.anonymous), 401);
+    assert.equal(run('HEAD', '/api/sendToDoctor', SESSIONS.user), 404); // POST-only
+});
+
+test('paths match regardless of case and trailing slash', () => {
+    assert.equal(run('GET', '/API/Doctors/', SESSIONS.user), 'allowed');
+    assert.equal(run('GET', '/Admin/', SESSIONS.doctor), 403);
+});
+
+test('a doctor reaches only their own doctor dashboard', () => {
+    assert.equal(run('GET', '/doctor/2', SESSIONS.doctor), 'allowed');
+    assert.equal(run('GET', '/doctor/1', SESSIONS.doctor), 403);
+    assert.equal(run('GET', '/doctor/2', { ...SESSIONS.doctor, doctorId: undefined }), 403);
+    assert.equal(run('GET', '/doctor/2', SESSIONS.admin), 403); // Admins have no doctor profile
+    assert.equal(run('GET', '/doctor/2', SESSIONS.user), 403);
+    assert.equal(run('GET', '/doctor/2', SESSIONS.anonymous), 'redirect /login');
+});
+
+test('a doctor lists only their own assessments; admins list anyone\'s', () => {
+    assert.equal(run('GET', '/api/getDoctorAssessments?doctorId=2', SESSIONS.doctor), 'allowed');
+    assert.equal(run('GET', '/api/getDoctorAssessments?doctorId=1', SESSIONS.doctor), 403);
+    assert.equal(run('GET', '/api/getDoctorAssessments', SESSIONS.doctor), 403);
+    assert.equal(run('GET', '/api/getDoctorAssessments?doctorId=1', SESSIONS.admin), 'allowed');
+    assert.equal(run('GET', '/api/getDoctorAssessments?doctorId=2', SESSIONS.health_worker), 403);
+
+    assert.equal(run('GET', '/api/test-doctor-data/2', SESSIONS.doctor), 'allowed');
+    assert.equal(run('GET', '/api/test-doctor-data/1', SESSIONS.doctor), 403);
+    assert.equal(run('GET', '/api/test-doctor-data/1', SESSIONS.admin), 'allowed');
+    assert.equal(run('GET', '/api/test-doctor-data/1', SESSIONS.anonymous), 401);
+});
+
+test('every route server.js registers has a rule', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+    const registration = /^app\.(get|post|put|delete|patch)\((\[[^\]]*\]|'[^']*')/gm;
+    let found;
+    let routes = 0;
+    while ((found = registration.exec(source))) {
+        const paths = found[2].match(/'[^']*'/g).map(quoted => quoted.slice(1, -1));
+        for (const routePath of paths) {
+            routes++;
+            const method = found[1].toUpperCase();
+            assert.ok(accessControl.match(method, samplePath(routePath)), `${method} ${routePath} has no access rule`);
+        }
+    }
+    assert.ok(routes > 50, `only found ${routes} routes in server.js`);
+});
+
+test('a rule naming an unknown permission is rejected', () => {
+    assert.throws(() => new AccessControl([['GET', '/x', 'results:read:everything']]), /Unknown permission/);
+});
@@ -0,0 +1,162 @@
+// test/AppointmentScheduler.test.js - Publishing and claiming slots, who may change an appointment, and what
+// happens to an appointment when its case moves to another doctor, on in-memory collections
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const AppointmentScheduler = require('../services/AppointmentScheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Just enough of a query matcher for the scheduler's filters
+const matchesValue = (actual, condition) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+        return Object.entries(condition).every(([operator, value]) => {
+            if (operator === '$lt') return actual < value;
+            if (operator === '$gt') return actual > value;
+            if (operator === '$gte') return actual >= value;
+            if (operator === '$in') return value.some(item => String(item) === String(actual));
+            if (operator === '$nin') return !value.some(item => String(item) === String(actual));
+            throw new Error(`Unsupported operator ${operator}`);
+        });
+    }
+    if (condition === null) return actual === null || actual === undefined;
+    return String(actual) === String(condition);
+};
+const matches = (doc, query) => Object.entries(query).every(([field, condition]) => matchesValue(doc[field], condition));
+
+// Every call yields to the event loop first, so concurrent requests interleave as they would against MongoDB
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const collection = () => {
+    const docs = [];
+    const wrap = (doc) => ({ ...doc, toObject: () => ({ ...doc }) });
+    const apply = (doc, update) => {
+        const { $set = {}, $push = {}, ...plain } = update;
+        Object.assign(doc, plain, $set);
+        for (const [field, value] of Object.entries($push)) doc[field] = [...(doc[field] || []), value];
+    };
+    const lean = (promise) => ({ lean: () => promise });
+    return {
+        docs,
+        async exists(query) { await tick(); return docs.some(doc => matches(doc, query)) ? { _id: true } : null; },
+        async create(doc) { await tick(); const stored = { _id: new mongoose.Types.ObjectId(), ...doc }; docs.push(stored); return wrap(stored); },
+        async insertMany(list) { await tick(); return list.map(doc => { const stored = { _id: new mongoose.Types.ObjectId(), cancelledAt: null, appointmentId: null, ...doc }; docs.push(stored); return wrap(stored); }); },
+        async deleteMany(query) { await tick(); for (const doc of docs.filter(doc => matches(doc, query))) docs.splice(docs.indexOf(doc), 1); },
+        async updateOne(query, update) { await tick(); const doc = docs.find(doc => matches(doc, query)); if (doc) apply(doc, update); },
+        findOne(query) { return lean(tick().then(() => docs.find(doc => matches(doc, query)) || null)); },
+        findOneAndUpdate(query, update) {
+            return lean(tick().then(() => {
+                const doc = docs.find(doc => matches(doc, query));
+                if (!doc) return null;
+                apply(doc, update);
+                return { ...doc };
+            }));
+        }
+    };
+};
+
+const setup = () => {
+    const slots = collection();
+    const appointments = collection();
+    const assessments = collection();
+    const scheduler = new AppointmentScheduler(slots, appointments, assessments);
+    return { scheduler, slots, appointments, assessments };
+};
+
+const future = (hours) => new Date(Date.now() + hours * HOUR_MS).toISOString();
+const liveSlots = (slots) => slots.docs.filter(slot => slot.cancelledAt === null);
+
+test('new slots may not overlap published ones', async () => {
+    const { scheduler } = setup();
+    await scheduler.createSlots('2', { startsAt: future(24), durationMinutes: 30, count: 2 });
+
+    await assert.rejects(scheduler.createSlots('2', { startsAt: future(24.5), durationMinutes: 30 }), { code: 'SLOT_OVERLAP' });
+    await scheduler.createSlots('3', { startsAt: future(24.5), durationMinutes: 30 });
+});
+
+test('two overlapping publishes at once never both go in', async () => {
+    const { scheduler, slots } = setup();
+    const results = await Promise.allSettled([
+        scheduler.createSlots('2', { startsAt: future(24), durationMinutes: 60, count: 2 }),
+        scheduler.createSlots('2', { startsAt: future(25), durationMinutes: 60, count: 2 })
+    ]);
+
+    assert.ok(results.filter(result => result.status === 'fulfilled').length <= 1);
+    for (const result of results.filter(result => result.status === 'rejected')) {
+        assert.equal(result.reason.code, 'SLOT_OVERLAP');
+    }
+    const live = liveSlots(slots).sort((a, b) => a.startsAt - b.startsAt);
+    for (let i = 1; i < live.length; i++) {
+        assert.ok(live[i].startsAt >= live[i - 1].endsAt, 'published slots overlap');
+    }
+});
+
+const bookable = async () => {
+    const context = setup();
+    const [slot] = await context.scheduler.createSlots('2', { startsAt: future(24), durationMinutes: 30 });
+    const assessment = await context.assessments.create({ doctorId: '2', from: 'patient1' });
+    return { ...context, slot, assessment };
+};
+
+test('an escalated case takes its appointment with it: it is cancelled and the slot opens again', async () => {
+    const { scheduler, slots, assessments, slot, assessment } = await bookable();
+    await scheduler.book(assessment, String(slot._id), 'patient1');
+
+    assessments.docs[0].doctorId = '3';
+    const cancelled = await scheduler.cancelForAssessment(assessment._id, 'SYSTEM', 'The case was escalated');
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.cancelledBy, 'SYSTEM');
+    assert.equal(slots.docs[0].appointmentId, null);
+    assert.equal(await scheduler.forAssessment(assessment._id), null);
+    assert.equal(await scheduler.cancelForAssessment(assessment._id, 'SYSTEM', 'Again'), null);
+});
+
+test('a booking that races an escalation is taken back', async () => {
+    const { scheduler, slots, assessments, slot, assessment } = await bookable();
+    const booking = scheduler.book(assessment, String(slot._id), 'patient1');
+    assessments.docs[0].doctorId = '3';
+
+    await assert.rejects(booking, { code: 'ASSESSMENT_REASSIGNED', status: 409 });
+    assert.equal(await scheduler.forAssessment(assessment._id), null);
+    assert.equal(slots.docs[0].appointmentId, null);
+});
+
+test('a slot is claimed once; a second claim, a past slot or another doctor\'s slot is refused', async () => {
+    const { scheduler, slots } = setup();
+    const [slot] = await scheduler.createSlots('2', { startsAt: future(24), durationMinutes: 30 });
+    const first = new mongoose.Types.ObjectId();
+
+    const claims = await Promise.allSettled([first, new mongoose.Types.ObjectId()]
+        .map(appointmentId => scheduler.claimSlot(String(slot._id), '2', appointmentId)));
+    assert.deepEqual(claims.map(claim => claim.status), ['fulfilled', 'rejected']);
+    assert.equal(claims[1].reason.code, 'SLOT_UNAVAILABLE');
+
+    // Releasing needs the appointment that holds the slot
+    await scheduler.releaseSlot(slot._id, new mongoose.Types.ObjectId());
+    assert.equal(String(slots.docs[0].appointmentId), String(first));
+    await scheduler.releaseSlot(slot._id, first);
+    assert.equal(slots.docs[0].appointmentId, null);
+
+    await assert.rejects(scheduler.claimSlot(String(slot._id), '3', first), { code: 'SLOT_UNAVAILABLE' });
+    slots.docs[0].startsAt = new Date(Date.now() - HOUR_MS);
+    await assert.rejects(scheduler.claimSlot(String(slot._id), '2', first), { code: 'SLOT_UNAVAILABLE' });
+    await assert.rejects(scheduler.claimSlot('not-an-id', '2', first), { code: 'SLOT_NOT_FOUND', status: 404 });
+});
+
+test('only the appointment\'s doctor and patient may change it', () => {
+    const { scheduler } = setup();
+    const appointment = { doctorId: '2', patientUsername: 'patient1' };
+
+    assert.equal(scheduler.participantRole(appointment, { loggedIn: true, role: 'doctor', doctorId: '2', username: 'doctor2' }), 'doctor');
+    assert.equal(scheduler.participantRole(appointment, { loggedIn: true, role: 'user', username: 'patient1' }), 'patient');
+    for (const session of [
+        { loggedIn: true, role: 'doctor', doctorId: '3', username: 'doctor3' },
+        { loggedIn: true, role: 'doctor', username: 'patient1' }, // A doctor account named like the patient
+        { loggedIn: true, role: 'user', username: 'patient2' },
+        { loggedIn: true, role: 'admin', username: 'admin' },
+        { role: 'user', username: 'patient1' }
+    ]) {
+        assert.equal(scheduler.participantRole(appointment, session), null, JSON.stringify(session));
+    }
+});
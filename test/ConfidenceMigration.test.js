@@ -0,0 +1,63 @@
+// test/ConfidenceMigration.test.js - Legacy raw scores become per-class probabilities only when the
+// model's threshold turns them into the stored prediction
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ModelManager = require('../models/ModelManager');
+const ConfidenceMigration = require('../services/ConfidenceMigration');
+
+// Never loads a model: without a registry every record is read with the default entry
+// (sigmoid score of 'Non-anemic', threshold 0.5)
+const migration = new ConfidenceMigration(null, null, new ModelManager());
+
+test('a score the threshold turns into the stored prediction is converted', () => {
+    const update = migration.convert({ prediction: 'Anemic', confidence: 0.2 });
+    assert.deepEqual(update.probabilities, { 'Non-anemic': 0.2, Anemic: 0.8 });
+    assert.equal(update.confidence, 0.8);
+    assert.equal(update.rawScore, 0.2);
+    assert.equal(update.predictionStatus, undefined);
+
+    assert.equal(migration.convert({ prediction: 'Non-anemic', confidence: 0.9 }).confidence, 0.9);
+});
+
+test('a score that contradicts its prediction, or is not a score at all, marks the record unavailable', () => {
+    for (const record of [
+        { prediction: 'Anemic', confidence: 0.9 },      // The model would have said Non-anemic
+        { prediction: 'Non-anemic', confidence: 0.5 },  // Not above the threshold
+        { prediction: 'Anemic', confidence: 87 },       // A client-sent percentage
+        { prediction: 'Anemic', confidence: -0.1 }
+    ]) {
+        const update = migration.convert(record);
+        assert.equal(update.predictionStatus, 'unavailable', JSON.stringify(record));
+        assert.equal(update.predictionReason, ConfidenceMigration.UNVERIFIED_REASON);
+        assert.equal(update.prediction, null);
+        assert.equal(update.probabilities, null);
+        assert.deepEqual(update.legacyPrediction, { prediction: record.prediction, confidence: record.confidence });
+    }
+});
+
+test('the registry entry of the model that made the prediction decides, with its threshold', () => {
+    const strict = new ModelManager();
+    strict.registry = { active: null, history: [], models: [{ ...ModelManager.DEFAULT_MODEL_ENTRY, version: '2.0.0', threshold: 0.7 }] };
+    const byVersion = new ConfidenceMigration(null, null, strict);
+
+    const record = { prediction: 'Anemic', confidence: 0.6, modelName: 'eyelid-anemia', modelVersion: '2.0.0' };
+    assert.equal(byVersion.convert(record).confidence, 0.4);
+    assert.equal(byVersion.convert({ ...record, modelVersion: '1.0.0' }).predictionReason, ConfidenceMigration.UNVERIFIED_REASON);
+});
+
+test('each legacy record is updated once and counted as converted or unverified', async () => {
+    const records = [
+        { _id: 1, prediction: 'Anemic', confidence: 0.1 },
+        { _id: 2, prediction: 'Anemic', confidence: 0.95 }
+    ];
+    const updates = [];
+    const Model = {
+        find: () => ({ lean: () => ({ cursor: async function* () { yield* records; } }) }),
+        updateOne: async (filter, update) => updates.push({ ...filter, ...update })
+    };
+
+    const summary = await migration.migrateCollection(Model, 'result');
+    assert.deepEqual(summary, { migrated: 1, unverified: 1, failed: 0 });
+    assert.deepEqual(updates.map(update => [update._id, update.predictionStatus || 'converted']), [[1, 'converted'], [2, 'unavailable']]);
+});
@@ -0,0 +1,168 @@
+// test/LoginGuard.test.js - Backoff, lockout and what clears them, per account and per address,
+// on the in-memory store with a clock the tests move by hand
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const LoginGuard = require('../services/LoginGuard');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+
+const setup = (options = {}) => {
+    const clock = { now: Date.parse('2026-01-05T08:00:00Z') };
+    const guard = new LoginGuard(new LoginGuard.MemoryAttemptStore(), { ...options, now: () => clock.now });
+    const advance = (ms) => { clock.now += ms; };
+    const fail = (username, ip = '10.0.0.1') => guard.record({ username, ip, outcome: 'failure' });
+    return { guard, advance, fail };
+};
+
+test('the first two failures for an account are free, then the wait doubles up to a minute', async () => {
+    const { guard, advance, fail } = setup({ maxAccountFailures: 20 });
+    const waits = [];
+    for (let i = 0; i < 10; i++) {
+        await fail('nurse');
+        const decision = await guard.check({ username: 'nurse', ip: '10.0.0.1' });
+        waits.push(decision.allowed ? 0 : decision.retryAfterMs);
+        advance(2 * MINUTE_MS);
+    }
+    assert.deepEqual(waits, [0, 0, 1, 2, 4, 8, 16, 32, 60, 60].map(seconds => seconds * SECOND_MS));
+});
+
+test('a throttled account may try again once the wait is over', async () => {
+    const { guard, advance, fail } = setup();
+    for (let i = 0; i < 4; i++) await fail('nurse');
+
+    const decision = await guard.check({ username: 'nurse', ip: '10.0.0.1' });
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.reason, 'account_throttled');
+    assert.equal(decision.retryAfterMs, 2 * SECOND_MS);
+
+    advance(2 * SECOND_MS);
+    assert.deepEqual(await guard.check({ username: 'nurse', ip: '10.0.0.1' }), { allowed: true });
+});
+
+test('the fifth failure locks the account out for the lockout period', async () => {
+    const { guard, advance, fail } = setup();
+    for (let i = 0; i < 4; i++) {
+        const { accountLocked } = await fail('nurse');
+        assert.equal(accountLocked, false);
+    }
+    const { accountLocked } = await fail('nurse');
+    assert.equal(accountLocked, true);
+
+    const decision = await guard.check({ username: 'nurse', ip: '10.0.0.2' });
+    assert.equal(decision.reason, 'account_locked');
+    assert.equal(decision.retryAfterMs, 15 * MINUTE_MS);
+    assert.match(guard.message(decision), /15 minutes/);
+    assert.deepEqual((await guard.lockedAccounts()).map(locked => locked.username), ['nurse']);
+
+    advance(15 * MINUTE_MS);
+    assert.deepEqual(await guard.check({ username: 'nurse', ip: '10.0.0.2' }), { allowed: true });
+    assert.deepEqual(await guard.lockedAccounts(), []);
+});
+
+test('failures older than the window no longer count', async () => {
+    const { guard, advance, fail } = setup();
+    for (let i = 0; i < 4; i++) await fail('nurse');
+    advance(61 * MINUTE_MS);
+    await fail('nurse');
+    assert.equal((await guard.state('account', 'nurse')).failures, 1);
+});
+
+test('a successful login clears the account\'s failures', async () => {
+    const { guard, fail } = setup();
+    for (let i = 0; i < 4; i++) await fail('nurse');
+    await guard.record({ username: 'nurse', ip: '10.0.0.1', outcome: 'success' });
+
+    assert.deepEqual(await guard.check({ username: 'nurse', ip: '10.0.0.1' }), { allowed: true });
+    await fail('nurse');
+    assert.equal((await guard.state('account', 'nurse')).failures, 1);
+});
+
+test('an unlock lifts a lockout straight away', async () => {
+    const { guard, fail } = setup();
+    for (let i = 0; i < 5; i++) await fail('nurse');
+    assert.equal((await guard.check({ username: 'nurse' })).reason, 'account_locked');
+
+    await guard.unlock('nurse', { reason: 'admin' });
+    assert.deepEqual(await guard.check({ username: 'nurse' }), { allowed: true });
+    assert.deepEqual(await guard.lockedAccounts(), []);
+});
+
+test('a clinic sharing one address is not slowed down by its staff\'s typos', async () => {
+    const { guard, fail } = setup();
+    // Ten people each mistype their password once, from behind the same NAT address
+    for (let i = 0; i < 10; i++) await fail(`worker${i}`, '203.0.113.7');
+
+    assert.equal((await guard.state('ip', '203.0.113.7')).failures, 10);
+    assert.deepEqual(await guard.check({ username: 'worker10', ip: '203.0.113.7' }), { allowed: true });
+});
+
+test('an address guessing at many accounts is throttled, then locked out', async () => {
+    const { guard, advance, fail } = setup();
+    for (let i = 0; i < 11; i++) await fail(`target${i}`, '198.51.100.9');
+
+    let decision = await guard.check({ username: 'someone-else', ip: '198.51.100.9' });
+    assert.equal(decision.reason, 'ip_throttled');
+    assert.equal(decision.retryAfterMs, SECOND_MS);
+
+    for (let i = 11; i < 50; i++) {
+        advance(MINUTE_MS);
+        await fail(`target${i}`, '198.51.100.9');
+    }
+    decision = await guard.check({ username: 'someone-else', ip: '198.51.100.9' });
+    assert.equal(decision.reason, 'ip_locked');
+    assert.equal(decision.retryAfterMs, 15 * MINUTE_MS);
+
+    // Other addresses are unaffected
+    assert.deepEqual(await guard.check({ username: 'someone-else', ip: '198.51.100.10' }), { allowed: true });
+});
+
+test('logging into one account does not reset the address\'s count', async () => {
+    const { guard, fail } = setup();
+    for (let i = 0; i < 11; i++) await fail(`target${i}`, '198.51.100.9');
+    await guard.record({ username: 'attacker', ip: '198.51.100.9', outcome: 'success' });
+
+    assert.equal((await guard.check({ username: 'target0', ip: '198.51.100.9' })).reason, 'ip_throttled');
+});
+
+test('only failures count towards throttling', async () => {
+    const { guard } = setup();
+    for (const outcome of ['denied', 'blocked', 'denied', 'blocked', 'denied', 'blocked']) {
+        await guard.record({ username: 'nurse', ip: '10.0.0.1', outcome });
+    }
+    assert.deepEqual(await guard.check({ username: 'nurse', ip: '10.0.0.1' }), { allowed: true });
+    await assert.rejects(guard.record({ username: 'nurse', outcome: 'maybe' }), /Unknown login outcome/);
+});
+
+test('parallel guesses count against each other before any password is checked', async () => {
+    const { guard } = setup();
+    // Every request starts before any of them is resolved, as with a burst of concurrent POST /login
+    const decisions = await Promise.all(Array.from({ length: 20 }, (unused, i) =>
+        guard.begin({ username: 'nurse', ip: `10.0.1.${i}` })));
+
+    const allowed = decisions.filter(decision => decision.allowed);
+    assert.ok(allowed.length <= 3, `${allowed.length} parallel guesses got through`);
+    for (const decision of decisions.filter(decision => !decision.allowed)) {
+        assert.match(decision.reason, /^account_/);
+        assert.equal(decision.attempt.outcome, 'blocked');
+    }
+
+    await Promise.all(allowed.map(decision => guard.resolve(decision.attempt, { outcome: 'failure' })));
+    assert.equal((await guard.state('account', 'nurse')).failures, allowed.length);
+    assert.equal((await guard.attempts({ outcome: 'pending' })).length, 0);
+});
+
+test('a pending attempt counts as a failure until it is resolved', async () => {
+    const { guard } = setup();
+    for (let i = 0; i < 2; i++) await guard.record({ username: 'nurse', ip: '10.0.0.1', outcome: 'failure' });
+
+    const first = await guard.begin({ username: 'nurse', ip: '10.0.0.1' });
+    assert.equal(first.allowed, true);
+    const second = await guard.begin({ username: 'nurse', ip: '10.0.0.1' });
+    assert.equal(second.reason, 'account_throttled');
+
+    await guard.resolve(first.attempt, { outcome: 'success' });
+    assert.deepEqual(await guard.check({ username: 'nurse', ip: '10.0.0.1' }), { allowed: true });
+    await assert.rejects(guard.resolve(first.attempt, { outcome: 'pending' }), /Unknown login outcome/);
+});
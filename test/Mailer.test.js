@@ -0,0 +1,45 @@
+// test/Mailer.test.js - Which transport configuration picks, and what it refuses
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Mailer = require('../services/Mailer');
+
+test('development prints mail to the console unless told otherwise', () => {
+    assert.ok(Mailer.fromConfig().transport instanceof Mailer.ConsoleTransport);
+    assert.ok(Mailer.fromConfig({ transport: 'console' }).transport instanceof Mailer.ConsoleTransport);
+});
+
+test('production refuses the console transport, set or defaulted', () => {
+    assert.throws(() => Mailer.fromConfig({ production: true }), /set MAIL_TRANSPORT/);
+    assert.throws(() => Mailer.fromConfig({ transport: 'console', production: true }), /set MAIL_TRANSPORT/);
+});
+
+test('an unknown transport is an error rather than a silent fallback', () => {
+    assert.throws(() => Mailer.fromConfig({ transport: 'smtp' }), /Unknown mail transport "smtp"/);
+    assert.throws(() => Mailer.fromConfig({ transport: 'smtp', production: true }), /Unknown mail transport/);
+});
+
+test('the file transport writes each message to the outbox', async () => {
+    const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const mailer = Mailer.fromConfig({ transport: 'file', outboxDir, from: 'clinic@example.org', production: true });
+        await mailer.send({ to: 'patient@example.org', subject: 'Hello', text: 'Body' });
+    } finally {
+        console.log = log;
+    }
+
+    const [file] = fs.readdirSync(outboxDir);
+    const message = JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8'));
+    assert.equal(message.from, 'clinic@example.org');
+    assert.equal(message.to, 'patient@example.org');
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+});
+
+test('a plugged-in transport needs a send method', () => {
+    assert.throws(() => new Mailer().setTransport({}), /send\(message\)/);
+});
@@ -0,0 +1,59 @@
+// test/ModelEvaluator.test.js - Confusion matrix, ROC/AUC and calibration on hand-made cases
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ModelEvaluator = require('../services/ModelEvaluator');
+
+const evaluator = new ModelEvaluator(null, null);
+
+// `probability` is P(Anemic); `actual` is whether the lab confirmed anemia
+const cases = (pairs) => pairs.map(([probability, actual]) => ({
+    probability,
+    actual,
+    prediction: probability > 0.5 ? 'Anemic' : 'Non-anemic'
+}));
+
+test('a model that ranks every anemic case first has an AUC of 1, one that ranks them last 0', () => {
+    const separated = evaluator.roc(cases([[0.9, true], [0.8, true], [0.3, false], [0.1, false]]));
+    assert.equal(separated.auc, 1);
+    assert.deepEqual(separated.points.map(point => [point.fpr, point.tpr]), [[0, 0], [0, 0.5], [0, 1], [0.5, 1], [1, 1]]);
+
+    assert.equal(evaluator.roc(cases([[0.9, false], [0.8, false], [0.3, true], [0.1, true]])).auc, 0);
+});
+
+test('tied probabilities move the curve together, so sort order cannot change the AUC', () => {
+    const tied = evaluator.roc(cases([[0.7, true], [0.7, false], [0.2, false]]));
+    assert.deepEqual(tied.points.map(point => [point.threshold, point.fpr, point.tpr]), [[1, 0, 0], [0.7, 0.5, 1], [0.2, 1, 1]]);
+    assert.equal(tied.auc, 0.75);
+    assert.equal(evaluator.roc(cases([[0.7, false], [0.7, true], [0.2, false]])).auc, 0.75);
+});
+
+test('without both anemic and non-anemic cases there is no ROC curve', () => {
+    assert.deepEqual(evaluator.roc(cases([[0.9, true], [0.4, true]])), { points: [], auc: null });
+    assert.deepEqual(evaluator.roc([]), { points: [], auc: null });
+});
+
+test('calibration bins the probabilities and scores them against what the lab found', () => {
+    const { bins, brierScore, ece } = evaluator.calibration(cases([[0.05, false], [0.15, false], [0.15, true], [0.95, true], [1, true]]));
+
+    assert.equal(bins.length, 10);
+    assert.deepEqual(bins[0], { lower: 0, upper: 0.1, count: 1, meanPredicted: 0.05, observedRate: 0 });
+    assert.deepEqual(bins[1], { lower: 0.1, upper: 0.2, count: 2, meanPredicted: 0.15, observedRate: 0.5 });
+    assert.deepEqual(bins[5], { lower: 0.5, upper: 0.6, count: 0, meanPredicted: null, observedRate: null });
+    // A probability of exactly 1 belongs in the top bin
+    assert.deepEqual(bins[9], { lower: 0.9, upper: 1, count: 2, meanPredicted: 0.975, observedRate: 1 });
+
+    // (0.05² + 0.15² + 0.85² + 0.05² + 0²) / 5
+    assert.equal(brierScore, 0.15);
+    // (1 × 0.05 + 2 × 0.35 + 2 × 0.025) / 5
+    assert.equal(ece, 0.16);
+    assert.equal(evaluator.calibration([]).brierScore, null);
+});
+
+test('the confusion matrix counts anemia as the positive class', () => {
+    const matrix = evaluator.confusionMatrix(cases([[0.9, true], [0.8, false], [0.3, true], [0.1, false], [0.2, false]]));
+    assert.deepEqual(matrix, {
+        tp: 1, fp: 1, tn: 2, fn: 1,
+        sensitivity: 0.5, specificity: 0.6667, ppv: 0.5, npv: 0.6667, accuracy: 0.6
+    });
+});
@@ -0,0 +1,79 @@
+// test/ModelManager.test.js - The shipped registry stays read-only; runtime changes live in the state store
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ModelManager = require('../models/ModelManager');
+
+const entry = (version, extra = {}) => ({ ...ModelManager.DEFAULT_MODEL_ENTRY, version, file: `eyelid-${version}.onnx`, ...extra });
+
+// A models directory holding registry.json and empty model files
+const modelsDir = (models, active = models[0]) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'models-'));
+    const registry = { active: { name: active.name, version: active.version }, history: [], models };
+    fs.writeFileSync(path.join(dir, 'registry.json'), JSON.stringify(registry, null, 2));
+    for (const model of models) fs.writeFileSync(path.join(dir, model.file), '');
+    return dir;
+};
+
+// Registry changes are logged; keep the test output readable
+const quietly = async (action) => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await action();
+    } finally {
+        console.log = log;
+    }
+};
+
+const load = async (dir, options = {}) => {
+    const manager = new ModelManager({ modelsDir: dir, ...options });
+    await quietly(() => manager.loadRegistry());
+    return manager;
+};
+
+test('registered models and moved thresholds survive a restart without touching registry.json', async () => {
+    const dir = modelsDir([entry('1.0.0')]);
+    const shipped = fs.readFileSync(path.join(dir, 'registry.json'), 'utf8');
+
+    const manager = await load(dir);
+    fs.writeFileSync(path.join(dir, 'eyelid-2.0.0.onnx'), '');
+    await quietly(() => manager.registerModel(entry('2.0.0', { threshold: 0.6 })));
+    await quietly(() => manager.setThreshold('eyelid-anemia', '1.0.0', 0.35));
+
+    assert.equal(fs.readFileSync(path.join(dir, 'registry.json'), 'utf8'), shipped);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'registry.state.json'), 'utf8')).thresholds,
+        [{ name: 'eyelid-anemia', version: '1.0.0', threshold: 0.35 }]);
+
+    const restarted = await load(dir);
+    assert.equal(restarted.getEntry('eyelid-anemia', '1.0.0').threshold, 0.35);
+    assert.equal(restarted.getEntry('eyelid-anemia', '2.0.0').threshold, 0.6);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a redeploy adds its shipped models, and an active model it no longer ships falls back', async () => {
+    const dir = modelsDir([entry('1.0.0'), entry('3.0.0')]);
+    fs.writeFileSync(path.join(dir, 'registry.state.json'), JSON.stringify({
+        active: { name: 'eyelid-anemia', version: '2.0.0' }, history: [], registered: [], thresholds: []
+    }));
+
+    const manager = await load(dir);
+    assert.deepEqual(manager.listModels().models.map(model => model.version), ['1.0.0', '3.0.0']);
+    assert.equal(manager.getActiveEntry().version, '1.0.0');
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a change that cannot be stored does not take effect', async () => {
+    const dir = modelsDir([entry('1.0.0')]);
+    const manager = await load(dir, {
+        stateStore: { load: async () => null, save: async () => { throw new Error('read-only file system'); } }
+    });
+
+    await assert.rejects(manager.setThreshold('eyelid-anemia', '1.0.0', 0.2), /read-only/);
+    assert.equal(manager.getEntry('eyelid-anemia', '1.0.0').threshold, 0.5);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['eyelid-1.0.0.onnx', 'registry.json']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,104 @@
+// test/QuestionnaireManager.test.js - Which questionnaire version answers are checked against, and how
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const QuestionnaireManager = require('../services/QuestionnaireManager');
+
+const questions = [
+    { key: 'fever', type: 'yes_no', text: 'Fever?' },
+    { key: 'fever_days', type: 'numeric', text: 'For how many days?', min: 0, max: 60, showIf: { key: 'fever', equals: 'yes' } },
+    { key: 'pain', type: 'scale', text: 'Pain?', min: 0, max: 10, required: false }
+];
+
+// Just enough of the mongoose model for lookups by version and status
+const questionnaireModel = (stored) => {
+    const matches = (query) => stored.filter(item =>
+        Object.entries(query).every(([field, value]) => item[field] === value));
+    return {
+        findOne(query = {}) {
+            let found = matches(query);
+            return {
+                sort(order) {
+                    if (order.version === -1) found = [...found].sort((a, b) => b.version - a.version);
+                    return this;
+                },
+                lean: async () => found[0] || null
+            };
+        }
+    };
+};
+
+const manager = new QuestionnaireManager(questionnaireModel([
+    { version: 1, status: 'archived', questions },
+    { version: 2, status: 'active', questions },
+    { version: 3, status: 'draft', questions }
+]));
+
+test('answers without a version are checked against the active questionnaire', async () => {
+    for (const version of [undefined, null, '']) {
+        assert.equal((await manager.getAnswerable(version)).version, 2, `version ${JSON.stringify(version)}`);
+    }
+});
+
+test('a published version is answerable, even once archived', async () => {
+    assert.equal((await manager.getAnswerable(1)).version, 1);
+    assert.equal((await manager.getAnswerable('2')).version, 2);
+});
+
+test('drafts and unknown versions are not', async () => {
+    assert.equal(await manager.getAnswerable(3), null);
+    assert.equal(await manager.getAnswerable(9), null);
+    assert.equal(await manager.getAnswerable('latest'), null);
+});
+
+test('answers are normalized, and only visible known questions are kept', () => {
+    const { errors, answers } = manager.validateAnswers({ questions }, {
+        fever: ' YES ', fever_days: '3', pain: 4, smuggled: 'yes'
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(answers, { fever: 'yes', fever_days: 3, pain: 4 });
+
+    const hidden = manager.validateAnswers({ questions }, { fever: 'no', fever_days: 5 });
+    assert.deepEqual(hidden.answers, { fever: 'no' });
+});
+
+test('answers the questionnaire does not allow are errors', () => {
+    const { errors } = manager.validateAnswers({ questions }, { fever: 'true', pain: 2.5 });
+    assert.deepEqual(errors, [
+        "Answer for 'fever' must be yes or no",
+        "Answer for 'pain' must be a whole number"
+    ]);
+    assert.deepEqual(manager.validateAnswers({ questions }, {}).errors, ["Missing answer for 'fever'"]);
+    assert.deepEqual(manager.validateAnswers({ questions }, { fever: 'yes', fever_days: 61 }).errors,
+        ["Answer for 'fever_days' is out of range"]);
+});
+
+test('a version must keep asking every scored question as yes/no', () => {
+    const scored = new QuestionnaireManager(questionnaireModel([]), { scoredKeys: ['fever', 'travel'] });
+    assert.deepEqual(scored.validateDefinition(questions), [
+        "Question 'travel' is used for risk scoring and cannot be removed"
+    ]);
+
+    const retyped = questions.map(question => question.key === 'fever'
+        ? { ...question, type: 'scale', min: 0, max: 3 }
+        : question);
+    assert.deepEqual(scored.validateDefinition([...retyped, { key: 'travel', type: 'yes_no', text: 'Travel?' }]), [
+        "Question 'fever' is used for risk scoring and must stay a yes_no question"
+    ]);
+});
+
+test('a draft saved before the scored questions were required cannot be activated', async () => {
+    const archived = [];
+    const draft = { version: 4, status: 'draft', questions, toObject: () => ({ questions }) };
+    const scored = new QuestionnaireManager({
+        findOne: async () => draft,
+        updateMany: async () => archived.push('active')
+    }, { scoredKeys: ['travel'] });
+
+    await assert.rejects(scored.activate(4), (error) => {
+        assert.deepEqual(error.validationErrors, ["Question 'travel' is used for risk scoring and cannot be removed"]);
+        return true;
+    });
+    assert.equal(draft.status, 'draft');
+    assert.deepEqual(archived, []);
+});
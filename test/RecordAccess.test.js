@@ -0,0 +1,85 @@
+// test/RecordAccess.test.js - Which results and assessments each session may open once AccessControl
+// has let the request through; routes answer 404 for anything refused here
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AccessControl = require('../services/AccessControl');
+const AssessmentMessages = require('../services/AssessmentMessages');
+const RecordAccess = require('../services/RecordAccess');
+
+const SESSIONS = {
+    patient: { loggedIn: true, role: 'user', username: 'patient1' },
+    otherPatient: { loggedIn: true, role: 'user', username: 'patient2' },
+    worker: { loggedIn: true, role: 'health_worker', username: 'worker1' },
+    doctor: { loggedIn: true, role: 'doctor', username: 'doctor2', doctorId: '2' },
+    otherDoctor: { loggedIn: true, role: 'doctor', username: 'doctor3', doctorId: '3' },
+    unlinkedDoctor: { loggedIn: true, role: 'doctor', username: 'doctor9' },
+    admin: { loggedIn: true, role: 'admin', username: 'admin' }
+};
+
+const assessments = [
+    { _id: 'a1', from: 'patient1', doctorId: '2', patientResultId: 'r1' },
+    { _id: 'a2', from: 'patient2', doctorId: '3', patientResultId: null }
+];
+
+// DoctorAssessment.exists for { doctorId, $or: [{ patientResultId }, { _id }] }
+const doctorAssessmentModel = {
+    exists: async ({ doctorId, $or }) => assessments.some(assessment => assessment.doctorId === doctorId &&
+        $or.some(link => Object.entries(link).every(([field, value]) => assessment[field] === value)))
+};
+
+const recordAccess = new RecordAccess(new AccessControl([]), doctorAssessmentModel);
+
+const results = {
+    sentToDoctor: { _id: 'r1', username: 'patient1', screenedBy: null, assessmentId: null },
+    screened: { _id: 'r2', username: 'patient3', screenedBy: 'worker1', assessmentId: null },
+    linkedByAssessment: { _id: 'r3', username: 'patient2', screenedBy: null, assessmentId: 'a2' }
+};
+
+const viewers = async (result) => {
+    const allowed = [];
+    for (const [name, session] of Object.entries(SESSIONS)) {
+        if (await recordAccess.canViewResult(session, result)) allowed.push(name);
+    }
+    return allowed;
+};
+
+test('a result is visible to its patient, the doctor it was sent to and admins only', async () => {
+    assert.deepEqual(await viewers(results.sentToDoctor), ['patient', 'doctor', 'admin']);
+    assert.deepEqual(await viewers(results.linkedByAssessment), ['otherPatient', 'otherDoctor', 'admin']);
+});
+
+test('a screened result is visible to whoever screened it, not to other staff', async () => {
+    assert.deepEqual(await viewers(results.screened), ['worker', 'admin']);
+});
+
+test('an assessment is visible to its patient, its assigned doctor and admins only', () => {
+    const allowed = (assessment) => Object.entries(SESSIONS)
+        .filter(([, session]) => recordAccess.canViewAssessment(session, assessment))
+        .map(([name]) => name);
+
+    assert.deepEqual(allowed(assessments[0]), ['patient', 'doctor', 'admin']);
+    assert.deepEqual(allowed(assessments[1]), ['otherPatient', 'otherDoctor', 'admin']);
+});
+
+test('clinical notes are for the assigned doctor and admins, not the patient', () => {
+    assert.equal(recordAccess.canSeeClinicalNotes(SESSIONS.doctor, assessments[0]), true);
+    assert.equal(recordAccess.canSeeClinicalNotes(SESSIONS.admin, assessments[0]), true);
+    assert.equal(recordAccess.canSeeClinicalNotes(SESSIONS.patient, assessments[0]), false);
+    assert.equal(recordAccess.canSeeClinicalNotes(SESSIONS.otherDoctor, assessments[0]), false);
+    assert.equal(recordAccess.canSeeClinicalNotes(SESSIONS.doctor, null), false);
+});
+
+test('only the two sides of an assessment reach its message thread, not even admins', async () => {
+    const messages = new AssessmentMessages(null, {
+        findById: (id) => ({ lean: async () => assessments.find(assessment => assessment._id === id) || null })
+    }, null);
+
+    assert.deepEqual(await messages.findThread('a1', SESSIONS.patient), { assessment: assessments[0], role: 'patient' });
+    assert.deepEqual(await messages.findThread('a1', SESSIONS.doctor), { assessment: assessments[0], role: 'doctor' });
+    for (const name of ['otherPatient', 'otherDoctor', 'unlinkedDoctor', 'worker', 'admin']) {
+        assert.equal(await messages.findThread('a1', SESSIONS[name]), null, name);
+    }
+    assert.equal(await messages.findThread('missing', SESSIONS.patient), null);
+    assert.equal(messages.participantRole(assessments[0], { ...SESSIONS.patient, loggedIn: false }), null);
+});
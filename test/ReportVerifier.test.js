@@ -0,0 +1,99 @@
+// test/ReportVerifier.test.js - What a clinic checking a printed report is told: valid, altered, deleted or invalid
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ReportVerifier = require('../services/ReportVerifier');
+
+// Records by id; findOne matches { _id, verificationCode }, findById the id alone
+const recordModel = (records) => ({
+    records,
+    findOne: ({ _id, verificationCode }) => ({
+        lean: async () => {
+            const record = records.get(_id);
+            return record && record.verificationCode === verificationCode ? structuredClone(record) : null;
+        }
+    }),
+    findById: (id) => ({ lean: async () => (records.has(String(id)) ? structuredClone(records.get(String(id))) : null) })
+});
+
+const setup = () => {
+    const results = recordModel(new Map([['r1', {
+        _id: 'r1',
+        verificationCode: 'ABCD-1234',
+        timestamp: new Date('2026-03-02T09:30:00Z'),
+        prediction: 'Anemic',
+        confidence: 0.82,
+        probabilities: { Anemic: 0.82, 'Non-anemic': 0.18 },
+        predictionStatus: 'completed',
+        riskLevel: 'High',
+        riskScore: 12,
+        symptoms: { fever: 'yes', chills: 'no' },
+        modelName: 'eyelid-anemia',
+        modelVersion: '1.0.0',
+        assessmentId: null,
+        username: 'patient1'
+    }]]));
+    const verifier = new ReportVerifier(results, recordModel(new Map()), { secret: 'test-secret' });
+    return { verifier, results };
+};
+
+test('an unchanged record verifies, and the clinic sees the outcome but not the patient', async () => {
+    const { verifier, results } = setup();
+    const token = await verifier.issue('result', results.records.get('r1'), 'ABCD-1234');
+
+    const check = await verifier.verify(' abcd-1234 ', token);
+    assert.equal(check.status, 'valid');
+    assert.deepEqual(check.issued, {
+        kind: 'result',
+        screenedAt: '2026-03-02T09:30:00.000Z',
+        outcome: { prediction: 'Anemic', riskLevel: 'High' },
+        modelVersion: '1.0.0'
+    });
+    assert.deepEqual(check.current, check.issued);
+    assert.doesNotMatch(JSON.stringify(check), /patient1/);
+});
+
+test('a signed field changed after export shows as altered; an unsigned one does not', async () => {
+    const { verifier, results } = setup();
+    const token = await verifier.issue('result', results.records.get('r1'), 'ABCD-1234');
+
+    results.records.get('r1').username = 'renamed';
+    assert.equal((await verifier.verify('ABCD-1234', token)).status, 'valid');
+
+    results.records.get('r1').symptoms = { chills: 'no', fever: 'no' };
+    const check = await verifier.verify('ABCD-1234', token);
+    assert.equal(check.status, 'altered');
+    assert.equal(check.issued.outcome.prediction, 'Anemic');
+});
+
+test('a deleted record still shows what was issued', async () => {
+    const { verifier, results } = setup();
+    const token = await verifier.issue('result', results.records.get('r1'), 'ABCD-1234');
+
+    results.records.delete('r1');
+    const check = await verifier.verify('ABCD-1234', token);
+    assert.equal(check.status, 'deleted');
+    assert.equal(check.issued.outcome.riskLevel, 'High');
+    assert.equal(check.current, null);
+});
+
+test('a token from elsewhere, edited, or with the wrong code is invalid', async () => {
+    const { verifier, results } = setup();
+    const token = await verifier.issue('result', results.records.get('r1'), 'ABCD-1234');
+    const [payload, signature] = token.split('.');
+    const edited = Buffer.from(JSON.stringify({
+        ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+        summary: { outcome: { prediction: 'Non-anemic' } }
+    })).toString('base64url');
+    const otherServer = new ReportVerifier(results, recordModel(new Map()), { secret: 'other-secret' });
+
+    for (const [code, candidate] of [
+        ['ABCD-9999', token],
+        ['ABCD-1234', `${edited}.${signature}`],
+        ['ABCD-1234', await otherServer.issue('result', results.records.get('r1'), 'ABCD-1234')],
+        ['ABCD-1234', `${token}.extra`],
+        ['ABCD-1234', undefined]
+    ]) {
+        assert.deepEqual(await verifier.verify(code, candidate), { status: 'invalid', issued: null, current: null });
+    }
+});